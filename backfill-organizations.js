@@ -0,0 +1,63 @@
+const { supabase } = require('./src/config/supabase.js');
+const { OrganizationService } = require('./src/services/organizationService.js');
+
+// Tables that held data before organizations existed
+const SCOPED_TABLES = [
+  'screens',
+  'media',
+  'playlists',
+  'screen_assignments',
+  'screen_schedules',
+  'screen_groups',
+  'group_assignments'
+];
+
+async function backfillOrganizations() {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.log('Usage: node backfill-organizations.js <owner-email>');
+    console.log('Example: node backfill-organizations.js admin@example.com');
+    console.log('Moves every row without an organization into the personal workspace of that user.');
+    process.exit(1);
+  }
+
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, email')
+      .eq('email', email)
+      .single();
+
+    if (profileError || !profile) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    const organization = await new OrganizationService().ensurePersonalOrganization(profile);
+    console.log(`🏢 Workspace "${organization.name}" (${organization.id})`);
+
+    for (const table of SCOPED_TABLES) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ organization_id: organization.id })
+        .is('organization_id', null)
+        .select('organization_id');
+
+      if (error) {
+        console.error(`❌ Failed to update ${table}:`, error.message);
+        process.exit(1);
+      }
+
+      console.log(`✅ ${table}: ${data.length} row(s) assigned`);
+    }
+
+    console.log('\n🎉 Existing data now belongs to the workspace. Running this again only picks up rows still without one.');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillOrganizations();
\ No newline at end of file
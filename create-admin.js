@@ -1,12 +1,15 @@
 const { supabase } = require('./src/config/supabase.js');
+const { OrganizationService } = require('./src/services/organizationService.js');
 
 async function createAdminUser() {
   const email = process.argv[2];
   const password = process.argv[3];
+  const organizationId = process.argv[4];
 
   if (!email || !password) {
-    console.log('Usage: node create-admin.js <email> <password>');
+    console.log('Usage: node create-admin.js <email> <password> [organizationId]');
     console.log('Example: node create-admin.js admin@example.com mypassword123');
+    console.log('Without an organization ID the user becomes owner of a new personal workspace.');
     process.exit(1);
   }
 
@@ -56,6 +59,28 @@ async function createAdminUser() {
       console.log('✅ Profile already exists!');
     }
 
+    // Permissions come from organization membership
+    if (organizationId) {
+      const { error: memberError } = await supabase
+        .from('organization_members')
+        .upsert({
+          organization_id: organizationId,
+          user_id: data.user.id,
+          role: 'admin'
+        }, {
+          onConflict: 'organization_id,user_id'
+        });
+
+      if (memberError) {
+        console.error('❌ Failed to add admin to organization:', memberError.message);
+        process.exit(1);
+      }
+      console.log(`✅ Admin of organization ${organizationId}`);
+    } else {
+      const organization = await new OrganizationService().ensurePersonalOrganization(data.user);
+      console.log(`✅ Owner of organization "${organization.name}" (${organization.id})`);
+    }
+
     console.log('\n🎉 Admin user is ready!');
     console.log('🌐 You can now login at: http://localhost:3000');
     console.log(`📧 Email: ${email}`);
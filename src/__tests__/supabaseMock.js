@@ -0,0 +1,37 @@
+/**
+ * Answer the next queries of a mocked supabase client with the given results,
+ * in order. A result may be a function of the recorded query.
+ * Returns the recorded queries: { table, calls: [[method, ...args]] }.
+ *
+ * Use with: jest.mock('<path>/config/supabase', () => ({ supabase: { from: jest.fn() } }));
+ */
+const respondWith = (supabase, ...results) => {
+  const queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    const result = results[queries.length];
+    queries.push(query);
+
+    const builder = new Proxy({}, {
+      get: (target, method) => {
+        if (method === 'then') {
+          const value = typeof result === 'function' ? result(query) : result;
+          return (resolve, reject) => Promise.resolve(value || { data: null, error: null }).then(resolve, reject);
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+    return builder;
+  });
+  return queries;
+};
+
+/**
+ * First recorded call of a builder method in a query, e.g. call(query, 'update')
+ */
+const call = (query, method) => query.calls.find(([name]) => name === method);
+
+module.exports = { respondWith, call };
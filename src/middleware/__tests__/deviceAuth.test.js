@@ -0,0 +1,105 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const crypto = require('crypto');
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { authenticateDevice, authenticateDeviceStream } = require('../auth');
+
+const DEVICE_TOKEN = 'a'.repeat(64);
+
+const pairedScreen = {
+  id: 'screen-1',
+  name: 'Lobby',
+  device_code: 'LOBBY1',
+  device_token_hash: crypto.createHash('sha256').update(DEVICE_TOKEN).digest('hex'),
+  organization_id: 'org-1'
+};
+
+const request = ({ header, query } = {}) => ({
+  params: { deviceCode: 'LOBBY1' },
+  headers: header ? { 'x-device-token': header } : {},
+  query: query ? { token: query } : {},
+  path: '/LOBBY1'
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (middleware, req) => {
+  const res = response();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('device authentication', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the token from the X-Device-Token header', async () => {
+    const queries = respondWith(supabase, { data: pairedScreen, error: null });
+    const req = request({ header: DEVICE_TOKEN });
+
+    const { next } = await run(authenticateDevice, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.screen).toEqual({ id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1', organization_id: 'org-1' });
+    expect(queries[0].calls).toContainEqual(['eq', 'device_code', 'LOBBY1']);
+  });
+
+  it('ignores a token in the query string outside the event stream', async () => {
+    const { res, next } = await run(authenticateDevice, request({ query: DEVICE_TOKEN }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_DEVICE_TOKEN' }));
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('accepts a token in the query string for the event stream', async () => {
+    respondWith(supabase, { data: pairedScreen, error: null });
+    const req = request({ query: DEVICE_TOKEN });
+
+    const { next } = await run(authenticateDeviceStream, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.screen.id).toBe('screen-1');
+  });
+
+  it('rejects a wrong token', async () => {
+    respondWith(supabase, { data: pairedScreen, error: null });
+
+    const { res, next } = await run(authenticateDevice, request({ header: 'b'.repeat(64) }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DEVICE_TOKEN' }));
+  });
+
+  it('rejects the token of a revoked screen', async () => {
+    respondWith(supabase, { data: { ...pairedScreen, device_token_hash: null }, error: null });
+
+    const { res } = await run(authenticateDevice, request({ header: DEVICE_TOKEN }));
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DEVICE_TOKEN' }));
+  });
+
+  it('rejects an unknown device code', async () => {
+    respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+    const { res } = await run(authenticateDevice, request({ header: DEVICE_TOKEN }));
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DEVICE_TOKEN' }));
+  });
+});
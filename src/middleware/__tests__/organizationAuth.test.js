@@ -0,0 +1,164 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { resolveOrganization, requireRole, requireWriteAccess } = require('../auth');
+
+const ORG_A = '11111111-1111-4111-8111-111111111111';
+const ORG_B = '22222222-2222-4222-8222-222222222222';
+
+// The user is an editor of organization A and not a member of B
+const memberships = {
+  [ORG_A]: { role: 'editor', organizations: { id: ORG_A, name: 'Agency A' } }
+};
+
+const answerMemberships = () => respondWith(supabase, (query) => {
+  const organizationId = query.calls.find(([method, column]) => method === 'eq' && column === 'organization_id')[2];
+  return { data: memberships[organizationId] || null, error: null };
+});
+
+const request = (method, organizationId) => ({
+  method,
+  path: '/playlists',
+  headers: organizationId ? { 'x-organization-id': organizationId } : {},
+  user: { id: 'user-1', email: 'editor@example.com' }
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run middleware in order like Express; returns the response and whether the route was reached
+ */
+const runChain = async (middlewares, req) => {
+  const res = response();
+  let reached = false;
+  const run = async (index) => {
+    if (index === middlewares.length) {
+      reached = true;
+      return;
+    }
+    let called = false;
+    await middlewares[index](req, res, () => { called = true; });
+    if (called) {
+      await run(index + 1);
+    }
+  };
+  await run(0);
+  return { res, reached };
+};
+
+describe('organization authorization', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveOrganization', () => {
+    it('uses the membership role in the requested organization', async () => {
+      answerMemberships();
+      const req = request('GET', ORG_A);
+
+      const { reached } = await runChain([resolveOrganization], req);
+
+      expect(reached).toBe(true);
+      expect(req.organization).toEqual({ id: ORG_A, name: 'Agency A', role: 'editor' });
+    });
+
+    it('refuses organizations the user is not a member of', async () => {
+      answerMemberships();
+
+      const { res, reached } = await runChain([resolveOrganization], request('GET', ORG_B));
+
+      expect(reached).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ORGANIZATION_ACCESS_DENIED' }));
+    });
+
+    it('rejects a malformed organization ID', async () => {
+      const { res } = await runChain([resolveOrganization], request('GET', 'org-a'));
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireRole', () => {
+    it('allows roles at or above the minimum in the active organization', async () => {
+      answerMemberships();
+
+      const { reached } = await runChain([resolveOrganization, requireRole('editor')], request('POST', ORG_A));
+
+      expect(reached).toBe(true);
+    });
+
+    it('refuses roles below the minimum', async () => {
+      answerMemberships();
+
+      const { res, reached } = await runChain([resolveOrganization, requireRole('admin')], request('GET', ORG_A));
+
+      expect(reached).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_ROLE' }));
+    });
+
+    it('ignores any role on the user itself', async () => {
+      const req = { ...request('GET'), user: { id: 'user-1', role: 'admin' }, organization: { id: ORG_A, role: 'member' } };
+
+      const { reached } = await runChain([requireRole('admin')], req);
+
+      expect(reached).toBe(false);
+    });
+
+    it('refuses requests without an active organization', async () => {
+      const { reached } = await runChain([requireRole('member')], request('GET'));
+
+      expect(reached).toBe(false);
+    });
+  });
+
+  describe('requireWriteAccess', () => {
+    const withRole = (method, role) => ({ ...request(method), organization: { id: ORG_A, role } });
+
+    it('lets members read', async () => {
+      for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+        const { reached } = await runChain([requireWriteAccess], withRole(method, 'member'));
+        expect(reached).toBe(true);
+      }
+    });
+
+    it('refuses changes by members', async () => {
+      for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+        const { res, reached } = await runChain([requireWriteAccess], withRole(method, 'member'));
+        expect(reached).toBe(false);
+        expect(res.status).toHaveBeenCalledWith(403);
+      }
+    });
+
+    it('allows changes by editors, admins and owners', async () => {
+      for (const role of ['editor', 'admin', 'owner']) {
+        const { reached } = await runChain([requireWriteAccess], withRole('DELETE', role));
+        expect(reached).toBe(true);
+      }
+    });
+
+    it('judges each organization by the membership there', async () => {
+      answerMemberships();
+
+      const allowed = await runChain([resolveOrganization, requireWriteAccess], request('PUT', ORG_A));
+      const refused = await runChain([resolveOrganization, requireWriteAccess], request('PUT', ORG_B));
+
+      expect(allowed.reached).toBe(true);
+      expect(refused.reached).toBe(false);
+    });
+  });
+});
@@ -1,6 +1,11 @@
 const { AuthService } = require('../services/authService');
+const { DevicePairingService } = require('../services/devicePairingService');
+const { OrganizationService } = require('../services/organizationService');
+const { validateUUID } = require('./validation');
 
 const authService = new AuthService();
+const devicePairingService = new DevicePairingService();
+const organizationService = new OrganizationService();
 
 /**
  * Middleware to authenticate requests using JWT tokens
@@ -199,4 +204,184 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken, optionalAuth };
\ No newline at end of file
+/**
+ * Create middleware authenticating player requests with the per-device token
+ * issued during pairing, sent in the X-Device-Token header. Only the event
+ * stream may pass it as a query parameter, because EventSource cannot set
+ * headers; URLs end up in access logs.
+ */
+const createDeviceAuthentication = ({ allowQueryToken = false } = {}) => async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const { deviceCode } = req.params;
+
+  try {
+    const token = req.headers['x-device-token'] || (allowQueryToken ? req.query.token : undefined);
+
+    if (!token) {
+      console.log('[Device Auth] Missing device token', {
+        deviceCode,
+        endpoint: req.path,
+        timestamp,
+        code: 'MISSING_DEVICE_TOKEN'
+      });
+
+      return res.status(401).json({
+        error: 'Device token required. Pair this player first.',
+        code: 'MISSING_DEVICE_TOKEN',
+        timestamp
+      });
+    }
+
+    const screen = await devicePairingService.verifyDeviceToken(deviceCode, token);
+
+    if (!screen) {
+      console.error('[Device Auth] Device token verification failed', {
+        deviceCode,
+        endpoint: req.path,
+        timestamp,
+        code: 'INVALID_DEVICE_TOKEN'
+      });
+
+      return res.status(401).json({
+        error: 'Invalid or revoked device token',
+        code: 'INVALID_DEVICE_TOKEN',
+        timestamp
+      });
+    }
+
+    req.screen = screen;
+    next();
+  } catch (error) {
+    console.error('[Device Auth] Authentication error', {
+      deviceCode,
+      error: error.message,
+      timestamp,
+      code: 'AUTH_SERVICE_ERROR'
+    });
+
+    res.status(500).json({
+      error: 'Authentication service error',
+      code: 'AUTH_SERVICE_ERROR',
+      timestamp
+    });
+  }
+};
+
+const authenticateDevice = createDeviceAuthentication();
+
+// For the SSE event stream only
+const authenticateDeviceStream = createDeviceAuthentication({ allowQueryToken: true });
+
+/**
+ * Middleware to resolve the organization a request acts on. Uses the
+ * X-Organization-Id header when present, otherwise the user's default
+ * organization. Must run after authenticateToken.
+ */
+const resolveOrganization = async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const organizationId = req.headers['x-organization-id'];
+
+  try {
+    if (organizationId) {
+      try {
+        validateUUID(organizationId, 'Organization ID');
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_ORGANIZATION_ID',
+          timestamp
+        });
+      }
+    }
+
+    const organization = organizationId
+      ? await organizationService.getMembership(organizationId, req.user.id)
+      : await organizationService.getDefaultOrganization(req.user);
+
+    if (!organization) {
+      console.log('[Auth Middleware] Not a member of organization', {
+        endpoint: req.path,
+        method: req.method,
+        userId: req.user.id,
+        organizationId,
+        timestamp,
+        code: 'ORGANIZATION_ACCESS_DENIED'
+      });
+
+      return res.status(403).json({
+        error: 'You are not a member of this organization',
+        code: 'ORGANIZATION_ACCESS_DENIED',
+        timestamp
+      });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('[Auth Middleware] Organization resolution error', {
+      userId: req.user?.id,
+      organizationId,
+      error: error.message,
+      timestamp,
+      code: 'ORGANIZATION_ERROR'
+    });
+
+    res.status(500).json({
+      error: 'Failed to resolve organization',
+      code: 'ORGANIZATION_ERROR',
+      timestamp
+    });
+  }
+};
+
+/**
+ * Authorization middleware factory - requires at least the given role in the
+ * active organization. Must run after resolveOrganization.
+ */
+const requireRole = (minimumRole) => {
+  return (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const role = req.organization?.role;
+
+    if (!role || !organizationService.hasRole(role, minimumRole)) {
+      console.log('[Auth Middleware] Insufficient role', {
+        endpoint: req.path,
+        method: req.method,
+        userId: req.user?.id,
+        organizationId: req.organization?.id,
+        role,
+        requiredRole: minimumRole,
+        timestamp,
+        code: 'INSUFFICIENT_ROLE'
+      });
+
+      return res.status(403).json({
+        error: `This action requires the organization ${minimumRole} role`,
+        code: 'INSUFFICIENT_ROLE',
+        timestamp
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Members have read-only access: any non-GET request requires the organization editor role
+ */
+const requireWriteAccess = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return next();
+  }
+  return requireRole('editor')(req, res, next);
+};
+
+module.exports = {
+  authenticateToken,
+  optionalAuth,
+  authenticateDevice,
+  authenticateDeviceStream,
+  resolveOrganization,
+  requireRole,
+  requireWriteAccess
+};
\ No newline at end of file
@@ -110,6 +110,48 @@ const validateScreenUpdate = (req, res, next) => {
   }
 };
 
+const validateScreenGroup = (req, res, next) => {
+  try {
+    const { name, description, location, parentId } = req.body;
+    
+    validateRequired(name, 'Group name');
+    validateLength(name, 1, 100, 'Group name');
+    
+    if (description) {
+      validateLength(description, 0, 500, 'Description');
+    }
+    
+    if (location) {
+      validateLength(location, 0, 200, 'Location');
+    }
+    
+    if (parentId) {
+      validateUUID(parentId, 'Parent group ID');
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateMediaFolder = (req, res, next) => {
+  try {
+    const { name, parentId } = req.body;
+    
+    validateRequired(name, 'Folder name');
+    validateLength(name, 1, 100, 'Folder name');
+    
+    if (parentId) {
+      validateUUID(parentId, 'Parent folder ID');
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 const validatePlaylistCreate = (req, res, next) => {
   try {
     const { name, description } = req.body;
@@ -162,15 +204,39 @@ const validateAssignment = (req, res, next) => {
   }
 };
 
+const validateSchedule = (req, res, next) => {
+  try {
+    const { screenId, playlistId, name } = req.body;
+    
+    validateRequired(screenId, 'Screen ID');
+    validateUUID(screenId, 'Screen ID');
+    
+    validateRequired(playlistId, 'Playlist ID');
+    validateUUID(playlistId, 'Playlist ID');
+    
+    if (name) {
+      validateLength(name, 0, 100, 'Schedule name');
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 const validateMediaUpdate = (req, res, next) => {
   try {
-    const { name } = req.body;
+    const { name, folderId } = req.body;
     
     if (name !== undefined) {
       validateRequired(name, 'Media name');
       validateLength(name, 1, 200, 'Media name');
     }
     
+    if (folderId) {
+      validateUUID(folderId, 'Folder ID');
+    }
+    
     next();
   } catch (error) {
     next(error);
@@ -216,10 +282,13 @@ module.exports = {
   validateLogin,
   validateScreenCreate,
   validateScreenUpdate,
+  validateScreenGroup,
   validatePlaylistCreate,
   validatePlaylistUpdate,
   validateAssignment,
+  validateSchedule,
   validateMediaUpdate,
+  validateMediaFolder,
   validateHeartbeat,
   validateErrorReport
 };
\ No newline at end of file
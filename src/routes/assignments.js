@@ -1,13 +1,16 @@
 const express = require('express');
-const { AssignmentService } = require('../services/assignmentService');
+const { AssignmentService, HISTORY_ACTIONS } = require('../services/assignmentService');
+const { ScheduleService } = require('../services/scheduleService');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const { 
   validateAssignment,
+  validateSchedule,
   validateUUID 
 } = require('../middleware/validation');
 
 const router = express.Router();
 const assignmentService = new AssignmentService();
+const scheduleService = new ScheduleService();
 
 /**
  * GET /assignments
@@ -32,7 +35,7 @@ router.get('/', asyncHandler(async (req, res) => {
     screenId,
     playlistId,
     status,
-    userId: req.user.id
+    organizationId: req.organization.id
   };
 
   const result = await assignmentService.getAssignments(filters);
@@ -50,7 +53,7 @@ router.get('/', asyncHandler(async (req, res) => {
 router.post('/', validateAssignment, asyncHandler(async (req, res) => {
   assignmentService.validateAssignmentData(req.body);
   
-  const assignment = await assignmentService.createAssignment(req.body, req.user.id);
+  const assignment = await assignmentService.createAssignment(req.body, req.user.id, req.organization.id);
 
   res.status(201).json({
     success: true,
@@ -72,7 +75,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const assignment = await assignmentService.updateAssignment(id, req.body, req.user.id);
+  const assignment = await assignmentService.updateAssignment(id, req.body, req.user.id, req.organization.id);
 
   res.json({
     success: true,
@@ -83,7 +86,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
 
 /**
  * DELETE /assignments/:id
- * Remove assignment
+ * Remove assignment (optional reason in body or query)
  */
 router.delete('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -94,7 +97,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const result = await assignmentService.removeAssignment(id, req.user.id);
+  const result = await assignmentService.removeAssignment(id, req.user.id, req.organization.id, req.body?.reason || req.query.reason);
 
   res.json({
     success: true,
@@ -104,7 +107,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 
 /**
  * DELETE /assignments/screen/:screenId
- * Remove assignment by screen ID
+ * Remove assignment by screen ID (optional reason in body or query)
  */
 router.delete('/screen/:screenId', asyncHandler(async (req, res) => {
   const { screenId } = req.params;
@@ -115,7 +118,7 @@ router.delete('/screen/:screenId', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const result = await assignmentService.removeAssignmentByScreen(screenId, req.user.id);
+  const result = await assignmentService.removeAssignmentByScreen(screenId, req.user.id, req.organization.id, req.body?.reason || req.query.reason);
 
   res.json({
     success: true,
@@ -128,7 +131,7 @@ router.delete('/screen/:screenId', asyncHandler(async (req, res) => {
  * Bulk assign playlists to screens
  */
 router.post('/bulk', asyncHandler(async (req, res) => {
-  const { assignments } = req.body;
+  const { assignments, reason } = req.body;
 
   if (!assignments || !Array.isArray(assignments) || assignments.length === 0) {
     throw new ApiError('Assignments array is required', 400, 'MISSING_ASSIGNMENTS');
@@ -143,7 +146,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
     assignmentService.validateAssignmentData(assignment);
   }
 
-  const results = await assignmentService.bulkAssign(assignments, req.user.id);
+  const results = await assignmentService.bulkAssign(assignments, req.user.id, req.organization.id, reason);
 
   res.json({
     success: true,
@@ -158,7 +161,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
  * Get assignment statistics
  */
 router.get('/stats', asyncHandler(async (req, res) => {
-  const stats = await assignmentService.getAssignmentStats(req.user.id);
+  const stats = await assignmentService.getAssignmentStats(req.organization.id);
 
   res.json({
     success: true,
@@ -171,7 +174,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
  * Get screens without assignments
  */
 router.get('/unassigned-screens', asyncHandler(async (req, res) => {
-  const screens = await assignmentService.getUnassignedScreens();
+  const screens = await assignmentService.getUnassignedScreens(req.organization.id);
 
   res.json({
     success: true,
@@ -179,9 +182,74 @@ router.get('/unassigned-screens', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Parse history query parameters shared by the history endpoints
+ */
+function parseHistoryFilters(query) {
+  const { page = 1, limit = 50, from, to, action, playlistId, changedBy } = query;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      throw new ApiError(`${name} must be a valid date`, 400, 'INVALID_DATE');
+    }
+  }
+
+  if (from && to && new Date(from) > new Date(to)) {
+    throw new ApiError('from must be before to', 400, 'INVALID_DATE_RANGE');
+  }
+
+  if (action && !HISTORY_ACTIONS.includes(action)) {
+    throw new ApiError(`action must be one of: ${HISTORY_ACTIONS.join(', ')}`, 400, 'INVALID_ACTION');
+  }
+
+  try {
+    if (playlistId) validateUUID(playlistId, 'Playlist ID');
+    if (changedBy) validateUUID(changedBy, 'User ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  return {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    from,
+    to,
+    action,
+    playlistId,
+    changedBy
+  };
+}
+
+/**
+ * GET /assignments/history
+ * Get assignment change feed for the organization with filtering and pagination
+ */
+router.get('/history', asyncHandler(async (req, res) => {
+  const { screenId } = req.query;
+
+  if (screenId) {
+    try {
+      validateUUID(screenId, 'Screen ID');
+    } catch (error) {
+      throw new ApiError(error.message, 400, 'INVALID_ID');
+    }
+  }
+
+  const result = await assignmentService.getAssignmentHistory({
+    ...parseHistoryFilters(req.query),
+    screenId,
+    organizationId: req.organization.id
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
 /**
  * GET /assignments/screen/:screenId/history
- * Get assignment history for a screen
+ * Get assignment history for a screen with filtering and pagination
  */
 router.get('/screen/:screenId/history', asyncHandler(async (req, res) => {
   const { screenId } = req.params;
@@ -192,11 +260,149 @@ router.get('/screen/:screenId/history', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const history = await assignmentService.getScreenAssignmentHistory(screenId);
+  const result = await assignmentService.getScreenAssignmentHistory(screenId, {
+    ...parseHistoryFilters(req.query),
+    organizationId: req.organization.id
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * GET /assignments/schedules
+ * Get time-based schedule entries with filtering and pagination
+ */
+router.get('/schedules', asyncHandler(async (req, res) => {
+  const { 
+    page = 1, 
+    limit = 50,
+    sortBy = 'priority',
+    sortOrder = 'desc',
+    screenId,
+    playlistId,
+    enabled
+  } = req.query;
+
+  const filters = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sortBy,
+    sortOrder,
+    screenId,
+    playlistId,
+    enabled,
+    organizationId: req.organization.id
+  };
+
+  const result = await scheduleService.getSchedules(filters);
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * POST /assignments/schedules
+ * Create schedule entry
+ */
+router.post('/schedules', validateSchedule, asyncHandler(async (req, res) => {
+  const schedule = await scheduleService.createSchedule(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Schedule created successfully',
+    schedule
+  });
+}));
+
+/**
+ * GET /assignments/schedules/screen/:screenId/active
+ * Resolve which playlist is active on a screen right now
+ */
+router.get('/schedules/screen/:screenId/active', asyncHandler(async (req, res) => {
+  const { screenId } = req.params;
+
+  try {
+    validateUUID(screenId, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await scheduleService.verifyScreen(screenId, req.organization.id);
+  const active = await scheduleService.resolveActivePlaylist(screenId);
+
+  res.json({
+    success: true,
+    active,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /assignments/schedules/:id
+ * Get specific schedule entry
+ */
+router.get('/schedules/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Schedule ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const schedule = await scheduleService.getScheduleById(id, req.organization.id);
+
+  res.json({
+    success: true,
+    schedule
+  });
+}));
+
+/**
+ * PUT /assignments/schedules/:id
+ * Update schedule entry
+ */
+router.put('/schedules/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Schedule ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const schedule = await scheduleService.updateSchedule(id, req.body, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Schedule updated successfully',
+    schedule
+  });
+}));
+
+/**
+ * DELETE /assignments/schedules/:id
+ * Delete schedule entry
+ */
+router.delete('/schedules/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Schedule ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const result = await scheduleService.deleteSchedule(id, req.organization.id);
 
   res.json({
     success: true,
-    history
+    message: `Removed schedule: "${result.playlistName}" from "${result.screenName}"`
   });
 }));
 
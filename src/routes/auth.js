@@ -1,11 +1,13 @@
 const express = require('express');
 const { AuthService } = require('../services/authService');
-const { authenticateToken } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { validateLogin } = require('../middleware/validation');
+const { OrganizationService, ORGANIZATION_ROLES } = require('../services/organizationService');
+const { authenticateToken, resolveOrganization, requireRole } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { validateLogin, validateUUID } = require('../middleware/validation');
 
 const router = express.Router();
 const authService = new AuthService();
+const organizationService = new OrganizationService();
 
 /**
  * POST /auth/login
@@ -170,4 +172,61 @@ router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /auth/users
+ * List users of the active organization and their roles (organization admins)
+ */
+router.get('/users', authenticateToken, resolveOrganization, requireRole('admin'), asyncHandler(async (req, res) => {
+  const { search, role } = req.query;
+
+  if (role && !ORGANIZATION_ROLES.includes(role)) {
+    throw new ApiError(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+  }
+
+  const members = await organizationService.getMembers(req.organization.id);
+  const users = members.filter(member =>
+    (!role || member.role === role) &&
+    (!search || member.email?.toLowerCase().includes(search.toLowerCase()))
+  );
+
+  res.json({
+    success: true,
+    roles: ORGANIZATION_ROLES,
+    users
+  });
+}));
+
+/**
+ * PUT /auth/users/:id/role
+ * Change a user's role in the active organization (organization admins; owners for ownership changes)
+ */
+router.put('/users/:id/role', authenticateToken, resolveOrganization, requireRole('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  try {
+    validateUUID(id, 'User ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (id === req.user.id) {
+    throw new ApiError('You cannot change your own role', 400, 'CANNOT_CHANGE_OWN_ROLE');
+  }
+
+  // Only owners can hand out or take away ownership
+  const target = await organizationService.getMembership(req.organization.id, id);
+  if ((role === 'owner' || target?.role === 'owner') && req.organization.role !== 'owner') {
+    throw new ApiError('Only owners can change ownership', 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+  }
+
+  const user = await organizationService.updateMemberRole(req.organization.id, id, role);
+
+  res.json({
+    success: true,
+    message: `Role changed to ${user.role}`,
+    user
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
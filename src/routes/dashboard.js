@@ -1,9 +1,12 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { MediaService } = require('../services/mediaService');
+const { PlayerErrorService } = require('../services/playerErrorService');
+const { mediaExpiryService } = require('../services/mediaExpiryService');
 
 const router = express.Router();
 const mediaService = new MediaService();
+const playerErrorService = new PlayerErrorService();
 
 /**
  * GET /dashboard/stats
@@ -14,7 +17,8 @@ router.get('/stats', async (req, res) => {
     // Get comprehensive screen statistics
     const { data: screens, error: screensError } = await supabase
       .from('screens')
-      .select('status, last_heartbeat, created_at, location');
+      .select('status, last_heartbeat, created_at, location')
+      .eq('organization_id', req.organization.id);
 
     if (screensError) {
       throw new Error(`Screens query failed: ${screensError.message}`);
@@ -46,12 +50,13 @@ router.get('/stats', async (req, res) => {
     };
 
     // Get enhanced media statistics
-    const mediaStats = await mediaService.getMediaStats();
+    const mediaStats = await mediaService.getMediaStats(req.organization.id);
     
     // Get media by type and recent uploads
     const { data: mediaDetails, error: mediaError } = await supabase
       .from('media')
-      .select('type, created_at, file_size');
+      .select('type, created_at, file_size')
+      .eq('organization_id', req.organization.id);
 
     if (!mediaError) {
       mediaStats.recentUploads = mediaDetails.filter(m => 
@@ -77,7 +82,8 @@ router.get('/stats', async (req, res) => {
         playlist_items (
           id
         )
-      `);
+      `)
+      .eq('organization_id', req.organization.id);
 
     if (playlistsError) {
       throw new Error(`Playlists query failed: ${playlistsError.message}`);
@@ -111,7 +117,8 @@ router.get('/stats', async (req, res) => {
           id,
           name
         )
-      `);
+      `)
+      .eq('organization_id', req.organization.id);
 
     if (assignmentsError) {
       throw new Error(`Assignments query failed: ${assignmentsError.message}`);
@@ -157,6 +164,7 @@ router.get('/stats', async (req, res) => {
     const { data: recentActivity, error: activityError } = await supabase
       .from('screens')
       .select('name, status, last_heartbeat, location, updated_at')
+      .eq('organization_id', req.organization.id)
       .order('last_heartbeat', { ascending: false, nullsLast: true })
       .limit(10);
 
@@ -228,6 +236,7 @@ router.get('/activity', async (req, res) => {
     const { data: screenActivity, error: screenError } = await supabase
       .from('screens')
       .select('name, status, last_heartbeat, updated_at, location, created_at')
+      .eq('organization_id', req.organization.id)
       .gte('updated_at', timeThreshold.toISOString())
       .order('updated_at', { ascending: false })
       .limit(limit);
@@ -249,6 +258,7 @@ router.get('/activity', async (req, res) => {
           email
         )
       `)
+      .eq('organization_id', req.organization.id)
       .gte('created_at', timeThreshold.toISOString())
       .order('created_at', { ascending: false })
       .limit(limit);
@@ -271,6 +281,7 @@ router.get('/activity', async (req, res) => {
           id
         )
       `)
+      .eq('organization_id', req.organization.id)
       .gte('updated_at', timeThreshold.toISOString())
       .order('updated_at', { ascending: false })
       .limit(limit);
@@ -292,6 +303,7 @@ router.get('/activity', async (req, res) => {
           name
         )
       `)
+      .eq('organization_id', req.organization.id)
       .gte('assigned_at', timeThreshold.toISOString())
       .order('assigned_at', { ascending: false })
       .limit(limit);
@@ -510,7 +522,8 @@ router.get('/health', async (req, res) => {
     // Screen connectivity and health analysis
     const { data: screens, error: screensError } = await supabase
       .from('screens')
-      .select('status, last_heartbeat, created_at, name, location');
+      .select('status, last_heartbeat, created_at, name, location')
+      .eq('organization_id', req.organization.id);
 
     if (!screensError && screens) {
       const now = new Date();
@@ -587,7 +600,8 @@ router.get('/health', async (req, res) => {
             id
           )
         )
-      `);
+      `)
+      .eq('organization_id', req.organization.id);
 
     if (assignments) {
       const contentMetrics = {
@@ -735,18 +749,21 @@ router.get('/metrics', async (req, res) => {
     // Get screen activity metrics
     const { data: screenMetrics } = await supabase
       .from('screens')
-      .select('status, last_heartbeat, created_at, updated_at');
+      .select('status, last_heartbeat, created_at, updated_at')
+      .eq('organization_id', req.organization.id);
 
     // Get media upload metrics
     const { data: mediaMetrics } = await supabase
       .from('media')
       .select('created_at, file_size, type')
+      .eq('organization_id', req.organization.id)
       .gte('created_at', timeThreshold.toISOString());
 
     // Get playlist activity metrics
     const { data: playlistMetrics } = await supabase
       .from('playlists')
       .select('created_at, updated_at')
+      .eq('organization_id', req.organization.id)
       .gte('updated_at', timeThreshold.toISOString());
 
     // Calculate real-time metrics
@@ -837,7 +854,8 @@ router.get('/alerts', async (req, res) => {
     // Check for offline screens
     const { data: screens } = await supabase
       .from('screens')
-      .select('name, status, last_heartbeat, location');
+      .select('id, name, status, last_heartbeat, location')
+      .eq('organization_id', req.organization.id);
 
     if (screens) {
       screens.forEach(screen => {
@@ -871,6 +889,30 @@ router.get('/alerts', async (req, res) => {
           });
         }
       });
+
+      // Check for screens reporting repeated errors
+      const healthStates = await playerErrorService.getHealthStates(
+        screens.filter(screen => screen.status !== 'offline').map(screen => screen.id)
+      );
+
+      screens.forEach(screen => {
+        const healthState = healthStates.get(screen.id);
+        if (healthState?.health === 'degraded') {
+          alerts.push({
+            id: `screen-degraded-${screen.name}`,
+            type: 'screen',
+            severity: 'warning',
+            title: `Screen "${screen.name}" is degraded`,
+            message: `Screen reported ${healthState.recentErrors} errors in the last ${playerErrorService.degradedWindow / 60000} minutes`,
+            timestamp: healthState.lastErrorAt,
+            metadata: {
+              screenName: screen.name,
+              location: screen.location,
+              recentErrors: healthState.recentErrors
+            }
+          });
+        }
+      });
     }
 
     // Check for unassigned screens
@@ -884,6 +926,7 @@ router.get('/alerts', async (req, res) => {
           id
         )
       `)
+      .eq('organization_id', req.organization.id)
       .is('screen_assignments.id', null);
 
     if (unassignedScreens) {
@@ -913,6 +956,7 @@ router.get('/alerts', async (req, res) => {
           id
         )
       `)
+      .eq('organization_id', req.organization.id)
       .is('playlist_items.id', null);
 
     if (emptyPlaylists) {
@@ -931,6 +975,47 @@ router.get('/alerts', async (req, res) => {
       });
     }
 
+    // Check for expired and soon-to-expire media
+    const [expiredMedia, expiringMedia] = await Promise.all([
+      mediaExpiryService.getExpiredMedia(req.organization.id).catch(() => []),
+      mediaExpiryService.getExpiringMedia(req.organization.id).catch(() => [])
+    ]);
+
+    expiredMedia.forEach(media => {
+      alerts.push({
+        id: `media-expired-${media.id}`,
+        type: 'content',
+        severity: media.usageCount > 0 ? 'warning' : 'info',
+        title: `Media "${media.name}" has expired`,
+        message: media.usageCount > 0
+          ? `Media is no longer shown but is still in ${media.usageCount} playlist item(s)`
+          : 'Media is no longer shown and can be removed',
+        timestamp: media.expired_at,
+        metadata: {
+          mediaId: media.id,
+          mediaName: media.name,
+          validUntil: media.valid_until,
+          usageCount: media.usageCount
+        }
+      });
+    });
+
+    expiringMedia.forEach(media => {
+      alerts.push({
+        id: `media-expiring-${media.id}`,
+        type: 'content',
+        severity: 'info',
+        title: `Media "${media.name}" expires soon`,
+        message: `Media stops showing at ${media.valid_until}`,
+        timestamp: now.toISOString(),
+        metadata: {
+          mediaId: media.id,
+          mediaName: media.name,
+          validUntil: media.valid_until
+        }
+      });
+    });
+
     // Filter by severity if specified
     let filteredAlerts = alerts;
     if (severity) {
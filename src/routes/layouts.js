@@ -0,0 +1,120 @@
+const express = require('express');
+const { LayoutService } = require('../services/layoutService');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { validateUUID } = require('../middleware/validation');
+
+const router = express.Router();
+const layoutService = new LayoutService();
+
+// Check IDs in request bodies before they reach the database
+const validateLayoutIds = (body) => {
+  try {
+    for (const region of Array.isArray(body.regions) ? body.regions : []) {
+      if (region?.playlistId) {
+        validateUUID(region.playlistId, 'Playlist ID');
+      }
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+};
+
+/**
+ * GET /layouts
+ * Get layouts of the active organization
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const layouts = await layoutService.getLayouts({
+    search: req.query.search,
+    organizationId: req.organization.id
+  });
+
+  res.json({
+    success: true,
+    layouts
+  });
+}));
+
+/**
+ * POST /layouts
+ * Create layout: { name, description?, width?, height?, regions: [{ name, x, y, width, height, unit?, zIndex?, playlistId? }] }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  validateLayoutIds(req.body);
+
+  const layout = await layoutService.createLayout(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Layout created successfully',
+    layout
+  });
+}));
+
+/**
+ * GET /layouts/:id
+ * Get layout with its regions and the screens using it
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Layout ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const layout = await layoutService.getLayoutById(id, req.organization.id);
+
+  res.json({
+    success: true,
+    layout
+  });
+}));
+
+/**
+ * PUT /layouts/:id
+ * Update layout (name, description, width, height, regions)
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Layout ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  validateLayoutIds(req.body);
+
+  const layout = await layoutService.updateLayout(id, req.body, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Layout updated successfully',
+    layout
+  });
+}));
+
+/**
+ * DELETE /layouts/:id
+ * Delete layout; screens using it return to full-screen playback
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Layout ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const layoutName = await layoutService.deleteLayout(id, req.organization.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Layout "${layoutName}" deleted successfully`
+  });
+}));
+
+module.exports = router;
@@ -1,11 +1,20 @@
 const express = require('express');
 const multer = require('multer');
 const { MediaService } = require('../services/mediaService');
+const { MediaFolderService } = require('../services/mediaFolderService');
+const { ResumableUploadService } = require('../services/resumableUploadService');
+const { PRESENTATION_TYPES } = require('../services/mediaProcessor');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const { validateMediaUpdate, validateUUID } = require('../middleware/validation');
+const { validateMediaUpdate, validateMediaFolder, validateUUID } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 const mediaService = new MediaService();
+const mediaFolderService = new MediaFolderService();
+const resumableUploadService = new ResumableUploadService();
+
+// Parts and completion of large uploads and document imports can take longer than the global request timeout
+const LONG_REQUEST_TIMEOUT = 10 * 60 * 1000; // 10 minutes
 
 // Configure multer for file uploads
 const upload = multer({
@@ -33,6 +42,28 @@ const upload = multer({
   }
 });
 
+// PDFs and slide decks are split into page images
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const mimeType = file.mimetype.toLowerCase();
+
+    if (mimeType === 'application/pdf' || PRESENTATION_TYPES[mimeType]) {
+      cb(null, true);
+    } else {
+      cb(new ApiError(
+        'Invalid file type. Only PDFs and presentations (PPTX, PPT, ODP) are allowed.',
+        400,
+        'INVALID_FILE_TYPE'
+      ));
+    }
+  }
+});
+
 // Multer error handler middleware
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -54,6 +85,30 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+/**
+ * POST /media
+ * Create media without a file upload: { type, name, content, folderId?, tags? }
+ * with type web ({ url, refreshInterval? }), html ({ html }), stream ({ url, format?, muted? })
+ * or text ({ text, scroll?, speed?, fontSize?, color?, backgroundColor? })
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  if (req.body.folderId) {
+    try {
+      validateUUID(req.body.folderId, 'Folder ID');
+    } catch (error) {
+      throw new ApiError(error.message, 400, 'INVALID_ID');
+    }
+  }
+
+  const media = await mediaService.createContentMedia(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Media created successfully',
+    media
+  });
+}));
+
 /**
  * POST /media/upload
  * Upload media file
@@ -63,7 +118,7 @@ router.post('/upload', upload.single('file'), handleMulterError, asyncHandler(as
     throw new ApiError('No file provided', 400, 'NO_FILE');
   }
 
-  const media = await mediaService.uploadMedia(req.file, req.user.id);
+  const media = await mediaService.uploadMedia(req.file, req.user.id, req.organization.id);
 
   res.status(201).json({
     success: true,
@@ -82,7 +137,7 @@ router.post('/upload/multiple', upload.array('files', 10), handleMulterError, as
   }
 
   const uploadPromises = req.files.map(file => 
-    mediaService.uploadMedia(file, req.user.id)
+    mediaService.uploadMedia(file, req.user.id, req.organization.id)
   );
 
   const results = await Promise.allSettled(uploadPromises);
@@ -103,9 +158,151 @@ router.post('/upload/multiple', upload.array('files', 10), handleMulterError, as
   });
 }));
 
+/**
+ * POST /media/documents
+ * Upload a PDF or slide deck and store each page as an image.
+ * Fields: createPlaylist ("true" for a playlist with one item per page),
+ * duration (seconds per page, default 10) and playlistName.
+ */
+router.post('/documents', documentUpload.single('file'), handleMulterError, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError('No file provided', 400, 'NO_FILE');
+  }
+
+  const { createPlaylist, duration, playlistName } = req.body;
+
+  if (duration !== undefined && !/^\d+$/.test(duration)) {
+    throw new ApiError('Duration must be between 1 and 3600 seconds', 400, 'INVALID_DURATION');
+  }
+
+  res.setTimeout(LONG_REQUEST_TIMEOUT);
+
+  const result = await mediaService.importDocument(req.file, {
+    createPlaylist: createPlaylist === 'true' || createPlaylist === true,
+    duration: duration !== undefined ? parseInt(duration) : undefined,
+    playlistName
+  }, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: `${result.media.length} page(s) imported successfully${result.playlist ? ` into playlist "${result.playlist.name}"` : ''}`,
+    pageCount: result.media.length,
+    ...result
+  });
+}));
+
+/**
+ * POST /media/uploads
+ * Start a resumable upload: { fileName, mimeType, totalSize, chunkSize? }
+ */
+router.post('/uploads', asyncHandler(async (req, res) => {
+  const upload = await resumableUploadService.createUpload(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    upload
+  });
+}));
+
+/**
+ * GET /media/uploads/:uploadId
+ * Get upload progress; resume by sending the parts that are not listed in receivedParts
+ */
+router.get('/uploads/:uploadId', asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    validateUUID(uploadId, 'Upload ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const upload = await resumableUploadService.getUpload(uploadId, req.organization.id);
+
+  res.json({
+    success: true,
+    upload
+  });
+}));
+
+/**
+ * PUT /media/uploads/:uploadId/parts/:partNumber
+ * Upload one part as the raw request body (application/octet-stream)
+ */
+router.put('/uploads/:uploadId/parts/:partNumber', asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const partNumber = Number(req.params.partNumber);
+
+  try {
+    validateUUID(uploadId, 'Upload ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  res.setTimeout(LONG_REQUEST_TIMEOUT);
+
+  const contentLength = req.headers['content-length'] !== undefined
+    ? Number(req.headers['content-length'])
+    : undefined;
+
+  const part = await resumableUploadService.uploadPart(uploadId, partNumber, req, contentLength, req.organization.id);
+
+  res.json({
+    success: true,
+    part
+  });
+}));
+
+/**
+ * POST /media/uploads/:uploadId/complete
+ * Assemble the parts into a media file
+ */
+router.post('/uploads/:uploadId/complete', asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    validateUUID(uploadId, 'Upload ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  res.setTimeout(LONG_REQUEST_TIMEOUT);
+
+  const media = await resumableUploadService.completeUpload(uploadId, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Media uploaded successfully',
+    media
+  });
+}));
+
+/**
+ * DELETE /media/uploads/:uploadId
+ * Cancel a resumable upload
+ */
+router.delete('/uploads/:uploadId', asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    validateUUID(uploadId, 'Upload ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await resumableUploadService.abortUpload(uploadId, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Upload cancelled'
+  });
+}));
+
 /**
  * GET /media
- * Get media files for the authenticated user with filtering and pagination
+ * Get media files of the active organization with filtering and pagination.
+ * Filters: folderId (or root) with includeSubfolders, tags and mimeType (comma separated),
+ * from/to (upload date) and minSize/maxSize (bytes).
  */
 router.get('/', asyncHandler(async (req, res) => {
   const { 
@@ -114,9 +311,37 @@ router.get('/', asyncHandler(async (req, res) => {
     limit = 20,
     sortBy = 'created_at',
     sortOrder = 'desc',
-    search
+    search,
+    folderId,
+    includeSubfolders,
+    tags,
+    mimeType,
+    from,
+    to,
+    minSize,
+    maxSize
   } = req.query;
 
+  if (folderId && folderId !== 'root') {
+    try {
+      validateUUID(folderId, 'Folder ID');
+    } catch (error) {
+      throw new ApiError(error.message, 400, 'INVALID_ID');
+    }
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      throw new ApiError(`${name} must be a valid date`, 400, 'INVALID_DATE');
+    }
+  }
+
+  for (const [name, value] of Object.entries({ minSize, maxSize })) {
+    if (value !== undefined && !/^\d+$/.test(value)) {
+      throw new ApiError(`${name} must be a non-negative number of bytes`, 400, 'INVALID_SIZE');
+    }
+  }
+
   const filters = {
     type,
     page: parseInt(page),
@@ -124,7 +349,15 @@ router.get('/', asyncHandler(async (req, res) => {
     sortBy,
     sortOrder,
     search,
-    userId: req.user.id
+    folderId,
+    includeSubfolders: includeSubfolders === 'true',
+    tags: tags ? tags.split(',') : undefined,
+    mimeTypes: mimeType ? mimeType.split(',').map(value => value.trim()).filter(Boolean) : undefined,
+    from: from ? new Date(from).toISOString() : undefined,
+    to: to ? new Date(to).toISOString() : undefined,
+    minSize: minSize !== undefined ? parseInt(minSize) : undefined,
+    maxSize: maxSize !== undefined ? parseInt(maxSize) : undefined,
+    organizationId: req.organization.id
   };
 
   const result = await mediaService.getUserMedia(filters);
@@ -137,9 +370,9 @@ router.get('/', asyncHandler(async (req, res) => {
 
 /**
  * GET /media/all
- * Get all media files (admin access) with filtering and pagination
+ * Get all media files of the organization, with uploader details (organization admins)
  */
-router.get('/all', asyncHandler(async (req, res) => {
+router.get('/all', requireRole('admin'), asyncHandler(async (req, res) => {
   const { 
     type, 
     page = 1, 
@@ -155,7 +388,8 @@ router.get('/all', asyncHandler(async (req, res) => {
     limit: Math.min(100, parseInt(limit)),
     sortBy,
     sortOrder,
-    search
+    search,
+    organizationId: req.organization.id
   };
 
   const result = await mediaService.getAllMedia(filters);
@@ -167,33 +401,274 @@ router.get('/all', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /media/:id
- * Get specific media file
+ * GET /media/duplicates
+ * List groups of media with identical content
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
+router.get('/duplicates', asyncHandler(async (req, res) => {
+  const groups = await mediaService.getDuplicateGroups(req.organization.id);
+
+  res.json({
+    success: true,
+    groups
+  });
+}));
+
+/**
+ * POST /media/duplicates/merge
+ * Merge duplicates into one media record: { keepId, mediaIds }.
+ * Playlist items using the duplicates are repointed to the kept record.
+ */
+router.post('/duplicates/merge', asyncHandler(async (req, res) => {
+  const { keepId, mediaIds } = req.body;
+
+  if (!mediaIds || !Array.isArray(mediaIds) || mediaIds.length === 0) {
+    throw new ApiError('Media IDs array is required', 400, 'MISSING_MEDIA_IDS');
+  }
+
+  if (mediaIds.length > 50) {
+    throw new ApiError('Cannot merge more than 50 media files at once', 400, 'TOO_MANY_FILES');
+  }
 
   try {
-    validateUUID(id, 'Media ID');
+    validateUUID(keepId, 'Media ID to keep');
+    for (const id of mediaIds) {
+      validateUUID(id, 'Media ID');
+    }
   } catch (error) {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const media = await mediaService.getMediaById(id, req.user.id);
+  const result = await mediaService.mergeDuplicates(keepId, mediaIds, req.organization.id);
 
   res.json({
     success: true,
-    media
+    message: `${result.merged.length} duplicate(s) merged into "${result.media.name}"`,
+    ...result
   });
 }));
 
 /**
- * PUT /media/:id
- * Update media metadata
+ * GET /media/folders
+ * Get media folders (use parentId=root for top-level folders)
  */
-router.put('/:id', validateMediaUpdate, asyncHandler(async (req, res) => {
+router.get('/folders', asyncHandler(async (req, res) => {
+  const { parentId, search } = req.query;
+
+  if (parentId && parentId !== 'root') {
+    try {
+      validateUUID(parentId, 'Parent folder ID');
+    } catch (error) {
+      throw new ApiError(error.message, 400, 'INVALID_ID');
+    }
+  }
+
+  const folders = await mediaFolderService.getFolders({
+    parentId,
+    search,
+    organizationId: req.organization.id
+  });
+
+  res.json({
+    success: true,
+    folders
+  });
+}));
+
+/**
+ * POST /media/folders
+ * Create media folder
+ */
+router.post('/folders', validateMediaFolder, asyncHandler(async (req, res) => {
+  const folder = await mediaFolderService.createFolder(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Folder created successfully',
+    folder
+  });
+}));
+
+/**
+ * GET /media/folders/:folderId
+ * Get media folder with its sub-folders and path
+ */
+router.get('/folders/:folderId', asyncHandler(async (req, res) => {
+  const { folderId } = req.params;
+
+  try {
+    validateUUID(folderId, 'Folder ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const folder = await mediaFolderService.getFolderById(folderId, req.organization.id);
+
+  res.json({
+    success: true,
+    folder
+  });
+}));
+
+/**
+ * PUT /media/folders/:folderId
+ * Rename or move media folder (name, parentId)
+ */
+router.put('/folders/:folderId', asyncHandler(async (req, res) => {
+  const { folderId } = req.params;
+
+  try {
+    validateUUID(folderId, 'Folder ID');
+    if (req.body.parentId) {
+      validateUUID(req.body.parentId, 'Parent folder ID');
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const folder = await mediaFolderService.updateFolder(folderId, req.body, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Folder updated successfully',
+    folder
+  });
+}));
+
+/**
+ * DELETE /media/folders/:folderId
+ * Delete media folder; its media moves to the parent folder
+ */
+router.delete('/folders/:folderId', asyncHandler(async (req, res) => {
+  const { folderId } = req.params;
+
+  try {
+    validateUUID(folderId, 'Folder ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const folderName = await mediaFolderService.deleteFolder(folderId, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Folder "${folderName}" deleted successfully`
+  });
+}));
+
+/**
+ * POST /media/move
+ * Move media into a folder: { mediaIds, folderId } (null folderId for the library root)
+ */
+router.post('/move', asyncHandler(async (req, res) => {
+  const { mediaIds, folderId = null } = req.body;
+
+  if (!mediaIds || !Array.isArray(mediaIds) || mediaIds.length === 0) {
+    throw new ApiError('Media IDs array is required', 400, 'MISSING_MEDIA_IDS');
+  }
+
+  if (mediaIds.length > 100) {
+    throw new ApiError('Cannot move more than 100 media files at once', 400, 'TOO_MANY_FILES');
+  }
+
+  try {
+    for (const id of mediaIds) {
+      validateUUID(id, 'Media ID');
+    }
+    if (folderId) {
+      validateUUID(folderId, 'Folder ID');
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const moved = await mediaFolderService.moveMedia(mediaIds, folderId, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `${moved} media file(s) moved successfully`,
+    moved
+  });
+}));
+
+/**
+ * GET /media/tags
+ * List tags in use with the number of media carrying each
+ */
+router.get('/tags', asyncHandler(async (req, res) => {
+  const tags = await mediaService.getTags(req.organization.id);
+
+  res.json({
+    success: true,
+    tags
+  });
+}));
+
+/**
+ * POST /media/tags/bulk
+ * Add and remove tags on several media: { mediaIds, add, remove }
+ */
+router.post('/tags/bulk', asyncHandler(async (req, res) => {
+  const { mediaIds, add, remove } = req.body;
+
+  if (!mediaIds || !Array.isArray(mediaIds) || mediaIds.length === 0) {
+    throw new ApiError('Media IDs array is required', 400, 'MISSING_MEDIA_IDS');
+  }
+
+  if (mediaIds.length > 100) {
+    throw new ApiError('Cannot tag more than 100 media files at once', 400, 'TOO_MANY_FILES');
+  }
+
+  try {
+    for (const id of mediaIds) {
+      validateUUID(id, 'Media ID');
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const updated = await mediaService.bulkUpdateTags(mediaIds, { add, remove }, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Tags updated on ${updated} media file(s)`,
+    updated
+  });
+}));
+
+/**
+ * PUT /media/tags/:tag
+ * Rename a tag on all media: { name }
+ */
+router.put('/tags/:tag', asyncHandler(async (req, res) => {
+  const updated = await mediaService.renameTag(req.params.tag, req.body.name, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Tag renamed on ${updated} media file(s)`,
+    updated
+  });
+}));
+
+/**
+ * DELETE /media/tags/:tag
+ * Remove a tag from all media
+ */
+router.delete('/tags/:tag', asyncHandler(async (req, res) => {
+  const updated = await mediaService.deleteTag(req.params.tag, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Tag removed from ${updated} media file(s)`,
+    updated
+  });
+}));
+
+/**
+ * GET /media/:id
+ * Get specific media file
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
 
   try {
     validateUUID(id, 'Media ID');
@@ -201,21 +676,21 @@ router.put('/:id', validateMediaUpdate, asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const media = await mediaService.updateMedia(id, updates, req.user.id);
+  const media = await mediaService.getMediaById(id, req.organization.id);
 
   res.json({
     success: true,
-    message: 'Media updated successfully',
     media
   });
 }));
 
 /**
- * DELETE /media/:id
- * Delete media file
+ * PUT /media/:id
+ * Update media metadata
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', validateMediaUpdate, asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const updates = req.body;
 
   try {
     validateUUID(id, 'Media ID');
@@ -223,20 +698,21 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const mediaName = await mediaService.deleteMedia(id, req.user.id);
+  const media = await mediaService.updateMedia(id, updates, req.organization.id);
 
   res.json({
     success: true,
-    message: `Media "${mediaName}" deleted successfully`
+    message: 'Media updated successfully',
+    media
   });
 }));
 
 /**
  * DELETE /media/bulk
- * Delete multiple media files
+ * Delete multiple media files ({ mediaIds, force? })
  */
 router.delete('/bulk', asyncHandler(async (req, res) => {
-  const { mediaIds } = req.body;
+  const { mediaIds, force = false } = req.body;
 
   if (!mediaIds || !Array.isArray(mediaIds) || mediaIds.length === 0) {
     throw new ApiError('Media IDs array is required', 400, 'MISSING_MEDIA_IDS');
@@ -255,7 +731,7 @@ router.delete('/bulk', asyncHandler(async (req, res) => {
     }
   }
 
-  const results = await mediaService.bulkDeleteMedia(mediaIds, req.user.id);
+  const results = await mediaService.bulkDeleteMedia(mediaIds, req.organization.id, { force: force === true });
 
   res.json({
     success: true,
@@ -265,12 +741,34 @@ router.delete('/bulk', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * DELETE /media/:id
+ * Delete media file. Media used in playlists needs ?force=true, which removes it from them.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const force = req.query.force === 'true';
+
+  try {
+    validateUUID(id, 'Media ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const mediaName = await mediaService.deleteMedia(id, req.organization.id, { force });
+
+  res.json({
+    success: true,
+    message: `Media "${mediaName}" deleted successfully`
+  });
+}));
+
 /**
  * GET /media/stats
  * Get media statistics
  */
 router.get('/stats', asyncHandler(async (req, res) => {
-  const stats = await mediaService.getMediaStats(req.user.id);
+  const stats = await mediaService.getMediaStats(req.organization.id);
 
   res.json({
     success: true,
@@ -280,10 +778,10 @@ router.get('/stats', asyncHandler(async (req, res) => {
 
 /**
  * GET /media/stats/all
- * Get global media statistics (admin)
+ * Get media statistics of the organization (organization admins)
  */
-router.get('/stats/all', asyncHandler(async (req, res) => {
-  const stats = await mediaService.getMediaStats();
+router.get('/stats/all', requireRole('admin'), asyncHandler(async (req, res) => {
+  const stats = await mediaService.getMediaStats(req.organization.id);
 
   res.json({
     success: true,
@@ -304,7 +802,7 @@ router.post('/:id/duplicate', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const duplicatedMedia = await mediaService.duplicateMedia(id, req.user.id);
+  const duplicatedMedia = await mediaService.duplicateMedia(id, req.user.id, req.organization.id);
 
   res.status(201).json({
     success: true,
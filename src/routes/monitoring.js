@@ -5,6 +5,7 @@ const {
   metricsMiddleware, 
   systemStatusMiddleware 
 } = require('../middleware/monitoring');
+const { resolveOrganization, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -176,7 +177,7 @@ router.get('/alerts', healthCheckMiddleware, (req, res) => {
  * POST /monitoring/test-error
  * Test endpoint for error monitoring (development only)
  */
-router.post('/test-error', (req, res) => {
+router.post('/test-error', resolveOrganization, requireRole('admin'), (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({
       success: false,
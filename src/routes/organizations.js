@@ -0,0 +1,209 @@
+const express = require('express');
+const { OrganizationService, ORGANIZATION_ROLES } = require('../services/organizationService');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { validateUUID } = require('../middleware/validation');
+
+const router = express.Router();
+const organizationService = new OrganizationService();
+
+/**
+ * GET /organizations
+ * Get organizations the authenticated user belongs to
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  let organizations = await organizationService.getUserOrganizations(req.user.id);
+
+  // First visit: create the personal workspace
+  if (organizations.length === 0) {
+    await organizationService.getDefaultOrganization(req.user);
+    organizations = await organizationService.getUserOrganizations(req.user.id);
+  }
+
+  res.json({
+    success: true,
+    organizations,
+    roles: ORGANIZATION_ROLES
+  });
+}));
+
+/**
+ * POST /organizations
+ * Create organization (the creator becomes its owner)
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const organization = await organizationService.createOrganization(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Organization created successfully',
+    organization: {
+      ...organization,
+      role: 'owner'
+    }
+  });
+}));
+
+/**
+ * GET /organizations/:id
+ * Get organization details
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Organization ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const membership = await organizationService.verifyMembership(id, req.user.id);
+  const organization = await organizationService.getOrganizationById(id);
+
+  res.json({
+    success: true,
+    organization: {
+      ...organization,
+      role: membership.role
+    }
+  });
+}));
+
+/**
+ * PUT /organizations/:id
+ * Rename organization (organization admins)
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Organization ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await organizationService.verifyMembership(id, req.user.id, 'admin');
+  const organization = await organizationService.updateOrganization(id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Organization updated successfully',
+    organization
+  });
+}));
+
+/**
+ * GET /organizations/:id/members
+ * List organization members
+ */
+router.get('/:id/members', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Organization ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await organizationService.verifyMembership(id, req.user.id);
+  const members = await organizationService.getMembers(id);
+
+  res.json({
+    success: true,
+    members
+  });
+}));
+
+/**
+ * POST /organizations/:id/members
+ * Add an existing user to the organization by email (organization admins)
+ */
+router.post('/:id/members', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { email, role = 'member' } = req.body;
+
+  try {
+    validateUUID(id, 'Organization ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (!email || typeof email !== 'string') {
+    throw new ApiError('Email is required', 400, 'MISSING_EMAIL');
+  }
+
+  const membership = await organizationService.verifyMembership(id, req.user.id, 'admin');
+
+  // Only owners can hand out ownership
+  if (role === 'owner' && membership.role !== 'owner') {
+    throw new ApiError('Only owners can add other owners', 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+  }
+
+  const member = await organizationService.addMember(id, email, role);
+
+  res.status(201).json({
+    success: true,
+    message: `${member.email} added to the organization`,
+    member
+  });
+}));
+
+/**
+ * PUT /organizations/:id/members/:userId
+ * Change a member's role (organization owners)
+ */
+router.put('/:id/members/:userId', asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+  const { role } = req.body;
+
+  try {
+    validateUUID(id, 'Organization ID');
+    validateUUID(userId, 'User ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await organizationService.verifyMembership(id, req.user.id, 'owner');
+  const member = await organizationService.updateMemberRole(id, userId, role);
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    member
+  });
+}));
+
+/**
+ * DELETE /organizations/:id/members/:userId
+ * Remove a member (organization admins, or any member leaving on their own)
+ */
+router.delete('/:id/members/:userId', asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  try {
+    validateUUID(id, 'Organization ID');
+    validateUUID(userId, 'User ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (userId === req.user.id) {
+    await organizationService.verifyMembership(id, req.user.id);
+  } else {
+    const membership = await organizationService.verifyMembership(id, req.user.id, 'admin');
+    const target = await organizationService.getMembership(id, userId);
+
+    // Admins cannot remove owners
+    if (target?.role === 'owner' && membership.role !== 'owner') {
+      throw new ApiError('Only owners can remove other owners', 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+    }
+  }
+
+  await organizationService.removeMember(id, userId);
+
+  res.json({
+    success: true,
+    message: userId === req.user.id ? 'You left the organization' : 'Member removed successfully'
+  });
+}));
+
+module.exports = router;
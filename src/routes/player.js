@@ -1,15 +1,140 @@
 const express = require('express');
+const multer = require('multer');
 const { supabase } = require('../config/supabase');
 const { StorageService } = require('../services/storageService');
+const { ScheduleService } = require('../services/scheduleService');
+const { realtimeService } = require('../services/realtimeService');
+const { DevicePairingService } = require('../services/devicePairingService');
+const { ProofOfPlayService } = require('../services/proofOfPlayService');
+const { PlayerErrorService } = require('../services/playerErrorService');
+const { DeviceCommandService } = require('../services/deviceCommandService');
+const { ScreenshotService } = require('../services/screenshotService');
+const { LayoutService } = require('../services/layoutService');
+const { PlaylistService } = require('../services/playlistService');
+const { AssignmentService } = require('../services/assignmentService');
+const { authenticateDevice, authenticateDeviceStream } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { validateUUID } = require('../middleware/validation');
 
 const router = express.Router();
 const storageService = new StorageService();
+const scheduleService = new ScheduleService();
+const devicePairingService = new DevicePairingService();
+const proofOfPlayService = new ProofOfPlayService();
+const playerErrorService = new PlayerErrorService();
+const deviceCommandService = new DeviceCommandService();
+const screenshotService = new ScreenshotService();
+const layoutService = new LayoutService();
+const playlistService = new PlaylistService();
+const assignmentService = new AssignmentService();
+
+// Screenshots are small; keep them in memory until they are stored
+const screenshotUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: screenshotService.maxFileSize,
+    files: 1
+  }
+});
+
+// Multer error handler middleware
+const handleScreenshotUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'Screenshot too large. Maximum size is 5MB.',
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unexpected file field. Use "screenshot" as the field name.',
+        code: 'UNEXPECTED_FILE'
+      });
+    }
+  }
+  next(error);
+};
+
+/**
+ * Load the items of a playlist that are within their activation window,
+ * with nested playlists flattened in place and ordered by the playlist's playback mode,
+ * formatted for players, and when the next window opens or closes
+ */
+const loadPlaylistContent = async (playlistId, now = new Date(), seed = null) => {
+  const { items, nextChangeAt, playbackMode, seed: playbackSeed } = await playlistService.getPlaybackItems(playlistId, now, seed);
+
+  console.log('🎬 Playlist items result:', {
+    playlistId,
+    itemsCount: items.length
+  });
+
+  // Format content with public URLs; order follows the flattened sequence
+  const content = items.map((item, index) => ({
+    id: item.id,
+    order: index,
+    duration: item.duration,
+    // Items of nested playlists keep a reference to the playlist they come from
+    playlistId: item.playlist_id,
+    media: {
+      id: item.media.id,
+      name: item.media.name,
+      type: item.media.type,
+      // Web pages and streams play from their own URL; widgets and text render from content
+      url: item.media.file_path ? storageService.getPublicUrl(item.media.file_path) : item.media.content?.url || null,
+      mimeType: item.media.mime_type,
+      mediaDuration: item.media.duration,
+      content: item.media.content || null
+    }
+  }));
+
+  return { content, nextChangeAt, playbackMode, seed: playbackSeed };
+};
+
+/**
+ * POST /player/pair/request
+ * Start pairing a fresh player: returns a short-lived PIN to show on screen
+ * and a pairing secret the player keeps to collect its device token
+ */
+router.post('/pair/request', asyncHandler(async (req, res) => {
+  const { deviceInfo = {} } = req.body;
+
+  const pairing = await devicePairingService.requestPairing(deviceInfo);
+
+  res.status(201).json({
+    success: true,
+    ...pairing,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /player/pair/:pairingId
+ * Poll pairing status (requires X-Pairing-Secret header). Once an admin has
+ * claimed the PIN, returns the device code and the long-lived device token.
+ */
+router.get('/pair/:pairingId', asyncHandler(async (req, res) => {
+  const { pairingId } = req.params;
+  const pairingSecret = req.headers['x-pairing-secret'];
+
+  const result = await devicePairingService.collectPairing(pairingId, pairingSecret);
+
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+}));
 
 /**
  * GET /player/:deviceCode
- * Get playlist content for a specific screen device
+ * Get playlist content for a specific screen device, plus per-region content
+ * when the screen has a multi-zone layout. Optional ?seed= fixes the order of
+ * shuffled and weighted playlists (defaults to the current day).
  */
-router.get('/:deviceCode', async (req, res) => {
+router.get('/:deviceCode', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
     console.log('🎬 Player content request for device code:', deviceCode);
@@ -24,7 +149,7 @@ router.get('/:deviceCode', async (req, res) => {
     // Find screen by device code
     const { data: screen, error: screenError } = await supabase
       .from('screens')
-      .select('id, name, status')
+      .select('id, name, status, layout_id')
       .eq('device_code', deviceCode)
       .single();
 
@@ -38,23 +163,13 @@ router.get('/:deviceCode', async (req, res) => {
       });
     }
 
-    // Get assigned playlist for this screen
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('screen_assignments')
-      .select(`
-        playlist_id,
-        playlists (
-          id,
-          name,
-          description
-        )
-      `)
-      .eq('screen_id', screen.id)
-      .single();
+    // Resolve the active playlist (schedules first, then the default assignment)
+    const active = await scheduleService.resolveActivePlaylist(screen.id);
+    const layout = screen.layout_id ? await layoutService.getLayoutForPlayback(screen.layout_id) : null;
 
-    console.log('🎬 Assignment lookup result:', { assignment, assignmentError });
+    console.log('🎬 Active playlist lookup result:', { active, layoutId: layout?.id || null });
 
-    if (assignmentError || !assignment) {
+    if (!active && !layout) {
       console.log('📋 No playlist assigned to screen:', screen.name);
       return res.json({
         success: true,
@@ -65,53 +180,25 @@ router.get('/:deviceCode', async (req, res) => {
         },
         playlist: null,
         content: [],
+        layout: null,
         message: 'No playlist assigned to this screen'
       });
     }
 
-    // Get playlist items with media details
-    const { data: playlistItems, error: itemsError } = await supabase
-      .from('playlist_items')
-      .select(`
-        id,
-        order_index,
-        duration,
-        media (
-          id,
-          name,
-          type,
-          file_path,
-          mime_type,
-          duration
-        )
-      `)
-      .eq('playlist_id', assignment.playlist_id)
-      .order('order_index', { ascending: true });
-
-    console.log('🎬 Playlist items result:', { 
-      playlistId: assignment.playlist_id,
-      itemsCount: playlistItems?.length || 0,
-      itemsError 
-    });
-
-    if (itemsError) {
-      throw new Error(`Playlist items query failed: ${itemsError.message}`);
-    }
-
-    // Format content with public URLs
-    const content = playlistItems.map(item => ({
-      id: item.id,
-      order: item.order_index,
-      duration: item.duration,
-      media: {
-        id: item.media.id,
-        name: item.media.name,
-        type: item.media.type,
-        url: storageService.getPublicUrl(item.media.file_path),
-        mimeType: item.media.mime_type,
-        mediaDuration: item.media.duration
+    const now = new Date();
+    // Random playback modes use this seed; the same seed returns the same order
+    const seed = typeof req.query.seed === 'string' && req.query.seed ? req.query.seed.slice(0, 100) : null;
+    const loaded = new Map(); // playlistId -> { content, nextChangeAt, playbackMode, seed }
+    const loadContent = async (playlistId) => {
+      if (!loaded.has(playlistId)) {
+        loaded.set(playlistId, await loadPlaylistContent(playlistId, now, seed));
       }
-    }));
+      return loaded.get(playlistId);
+    };
+
+    const { content, nextChangeAt, playbackMode, seed: playbackSeed } = active
+      ? await loadContent(active.playlistId)
+      : { content: [], nextChangeAt: null };
 
     console.log('🎬 Formatted content:', {
       contentCount: content.length,
@@ -122,6 +209,46 @@ router.get('/:deviceCode', async (req, res) => {
       } : null
     });
 
+    // Regions without their own playlist show the screen's active playlist
+    let layoutResponse = null;
+    if (layout) {
+      const regions = [];
+      for (const region of layout.regions) {
+        const playlist = region.playlist
+          ? { id: region.playlist.id, name: region.playlist.name, source: 'region' }
+          : active ? { id: active.playlist.id, name: active.playlist.name, source: active.source } : null;
+        const regionContent = playlist ? await loadContent(playlist.id) : { content: [], nextChangeAt: null };
+
+        regions.push({
+          id: region.id,
+          name: region.name,
+          x: region.x,
+          y: region.y,
+          width: region.width,
+          height: region.height,
+          unit: region.unit,
+          zIndex: region.zIndex,
+          playlist: playlist && {
+            ...playlist,
+            totalItems: regionContent.content.length,
+            totalDuration: regionContent.content.reduce((sum, item) => sum + item.duration, 0),
+            playbackMode: regionContent.playbackMode,
+            seed: regionContent.seed,
+            nextChangeAt: regionContent.nextChangeAt
+          },
+          content: regionContent.content
+        });
+      }
+
+      layoutResponse = {
+        id: layout.id,
+        name: layout.name,
+        width: layout.width,
+        height: layout.height,
+        regions
+      };
+    }
+
     const response = {
       success: true,
       screen: {
@@ -129,20 +256,27 @@ router.get('/:deviceCode', async (req, res) => {
         name: screen.name,
         status: screen.status
       },
-      playlist: {
-        id: assignment.playlists.id,
-        name: assignment.playlists.name,
-        description: assignment.playlists.description,
+      playlist: active ? {
+        id: active.playlist.id,
+        name: active.playlist.name,
+        description: active.playlist.description,
+        source: active.source,
+        scheduleId: active.scheduleId || null,
         totalItems: content.length,
-        totalDuration: content.reduce((sum, item) => sum + item.duration, 0)
-      },
+        totalDuration: content.reduce((sum, item) => sum + item.duration, 0),
+        playbackMode,
+        seed: playbackSeed,
+        nextChangeAt
+      } : null,
       content,
+      layout: layoutResponse,
       timestamp: new Date().toISOString()
     };
 
     console.log('✅ Sending playlist response:', {
-      playlistName: response.playlist.name,
-      itemCount: response.content.length
+      playlistName: response.playlist?.name || null,
+      itemCount: response.content.length,
+      regions: layoutResponse?.regions.length || 0
     });
 
     res.json(response);
@@ -157,9 +291,9 @@ router.get('/:deviceCode', async (req, res) => {
 
 /**
  * POST /player/:deviceCode/heartbeat
- * Update screen status and last heartbeat
+ * Update screen status and last heartbeat. The response carries pending remote commands.
  */
-router.post('/:deviceCode/heartbeat', async (req, res) => {
+router.post('/:deviceCode/heartbeat', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
     const { status = 'online', playerInfo = {} } = req.body;
@@ -193,6 +327,9 @@ router.post('/:deviceCode/heartbeat', async (req, res) => {
       throw new Error(`Heartbeat update failed: ${updateError.message}`);
     }
 
+    // A failed command lookup shouldn't fail the heartbeat; commands stay pending for the next one
+    const commands = await deviceCommandService.deliverPendingCommands(screen.id).catch(() => []);
+
     res.json({
       success: true,
       screen: {
@@ -200,6 +337,7 @@ router.post('/:deviceCode/heartbeat', async (req, res) => {
         name: screen.name,
         status: screen.status
       },
+      commands,
       timestamp: new Date().toISOString(),
       message: 'Heartbeat received'
     });
@@ -212,11 +350,82 @@ router.post('/:deviceCode/heartbeat', async (req, res) => {
   }
 });
 
+/**
+ * POST /player/:deviceCode/commands/:commandId/ack
+ * Report the outcome of a remote command (status: acknowledged or failed)
+ */
+router.post('/:deviceCode/commands/:commandId/ack', authenticateDevice, asyncHandler(async (req, res) => {
+  const { commandId } = req.params;
+  const { status = 'acknowledged', result = null } = req.body;
+
+  try {
+    validateUUID(commandId, 'Command ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const command = await deviceCommandService.acknowledgeCommand(req.screen.id, commandId, { status, result });
+
+  res.json({
+    success: true,
+    command: {
+      id: command.id,
+      type: command.type,
+      status: command.status
+    }
+  });
+}));
+
+/**
+ * POST /player/:deviceCode/screenshot
+ * Upload a screenshot of what the player is showing (multipart field "screenshot").
+ * Pass commandId when answering a screenshot request.
+ */
+router.post('/:deviceCode/screenshot', authenticateDevice, screenshotUpload.single('screenshot'), handleScreenshotUploadError, asyncHandler(async (req, res) => {
+  const { commandId, capturedAt } = req.body;
+
+  try {
+    if (commandId) validateUUID(commandId, 'Command ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const screenshot = await screenshotService.storeScreenshot(req.screen, req.file, { commandId, capturedAt });
+
+  res.status(201).json({
+    success: true,
+    message: 'Screenshot stored successfully',
+    screenshot: {
+      id: screenshot.id,
+      capturedAt: screenshot.captured_at
+    }
+  });
+}));
+
+/**
+ * GET /player/:deviceCode/events
+ * Server-Sent Events stream pushing content-updated, assignment-changed,
+ * command and heartbeat events to the player
+ */
+router.get('/:deviceCode/events', authenticateDeviceStream, (req, res) => {
+  try {
+    realtimeService.subscribe(req, res, req.screen);
+  } catch (error) {
+    console.error('Player event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open event stream',
+        code: 'EVENT_STREAM_ERROR'
+      });
+    }
+  }
+});
+
 /**
  * GET /player/:deviceCode/status
  * Get current screen status and basic info
  */
-router.get('/:deviceCode/status', async (req, res) => {
+router.get('/:deviceCode/status', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
 
@@ -241,19 +450,9 @@ router.get('/:deviceCode/status', async (req, res) => {
       });
     }
 
-    // Check if screen has an assigned playlist
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('screen_assignments')
-      .select(`
-        playlists (
-          id,
-          name
-        )
-      `)
-      .eq('screen_id', screen.id)
-      .single();
-
-    const hasPlaylist = !assignmentError && assignment;
+    // Check if screen has an active playlist
+    const active = await scheduleService.resolveActivePlaylist(screen.id);
+    const hasPlaylist = !!active;
 
     res.json({
       success: true,
@@ -265,8 +464,9 @@ router.get('/:deviceCode/status', async (req, res) => {
         lastHeartbeat: screen.last_heartbeat,
         hasPlaylist: hasPlaylist,
         playlist: hasPlaylist ? {
-          id: assignment.playlists.id,
-          name: assignment.playlists.name
+          id: active.playlist.id,
+          name: active.playlist.name,
+          source: active.source
         } : null
       },
       timestamp: new Date().toISOString()
@@ -282,61 +482,32 @@ router.get('/:deviceCode/status', async (req, res) => {
 
 /**
  * POST /player/:deviceCode/error
- * Report player errors for monitoring
+ * Report a player error. Errors are stored per screen and feed the derived
+ * "degraded" health state; they do not change online/offline status.
  */
-router.post('/:deviceCode/error', async (req, res) => {
-  try {
-    const { deviceCode } = req.params;
-    const { error: errorMessage, details = {} } = req.body;
-
-    if (!deviceCode || !errorMessage) {
-      return res.status(400).json({
-        error: 'Device code and error message are required',
-        code: 'MISSING_REQUIRED_FIELDS'
-      });
-    }
-
-    // Log the error (in a production system, you might want to store this in a separate errors table)
-    console.error('Player error reported:', {
-      deviceCode,
-      error: errorMessage,
-      details,
-      timestamp: new Date().toISOString()
-    });
-
-    // Update screen status to indicate error
-    const { error: updateError } = await supabase
-      .from('screens')
-      .update({
-        status: 'offline', // Mark as offline when errors occur
-        last_heartbeat: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('device_code', deviceCode);
-
-    if (updateError) {
-      console.error('Failed to update screen status after error:', updateError);
-    }
-
-    res.json({
-      success: true,
-      message: 'Error reported successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error reporting error:', error);
-    res.status(500).json({
-      error: 'Failed to report error',
-      code: 'ERROR_REPORTING_ERROR'
-    });
-  }
-});
+router.post('/:deviceCode/error', authenticateDevice, asyncHandler(async (req, res) => {
+  const { error: message, details = {}, mediaId, playerVersion } = req.body;
+
+  const playerError = await playerErrorService.recordError(req.screen, {
+    message,
+    details,
+    mediaId: mediaId || details?.mediaId,
+    playerVersion: playerVersion || details?.playerVersion
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Error reported successfully',
+    errorId: playerError.id,
+    timestamp: new Date().toISOString()
+  });
+}));
 
 /**
  * POST /player/:deviceCode/playlist-change
  * Report playlist change events for monitoring
  */
-router.post('/:deviceCode/playlist-change', async (req, res) => {
+router.post('/:deviceCode/playlist-change', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
     const { playlistId, playlistName, itemCount, changeType } = req.body;
@@ -385,11 +556,29 @@ router.post('/:deviceCode/playlist-change', async (req, res) => {
   }
 });
 
+/**
+ * POST /player/:deviceCode/plays
+ * Report a batch of play events (proof of play). Each event:
+ * { mediaId, playlistId?, startedAt, duration, completed?, eventId? }
+ */
+router.post('/:deviceCode/plays', authenticateDevice, asyncHandler(async (req, res) => {
+  const { events } = req.body;
+
+  const result = await proofOfPlayService.recordPlays(req.screen, events);
+
+  res.status(201).json({
+    success: true,
+    accepted: result.accepted,
+    rejected: result.rejected.length > 0 ? result.rejected : undefined,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * GET /player/:deviceCode/fix-storage
  * Fix storage bucket permissions
  */
-router.get('/:deviceCode/fix-storage', async (req, res) => {
+router.get('/:deviceCode/fix-storage', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
     console.log('🔧 Fixing storage permissions for device:', deviceCode);
@@ -405,14 +594,7 @@ router.get('/:deviceCode/fix-storage', async (req, res) => {
     
     if (!mediaBucket) {
       // Create the bucket
-      const { error: createError } = await supabase.storage.createBucket('media', {
-        public: true,
-        allowedMimeTypes: [
-          'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-          'video/mp4', 'video/webm', 'video/ogg'
-        ],
-        fileSizeLimit: 52428800 // 50MB
-      });
+      const { error: createError } = await supabase.storage.createBucket('media', storageService.getBucketOptions());
 
       if (createError) {
         throw new Error(`Failed to create bucket: ${createError.message}`);
@@ -421,10 +603,8 @@ router.get('/:deviceCode/fix-storage', async (req, res) => {
       console.log('✅ Created media bucket');
     }
 
-    // Try to make bucket public (this might require admin permissions)
-    const { error: updateError } = await supabase.storage.updateBucket('media', {
-      public: true
-    });
+    // Try to make bucket public (this might require admin permissions); keep the resumable upload size limit
+    const { error: updateError } = await supabase.storage.updateBucket('media', storageService.getBucketOptions());
 
     if (updateError) {
       console.warn('⚠️ Could not update bucket to public:', updateError.message);
@@ -458,7 +638,7 @@ router.get('/:deviceCode/fix-storage', async (req, res) => {
  * GET /player/:deviceCode/test-media
  * Test media URLs for debugging
  */
-router.get('/:deviceCode/test-media', async (req, res) => {
+router.get('/:deviceCode/test-media', authenticateDevice, async (req, res) => {
   try {
     const { deviceCode } = req.params;
     console.log('🖼️ Testing media URLs for device code:', deviceCode);
@@ -505,8 +685,8 @@ router.get('/:deviceCode/test-media', async (req, res) => {
       return res.json({ error: 'No playlist items found' });
     }
 
-    // Test each media URL
-    const mediaTests = playlistItems.map(item => {
+    // Test each media URL (nested playlist items have no media of their own)
+    const mediaTests = playlistItems.filter(item => item.media).map(item => {
       const publicUrl = storageService.getPublicUrl(item.media.file_path);
       
       return {
@@ -540,38 +720,19 @@ router.get('/:deviceCode/test-media', async (req, res) => {
 
 /**
  * POST /player/:deviceCode/quick-assign
- * Quick assignment endpoint for debugging - assigns the first available playlist to the screen
+ * Quick assignment endpoint for debugging - assigns the first playlist of the screen's organization
  */
-router.post('/:deviceCode/quick-assign', async (req, res) => {
+router.post('/:deviceCode/quick-assign', authenticateDevice, async (req, res) => {
   try {
-    const { deviceCode } = req.params;
-    console.log('🔧 Quick assign request for device code:', deviceCode);
-
-    if (!deviceCode) {
-      return res.status(400).json({
-        error: 'Device code is required',
-        code: 'MISSING_DEVICE_CODE'
-      });
-    }
-
-    // Find screen by device code
-    const { data: screen, error: screenError } = await supabase
-      .from('screens')
-      .select('id, name')
-      .eq('device_code', deviceCode)
-      .single();
-
-    if (screenError || !screen) {
-      return res.status(404).json({
-        error: 'Screen not found',
-        code: 'SCREEN_NOT_FOUND'
-      });
-    }
+    const screen = req.screen;
+    console.log('🔧 Quick assign request for device code:', screen.device_code);
 
-    // Get the first available playlist
+    // Get the first playlist of the screen's organization
     const { data: playlists, error: playlistsError } = await supabase
       .from('playlists')
       .select('id, name')
+      .eq('organization_id', screen.organization_id)
+      .order('created_at', { ascending: true })
       .limit(1);
 
     if (playlistsError || !playlists || playlists.length === 0) {
@@ -583,48 +744,15 @@ router.post('/:deviceCode/quick-assign', async (req, res) => {
 
     const playlist = playlists[0];
 
-    // Check if assignment already exists
-    const { data: existingAssignment, error: checkError } = await supabase
-      .from('screen_assignments')
-      .select('id')
-      .eq('screen_id', screen.id)
-      .single();
-
-    if (existingAssignment) {
-      // Update existing assignment
-      const { data, error } = await supabase
-        .from('screen_assignments')
-        .update({
-          playlist_id: playlist.id,
-          assigned_at: new Date().toISOString()
-        })
-        .eq('screen_id', screen.id)
-        .select()
-        .single();
-
-      if (error) {
-        throw new Error(`Failed to update assignment: ${error.message}`);
-      }
+    // Goes through the assignment service so history and the assignment-changed push happen
+    await assignmentService.createAssignment(
+      { screenId: screen.id, playlistId: playlist.id, reason: 'Quick assign from player' },
+      null,
+      screen.organization_id,
+      'device'
+    );
 
-      console.log('✅ Updated assignment:', { screenName: screen.name, playlistName: playlist.name });
-    } else {
-      // Create new assignment
-      const { data, error } = await supabase
-        .from('screen_assignments')
-        .insert({
-          screen_id: screen.id,
-          playlist_id: playlist.id,
-          assigned_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (error) {
-        throw new Error(`Failed to create assignment: ${error.message}`);
-      }
-
-      console.log('✅ Created assignment:', { screenName: screen.name, playlistName: playlist.name });
-    }
+    console.log('✅ Quick assigned playlist:', { screenName: screen.name, playlistName: playlist.name });
 
     res.json({
       success: true,
@@ -641,99 +769,11 @@ router.post('/:deviceCode/quick-assign', async (req, res) => {
     });
   } catch (error) {
     console.error('Quick assign error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Failed to create assignment',
       message: error.message
     });
   }
 });
 
-/**
- * GET /player/:deviceCode/debug
- * Debug endpoint to check screen and playlist assignment
- */
-router.get('/:deviceCode/debug', async (req, res) => {
-  try {
-    const { deviceCode } = req.params;
-    console.log('🔍 Debug request for device code:', deviceCode);
-
-    if (!deviceCode) {
-      return res.status(400).json({
-        error: 'Device code is required',
-        code: 'MISSING_DEVICE_CODE'
-      });
-    }
-
-    // Find screen by device code
-    const { data: screen, error: screenError } = await supabase
-      .from('screens')
-      .select('*')
-      .eq('device_code', deviceCode)
-      .single();
-
-    console.log('🔍 Screen query result:', { screen, screenError });
-
-    if (screenError || !screen) {
-      return res.json({
-        debug: true,
-        deviceCode,
-        screen: null,
-        screenError: screenError?.message,
-        message: 'Screen not found'
-      });
-    }
-
-    // Get assigned playlist for this screen
-    const { data: assignments, error: assignmentError } = await supabase
-      .from('screen_assignments')
-      .select(`
-        *,
-        playlists (*)
-      `)
-      .eq('screen_id', screen.id);
-
-    console.log('🔍 Assignment query result:', { assignments, assignmentError });
-
-    // Get all playlists for reference
-    const { data: allPlaylists, error: playlistsError } = await supabase
-      .from('playlists')
-      .select('*');
-
-    console.log('🔍 All playlists:', { allPlaylists, playlistsError });
-
-    // If there's an assignment, get playlist items
-    let playlistItems = null;
-    if (assignments && assignments.length > 0) {
-      const { data: items, error: itemsError } = await supabase
-        .from('playlist_items')
-        .select(`
-          *,
-          media (*)
-        `)
-        .eq('playlist_id', assignments[0].playlist_id)
-        .order('order_index', { ascending: true });
-
-      console.log('🔍 Playlist items:', { items, itemsError });
-      playlistItems = { items, itemsError };
-    }
-
-    res.json({
-      debug: true,
-      deviceCode,
-      screen,
-      assignments,
-      allPlaylists,
-      playlistItems,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Debug endpoint error:', error);
-    res.status(500).json({
-      debug: true,
-      error: error.message,
-      stack: error.stack
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -12,7 +12,7 @@ const playlistService = new PlaylistService();
 
 /**
  * GET /playlists
- * Get all playlists for the authenticated user with filtering and pagination
+ * Get playlists of the active organization with filtering and pagination
  */
 router.get('/', asyncHandler(async (req, res) => {
   const { 
@@ -29,7 +29,7 @@ router.get('/', asyncHandler(async (req, res) => {
     sortBy,
     sortOrder,
     search,
-    userId: req.user.id
+    organizationId: req.organization.id
   };
 
   const result = await playlistService.getUserPlaylists(filters);
@@ -42,10 +42,10 @@ router.get('/', asyncHandler(async (req, res) => {
 
 /**
  * POST /playlists
- * Create new playlist
+ * Create new playlist: { name, description?, items?, playbackMode?, playbackSettings? }
  */
 router.post('/', validatePlaylistCreate, asyncHandler(async (req, res) => {
-  const playlist = await playlistService.createPlaylist(req.body, req.user.id);
+  const playlist = await playlistService.createPlaylist(req.body, req.user.id, req.organization.id);
 
   res.status(201).json({
     success: true,
@@ -67,7 +67,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const playlist = await playlistService.getPlaylistById(id, req.user.id);
+  const playlist = await playlistService.getPlaylistById(id, req.organization.id);
 
   res.json({
     success: true,
@@ -77,7 +77,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
 /**
  * PUT /playlists/:id
- * Update playlist
+ * Update playlist draft (published playlists keep playing until the next publish).
+ * Items sent with the id of one of its items update that item in place; the rest are added.
  */
 router.put('/:id', validatePlaylistUpdate, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -88,7 +89,7 @@ router.put('/:id', validatePlaylistUpdate, asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const playlist = await playlistService.updatePlaylist(id, req.body, req.user.id);
+  const playlist = await playlistService.updatePlaylist(id, req.body, req.organization.id);
 
   res.json({
     success: true,
@@ -97,6 +98,170 @@ router.put('/:id', validatePlaylistUpdate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * POST /playlists/:id/items
+ * Add items without replacing existing ones: { items, position?, revision? }
+ */
+router.post('/:id/items', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const playlist = await playlistService.addPlaylistItems(id, req.body, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Playlist items added successfully',
+    playlist
+  });
+}));
+
+/**
+ * POST /playlists/:id/items/reorder
+ * Reorder items: { itemIds, revision? } listing every item once
+ */
+router.post('/:id/items/reorder', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { itemIds, revision } = req.body;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+    if (Array.isArray(itemIds)) {
+      itemIds.forEach(itemId => validateUUID(itemId, 'Item ID'));
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const playlist = await playlistService.reorderPlaylistItems(id, itemIds, revision, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Playlist items reordered successfully',
+    playlist
+  });
+}));
+
+/**
+ * PATCH /playlists/:id/items/:itemId
+ * Update one item (duration, valid_from, valid_until, weight, interleave, revision?)
+ */
+router.patch('/:id/items/:itemId', asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+    validateUUID(itemId, 'Item ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const playlist = await playlistService.updatePlaylistItem(id, itemId, req.body, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Playlist item updated successfully',
+    playlist
+  });
+}));
+
+/**
+ * DELETE /playlists/:id/items/:itemId
+ * Remove one item (?revision= to guard against concurrent edits)
+ */
+router.delete('/:id/items/:itemId', asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+    validateUUID(itemId, 'Item ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const playlist = await playlistService.deletePlaylistItem(id, itemId, req.query.revision, req.organization.id);
+
+  res.json({
+    success: true,
+    message: 'Playlist item removed successfully',
+    playlist
+  });
+}));
+
+/**
+ * POST /playlists/:id/publish
+ * Publish the draft as a new version that players serve: { note?, revision? }
+ */
+router.post('/:id/publish', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const version = await playlistService.publishPlaylist(id, req.user.id, req.organization.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: `Playlist published as version ${version.version}`,
+    version
+  });
+}));
+
+/**
+ * GET /playlists/:id/versions
+ * List published versions, newest first
+ */
+router.get('/:id/versions', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const result = await playlistService.getPlaylistVersions(id, req.organization.id);
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * POST /playlists/:id/rollback/:version
+ * Make a previous version live again and reset the draft to it
+ */
+router.post('/:id/rollback/:version', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const version = Number(req.params.version);
+
+  try {
+    validateUUID(id, 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError('Version must be a positive integer', 400, 'INVALID_VERSION');
+  }
+
+  const result = await playlistService.rollbackPlaylist(id, version, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Playlist rolled back to version ${version}`,
+    ...result
+  });
+}));
+
 /**
  * DELETE /playlists/:id
  * Delete playlist
@@ -110,7 +275,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const playlistName = await playlistService.deletePlaylist(id, req.user.id);
+  const playlistName = await playlistService.deletePlaylist(id, req.organization.id);
 
   res.json({
     success: true,
@@ -132,7 +297,7 @@ router.post('/:id/duplicate', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
-  const duplicatedPlaylist = await playlistService.duplicatePlaylist(id, name, req.user.id);
+  const duplicatedPlaylist = await playlistService.duplicatePlaylist(id, name, req.user.id, req.organization.id);
 
   res.status(201).json({
     success: true,
@@ -146,7 +311,7 @@ router.post('/:id/duplicate', asyncHandler(async (req, res) => {
  * Get playlist statistics
  */
 router.get('/stats', asyncHandler(async (req, res) => {
-  const stats = await playlistService.getPlaylistStats(req.user.id);
+  const stats = await playlistService.getPlaylistStats(req.organization.id);
 
   res.json({
     success: true,
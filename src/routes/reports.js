@@ -0,0 +1,60 @@
+const express = require('express');
+const { ProofOfPlayService } = require('../services/proofOfPlayService');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { validateUUID } = require('../middleware/validation');
+
+const router = express.Router();
+const proofOfPlayService = new ProofOfPlayService();
+
+/**
+ * GET /reports/plays
+ * Proof-of-play report aggregated by media, screen, playlist and/or day
+ * (e.g. groupBy=media,day). Use format=csv to download as CSV.
+ */
+router.get('/plays', asyncHandler(async (req, res) => {
+  const {
+    groupBy = 'media',
+    from,
+    to,
+    mediaId,
+    screenId,
+    playlistId,
+    format = 'json'
+  } = req.query;
+
+  try {
+    if (mediaId) validateUUID(mediaId, 'Media ID');
+    if (screenId) validateUUID(screenId, 'Screen ID');
+    if (playlistId) validateUUID(playlistId, 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (!['json', 'csv'].includes(format)) {
+    throw new ApiError('format must be json or csv', 400, 'INVALID_FORMAT');
+  }
+
+  const report = await proofOfPlayService.getPlayReport({
+    groupBy,
+    from,
+    to,
+    mediaId,
+    screenId,
+    playlistId,
+    organizationId: req.organization.id
+  });
+
+  if (format === 'csv') {
+    const filename = `plays-${report.groupBy.join('-')}-${report.range.from.slice(0, 10)}-${report.range.to.slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(proofOfPlayService.toCsv(report));
+  }
+
+  res.json({
+    success: true,
+    report
+  });
+}));
+
+module.exports = router;
@@ -1,19 +1,37 @@
 const express = require('express');
+const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
+const { ScreenGroupService } = require('../services/screenGroupService');
+const { AssignmentService } = require('../services/assignmentService');
+const { realtimeService } = require('../services/realtimeService');
+const { DevicePairingService } = require('../services/devicePairingService');
+const { PlayerErrorService } = require('../services/playerErrorService');
+const { DeviceCommandService } = require('../services/deviceCommandService');
+const { ScreenshotService } = require('../services/screenshotService');
+const { LayoutService } = require('../services/layoutService');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { requireRole } = require('../middleware/auth');
 const { 
   validateScreenCreate, 
   validateScreenUpdate,
+  validateScreenGroup,
   validateUUID 
 } = require('../middleware/validation');
 
 const router = express.Router();
+const screenGroupService = new ScreenGroupService();
+const assignmentService = new AssignmentService();
+const devicePairingService = new DevicePairingService();
+const playerErrorService = new PlayerErrorService();
+const deviceCommandService = new DeviceCommandService();
+const screenshotService = new ScreenshotService();
+const layoutService = new LayoutService();
 
 /**
  * Generate unique device code
  */
 function generateDeviceCode() {
-  return Math.random().toString(36).substring(2, 10).toUpperCase();
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
 }
 
 /**
@@ -56,7 +74,7 @@ async function generateUniqueDeviceCode(excludeId = null) {
 
 /**
  * GET /screens
- * Get all screens with optional filtering and pagination
+ * Get screens of the active organization with optional filtering and pagination
  */
 router.get('/', asyncHandler(async (req, res) => {
   const { 
@@ -80,7 +98,8 @@ router.get('/', asyncHandler(async (req, res) => {
           name
         )
       )
-    `);
+    `)
+    .eq('organization_id', req.organization.id);
 
   // Apply filters
   if (status) {
@@ -111,11 +130,16 @@ router.get('/', asyncHandler(async (req, res) => {
     throw new ApiError(`Failed to fetch screens: ${error.message}`, 500, 'FETCH_FAILED');
   }
 
+  const healthStates = await playerErrorService.getHealthStates(data.map(screen => screen.id));
+
   // Format response data
   const screens = data.map(screen => ({
     ...screen,
     assignedPlaylist: screen.screen_assignments?.[0]?.playlists || null,
-    screen_assignments: undefined // Remove from response
+    isPaired: !!screen.device_token_hash,
+    health: healthStates.get(screen.id).health,
+    screen_assignments: undefined, // Remove from response
+    device_token_hash: undefined
   }));
 
   res.json({
@@ -146,7 +170,8 @@ router.post('/', validateScreenCreate, asyncHandler(async (req, res) => {
       name: name.trim(),
       location: location?.trim() || null,
       device_code: deviceCode,
-      status: 'offline'
+      status: 'offline',
+      organization_id: req.organization.id
     })
     .select()
     .single();
@@ -162,6 +187,233 @@ router.post('/', validateScreenCreate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /screens/groups
+ * Get screen groups (use parentId=root for top-level groups)
+ */
+router.get('/groups', asyncHandler(async (req, res) => {
+  const { parentId, search } = req.query;
+
+  if (parentId && parentId !== 'root') {
+    try {
+      validateUUID(parentId, 'Parent group ID');
+    } catch (error) {
+      throw new ApiError(error.message, 400, 'INVALID_ID');
+    }
+  }
+
+  const groups = await screenGroupService.getGroups({
+    parentId,
+    search,
+    organizationId: req.organization.id
+  });
+
+  res.json({
+    success: true,
+    groups
+  });
+}));
+
+/**
+ * POST /screens/groups
+ * Create screen group
+ */
+router.post('/groups', validateScreenGroup, asyncHandler(async (req, res) => {
+  const group = await screenGroupService.createGroup(req.body, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Screen group created successfully',
+    group
+  });
+}));
+
+/**
+ * GET /screens/groups/:groupId
+ * Get screen group with members, sub-groups and assignment
+ */
+router.get('/groups/:groupId', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const group = await screenGroupService.getGroupById(groupId, req.organization.id);
+
+  res.json({
+    success: true,
+    group
+  });
+}));
+
+/**
+ * PUT /screens/groups/:groupId
+ * Update screen group (name, description, location, parentId)
+ */
+router.put('/groups/:groupId', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+    if (req.body.parentId) {
+      validateUUID(req.body.parentId, 'Parent group ID');
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const affectedBefore = await screenGroupService.getScreenIdsForGroups([groupId]);
+  const group = await screenGroupService.updateGroup(groupId, req.body, req.organization.id);
+
+  // Moving a group changes what its screens inherit
+  if (req.body.parentId !== undefined) {
+    realtimeService.notifyScreens(affectedBefore, 'assignment-changed', { groupId });
+  }
+
+  res.json({
+    success: true,
+    message: 'Screen group updated successfully',
+    group
+  });
+}));
+
+/**
+ * DELETE /screens/groups/:groupId
+ * Delete screen group
+ */
+router.delete('/groups/:groupId', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const affectedScreens = await screenGroupService.getScreenIdsForGroups([groupId]);
+  const groupName = await screenGroupService.deleteGroup(groupId, req.organization.id);
+
+  realtimeService.notifyScreens(affectedScreens, 'assignment-changed', { groupId });
+
+  res.json({
+    success: true,
+    message: `Screen group "${groupName}" deleted successfully`
+  });
+}));
+
+/**
+ * POST /screens/groups/:groupId/screens
+ * Add screens to a group
+ */
+router.post('/groups/:groupId/screens', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { screenIds } = req.body;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (!screenIds || !Array.isArray(screenIds) || screenIds.length === 0) {
+    throw new ApiError('Screen IDs array is required', 400, 'MISSING_SCREEN_IDS');
+  }
+
+  if (screenIds.length > 100) {
+    throw new ApiError('Cannot add more than 100 screens at once', 400, 'TOO_MANY_SCREENS');
+  }
+
+  for (const screenId of screenIds) {
+    try {
+      validateUUID(screenId, 'Screen ID');
+    } catch (error) {
+      throw new ApiError(`Invalid screen ID: ${screenId}`, 400, 'INVALID_ID');
+    }
+  }
+
+  const added = await screenGroupService.addScreens(groupId, screenIds, req.organization.id);
+
+  realtimeService.notifyScreens(added, 'assignment-changed', { groupId });
+
+  res.json({
+    success: true,
+    message: `${added.length} screens added to group`,
+    screenIds: added
+  });
+}));
+
+/**
+ * DELETE /screens/groups/:groupId/screens/:screenId
+ * Remove a screen from a group
+ */
+router.delete('/groups/:groupId/screens/:screenId', asyncHandler(async (req, res) => {
+  const { groupId, screenId } = req.params;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+    validateUUID(screenId, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  await screenGroupService.removeScreen(groupId, screenId, req.organization.id);
+
+  realtimeService.notifyAssignmentChanged(screenId, { groupId });
+
+  res.json({
+    success: true,
+    message: 'Screen removed from group'
+  });
+}));
+
+/**
+ * PUT /screens/groups/:groupId/assignment
+ * Assign playlist to every screen in the group (screens with their own assignment keep it)
+ */
+router.put('/groups/:groupId/assignment', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { playlistId, reason } = req.body;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+    validateUUID(playlistId || '', 'Playlist ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const assignment = await assignmentService.assignPlaylistToGroup(groupId, playlistId, req.organization.id, req.user.id, reason);
+
+  res.json({
+    success: true,
+    message: 'Playlist assigned to group successfully',
+    assignment
+  });
+}));
+
+/**
+ * DELETE /screens/groups/:groupId/assignment
+ * Remove playlist assignment from group (optional reason in body or query)
+ */
+router.delete('/groups/:groupId/assignment', asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    validateUUID(groupId, 'Group ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const result = await assignmentService.removeGroupAssignment(groupId, req.organization.id, req.user.id, req.body?.reason || req.query.reason);
+
+  res.json({
+    success: true,
+    message: `Removed assignment: "${result.playlistName}" from group "${result.groupName}"`
+  });
+}));
+
 /**
  * GET /screens/:id
  * Get specific screen with assignment details
@@ -187,9 +439,17 @@ router.get('/:id', asyncHandler(async (req, res) => {
           name,
           description
         )
+      ),
+      screen_group_members (
+        screen_groups (
+          id,
+          name,
+          location
+        )
       )
     `)
     .eq('id', id)
+    .eq('organization_id', req.organization.id)
     .single();
 
   if (error) {
@@ -199,12 +459,20 @@ router.get('/:id', asyncHandler(async (req, res) => {
     throw new ApiError(`Failed to fetch screen: ${error.message}`, 500, 'FETCH_FAILED');
   }
 
+  const healthState = await playerErrorService.getHealthState(data.id);
+
   // Format response
   const screen = {
     ...data,
     assignedPlaylist: data.screen_assignments?.[0]?.playlists || null,
     assignmentDate: data.screen_assignments?.[0]?.assigned_at || null,
-    screen_assignments: undefined
+    groups: (data.screen_group_members || []).map(member => member.screen_groups),
+    isPaired: !!data.device_token_hash,
+    health: healthState.health,
+    recentErrors: healthState.recentErrors,
+    screen_assignments: undefined,
+    screen_group_members: undefined,
+    device_token_hash: undefined
   };
 
   res.json({
@@ -241,6 +509,7 @@ router.put('/:id', validateScreenUpdate, asyncHandler(async (req, res) => {
     .from('screens')
     .update(updates)
     .eq('id', id)
+    .eq('organization_id', req.organization.id)
     .select()
     .single();
 
@@ -254,15 +523,18 @@ router.put('/:id', validateScreenUpdate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Screen updated successfully',
-    screen: data
+    screen: {
+      ...data,
+      device_token_hash: undefined
+    }
   });
 }));
 
 /**
  * DELETE /screens/:id
- * Delete screen
+ * Delete screen (admin only)
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -274,8 +546,9 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   // First check if screen exists
   const { data: screen, error: fetchError } = await supabase
     .from('screens')
-    .select('name')
+    .select('name, device_code')
     .eq('id', id)
+    .eq('organization_id', req.organization.id)
     .single();
 
   if (fetchError) {
@@ -289,12 +562,16 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   const { error } = await supabase
     .from('screens')
     .delete()
-    .eq('id', id);
+    .eq('id', id)
+    .eq('organization_id', req.organization.id);
 
   if (error) {
     throw new ApiError(`Failed to delete screen: ${error.message}`, 500, 'DELETE_FAILED');
   }
 
+  // Its device token died with it, so close the stream it opened
+  realtimeService.disconnect(screen.device_code, 'deleted');
+
   res.json({
     success: true,
     message: `Screen "${screen.name}" deleted successfully`
@@ -314,16 +591,31 @@ router.post('/:id/regenerate-code', asyncHandler(async (req, res) => {
     throw new ApiError(error.message, 400, 'INVALID_ID');
   }
 
+  const { data: current, error: fetchError } = await supabase
+    .from('screens')
+    .select('device_code')
+    .eq('id', id)
+    .eq('organization_id', req.organization.id)
+    .single();
+
+  if (fetchError || !current) {
+    throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+  }
+
   // Generate new unique device code
   const deviceCode = await generateUniqueDeviceCode(id);
 
+  // A new code also revokes the current device token, so the player must pair again
   const { data, error } = await supabase
     .from('screens')
     .update({
       device_code: deviceCode,
+      device_token_hash: null,
+      paired_at: null,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
+    .eq('organization_id', req.organization.id)
     .select()
     .single();
 
@@ -334,10 +626,64 @@ router.post('/:id/regenerate-code', asyncHandler(async (req, res) => {
     throw new ApiError(`Failed to regenerate device code: ${error.message}`, 400, 'REGENERATE_FAILED');
   }
 
+  // Close the event stream opened with the old code and token
+  realtimeService.disconnect(current.device_code);
+
   res.json({
     success: true,
-    message: 'Device code regenerated successfully',
-    screen: data
+    message: 'Device code regenerated successfully. The player must be paired again.',
+    screen: {
+      ...data,
+      device_token_hash: undefined
+    }
+  });
+}));
+
+/**
+ * POST /screens/:id/pair
+ * Claim a player's pairing PIN for this screen
+ */
+router.post('/:id/pair', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { pin } = req.body;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  if (!pin || !/^\d{6}$/.test(String(pin))) {
+    throw new ApiError('PIN must be a 6-digit code', 400, 'INVALID_PIN');
+  }
+
+  const screen = await devicePairingService.claimPairing(id, String(pin), req.user.id, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Player paired with screen "${screen.name}". It will connect automatically.`,
+    screen
+  });
+}));
+
+/**
+ * DELETE /screens/:id/pair
+ * Revoke the player's device token without changing the device code
+ */
+router.delete('/:id/pair', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const screen = await devicePairingService.revokeDevice(id, req.organization.id);
+
+  res.json({
+    success: true,
+    message: `Player access revoked for screen "${screen.name}"`
   });
 }));
 
@@ -358,6 +704,7 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
     .from('screens')
     .select('id, name, status, last_heartbeat, device_code')
     .eq('id', id)
+    .eq('organization_id', req.organization.id)
     .single();
 
   if (error) {
@@ -372,6 +719,9 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
   const lastHeartbeat = data.last_heartbeat ? new Date(data.last_heartbeat) : null;
   const isOnline = lastHeartbeat && (now - lastHeartbeat) < 5 * 60 * 1000; // 5 minutes
 
+  // Errors don't make a screen offline, they make it degraded
+  const healthState = await playerErrorService.getHealthState(data.id);
+
   res.json({
     success: true,
     status: {
@@ -379,6 +729,9 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
       name: data.name,
       status: data.status,
       isOnline,
+      health: healthState.health,
+      recentErrors: healthState.recentErrors,
+      lastErrorAt: healthState.lastErrorAt,
       lastHeartbeat: data.last_heartbeat,
       deviceCode: data.device_code,
       lastSeenMinutesAgo: lastHeartbeat ? Math.floor((now - lastHeartbeat) / 60000) : null
@@ -386,6 +739,190 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /screens/:id/errors
+ * Get errors reported by a screen's player (filters: from, to, mediaId, playerVersion, search)
+ */
+router.get('/:id/errors', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    page = 1,
+    limit = 50,
+    from,
+    to,
+    mediaId,
+    playerVersion,
+    search
+  } = req.query;
+
+  try {
+    validateUUID(id, 'Screen ID');
+    if (mediaId) validateUUID(mediaId, 'Media ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      throw new ApiError(`${name} must be a valid date`, 400, 'INVALID_DATE');
+    }
+  }
+
+  // Verify the screen belongs to the organization
+  const { data: screen, error } = await supabase
+    .from('screens')
+    .select('id')
+    .eq('id', id)
+    .eq('organization_id', req.organization.id)
+    .single();
+
+  if (error || !screen) {
+    throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+  }
+
+  const [result, healthState] = await Promise.all([
+    playerErrorService.getScreenErrors(id, {
+      page,
+      limit,
+      from,
+      to,
+      mediaId,
+      playerVersion,
+      search
+    }),
+    playerErrorService.getHealthState(id)
+  ]);
+
+  res.json({
+    success: true,
+    errors: result.errors,
+    pagination: result.pagination,
+    health: healthState
+  });
+}));
+
+/**
+ * POST /screens/:id/commands
+ * Queue a remote command (reload, restart, clear-cache, screenshot, set-volume)
+ */
+router.post('/:id/commands', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, payload } = req.body;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const command = await deviceCommandService.queueCommand(id, { type, payload }, req.user.id, req.organization.id);
+
+  res.status(201).json({
+    success: true,
+    message: command.status === 'delivered'
+      ? 'Command sent to the player'
+      : 'Command queued until the player checks in',
+    command
+  });
+}));
+
+/**
+ * GET /screens/:id/commands
+ * Get command history of a screen (optional status filter)
+ */
+router.get('/:id/commands', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, page = 1, limit = 50 } = req.query;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const result = await deviceCommandService.getCommands(id, req.organization.id, { status, page, limit });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * GET /screens/:id/screenshots
+ * Get the latest screenshots uploaded by a screen's player
+ */
+router.get('/:id/screenshots', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const screenshots = await screenshotService.getScreenshots(id, req.organization.id);
+
+  res.json({
+    success: true,
+    screenshots
+  });
+}));
+
+/**
+ * POST /screens/:id/screenshots/request
+ * Ask the player to capture a screenshot; it shows up in GET /screens/:id/screenshots once uploaded
+ */
+router.post('/:id/screenshots/request', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    validateUUID(id, 'Screen ID');
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const command = await screenshotService.requestScreenshot(id, req.user.id, req.organization.id);
+
+  res.status(202).json({
+    success: true,
+    message: command.status === 'delivered'
+      ? 'Screenshot requested from the player'
+      : 'Screenshot will be requested when the player checks in',
+    command
+  });
+}));
+
+/**
+ * PUT /screens/:id/layout
+ * Give the screen a multi-zone layout: { layoutId } (null for full-screen playback)
+ */
+router.put('/:id/layout', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { layoutId } = req.body;
+
+  if (layoutId === undefined) {
+    throw new ApiError('layoutId is required (null to remove the layout)', 400, 'MISSING_LAYOUT_ID');
+  }
+
+  try {
+    validateUUID(id, 'Screen ID');
+    if (layoutId) {
+      validateUUID(layoutId, 'Layout ID');
+    }
+  } catch (error) {
+    throw new ApiError(error.message, 400, 'INVALID_ID');
+  }
+
+  const screen = await layoutService.setScreenLayout(id, layoutId, req.organization.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: layoutId ? 'Screen layout updated successfully' : 'Screen layout removed successfully',
+    screen
+  });
+}));
+
 /**
  * GET /screens/stats
  * Get screen statistics
@@ -394,7 +931,8 @@ router.get('/stats', asyncHandler(async (req, res) => {
   // Get all screens
   const { data: screens, error } = await supabase
     .from('screens')
-    .select('status, last_heartbeat');
+    .select('status, last_heartbeat')
+    .eq('organization_id', req.organization.id);
 
   if (error) {
     throw new ApiError(`Failed to fetch screen stats: ${error.message}`, 500, 'STATS_FAILED');
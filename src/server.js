@@ -15,7 +15,7 @@ console.log('');
 
 // Import middleware
 console.log('📥 Loading middleware...');
-const { authenticateToken, optionalAuth } = require('./middleware/auth');
+const { authenticateToken, optionalAuth, requireWriteAccess, resolveOrganization } = require('./middleware/auth');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { 
   apiLimiter, 
@@ -35,10 +35,13 @@ const authRoutes = require('./routes/auth');
 const mediaRoutes = require('./routes/media');
 const screenRoutes = require('./routes/screens');
 const playlistRoutes = require('./routes/playlists');
+const layoutRoutes = require('./routes/layouts');
 const assignmentRoutes = require('./routes/assignments');
 const playerRoutes = require('./routes/player');
 const dashboardRoutes = require('./routes/dashboard');
 const monitoringRoutes = require('./routes/monitoring');
+const organizationRoutes = require('./routes/organizations');
+const reportRoutes = require('./routes/reports');
 console.log('✅ Routes loaded successfully');
 console.log('');
 
@@ -98,11 +101,13 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Token', 'X-Pairing-Secret', 'X-Organization-Id']
 }));
 
 // Logging middleware
+// Players pass their device token in the query of the event stream URL; keep it out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Rate limiting middleware
@@ -228,12 +233,15 @@ app.get('/player', (req, res) => {
 
 // API routes with specific rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
-app.use('/api/media', uploadLimiter, authenticateToken, mediaRoutes);
-app.use('/api/screens', authenticateToken, screenRoutes);
-app.use('/api/playlists', authenticateToken, playlistRoutes);
-app.use('/api/assignments', authenticateToken, assignmentRoutes);
-app.use('/api/player', heartbeatLimiter, playerRoutes); // No auth required for player endpoints
-app.use('/api/dashboard', dashboardLimiter, authenticateToken, dashboardRoutes);
+app.use('/api/organizations', authenticateToken, organizationRoutes);
+app.use('/api/media', uploadLimiter, authenticateToken, resolveOrganization, requireWriteAccess, mediaRoutes);
+app.use('/api/screens', authenticateToken, resolveOrganization, requireWriteAccess, screenRoutes);
+app.use('/api/playlists', authenticateToken, resolveOrganization, requireWriteAccess, playlistRoutes);
+app.use('/api/layouts', authenticateToken, resolveOrganization, requireWriteAccess, layoutRoutes);
+app.use('/api/assignments', authenticateToken, resolveOrganization, requireWriteAccess, assignmentRoutes);
+app.use('/api/player', heartbeatLimiter, playerRoutes); // Player endpoints use per-device tokens from pairing
+app.use('/api/dashboard', dashboardLimiter, authenticateToken, resolveOrganization, dashboardRoutes);
+app.use('/api/reports', dashboardLimiter, authenticateToken, resolveOrganization, reportRoutes);
 app.use('/api/monitoring', authenticateToken, monitoringRoutes); // Monitoring endpoints
 
 // API info endpoint
@@ -246,12 +254,15 @@ app.get('/api', (req, res) => {
       health: '/health',
       player: '/player',
       auth: '/api/auth',
+      organizations: '/api/organizations',
       media: '/api/media',
       screens: '/api/screens',
       playlists: '/api/playlists',
+      layouts: '/api/layouts',
       assignments: '/api/assignments',
       playerApi: '/api/player',
       dashboard: '/api/dashboard',
+      reports: '/api/reports',
       monitoring: '/api/monitoring'
     }
   });
@@ -315,17 +326,36 @@ const server = app.listen(PORT, async () => {
   console.log('🔐 API Routes:');
   console.log(`   Auth:            POST http://localhost:${PORT}/api/auth/login`);
   console.log(`                    POST http://localhost:${PORT}/api/auth/register`);
+  console.log(`   Organizations:   GET  http://localhost:${PORT}/api/organizations`);
   console.log(`   Media:           GET  http://localhost:${PORT}/api/media`);
   console.log(`                    POST http://localhost:${PORT}/api/media`);
+  console.log(`                    POST http://localhost:${PORT}/api/media/uploads`);
+  console.log(`                    POST http://localhost:${PORT}/api/media/documents`);
+  console.log(`                    GET  http://localhost:${PORT}/api/media/folders`);
   console.log(`   Screens:         GET  http://localhost:${PORT}/api/screens`);
   console.log(`                    POST http://localhost:${PORT}/api/screens`);
+  console.log(`                    POST http://localhost:${PORT}/api/screens/:id/commands`);
+  console.log(`                    GET  http://localhost:${PORT}/api/screens/:id/screenshots`);
   console.log(`   Playlists:       GET  http://localhost:${PORT}/api/playlists`);
   console.log(`                    POST http://localhost:${PORT}/api/playlists`);
+  console.log(`                    POST http://localhost:${PORT}/api/playlists/:id/items`);
+  console.log(`                    POST http://localhost:${PORT}/api/playlists/:id/publish`);
+  console.log(`                    GET  http://localhost:${PORT}/api/playlists/:id/versions`);
+  console.log(`   Layouts:         GET  http://localhost:${PORT}/api/layouts`);
+  console.log(`                    POST http://localhost:${PORT}/api/layouts`);
+  console.log(`                    PUT  http://localhost:${PORT}/api/screens/:id/layout`);
   console.log(`   Assignments:     GET  http://localhost:${PORT}/api/assignments`);
   console.log(`                    POST http://localhost:${PORT}/api/assignments`);
+  console.log(`                    GET  http://localhost:${PORT}/api/assignments/schedules`);
+  console.log(`   Player API:      POST http://localhost:${PORT}/api/player/pair/request`);
   console.log(`   Player API:      GET  http://localhost:${PORT}/api/player/:screenId/content`);
   console.log(`                    POST http://localhost:${PORT}/api/player/:screenId/heartbeat`);
+  console.log(`                    GET  http://localhost:${PORT}/api/player/:deviceCode/events`);
+  console.log(`                    POST http://localhost:${PORT}/api/player/:deviceCode/plays`);
+  console.log(`                    POST http://localhost:${PORT}/api/player/:deviceCode/commands/:commandId/ack`);
+  console.log(`                    POST http://localhost:${PORT}/api/player/:deviceCode/screenshot`);
   console.log(`   Dashboard:       GET  http://localhost:${PORT}/api/dashboard/stats`);
+  console.log(`   Reports:         GET  http://localhost:${PORT}/api/reports/plays`);
   console.log(`   Monitoring:      GET  http://localhost:${PORT}/api/monitoring/metrics`);
   console.log('');
   
@@ -345,6 +375,24 @@ const server = app.listen(PORT, async () => {
     console.error('❌ Database connectivity check failed:', error.message);
   }
   
+  // Flag expired media and refresh screens when activation windows open or close
+  const { mediaExpiryService } = require('./services/mediaExpiryService');
+  mediaExpiryService.start();
+  console.log(`⏰ Media expiry check runs every ${mediaExpiryService.checkInterval / 60000} minutes`);
+
+  // Switch players over when schedule windows open or close
+  const { scheduleService } = require('./services/scheduleService');
+  scheduleService.start();
+  console.log(`🗓️ Schedule windows are checked every ${scheduleService.checkInterval / 1000} seconds`);
+
+  // sharp is an optional dependency; say so up front when thumbnails can't be made
+  const { MediaProcessor } = require('./services/mediaProcessor');
+  await new MediaProcessor().checkImageBackend();
+
+  // Create the media bucket, or raise the size limit of an older one, so large resumable uploads fit
+  const { StorageService } = require('./services/storageService');
+  await new StorageService().ensureBucketExists();
+  
   console.log('');
   console.log('='.repeat(60));
   console.log('🎉 Server is ready to accept connections');
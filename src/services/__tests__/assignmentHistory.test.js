@@ -0,0 +1,173 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { AssignmentService } = require('../assignmentService');
+
+const assignment = (playlistId) => ({
+  data: { id: 'assignment-1', screen_id: 'screen-1', playlist_id: playlistId, screens: { name: 'Lobby' }, playlists: { name: 'Menu' } },
+  error: null
+});
+
+/**
+ * The history rows inserted by the recorded queries
+ */
+const historyOf = (queries) => queries
+  .filter(query => query.table === 'assignment_history')
+  .flatMap(query => call(query, 'insert')[1]);
+
+describe('assignment history', () => {
+  let assignmentService;
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(realtimeService, 'notifyAssignmentChanged').mockResolvedValue(0);
+    jest.spyOn(realtimeService, 'notifyScreens').mockResolvedValue(0);
+    assignmentService = new AssignmentService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recording', () => {
+    it('records a new assignment with who and why', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1', name: 'Lobby' }, error: null },
+        { data: { id: 'playlist-1', name: 'Menu' }, error: null },
+        { data: null, error: { code: 'PGRST116' } },
+        assignment('playlist-1')
+      );
+
+      await assignmentService.createAssignment({ screenId: 'screen-1', playlistId: 'playlist-1', reason: '  Opening hours  ' }, 'user-1', 'org-1');
+
+      expect(historyOf(queries)).toEqual([expect.objectContaining({
+        organization_id: 'org-1',
+        screen_id: 'screen-1',
+        assignment_id: 'assignment-1',
+        action: 'created',
+        old_playlist_id: null,
+        new_playlist_id: 'playlist-1',
+        changed_by: 'user-1',
+        reason: 'Opening hours',
+        source: 'manual'
+      })]);
+    });
+
+    it('records the old playlist when a screen is reassigned', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1', name: 'Lobby' }, error: null },
+        { data: { id: 'playlist-2', name: 'Specials' }, error: null },
+        { data: { id: 'assignment-1', playlist_id: 'playlist-1' }, error: null },
+        assignment('playlist-2')
+      );
+
+      await assignmentService.createAssignment({ screenId: 'screen-1', playlistId: 'playlist-2' }, 'user-1', 'org-1', 'bulk');
+
+      expect(historyOf(queries)).toEqual([expect.objectContaining({
+        action: 'updated',
+        old_playlist_id: 'playlist-1',
+        new_playlist_id: 'playlist-2',
+        source: 'bulk'
+      })]);
+    });
+
+    it('records removals', async () => {
+      const queries = respondWith(supabase, assignment('playlist-1'), { error: null });
+
+      await expect(assignmentService.removeAssignment('assignment-1', 'user-1', 'org-1', 'Screen moved'))
+        .resolves.toEqual({ screenName: 'Lobby', playlistName: 'Menu' });
+
+      expect(historyOf(queries)).toEqual([expect.objectContaining({
+        action: 'removed',
+        old_playlist_id: 'playlist-1',
+        new_playlist_id: null,
+        reason: 'Screen moved'
+      })]);
+    });
+
+    it('records a group assignment for the screens that inherit it', async () => {
+      assignmentService.screenGroupService = {
+        verifyGroupOwnership: jest.fn(async () => ({ id: 'group-1', name: 'Stores' })),
+        getScreenIdsForGroups: jest.fn(async () => ['screen-1', 'screen-2'])
+      };
+      const queries = respondWith(supabase,
+        { data: { id: 'playlist-1', name: 'Menu' }, error: null },
+        { data: null, error: null },
+        { data: { group_id: 'group-1', playlist_id: 'playlist-1', playlists: { id: 'playlist-1' } }, error: null },
+        { data: [{ screen_id: 'screen-2' }], error: null }
+      );
+
+      await expect(assignmentService.assignPlaylistToGroup('group-1', 'playlist-1', 'org-1', 'user-1'))
+        .resolves.toMatchObject({ inheritedBy: 2 });
+
+      // screen-2 has its own assignment, so nothing changed for it
+      expect(historyOf(queries)).toEqual([expect.objectContaining({
+        screen_id: 'screen-1',
+        action: 'created',
+        new_playlist_id: 'playlist-1',
+        source: 'group'
+      })]);
+    });
+
+    it('keeps the change when the history cannot be written', async () => {
+      respondWith(supabase,
+        { data: { id: 'screen-1', name: 'Lobby' }, error: null },
+        { data: { id: 'playlist-1', name: 'Menu' }, error: null },
+        { data: null, error: { code: 'PGRST116' } },
+        assignment('playlist-1'),
+        { data: null, error: { message: 'relation "assignment_history" does not exist' } }
+      );
+
+      await expect(assignmentService.createAssignment({ screenId: 'screen-1', playlistId: 'playlist-1' }, 'user-1', 'org-1'))
+        .resolves.toMatchObject({ id: 'assignment-1' });
+      expect(console.error).toHaveBeenCalledWith('Failed to record assignment history:', expect.anything());
+    });
+
+    it('rejects reasons that are too long before changing anything', async () => {
+      await expect(assignmentService.createAssignment({ screenId: 'screen-1', playlistId: 'playlist-1', reason: 'x'.repeat(501) }, 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'REASON_TOO_LONG' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAssignmentHistory', () => {
+    it('filters by screen and date range, newest first', async () => {
+      const queries = respondWith(supabase, {
+        data: [{ id: 'entry-1', screens: { id: 'screen-1' }, new_playlist: { id: 'playlist-1', name: 'Menu' }, profiles: { email: 'ops@example.com' } }],
+        error: null,
+        count: 51
+      });
+
+      const result = await assignmentService.getScreenAssignmentHistory('screen-1', {
+        organizationId: 'org-1',
+        from: '2026-01-01',
+        to: '2026-02-01',
+        page: 2,
+        limit: 50
+      });
+
+      expect(queries[0].calls).toEqual(expect.arrayContaining([
+        ['eq', 'organization_id', 'org-1'],
+        ['eq', 'screen_id', 'screen-1'],
+        ['gte', 'created_at', '2026-01-01T00:00:00.000Z'],
+        ['lte', 'created_at', '2026-02-01T00:00:00.000Z'],
+        ['order', 'created_at', { ascending: false }],
+        ['range', 50, 99]
+      ]));
+      expect(result.pagination).toEqual({ page: 2, limit: 50, total: 51, totalPages: 2 });
+      expect(result.history[0]).toMatchObject({ screen: { id: 'screen-1' }, newPlaylist: { name: 'Menu' }, changedByEmail: 'ops@example.com' });
+    });
+
+    it('finds changes from or to a playlist', async () => {
+      const queries = respondWith(supabase, { data: [], error: null, count: 0 });
+
+      await assignmentService.getAssignmentHistory({ organizationId: 'org-1', playlistId: 'playlist-1', limit: 500 });
+
+      expect(queries[0].calls).toContainEqual(['or', 'old_playlist_id.eq.playlist-1,new_playlist_id.eq.playlist-1']);
+      expect(queries[0].calls).toContainEqual(['range', 0, 99]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { MediaService } = require('../mediaService');
+
+/**
+ * A service with storage URLs stubbed out
+ */
+const createService = () => {
+  const mediaService = new MediaService({ mediaProcessor: {} });
+  mediaService.storageService = {
+    getPublicUrl: jest.fn(filePath => `https://storage.example.com/${filePath}`),
+    getThumbnailUrls: jest.fn(() => ({}))
+  };
+  return mediaService;
+};
+
+const inserted = (query) => ({ data: { id: 'media-1', ...call(query, 'insert')[1] }, error: null });
+
+describe('content media', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createContentMedia', () => {
+    it('creates a web page without a file and serves its own URL', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, inserted);
+
+      const media = await mediaService.createContentMedia({
+        type: 'web',
+        name: ' Opening hours ',
+        content: { url: 'https://example.com/hours', refreshInterval: 300 },
+        tags: ['Info']
+      }, 'user-1', 'org-1');
+
+      expect(call(queries[0], 'insert')[1]).toMatchObject({
+        name: 'Opening hours',
+        type: 'web',
+        file_path: null,
+        file_size: null,
+        mime_type: null,
+        content: { url: 'https://example.com/hours', refreshInterval: 300 },
+        tags: ['info'],
+        organization_id: 'org-1'
+      });
+      expect(media.url).toBe('https://example.com/hours');
+    });
+
+    it('records the size and type of widgets', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, inserted);
+
+      const media = await mediaService.createContentMedia({ type: 'html', name: 'Clock', content: { html: '<p>12:00</p>' } }, 'user-1', 'org-1');
+
+      expect(call(queries[0], 'insert')[1]).toMatchObject({ file_size: 12, mime_type: 'text/html' });
+      expect(media.url).toBeNull();
+    });
+
+    it('checks the target folder belongs to the organization', async () => {
+      const mediaService = createService();
+      mediaService.mediaFolderService = {
+        verifyFolderOwnership: jest.fn(async () => { throw Object.assign(new Error('Folder not found'), { statusCode: 404 }); })
+      };
+
+      await expect(mediaService.createContentMedia({ type: 'text', name: 'Ticker', content: { text: 'Hello' }, folderId: 'folder-9' }, 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(mediaService.mediaFolderService.verifyFolderOwnership).toHaveBeenCalledWith('folder-9', 'org-1');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ type: 'image', name: 'Logo', content: {} }, 'INVALID_MEDIA_TYPE'],
+      [{ type: 'web', name: ' ', content: { url: 'https://example.com' } }, 'MISSING_NAME'],
+      [{ type: 'web', name: 'Page', content: 'https://example.com' }, 'INVALID_CONTENT'],
+      [{ type: 'web', name: 'Page', content: { url: 'javascript:alert(1)' } }, 'INVALID_URL'],
+      [{ type: 'web', name: 'Page', content: { url: 'example.com' } }, 'INVALID_URL'],
+      [{ type: 'web', name: 'Page', content: { url: 'https://example.com', refreshInterval: -1 } }, 'INVALID_CONTENT']
+    ])('rejects invalid content (%#)', async (mediaData, code) => {
+      const mediaService = createService();
+
+      await expect(mediaService.createContentMedia(mediaData, 'user-1', 'org-1')).rejects.toMatchObject({ statusCode: 400, code });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateContent', () => {
+    const mediaService = createService();
+
+    it('detects the stream format from the URL and mutes by default', () => {
+      expect(mediaService.validateContent('stream', { url: 'https://cdn.example.com/live/index.m3u8' }))
+        .toEqual({ url: 'https://cdn.example.com/live/index.m3u8', format: 'hls', muted: true });
+      expect(mediaService.validateContent('stream', { url: 'https://cdn.example.com/live', format: 'dash', muted: false }))
+        .toEqual({ url: 'https://cdn.example.com/live', format: 'dash', muted: false });
+      expect(mediaService.getContentMimeType('stream', { format: 'dash' })).toBe('application/dash+xml');
+    });
+
+    it('needs a format for streams it cannot recognise', () => {
+      expect(() => mediaService.validateContent('stream', { url: 'https://cdn.example.com/live' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_STREAM_FORMAT' }));
+    });
+
+    it('fills in ticker defaults and normalises colors', () => {
+      expect(mediaService.validateContent('text', { text: 'Welcome', scroll: true, color: '#FFCC00' })).toEqual({
+        text: 'Welcome',
+        scroll: true,
+        speed: 5,
+        fontSize: 48,
+        color: '#ffcc00',
+        backgroundColor: '#000000'
+      });
+    });
+
+    it.each([
+      ['text', { text: 'x'.repeat(1001) }, 'CONTENT_TOO_LARGE'],
+      ['text', { text: 'Hi', color: 'red' }, 'INVALID_CONTENT'],
+      ['text', { text: 'Hi', speed: 11 }, 'INVALID_CONTENT'],
+      ['html', { html: '' }, 'INVALID_CONTENT'],
+      ['html', { html: 'x'.repeat(100 * 1024 + 1) }, 'CONTENT_TOO_LARGE']
+    ])('rejects invalid %s content (%#)', (type, content, code) => {
+      expect(() => mediaService.validateContent(type, content)).toThrow(expect.objectContaining({ statusCode: 400, code }));
+    });
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { DeviceCommandService } = require('../deviceCommandService');
+
+const command = (fields = {}) => ({
+  id: 'command-1',
+  screen_id: 'screen-1',
+  type: 'reload',
+  payload: {},
+  status: 'pending',
+  created_at: '2026-03-01T10:00:00Z',
+  ...fields
+});
+
+describe('DeviceCommandService', () => {
+  const commandService = new DeviceCommandService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('queueCommand', () => {
+    it('queues the command for the next heartbeat when the player is not connected', async () => {
+      const pushCommand = jest.spyOn(realtimeService, 'pushCommand').mockResolvedValue(0);
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1' }, error: null },
+        { data: command(), error: null }
+      );
+
+      await expect(commandService.queueCommand('screen-1', { type: 'reload' }, 'user-1', 'org-1')).resolves.toMatchObject({ status: 'pending' });
+
+      expect(call(queries[1], 'insert')[1]).toMatchObject({ organization_id: 'org-1', screen_id: 'screen-1', type: 'reload', status: 'pending', created_by: 'user-1' });
+      expect(pushCommand).toHaveBeenCalledWith('screen-1', { id: 'command-1', type: 'reload', payload: {}, createdAt: '2026-03-01T10:00:00Z' });
+      expect(queries).toHaveLength(2);
+    });
+
+    it('marks commands pushed over the event stream as delivered', async () => {
+      jest.spyOn(realtimeService, 'pushCommand').mockResolvedValue(1);
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1' }, error: null },
+        { data: command(), error: null },
+        { data: [command({ status: 'delivered' })], error: null }
+      );
+
+      await expect(commandService.queueCommand('screen-1', { type: 'reload' }, 'user-1', 'org-1')).resolves.toMatchObject({ status: 'delivered' });
+      expect(queries[2].calls).toContainEqual(['or', 'status.eq.pending']);
+    });
+
+    it('refuses screens of other organizations', async () => {
+      respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(commandService.queueCommand('screen-1', { type: 'reload' }, 'user-1', 'org-2'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SCREEN_NOT_FOUND' });
+    });
+
+    it.each([
+      [{ type: 'format-disk' }, 'INVALID_COMMAND_TYPE'],
+      [{ type: 'reload', payload: [] }, 'INVALID_PAYLOAD'],
+      [{ type: 'set-volume', payload: { volume: 150 } }, 'INVALID_VOLUME'],
+      [{ type: 'set-volume', payload: {} }, 'INVALID_VOLUME']
+    ])('rejects invalid commands (%#)', async (commandData, code) => {
+      await expect(commandService.queueCommand('screen-1', commandData, 'user-1', 'org-1')).rejects.toMatchObject({ statusCode: 400, code });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliverPendingCommands', () => {
+    it('expires stale commands and hands out the rest oldest first', async () => {
+      const queries = respondWith(supabase,
+        { error: null },
+        { error: null },
+        { data: [{ id: 'command-1' }, { id: 'command-2' }], error: null },
+        {
+          data: [
+            command({ id: 'command-2', type: 'set-volume', payload: { volume: 40 }, created_at: '2026-03-01T10:05:00Z' }),
+            command({ id: 'command-1', created_at: '2026-03-01T10:00:00Z' })
+          ],
+          error: null
+        }
+      );
+
+      const commands = await commandService.deliverPendingCommands('screen-1');
+
+      expect(commands.map(({ id }) => id)).toEqual(['command-1', 'command-2']);
+      expect(commands[1]).toEqual({ id: 'command-2', type: 'set-volume', payload: { volume: 40 }, createdAt: '2026-03-01T10:05:00Z' });
+
+      expect(call(queries[0], 'update')[1]).toMatchObject({ status: 'failed' });
+      expect(queries[0].calls).toContainEqual(['eq', 'status', 'pending']);
+      expect(queries[1].calls).toContainEqual(['eq', 'status', 'delivered']);
+      expect(queries[2].calls).toContainEqual(['limit', commandService.maxPerDelivery]);
+      expect(call(queries[3], 'update')[1]).toMatchObject({ status: 'delivered' });
+      expect(queries[3].calls).toContainEqual(['in', 'id', ['command-1', 'command-2']]);
+    });
+
+    it('hands out delivered commands again once their acknowledgement is overdue', async () => {
+      const queries = respondWith(supabase, { error: null }, { error: null }, { data: [], error: null });
+
+      await expect(commandService.deliverPendingCommands('screen-1')).resolves.toEqual([]);
+
+      const [, filter] = call(queries[2], 'or');
+      const overdueBefore = filter.match(/delivered_at\.lt\."([^"]+)"/)[1];
+      expect(filter).toMatch(/^status\.eq\.pending,and\(status\.eq\.delivered,/);
+      expect(Date.now() - new Date(overdueBefore).getTime()).toBeGreaterThanOrEqual(commandService.redeliveryTimeout);
+      expect(queries).toHaveLength(3);
+    });
+  });
+
+  describe('acknowledgeCommand', () => {
+    it('records the outcome reported by the player', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'command-1', status: 'delivered' }, error: null },
+        { data: command({ status: 'failed' }), error: null }
+      );
+
+      await commandService.acknowledgeCommand('screen-1', 'command-1', { status: 'failed', result: { error: 'No camera' } });
+
+      expect(queries[0].calls).toContainEqual(['eq', 'screen_id', 'screen-1']);
+      const updates = call(queries[1], 'update')[1];
+      expect(updates).toMatchObject({ status: 'failed', result: { error: 'No camera' } });
+      expect(updates).not.toHaveProperty('delivered_at');
+    });
+
+    it('marks pushed commands delivered when they are acknowledged first', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'command-1', status: 'pending' }, error: null },
+        { data: command({ status: 'acknowledged' }), error: null }
+      );
+
+      await commandService.acknowledgeCommand('screen-1', 'command-1');
+
+      const updates = call(queries[1], 'update')[1];
+      expect(updates).toMatchObject({ status: 'acknowledged', result: null });
+      expect(updates.delivered_at).toBe(updates.completed_at);
+    });
+
+    it('refuses commands that are already completed', async () => {
+      respondWith(supabase, { data: { id: 'command-1', status: 'acknowledged' }, error: null });
+
+      await expect(commandService.acknowledgeCommand('screen-1', 'command-1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'COMMAND_ALREADY_COMPLETED' });
+    });
+
+    it('refuses commands of other screens', async () => {
+      respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(commandService.acknowledgeCommand('screen-2', 'command-1'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'COMMAND_NOT_FOUND' });
+    });
+
+    it('rejects statuses a player cannot report', async () => {
+      await expect(commandService.acknowledgeCommand('screen-1', 'command-1', { status: 'pending' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS' });
+    });
+  });
+
+  describe('getCommands', () => {
+    it('rejects unknown status filters', async () => {
+      await expect(commandService.getCommands('screen-1', 'org-1', { status: 'lost' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS' });
+    });
+
+    it('lists the commands of a screen by status', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1' }, error: null },
+        { data: [command()], error: null, count: 1 }
+      );
+
+      const result = await commandService.getCommands('screen-1', 'org-1', { status: 'pending' });
+
+      expect(queries[1].calls).toEqual(expect.arrayContaining([
+        ['eq', 'organization_id', 'org-1'],
+        ['eq', 'status', 'pending'],
+        ['order', 'created_at', { ascending: false }]
+      ]));
+      expect(result.pagination).toEqual({ page: 1, limit: 50, total: 1, totalPages: 1 });
+    });
+  });
+});
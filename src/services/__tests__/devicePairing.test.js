@@ -0,0 +1,164 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const crypto = require('crypto');
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { DevicePairingService } = require('../devicePairingService');
+
+const SECRET = 's'.repeat(64);
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const inTenMinutes = () => new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+const claimedRequest = () => ({
+  id: 'pair-1',
+  secret_hash: sha256(SECRET),
+  expires_at: inTenMinutes(),
+  claimed_at: new Date().toISOString(),
+  collected_at: null,
+  screen_id: 'screen-1'
+});
+
+describe('DevicePairingService', () => {
+  const pairingService = new DevicePairingService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestPairing', () => {
+    it('stores only the hash of the pairing secret', async () => {
+      const queries = respondWith(supabase,
+        { data: null, error: null },
+        (query) => ({ data: { id: 'pair-1', pin: call(query, 'insert')[1].pin, expires_at: inTenMinutes() }, error: null })
+      );
+
+      const result = await pairingService.requestPairing({ model: 'Stick' });
+
+      const inserted = call(queries[1], 'insert')[1];
+      expect(result.pin).toMatch(/^\d{6}$/);
+      expect(inserted.secret_hash).toBe(sha256(result.pairingSecret));
+      expect(JSON.stringify(inserted)).not.toContain(result.pairingSecret);
+    });
+  });
+
+  describe('claimPairing', () => {
+    it('refuses screens of other organizations', async () => {
+      const queries = respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(pairingService.claimPairing('screen-1', '123456', 'user-1', 'org-2'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SCREEN_NOT_FOUND' });
+      expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-2']);
+      expect(queries).toHaveLength(1);
+    });
+
+    it('claims an open PIN for the screen', async () => {
+      const queries = respondWith(supabase,
+        { data: { id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1' }, error: null },
+        { data: { id: 'pair-1' }, error: null },
+        { data: [{ id: 'pair-1' }], error: null }
+      );
+
+      await expect(pairingService.claimPairing('screen-1', '123456', 'user-1', 'org-1')).resolves.toMatchObject({ id: 'screen-1' });
+      expect(call(queries[2], 'update')[1]).toMatchObject({ screen_id: 'screen-1', claimed_by: 'user-1' });
+      expect(queries[2].calls).toContainEqual(['is', 'claimed_at', null]);
+    });
+
+    it('fails when another admin claimed the PIN first', async () => {
+      respondWith(supabase,
+        { data: { id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1' }, error: null },
+        { data: { id: 'pair-1' }, error: null },
+        { data: [], error: null }
+      );
+
+      await expect(pairingService.claimPairing('screen-1', '123456', 'user-1', 'org-1'))
+        .rejects.toMatchObject({ code: 'PAIRING_NOT_FOUND' });
+    });
+  });
+
+  describe('collectPairing', () => {
+    it('rejects a wrong pairing secret', async () => {
+      respondWith(supabase, { data: claimedRequest(), error: null });
+
+      await expect(pairingService.collectPairing('pair-1', 'x'.repeat(64)))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PAIRING_NOT_FOUND' });
+    });
+
+    it('keeps the player waiting until an admin claims the PIN', async () => {
+      respondWith(supabase, { data: { ...claimedRequest(), claimed_at: null }, error: null });
+
+      await expect(pairingService.collectPairing('pair-1', SECRET)).resolves.toMatchObject({ status: 'pending' });
+    });
+
+    it('expires unclaimed requests', async () => {
+      respondWith(supabase, { data: { ...claimedRequest(), claimed_at: null, expires_at: '2026-01-01T00:00:00Z' }, error: null });
+
+      await expect(pairingService.collectPairing('pair-1', SECRET)).rejects.toMatchObject({ statusCode: 410, code: 'PAIRING_EXPIRED' });
+    });
+
+    it('hands out a device token once and stores only its hash', async () => {
+      const queries = respondWith(supabase,
+        { data: claimedRequest(), error: null },
+        { data: [{ id: 'pair-1' }], error: null },
+        { data: { id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1' }, error: null }
+      );
+
+      const result = await pairingService.collectPairing('pair-1', SECRET);
+
+      expect(result).toMatchObject({ status: 'paired', deviceCode: 'LOBBY1', screen: { id: 'screen-1', name: 'Lobby' } });
+      expect(queries[1].calls).toContainEqual(['is', 'collected_at', null]);
+      expect(call(queries[2], 'update')[1].device_token_hash).toBe(sha256(result.deviceToken));
+      expect(queries[2].calls).toContainEqual(['eq', 'id', 'screen-1']);
+    });
+
+    it('refuses a second collection', async () => {
+      respondWith(supabase, { data: { ...claimedRequest(), collected_at: new Date().toISOString() }, error: null });
+
+      await expect(pairingService.collectPairing('pair-1', SECRET)).rejects.toMatchObject({ statusCode: 410, code: 'PAIRING_COMPLETED' });
+    });
+
+    it('refuses a collection that lost the race to another one', async () => {
+      const queries = respondWith(supabase,
+        { data: claimedRequest(), error: null },
+        { data: [], error: null }
+      );
+
+      await expect(pairingService.collectPairing('pair-1', SECRET)).rejects.toMatchObject({ code: 'PAIRING_COMPLETED' });
+      expect(queries.map(query => query.table)).not.toContain('screens');
+    });
+
+    it('lets the player collect again when the token could not be stored', async () => {
+      const queries = respondWith(supabase,
+        { data: claimedRequest(), error: null },
+        { data: [{ id: 'pair-1' }], error: null },
+        { data: null, error: { message: 'connection reset' } },
+        { data: null, error: null }
+      );
+
+      await expect(pairingService.collectPairing('pair-1', SECRET)).rejects.toMatchObject({ statusCode: 500, code: 'PAIRING_FAILED' });
+
+      const collectedAt = call(queries[1], 'update')[1].collected_at;
+      expect(queries[3].table).toBe('pairing_requests');
+      expect(call(queries[3], 'update')[1]).toEqual({ collected_at: null });
+      // Only undone if it is still this collection's mark
+      expect(queries[3].calls).toContainEqual(['eq', 'collected_at', collectedAt]);
+    });
+  });
+
+  describe('revokeDevice', () => {
+    it('clears the token and closes the event stream', async () => {
+      const disconnect = jest.spyOn(realtimeService, 'disconnect').mockReturnValue(1);
+      const queries = respondWith(supabase, { data: { id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1' }, error: null });
+
+      await expect(pairingService.revokeDevice('screen-1', 'org-1')).resolves.toEqual({ id: 'screen-1', name: 'Lobby' });
+      expect(call(queries[0], 'update')[1]).toMatchObject({ device_token_hash: null, paired_at: null });
+      expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+      expect(disconnect).toHaveBeenCalledWith('LOBBY1');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { MediaService } = require('../mediaService');
+
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+const pdf = { originalname: 'Spring catalog.pdf', mimetype: 'application/pdf', size: 3, buffer: Buffer.from('pdf') };
+const deck = { originalname: 'Quarterly.pptx', mimetype: PPTX, size: 4, buffer: Buffer.from('pptx') };
+
+/**
+ * A service whose processor renders the given pages and whose saveMedia and
+ * createPlaylist record what they were given
+ */
+const createService = (pages = [Buffer.from('page-1'), Buffer.from('page-2')]) => {
+  const mediaService = new MediaService({
+    mediaProcessor: {
+      isPdftoppmAvailable: jest.fn(async () => true),
+      isSofficeAvailable: jest.fn(async () => true),
+      convertToPdf: jest.fn(async () => Buffer.from('converted')),
+      renderPdfPages: jest.fn(async () => pages)
+    }
+  });
+  mediaService.saveMedia = jest.fn(async (file) => ({ id: `media-${mediaService.saveMedia.mock.calls.length}`, name: file.originalname }));
+  mediaService.deleteMedia = jest.fn(async () => ({}));
+  mediaService.playlistService.createPlaylist = jest.fn(async (playlistData) => ({ id: 'playlist-1', ...playlistData }));
+  return mediaService;
+};
+
+describe('MediaService.importDocument', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores one image per page', async () => {
+    const mediaService = createService();
+
+    const { media, playlist } = await mediaService.importDocument(pdf, {}, 'user-1', 'org-1');
+
+    expect(mediaService.mediaProcessor.renderPdfPages).toHaveBeenCalledWith(pdf.buffer, { maxPages: mediaService.maxDocumentPages });
+    expect(media.map(({ name }) => name)).toEqual(['Spring catalog - page 1.jpg', 'Spring catalog - page 2.jpg']);
+    expect(mediaService.saveMedia).toHaveBeenCalledWith(
+      { buffer: Buffer.from('page-1'), originalname: 'Spring catalog - page 1.jpg', mimetype: 'image/jpeg', size: 6 }, 'user-1', 'org-1'
+    );
+    expect(playlist).toBeNull();
+  });
+
+  it('creates a playlist of the pages in order when asked', async () => {
+    const mediaService = createService();
+
+    const { playlist } = await mediaService.importDocument(pdf, { createPlaylist: true, duration: 8 }, 'user-1', 'org-1');
+
+    expect(mediaService.playlistService.createPlaylist).toHaveBeenCalledWith({
+      name: 'Spring catalog',
+      description: 'Pages of Spring catalog.pdf',
+      items: [{ media_id: 'media-1', duration: 8 }, { media_id: 'media-2', duration: 8 }]
+    }, 'user-1', 'org-1');
+    expect(playlist.id).toBe('playlist-1');
+  });
+
+  it('converts presentations to PDF first', async () => {
+    const mediaService = createService();
+
+    await mediaService.importDocument(deck, { createPlaylist: true, playlistName: 'Q3' }, 'user-1', 'org-1');
+
+    expect(mediaService.mediaProcessor.convertToPdf).toHaveBeenCalledWith(deck.buffer, PPTX);
+    expect(mediaService.mediaProcessor.renderPdfPages).toHaveBeenCalledWith(Buffer.from('converted'), expect.anything());
+    expect(mediaService.playlistService.createPlaylist.mock.calls[0][0].name).toBe('Q3');
+  });
+
+  it('removes the pages already stored when one fails', async () => {
+    const mediaService = createService([Buffer.from('page-1'), Buffer.from('page-2'), Buffer.from('page-3')]);
+    mediaService.saveMedia
+      .mockResolvedValueOnce({ id: 'media-1' })
+      .mockResolvedValueOnce({ id: 'media-2' })
+      .mockRejectedValueOnce(new Error('Storage unavailable'));
+
+    await expect(mediaService.importDocument(pdf, { createPlaylist: true }, 'user-1', 'org-1')).rejects.toThrow('Storage unavailable');
+    expect(mediaService.deleteMedia.mock.calls).toEqual([['media-1', 'org-1'], ['media-2', 'org-1']]);
+    expect(mediaService.playlistService.createPlaylist).not.toHaveBeenCalled();
+  });
+
+  it('reports when the server cannot convert documents', async () => {
+    const mediaService = createService();
+    mediaService.mediaProcessor.isSofficeAvailable.mockResolvedValue(false);
+
+    await expect(mediaService.importDocument(deck, {}, 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 503, code: 'CONVERSION_UNAVAILABLE' });
+  });
+
+  it('rejects documents that cannot be rendered', async () => {
+    const mediaService = createService();
+    mediaService.mediaProcessor.renderPdfPages.mockRejectedValue(new Error('Incorrect password'));
+
+    await expect(mediaService.importDocument(pdf, {}, 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DOCUMENT' });
+  });
+
+  it('rejects documents without pages', async () => {
+    const mediaService = createService([]);
+
+    await expect(mediaService.importDocument(pdf, {}, 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'EMPTY_DOCUMENT' });
+  });
+
+  it.each([
+    [{ ...pdf, mimetype: 'image/png' }, {}, 'INVALID_FILE_TYPE'],
+    [pdf, { duration: 0 }, 'INVALID_DURATION'],
+    [pdf, { duration: '10' }, 'INVALID_DURATION']
+  ])('rejects invalid imports (%#)', async (file, options, code) => {
+    const mediaService = createService();
+
+    await expect(mediaService.importDocument(file, options, 'user-1', 'org-1')).rejects.toMatchObject({ statusCode: 400, code });
+    expect(mediaService.mediaProcessor.renderPdfPages).not.toHaveBeenCalled();
+  });
+});
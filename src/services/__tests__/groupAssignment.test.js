@@ -0,0 +1,107 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { AssignmentService } = require('../assignmentService');
+const { ScreenGroupService } = require('../screenGroupService');
+
+const lobbyPlaylist = { id: 'p-lobby', name: 'Lobby', description: null };
+const storePlaylist = { id: 'p-store', name: 'Store', description: null };
+const regionPlaylist = { id: 'p-region', name: 'Region', description: null };
+
+const noScreenAssignment = { data: null, error: { code: 'PGRST116' } };
+
+describe('screen group assignments', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  describe('AssignmentService.getEffectiveAssignment', () => {
+    /**
+     * A service for a screen in the "store" group, whose parent is "region"
+     */
+    const createService = () => {
+      const assignmentService = new AssignmentService();
+      assignmentService.screenGroupService.getScreenGroupChain = jest.fn(async () => [
+        { groupId: 'store', depth: 0 },
+        { groupId: 'region', depth: 1 }
+      ]);
+      return assignmentService;
+    };
+
+    it('lets the screen\'s own assignment override its groups', async () => {
+      const assignmentService = createService();
+      respondWith(supabase, { data: { id: 'a1', playlist_id: 'p-lobby', playlists: lobbyPlaylist }, error: null });
+
+      await expect(assignmentService.getEffectiveAssignment('s1')).resolves.toEqual({
+        source: 'assignment',
+        assignmentId: 'a1',
+        playlistId: 'p-lobby',
+        playlist: lobbyPlaylist
+      });
+      expect(assignmentService.screenGroupService.getScreenGroupChain).not.toHaveBeenCalled();
+    });
+
+    it('inherits from the nearest group', async () => {
+      const assignmentService = createService();
+      const queries = respondWith(supabase, noScreenAssignment, {
+        data: [
+          { id: 'g1', group_id: 'region', playlist_id: 'p-region', assigned_at: '2026-03-02T00:00:00Z', playlists: regionPlaylist },
+          { id: 'g2', group_id: 'store', playlist_id: 'p-store', assigned_at: '2026-03-01T00:00:00Z', playlists: storePlaylist }
+        ],
+        error: null
+      });
+
+      await expect(assignmentService.getEffectiveAssignment('s1')).resolves.toMatchObject({
+        source: 'group',
+        groupId: 'store',
+        playlistId: 'p-store'
+      });
+      expect(call(queries[1], 'in')).toEqual(['in', 'group_id', ['store', 'region']]);
+    });
+
+    it('falls back to a parent group', async () => {
+      const assignmentService = createService();
+      respondWith(supabase, noScreenAssignment, {
+        data: [{ id: 'g1', group_id: 'region', playlist_id: 'p-region', assigned_at: '2026-03-02T00:00:00Z', playlists: regionPlaylist }],
+        error: null
+      });
+
+      await expect(assignmentService.getEffectiveAssignment('s1')).resolves.toMatchObject({ source: 'group', groupId: 'region' });
+    });
+
+    it('returns nothing for a screen without assignment or groups', async () => {
+      const assignmentService = createService();
+      assignmentService.screenGroupService.getScreenGroupChain.mockResolvedValue([]);
+      respondWith(supabase, noScreenAssignment);
+
+      await expect(assignmentService.getEffectiveAssignment('s1')).resolves.toBeNull();
+    });
+  });
+
+  describe('ScreenGroupService.getScreenGroupChain', () => {
+    it('orders the groups of a screen by distance, counting shared parents once', async () => {
+      const screenGroupService = new ScreenGroupService();
+      // The screen is in "store" and "window"; store > mall > region, window > region
+      respondWith(supabase,
+        { data: [{ group_id: 'store' }, { group_id: 'window' }], error: null },
+        {
+          data: [
+            { id: 'store', parent_id: 'mall' },
+            { id: 'mall', parent_id: 'region' },
+            { id: 'window', parent_id: 'region' },
+            { id: 'region', parent_id: null }
+          ],
+          error: null
+        }
+      );
+
+      await expect(screenGroupService.getScreenGroupChain('s1')).resolves.toEqual([
+        { groupId: 'store', depth: 0 },
+        { groupId: 'window', depth: 0 },
+        { groupId: 'mall', depth: 1 },
+        { groupId: 'region', depth: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { LayoutService } = require('../layoutService');
+
+const canvas = { width: 1920, height: 1080 };
+const layout = { id: 'layout-1', name: 'Menu board', width: 1920, height: 1080 };
+
+describe('LayoutService', () => {
+  let layoutService;
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(realtimeService, 'notifyScreens').mockResolvedValue(0);
+    jest.spyOn(realtimeService, 'notifyAssignmentChanged').mockResolvedValue(0);
+    layoutService = new LayoutService();
+    layoutService.assignmentService = {
+      recordHistory: jest.fn(async () => {}),
+      recordHistoryForScreens: jest.fn(async () => {})
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateRegions', () => {
+    it('normalizes names, units and stacking order', async () => {
+      const regions = await layoutService.validateRegions([
+        { name: ' Main ', width: 1440, height: 1080 },
+        { name: 'sidebar', x: 75, width: 25, height: 90, unit: '%' },
+        { name: 'ticker', y: 90, width: 100, height: 10, unit: '%', zIndex: 5 }
+      ], canvas, 'org-1');
+
+      expect(regions).toEqual([
+        { name: 'main', x: 0, y: 0, width: 1440, height: 1080, unit: 'px', zIndex: 0, playlistId: null },
+        { name: 'sidebar', x: 75, y: 0, width: 25, height: 90, unit: '%', zIndex: 1, playlistId: null },
+        { name: 'ticker', x: 0, y: 90, width: 100, height: 10, unit: '%', zIndex: 5, playlistId: null }
+      ]);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [[{ width: 10, height: 10 }], 'INVALID_REGION_NAME'],
+      [[{ name: 'main', width: 10, height: 10 }, { name: 'MAIN', width: 10, height: 10 }], 'DUPLICATE_REGION'],
+      [[{ name: 'main', width: 10, height: 10, unit: 'em' }], 'INVALID_REGION_UNIT'],
+      [[{ name: 'main', width: 0, height: 10 }], 'INVALID_REGION_GEOMETRY'],
+      [[{ name: 'main', x: -1, width: 10, height: 10 }], 'INVALID_REGION_GEOMETRY'],
+      [[{ name: 'main', x: 1000, width: 1000, height: 10 }], 'INVALID_REGION_GEOMETRY'],
+      [[{ name: 'main', x: 50, width: 60, height: 10, unit: '%' }], 'INVALID_REGION_GEOMETRY'],
+      [[{ name: 'main', width: 10, height: 10, zIndex: 1.5 }], 'INVALID_REGION_GEOMETRY']
+    ])('rejects invalid regions (%#)', async (regions, code) => {
+      await expect(layoutService.validateRegions(regions, canvas, 'org-1')).rejects.toMatchObject({ statusCode: 400, code });
+    });
+
+    it('limits the number of regions', async () => {
+      const regions = Array.from({ length: 11 }, (_, i) => ({ name: `region-${i}`, width: 10, height: 10 }));
+
+      await expect(layoutService.validateRegions(regions, canvas, 'org-1')).rejects.toMatchObject({ code: 'TOO_MANY_REGIONS' });
+    });
+
+    it('only binds playlists of the organization', async () => {
+      const queries = respondWith(supabase, { data: [{ id: 'playlist-1' }], error: null });
+
+      await expect(layoutService.validateRegions([
+        { name: 'main', width: 100, height: 100, playlistId: 'playlist-1' },
+        { name: 'logo', width: 10, height: 10, playlistId: 'playlist-9' }
+      ], canvas, 'org-1')).rejects.toMatchObject({ statusCode: 404, code: 'PLAYLIST_NOT_FOUND', message: expect.stringContaining('playlist-9') });
+      expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+    });
+  });
+
+  describe('updateLayout', () => {
+    it('checks existing pixel regions still fit a smaller canvas', async () => {
+      respondWith(supabase, { data: layout, error: null });
+      layoutService.getLayoutById = jest.fn(async () => ({
+        ...layout,
+        regions: [{ name: 'main', x: 0, y: 0, width: 1920, height: 1080, unit: 'px', zIndex: 0 }]
+      }));
+
+      await expect(layoutService.updateLayout('layout-1', { width: 1280, height: 720 }, 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_REGION_GEOMETRY' });
+    });
+
+    it('replaces the regions and refreshes screens using the layout', async () => {
+      layoutService.getLayoutById = jest.fn(async () => layout);
+      const queries = respondWith(supabase,
+        { data: layout, error: null },
+        { error: null },
+        { error: null },
+        { error: null },
+        { data: [{ id: 'screen-1' }], error: null }
+      );
+
+      await layoutService.updateLayout('layout-1', { regions: [{ name: 'main', width: 100, height: 100, unit: '%' }] }, 'org-1');
+
+      expect(queries[2].calls).toContainEqual(['delete']);
+      expect(call(queries[3], 'insert')[1]).toEqual([
+        { layout_id: 'layout-1', name: 'main', x: 0, y: 0, width: 100, height: 100, unit: '%', z_index: 0, playlist_id: null }
+      ]);
+      expect(realtimeService.notifyScreens).toHaveBeenCalledWith(['screen-1'], 'assignment-changed', { layoutId: 'layout-1' });
+    });
+  });
+
+  describe('setScreenLayout', () => {
+    it('gives a screen a layout and records the change', async () => {
+      const queries = respondWith(supabase,
+        { data: layout, error: null },
+        { data: { layout_id: null }, error: null },
+        { data: { id: 'screen-1', name: 'Lobby', layout_id: 'layout-1' }, error: null }
+      );
+
+      await expect(layoutService.setScreenLayout('screen-1', 'layout-1', 'org-1', 'user-1')).resolves.toMatchObject({ layout_id: 'layout-1' });
+
+      expect(call(queries[2], 'update')[1]).toMatchObject({ layout_id: 'layout-1' });
+      expect(layoutService.assignmentService.recordHistory).toHaveBeenCalledWith(expect.objectContaining({
+        screenId: 'screen-1',
+        action: 'created',
+        oldLayoutId: null,
+        newLayoutId: 'layout-1',
+        source: 'layout'
+      }));
+      expect(realtimeService.notifyAssignmentChanged).toHaveBeenCalledWith('screen-1', { layoutId: 'layout-1' });
+    });
+
+    it('records nothing when the layout stays the same', async () => {
+      respondWith(supabase,
+        { data: layout, error: null },
+        { data: { layout_id: 'layout-1' }, error: null },
+        { data: { id: 'screen-1', name: 'Lobby', layout_id: 'layout-1' }, error: null }
+      );
+
+      await layoutService.setScreenLayout('screen-1', 'layout-1', 'org-1', 'user-1');
+
+      expect(layoutService.assignmentService.recordHistory).not.toHaveBeenCalled();
+    });
+
+    it('refuses layouts of other organizations', async () => {
+      respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(layoutService.setScreenLayout('screen-1', 'layout-1', 'org-2'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'LAYOUT_NOT_FOUND' });
+    });
+  });
+
+  describe('deleteLayout', () => {
+    it('returns its screens to full-screen playback', async () => {
+      const queries = respondWith(supabase,
+        { data: layout, error: null },
+        { data: [{ id: 'screen-1' }, { id: 'screen-2' }], error: null },
+        { error: null },
+        { error: null }
+      );
+
+      await expect(layoutService.deleteLayout('layout-1', 'org-1', 'user-1')).resolves.toBe('Menu board');
+
+      expect(call(queries[2], 'update')[1]).toEqual({ layout_id: null });
+      expect(layoutService.assignmentService.recordHistoryForScreens).toHaveBeenCalledWith(['screen-1', 'screen-2'], expect.objectContaining({
+        action: 'removed',
+        oldLayoutId: 'layout-1',
+        reason: 'Layout "Menu board" deleted'
+      }));
+      expect(realtimeService.notifyScreens).toHaveBeenCalledWith(['screen-1', 'screen-2'], 'assignment-changed', { layoutId: null });
+    });
+  });
+
+  describe('processLayoutData', () => {
+    it('orders regions by stacking order for the player', () => {
+      const processed = layoutService.processLayoutData({
+        ...layout,
+        layout_regions: [
+          { id: 'r2', name: 'logo', x: 0, y: 0, width: 10, height: 10, unit: '%', z_index: 2, playlist_id: 'playlist-2', playlists: { id: 'playlist-2', name: 'Logo' } },
+          { id: 'r1', name: 'main', x: 0, y: 0, width: 100, height: 100, unit: '%', z_index: 0, playlist_id: null }
+        ]
+      });
+
+      expect(processed.regions.map(({ name }) => name)).toEqual(['main', 'logo']);
+      expect(processed.regions[0]).toMatchObject({ zIndex: 0, playlistId: null, playlist: null });
+      expect(processed.layout_regions).toBeUndefined();
+    });
+  });
+});
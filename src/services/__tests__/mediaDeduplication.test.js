@@ -0,0 +1,193 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { MediaService } = require('../mediaService');
+
+const logo = { originalname: 'logo.png', mimetype: 'image/png', size: 4, buffer: Buffer.from('logo') };
+const LOGO_HASH = crypto.createHash('sha256').update('logo').digest('hex');
+
+const stored = (id, fields = {}) => ({
+  id,
+  name: `${id}.png`,
+  file_path: `user-1/${id}.png`,
+  thumbnail_paths: { small: `user-1/${id}_thumb_small.jpg` },
+  file_size: 4,
+  content_hash: LOGO_HASH,
+  created_at: '2026-03-01T10:00:00Z',
+  ...fields
+});
+
+/**
+ * A service with a stubbed processor and a recording storage
+ */
+const createService = () => {
+  const mediaService = new MediaService({
+    mediaProcessor: {
+      generateThumbnails: jest.fn(async () => ({})),
+      probe: jest.fn(async () => ({ duration: null, width: 64, height: 64, codec: 'png', bitrate: null }))
+    }
+  });
+  mediaService.storageService = {
+    uploadMedia: jest.fn(async () => ({ path: 'user-1/new.png' })),
+    getMediaType: jest.fn(() => 'image'),
+    deleteFiles: jest.fn(async () => {}),
+    getPublicUrl: jest.fn(filePath => `https://storage.example.com/${filePath}`),
+    getThumbnailUrls: jest.fn(() => ({}))
+  };
+  return mediaService;
+};
+
+const inserted = (query) => ({ data: { id: 'media-new', ...call(query, 'insert')[1] }, error: null });
+
+describe('media deduplication', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hashFile', () => {
+    it('hashes uploads in memory and on disk alike', async () => {
+      const mediaService = createService();
+      const filePath = path.join(os.tmpdir(), `dedup-${process.pid}.png`);
+      await fs.writeFile(filePath, 'logo');
+
+      try {
+        await expect(mediaService.hashFile(logo)).resolves.toBe(LOGO_HASH);
+        await expect(mediaService.hashFile({ path: filePath })).resolves.toBe(LOGO_HASH);
+      } finally {
+        await fs.unlink(filePath);
+      }
+    });
+  });
+
+  describe('saveMedia', () => {
+    it('reuses the stored file of identical content in the organization', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, { data: [stored('media-1', { width: 64, height: 64 })], error: null }, inserted);
+
+      const media = await mediaService.saveMedia(logo, 'user-2', 'org-1');
+
+      expect(media.deduplicated).toBe(true);
+      expect(queries[0].calls).toEqual(expect.arrayContaining([
+        ['eq', 'organization_id', 'org-1'],
+        ['eq', 'content_hash', LOGO_HASH]
+      ]));
+      expect(mediaService.storageService.uploadMedia).not.toHaveBeenCalled();
+      expect(mediaService.mediaProcessor.generateThumbnails).not.toHaveBeenCalled();
+      expect(call(queries[1], 'insert')[1]).toMatchObject({
+        file_path: 'user-1/media-1.png',
+        thumbnail_paths: { small: 'user-1/media-1_thumb_small.jpg' },
+        width: 64,
+        content_hash: LOGO_HASH,
+        created_by: 'user-2'
+      });
+    });
+
+    it('uploads content that is new to the organization', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, { data: [], error: null }, inserted);
+
+      const media = await mediaService.saveMedia(logo, 'user-1', 'org-1');
+
+      expect(media.deduplicated).toBe(false);
+      expect(mediaService.storageService.uploadMedia).toHaveBeenCalledWith(logo, 'user-1');
+      expect(call(queries[1], 'insert')[1]).toMatchObject({ file_path: 'user-1/new.png', content_hash: LOGO_HASH });
+    });
+
+    it('keeps the shared file when the record cannot be saved', async () => {
+      const mediaService = createService();
+      respondWith(supabase, { data: [stored('media-1')], error: null }, { data: null, error: { message: 'insert failed' } });
+
+      await expect(mediaService.saveMedia(logo, 'user-1', 'org-1')).rejects.toMatchObject({ code: 'DATABASE_ERROR' });
+      expect(mediaService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDuplicateGroups', () => {
+    it('groups media with the same content and counts the reclaimable storage', async () => {
+      const mediaService = createService();
+      respondWith(supabase, {
+        data: [
+          stored('media-1'),
+          stored('media-2'),
+          stored('media-3', { file_path: 'user-1/media-1.png' }),
+          stored('media-4', { content_hash: 'other' })
+        ],
+        error: null
+      });
+
+      const groups = await mediaService.getDuplicateGroups('org-1');
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0]).toMatchObject({ contentHash: LOGO_HASH, count: 3, distinctFiles: 2, reclaimableBytes: 4 });
+      expect(groups[0].media.map(({ id }) => id)).toEqual(['media-1', 'media-2', 'media-3']);
+    });
+  });
+
+  describe('mergeDuplicates', () => {
+    const createMergeService = () => {
+      const mediaService = createService();
+      mediaService.getMediaById = jest.fn(async () => stored('media-1'));
+      mediaService.getVersionsUsingMedia = jest.fn(async () => [{ id: 'version-1', items: [{ media_id: 'media-2', duration: 10 }] }]);
+      mediaService.rewriteVersionItems = jest.fn(async () => {});
+      mediaService.removeFileIfUnused = jest.fn(async () => true);
+      return mediaService;
+    };
+
+    it('repoints references to the kept media and removes the duplicates', async () => {
+      const mediaService = createMergeService();
+      const queries = respondWith(supabase, { data: [stored('media-2')], error: null });
+
+      await expect(mediaService.mergeDuplicates('media-1', ['media-2', 'media-1'], 'org-1')).resolves.toMatchObject({
+        merged: [{ id: 'media-2', name: 'media-2.png' }]
+      });
+
+      expect(queries.slice(1, 4).map(query => query.table)).toEqual(['playlist_items', 'play_events', 'player_errors']);
+      for (const query of queries.slice(1, 4)) {
+        expect(call(query, 'update')[1]).toEqual({ media_id: 'media-1' });
+        expect(query.calls).toContainEqual(['in', 'media_id', ['media-2']]);
+      }
+      expect(queries[4].calls).toContainEqual(['delete']);
+      expect(queries[4].calls).toContainEqual(['in', 'id', ['media-2']]);
+      expect(mediaService.removeFileIfUnused).toHaveBeenCalledWith('user-1/media-2.png', { small: 'user-1/media-2_thumb_small.jpg' });
+
+      // Published snapshots point at the kept media as well
+      const [[versions, mapItems]] = mediaService.rewriteVersionItems.mock.calls;
+      expect(mapItems(versions[0].items)).toEqual([{ media_id: 'media-1', duration: 10 }]);
+    });
+
+    it('refuses to merge media with different content', async () => {
+      const mediaService = createMergeService();
+      const queries = respondWith(supabase, { data: [stored('media-2', { name: 'Banner', content_hash: 'other' })], error: null });
+
+      await expect(mediaService.mergeDuplicates('media-1', ['media-2'], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'CONTENT_MISMATCH', message: expect.stringContaining('Banner') });
+      expect(queries).toHaveLength(1);
+    });
+
+    it('refuses media of other organizations', async () => {
+      const mediaService = createMergeService();
+      const queries = respondWith(supabase, { data: [], error: null });
+
+      await expect(mediaService.mergeDuplicates('media-1', ['media-2'], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'MEDIA_NOT_FOUND' });
+      expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+    });
+
+    it('needs something to merge', async () => {
+      const mediaService = createMergeService();
+
+      await expect(mediaService.mergeDuplicates('media-1', ['media-1'], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'NO_DUPLICATES' });
+    });
+  });
+});
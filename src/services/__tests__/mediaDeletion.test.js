@@ -0,0 +1,139 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { MediaService } = require('../mediaService');
+
+const media = {
+  id: 'media-1',
+  name: 'Spring sale',
+  file_path: 'org-1/spring-sale.mp4',
+  thumbnail_paths: { small: 'org-1/thumbnails/spring-sale-small.jpg' }
+};
+
+/**
+ * A service with the given playlist usage and a recording storage
+ */
+const createService = (usage = []) => {
+  const mediaService = new MediaService({ mediaProcessor: {} });
+  mediaService.getMediaById = jest.fn(async () => media);
+  mediaService.getMediaUsage = jest.fn(async () => usage);
+  mediaService.storageService = { deleteFiles: jest.fn(async () => {}) };
+  mediaService.playlistService.getPlaylistRevision = jest.fn(async () => 7);
+  mediaService.playlistService.editRevision = jest.fn(async (playlistId, revision, write) => {
+    await write();
+    return { id: playlistId, revision: revision + 1, published_version: null };
+  });
+  return mediaService;
+};
+
+describe('MediaService deletion', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(realtimeService, 'notifyPlaylistChanged').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('deleteMedia', () => {
+    it('refuses media used in playlists without force', async () => {
+      const mediaService = createService([{ id: 'p1', name: 'Lobby' }]);
+
+      await expect(mediaService.deleteMedia('media-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'MEDIA_IN_USE' });
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(mediaService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+
+    it('with force removes the draft items but leaves published versions as they are', async () => {
+      const mediaService = createService([{ id: 'p1', name: 'Lobby' }]);
+      const queries = respondWith(supabase, { data: [{ playlist_id: 'p1' }], error: null });
+
+      await expect(mediaService.deleteMedia('media-1', 'org-1', { force: true })).resolves.toBe('Spring sale');
+
+      const tables = queries.map(query => query.table);
+      expect(tables).not.toContain('playlist_versions');
+      expect(queries[1].table).toBe('playlist_items');
+      expect(queries[1].calls).toContainEqual(['delete']);
+      expect(realtimeService.notifyPlaylistChanged).toHaveBeenCalledWith('p1', 'content-updated', { itemsChanged: true });
+    });
+
+    it('with force removes the items of each playlist as a new revision', async () => {
+      const mediaService = createService([{ id: 'p1', name: 'Lobby' }, { id: 'p2', name: 'Window' }]);
+      const queries = respondWith(supabase, {
+        data: [{ playlist_id: 'p1' }, { playlist_id: 'p2' }, { playlist_id: 'p1' }],
+        error: null
+      });
+
+      await mediaService.deleteMedia('media-1', 'org-1', { force: true });
+
+      expect(mediaService.playlistService.getPlaylistRevision.mock.calls).toEqual([['p1', 'org-1'], ['p2', 'org-1']]);
+      expect(mediaService.playlistService.editRevision).toHaveBeenCalledTimes(2);
+      expect(mediaService.playlistService.editRevision).toHaveBeenCalledWith('p1', 7, expect.any(Function));
+      expect(queries[1].calls).toContainEqual(['eq', 'playlist_id', 'p1']);
+      expect(queries[2].calls).toContainEqual(['eq', 'playlist_id', 'p2']);
+    });
+
+    it('does not delete the media when a playlist changed meanwhile', async () => {
+      const mediaService = createService([{ id: 'p1', name: 'Lobby' }]);
+      mediaService.playlistService.editRevision.mockRejectedValue(Object.assign(new Error('Playlist was changed by someone else'), {
+        statusCode: 409,
+        code: 'REVISION_CONFLICT'
+      }));
+      const queries = respondWith(supabase, { data: [{ playlist_id: 'p1' }], error: null });
+
+      await expect(mediaService.deleteMedia('media-1', 'org-1', { force: true }))
+        .rejects.toMatchObject({ code: 'REVISION_CONFLICT' });
+      expect(queries.map(query => query.table)).not.toContain('media');
+      expect(mediaService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('storage', () => {
+    it('deletes the file and thumbnails once no media record uses them', async () => {
+      const mediaService = createService();
+      respondWith(supabase,
+        { data: null, error: null },
+        { count: 0, error: null }
+      );
+
+      await mediaService.deleteMedia('media-1', 'org-1');
+
+      expect(mediaService.storageService.deleteFiles)
+        .toHaveBeenCalledWith(['org-1/spring-sale.mp4', 'org-1/thumbnails/spring-sale-small.jpg']);
+    });
+
+    it('keeps a file another media record still uses', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase,
+        { data: null, error: null },
+        { count: 1, error: null }
+      );
+
+      await mediaService.deleteMedia('media-1', 'org-1');
+
+      expect(queries[1].calls).toContainEqual(['eq', 'file_path', 'org-1/spring-sale.mp4']);
+      expect(mediaService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+
+    it('keeps the file when the reference check fails', async () => {
+      const mediaService = createService();
+
+      respondWith(supabase, { count: null, error: { message: 'timeout' } });
+
+      await expect(mediaService.removeFileIfUnused(media.file_path, media.thumbnail_paths)).resolves.toBe(false);
+      expect(mediaService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+
+    it('has nothing to delete for media without a file', async () => {
+      const mediaService = createService();
+
+      await expect(mediaService.removeFileIfUnused(null)).resolves.toBe(false);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { MediaExpiryService, isWithinWindow, getNextWindowChange, validateWindow } = require('../mediaExpiryService');
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+describe('activation windows', () => {
+  describe('isWithinWindow', () => {
+    it('shows records inside their window, including its start', () => {
+      expect(isWithinWindow({ valid_from: '2026-03-01T12:00:00Z', valid_until: '2026-03-02T00:00:00Z' }, now)).toBe(true);
+      expect(isWithinWindow({ valid_from: null, valid_until: null }, now)).toBe(true);
+      expect(isWithinWindow(null, now)).toBe(true);
+    });
+
+    it('hides records before their start and from their end on', () => {
+      expect(isWithinWindow({ valid_from: '2026-03-01T12:00:01Z' }, now)).toBe(false);
+      expect(isWithinWindow({ valid_until: '2026-03-01T12:00:00Z' }, now)).toBe(false);
+    });
+  });
+
+  describe('getNextWindowChange', () => {
+    it('finds the earliest upcoming boundary of items and their media', () => {
+      const items = [
+        { valid_from: '2026-02-01T00:00:00Z', valid_until: '2026-03-05T00:00:00Z' },
+        { media: { valid_from: null, valid_until: '2026-03-02T08:00:00Z' } },
+        { valid_from: '2026-03-03T00:00:00Z' }
+      ];
+
+      expect(getNextWindowChange(items, now)).toBe('2026-03-02T08:00:00.000Z');
+    });
+
+    it('is null when nothing changes anymore', () => {
+      expect(getNextWindowChange([{ valid_until: '2026-02-01T00:00:00Z' }, {}], now)).toBeNull();
+    });
+  });
+
+  describe('validateWindow', () => {
+    it('returns the given dates as ISO strings and leaves out the missing ones', () => {
+      expect(validateWindow('2026-03-01', null)).toEqual({ validFrom: '2026-03-01T00:00:00.000Z', validUntil: null });
+      expect(validateWindow(undefined, undefined)).toEqual({});
+    });
+
+    it('rejects invalid dates and empty windows', () => {
+      expect(() => validateWindow('soon', null, 'Item 2')).toThrow(expect.objectContaining({ code: 'INVALID_DATE', message: expect.stringContaining('Item 2') }));
+      expect(() => validateWindow('2026-03-02', '2026-03-01')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_WINDOW' }));
+      expect(() => validateWindow('2026-03-01', '2026-03-01')).toThrow(expect.objectContaining({ code: 'INVALID_WINDOW' }));
+    });
+  });
+});
+
+describe('MediaExpiryService', () => {
+  let expiryService;
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(realtimeService, 'notifyPlaylistChanged').mockResolvedValue(0);
+    expiryService = new MediaExpiryService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('runExpiryCheck', () => {
+    it('flags expired media and refreshes every playlist whose content changed', async () => {
+      const queries = respondWith(supabase,
+        { data: [{ id: 'media-1', name: 'Spring sale', organization_id: 'org-1' }], error: null },
+        { data: [{ id: 'media-2' }], error: null },
+        { data: [{ playlist_id: 'playlist-3' }], error: null },
+        { data: [{ playlist_id: 'playlist-1' }, { playlist_id: 'playlist-2' }, { playlist_id: 'playlist-1' }], error: null }
+      );
+
+      await expect(expiryService.runExpiryCheck()).resolves.toEqual({ expired: 1, playlistsRefreshed: 3 });
+
+      expect(call(queries[0], 'update')[1]).toEqual({ expired_at: expect.any(String) });
+      expect(queries[0].calls).toContainEqual(['is', 'expired_at', null]);
+      expect(queries[3].calls).toContainEqual(['in', 'media_id', ['media-1', 'media-2']]);
+      expect(realtimeService.notifyPlaylistChanged.mock.calls.map(([playlistId]) => playlistId).sort())
+        .toEqual(['playlist-1', 'playlist-2', 'playlist-3']);
+      expect(realtimeService.notifyPlaylistChanged).toHaveBeenCalledWith('playlist-3', 'content-updated', { reason: 'activation-window' });
+    });
+
+    it('looks for changes since the previous run', async () => {
+      respondWith(supabase, { data: [], error: null }, { data: [], error: null }, { data: [], error: null });
+      await expiryService.runExpiryCheck();
+      const previousRun = expiryService.lastRunAt;
+
+      const queries = respondWith(supabase, { data: [], error: null }, { data: [], error: null }, { data: [], error: null });
+      await expect(expiryService.runExpiryCheck()).resolves.toEqual({ expired: 0, playlistsRefreshed: 0 });
+
+      expect(queries[1].calls).toContainEqual(['gt', 'valid_from', previousRun]);
+      expect(call(queries[2], 'or')[1]).toContain(`valid_until.gt."${previousRun}"`);
+      expect(queries).toHaveLength(3);
+      expect(realtimeService.notifyPlaylistChanged).not.toHaveBeenCalled();
+    });
+
+    it('does not advance past a run that failed', async () => {
+      respondWith(supabase, { data: [], error: null }, { data: null, error: { message: 'timeout' } }, { data: [], error: null });
+
+      await expect(expiryService.runExpiryCheck()).rejects.toThrow('Failed to fetch activation changes: timeout');
+      expect(expiryService.lastRunAt).toBeNull();
+    });
+  });
+
+  describe('getExpiredMedia', () => {
+    it('lists expired media with how often playlists still use them', async () => {
+      respondWith(supabase, {
+        data: [{ id: 'media-1', name: 'Spring sale', expired_at: '2026-03-01T00:00:00Z', playlist_items: [{ count: 2 }] }],
+        error: null
+      });
+
+      await expect(expiryService.getExpiredMedia('org-1')).resolves.toEqual([
+        { id: 'media-1', name: 'Spring sale', expired_at: '2026-03-01T00:00:00Z', usageCount: 2, playlist_items: undefined }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { MediaFolderService } = require('../mediaFolderService');
+
+// brand > logos > print, and a separate events folder
+const folderRows = [
+  { id: 'brand', name: 'Brand', parent_id: null },
+  { id: 'logos', name: 'Logos', parent_id: 'brand' },
+  { id: 'print', name: 'Print', parent_id: 'logos' },
+  { id: 'events', name: 'Events', parent_id: null }
+];
+
+describe('MediaFolderService', () => {
+  const folderService = new MediaFolderService();
+  const folders = new Map(folderRows.map(folder => [folder.id, folder]));
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('folder tree', () => {
+    it('lists ancestors nearest first', async () => {
+      await expect(folderService.getAncestorIds('print', folders)).resolves.toEqual(['logos', 'brand']);
+      await expect(folderService.getAncestorIds('brand', folders)).resolves.toEqual([]);
+    });
+
+    it('collects a folder and everything below it', async () => {
+      await expect(folderService.getDescendantIds(['brand'], folders)).resolves.toEqual(['brand', 'logos', 'print']);
+    });
+
+    it('stops on a broken tree that loops', async () => {
+      const looped = new Map([
+        ['a', { id: 'a', parent_id: 'b' }],
+        ['b', { id: 'b', parent_id: 'a' }]
+      ]);
+
+      await expect(folderService.getAncestorIds('a', looped)).resolves.toEqual(['b', 'a']);
+    });
+  });
+
+  describe('createFolder', () => {
+    it('creates a folder under a parent of the organization', async () => {
+      const queries = respondWith(supabase,
+        { data: folderRows[0], error: null },
+        { data: folderRows, error: null },
+        { data: { id: 'new', name: 'Posters', parent_id: 'brand', media: [{ count: 0 }] }, error: null }
+      );
+
+      await expect(folderService.createFolder({ name: ' Posters ', parentId: 'brand' }, 'user-1', 'org-1'))
+        .resolves.toMatchObject({ id: 'new', mediaCount: 0 });
+      expect(call(queries[2], 'insert')[1]).toEqual({ name: 'Posters', parent_id: 'brand', organization_id: 'org-1', created_by: 'user-1' });
+    });
+
+    it('limits the nesting depth', async () => {
+      const deep = Array.from({ length: 10 }, (_, i) => ({ id: `f${i}`, name: `F${i}`, parent_id: i ? `f${i - 1}` : null }));
+      respondWith(supabase, { data: deep[9], error: null }, { data: deep, error: null });
+
+      await expect(folderService.createFolder({ name: 'Too deep', parentId: 'f9' }, 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'FOLDER_TOO_DEEP' });
+    });
+
+    it('refuses parents of other organizations', async () => {
+      respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(folderService.createFolder({ name: 'Posters', parentId: 'brand' }, 'user-1', 'org-2'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'FOLDER_NOT_FOUND' });
+    });
+  });
+
+  describe('updateFolder', () => {
+    it('refuses to move a folder into its own sub-folder', async () => {
+      respondWith(supabase,
+        { data: folderRows[0], error: null },
+        { data: folderRows[2], error: null },
+        { data: folderRows, error: null }
+      );
+
+      await expect(folderService.updateFolder('brand', { parentId: 'print' }, 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'FOLDER_CYCLE' });
+    });
+
+    it('moves a folder to the root', async () => {
+      const queries = respondWith(supabase,
+        { data: folderRows[1], error: null },
+        { data: { ...folderRows[1], parent_id: null }, error: null }
+      );
+
+      await folderService.updateFolder('logos', { parentId: null }, 'org-1');
+
+      expect(call(queries[1], 'update')[1]).toMatchObject({ parent_id: null });
+    });
+  });
+
+  describe('deleteFolder', () => {
+    it('moves its media up to the parent folder', async () => {
+      const queries = respondWith(supabase,
+        { data: folderRows[2], error: null },
+        { data: [], error: null },
+        { error: null },
+        { error: null }
+      );
+
+      await expect(folderService.deleteFolder('print', 'org-1')).resolves.toBe('Print');
+      expect(call(queries[2], 'update')[1]).toEqual({ folder_id: 'logos' });
+      expect(queries[3].calls).toContainEqual(['delete']);
+    });
+
+    it('refuses folders with sub-folders', async () => {
+      const queries = respondWith(supabase,
+        { data: folderRows[0], error: null },
+        { data: [{ id: 'logos' }], error: null }
+      );
+
+      await expect(folderService.deleteFolder('brand', 'org-1')).rejects.toMatchObject({ statusCode: 400, code: 'FOLDER_HAS_CHILDREN' });
+      expect(queries).toHaveLength(2);
+    });
+  });
+
+  describe('moveMedia', () => {
+    it('moves media of the organization in bulk', async () => {
+      const queries = respondWith(supabase,
+        { data: folderRows[3], error: null },
+        { data: [{ id: 'media-1' }, { id: 'media-2' }], error: null }
+      );
+
+      await expect(folderService.moveMedia(['media-1', 'media-2'], 'events', 'org-1')).resolves.toBe(2);
+      expect(call(queries[1], 'update')[1]).toMatchObject({ folder_id: 'events' });
+      expect(queries[1].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+    });
+
+    it('reports media that could not be moved', async () => {
+      respondWith(supabase, { data: [{ id: 'media-1' }], error: null });
+
+      await expect(folderService.moveMedia(['media-1', 'media-9'], null, 'org-1'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'MEDIA_NOT_FOUND', message: expect.stringContaining('media-9') });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { MediaService } = require('../mediaService');
+const { PlaylistService } = require('../playlistService');
+
+const video = { originalname: 'clip.mp4', mimetype: 'video/mp4', size: 4096, buffer: Buffer.from('video') };
+
+const probed = { duration: 12.4, width: 1920, height: 1080, codec: 'h264', bitrate: 4000000 };
+
+/**
+ * A service whose processor reports the given probe result and whose storage records uploads
+ */
+const createMediaService = (probe) => {
+  const mediaService = new MediaService({
+    mediaProcessor: {
+      generateThumbnails: jest.fn(async () => ({})),
+      probe: jest.fn(probe)
+    }
+  });
+  mediaService.storageService = {
+    uploadMedia: jest.fn(async () => ({ path: 'user-1/clip.mp4' })),
+    getMediaType: jest.fn(() => 'video'),
+    deleteFiles: jest.fn(async () => {}),
+    getPublicUrl: jest.fn(path => `https://storage.example.com/${path}`),
+    getThumbnailUrls: jest.fn(() => ({}))
+  };
+  return mediaService;
+};
+
+describe('media metadata', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MediaService.saveMedia', () => {
+    it('stores what the probe found out about the upload', async () => {
+      const mediaService = createMediaService(async () => probed);
+      const queries = respondWith(supabase,
+        { data: [], error: null },
+        (query) => ({ data: { id: 'media-1', ...call(query, 'insert')[1] }, error: null })
+      );
+
+      await mediaService.saveMedia(video, 'user-1', 'org-1');
+
+      expect(mediaService.mediaProcessor.probe).toHaveBeenCalledWith(video.buffer, 'video/mp4');
+      expect(call(queries[1], 'insert')[1]).toMatchObject(probed);
+    });
+
+    it('still saves the upload when probing fails', async () => {
+      const mediaService = createMediaService(async () => { throw new Error('ffprobe crashed'); });
+      const queries = respondWith(supabase,
+        { data: [], error: null },
+        (query) => ({ data: { id: 'media-1', ...call(query, 'insert')[1] }, error: null })
+      );
+
+      await mediaService.saveMedia(video, 'user-1', 'org-1');
+
+      expect(call(queries[1], 'insert')[1]).toMatchObject({ duration: null, width: null, height: null, codec: null, bitrate: null });
+    });
+  });
+
+  describe('PlaylistService.validatePlaylistItems', () => {
+    const playlistService = new PlaylistService();
+
+    it('plays a video for its own length when no duration is given', async () => {
+      respondWith(supabase, { data: { id: 'media-1', type: 'video', duration: 12.4 }, error: null });
+
+      const [item] = await playlistService.validatePlaylistItems([{ media_id: 'media-1' }], 'org-1');
+
+      expect(item.duration).toBe(13);
+    });
+
+    it('keeps an explicit duration for videos', async () => {
+      respondWith(supabase, { data: { id: 'media-1', type: 'video', duration: 12.4 }, error: null });
+
+      const [item] = await playlistService.validatePlaylistItems([{ media_id: 'media-1', duration: 5 }], 'org-1');
+
+      expect(item.duration).toBe(5);
+    });
+
+    it('still requires a duration for videos of unknown length and for images', async () => {
+      respondWith(supabase, { data: { id: 'media-1', type: 'video', duration: null }, error: null });
+      await expect(playlistService.validatePlaylistItems([{ media_id: 'media-1' }], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'MISSING_DURATION' });
+
+      respondWith(supabase, { data: { id: 'media-2', type: 'image', duration: null }, error: null });
+      await expect(playlistService.validatePlaylistItems([{ media_id: 'media-2' }], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'MISSING_DURATION' });
+    });
+
+    it('plays very short videos for at least a second', async () => {
+      respondWith(supabase, { data: { id: 'media-1', type: 'video', duration: 0.2 }, error: null });
+
+      const [item] = await playlistService.validatePlaylistItems([{ media_id: 'media-1' }], 'org-1');
+
+      expect(item.duration).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { MediaProcessor } = require('../mediaProcessor');
+
+const missingBinary = () => Object.assign(new Error('spawn ENOENT'), { code: 'ENOENT' });
+
+/**
+ * A processor whose external tools are stubbed: `tools` maps a command to a
+ * handler (args) => Buffer, or to null for a tool that is not installed
+ */
+const createProcessor = (tools) => {
+  // Run without sharp so images go through ffmpeg like on hosts without it
+  const processor = new MediaProcessor({ sharp: null });
+  processor.runCommand = jest.fn(async (command, args) => {
+    const handler = tools[command];
+    if (!handler) {
+      throw missingBinary();
+    }
+    return handler(args);
+  });
+  return processor;
+};
+
+const frameCalls = (processor) => processor.runCommand.mock.calls
+  .filter(([command, args]) => command === 'ffmpeg' && args[0] !== '-version')
+  .map(([, args]) => args);
+
+describe('MediaProcessor', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateThumbnails', () => {
+    it('grabs a video poster frame for every size', async () => {
+      const processor = createProcessor({
+        ffmpeg: (args) => Buffer.from(args[0] === '-version' ? '' : `frame ${args[args.indexOf('-vf') + 1]}`)
+      });
+
+      const thumbnails = await processor.generateThumbnails('/videos/clip.mp4', 'video/mp4');
+
+      expect(Object.keys(thumbnails)).toEqual(['small', 'medium', 'large']);
+      expect(thumbnails.small.toString()).toBe('frame scale=\'min(160,iw)\':-2');
+      expect(frameCalls(processor).every(args => args[args.indexOf('-ss') + 1] === '1')).toBe(true);
+    });
+
+    it('falls back to the first frame for clips shorter than the poster offset', async () => {
+      const processor = createProcessor({
+        ffmpeg: (args) => (args[args.indexOf('-ss') + 1] === '0' ? Buffer.from('first frame') : Buffer.alloc(0))
+      });
+
+      const thumbnails = await processor.generateThumbnails('/videos/short.mp4', 'video/mp4');
+
+      expect(thumbnails.large.toString()).toBe('first frame');
+      expect(frameCalls(processor).map(args => args[args.indexOf('-ss') + 1])).toEqual(['1', '0', '0', '0']);
+    });
+
+    it('resizes images with ffmpeg when sharp is not installed', async () => {
+      const processor = createProcessor({ ffmpeg: () => Buffer.from('image frame') });
+
+      const thumbnails = await processor.generateThumbnails('/images/photo.png', 'image/png');
+
+      expect(Object.keys(thumbnails)).toEqual(['small', 'medium', 'large']);
+      expect(frameCalls(processor).every(args => args[args.indexOf('-ss') + 1] === '0')).toBe(true);
+    });
+
+    it('returns no thumbnails when ffmpeg is missing and checks for it only once', async () => {
+      const processor = createProcessor({});
+
+      await expect(processor.generateThumbnails('/videos/clip.mp4', 'video/mp4')).resolves.toEqual({});
+      await expect(processor.generateThumbnails('/images/photo.png', 'image/png')).resolves.toEqual({});
+
+      expect(processor.runCommand).toHaveBeenCalledTimes(1);
+      expect(processor.runCommand).toHaveBeenCalledWith('ffmpeg', ['-version']);
+    });
+
+    it('returns no thumbnails for other types without running anything', async () => {
+      const processor = createProcessor({});
+
+      await expect(processor.generateThumbnails('/docs/page.html', 'text/html')).resolves.toEqual({});
+      expect(processor.runCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkImageBackend', () => {
+    it('is quiet when ffmpeg can stand in for sharp', async () => {
+      const processor = createProcessor({ ffmpeg: () => Buffer.alloc(0) });
+
+      await expect(processor.checkImageBackend()).resolves.toBe(true);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('warns once when neither sharp nor ffmpeg is installed', async () => {
+      const processor = createProcessor({});
+
+      await expect(processor.checkImageBackend()).resolves.toBe(false);
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn.mock.calls[0][0]).toMatch(/Neither sharp nor ffmpeg/);
+    });
+  });
+
+  describe('probe', () => {
+    it('reports unknown metadata when ffprobe is missing', async () => {
+      const processor = createProcessor({});
+
+      await expect(processor.probe('/videos/clip.mp4', 'video/mp4')).resolves.toEqual({
+        duration: null,
+        width: null,
+        height: null,
+        codec: null,
+        bitrate: null
+      });
+    });
+
+    it('reads duration, size, codec and bitrate from ffprobe output', async () => {
+      const processor = createProcessor({
+        ffprobe: () => Buffer.from(JSON.stringify({
+          format: { duration: '12.3456', bit_rate: '800000' },
+          streams: [
+            { codec_type: 'audio', codec_name: 'aac' },
+            { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080 }
+          ]
+        }))
+      });
+
+      await expect(processor.probe('/videos/clip.mp4', 'video/mp4')).resolves.toEqual({
+        duration: 12.346,
+        width: 1920,
+        height: 1080,
+        codec: 'h264',
+        bitrate: 800000
+      });
+    });
+  });
+
+  describe('renderPdfPages', () => {
+    it('fails when pdftoppm is missing', async () => {
+      const processor = createProcessor({});
+
+      await expect(processor.renderPdfPages('/docs/deck.pdf')).rejects.toThrow('pdftoppm is not installed');
+    });
+
+    it('treats a pdftoppm that exits non-zero for -v as installed and returns pages in order', async () => {
+      const processor = createProcessor({
+        pdftoppm: async (args) => {
+          if (args[0] === '-v') {
+            throw new Error('pdftoppm exited with code 99');
+          }
+          const prefix = args[args.length - 1];
+          for (const page of [10, 2, 1]) {
+            await fs.writeFile(`${prefix}-${String(page).padStart(2, '0')}.jpg`, `page ${page}`);
+          }
+          await fs.writeFile(path.join(path.dirname(prefix), 'notes.txt'), 'ignored');
+          return Buffer.alloc(0);
+        }
+      });
+
+      const pages = await processor.renderPdfPages('/docs/deck.pdf');
+
+      expect(pages.map(page => page.toString())).toEqual(['page 1', 'page 2', 'page 10']);
+    });
+  });
+});
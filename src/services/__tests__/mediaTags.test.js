@@ -0,0 +1,142 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { MediaService } = require('../mediaService');
+
+/**
+ * A service with storage URLs stubbed out
+ */
+const createService = () => {
+  const mediaService = new MediaService({ mediaProcessor: {} });
+  mediaService.storageService = {
+    getPublicUrl: jest.fn(filePath => `https://storage.example.com/${filePath}`),
+    getThumbnailUrls: jest.fn(() => ({}))
+  };
+  return mediaService;
+};
+
+const updatedTags = (queries) => queries
+  .filter(query => call(query, 'update'))
+  .map(query => [query.calls.find(([method, field]) => method === 'eq' && field === 'id')[2], call(query, 'update')[1].tags]);
+
+describe('media tags and library filters', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeTags', () => {
+    const mediaService = createService();
+
+    it('trims, lowercases and de-duplicates', () => {
+      expect(mediaService.normalizeTags([' Logo', 'logo', 'Summer 2026', ''])).toEqual(['logo', 'summer 2026']);
+    });
+
+    it.each([
+      ['logo', 'INVALID_TAGS'],
+      [[42], 'INVALID_TAGS'],
+      [['x'.repeat(51)], 'TAG_TOO_LONG'],
+      [Array.from({ length: 21 }, (_, i) => `tag-${i}`), 'TOO_MANY_TAGS']
+    ])('rejects invalid tags (%#)', (tags, code) => {
+      expect(() => mediaService.normalizeTags(tags)).toThrow(expect.objectContaining({ statusCode: 400, code }));
+    });
+  });
+
+  describe('bulkUpdateTags', () => {
+    it('adds and removes tags and only writes media that changed', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, {
+        data: [
+          { id: 'media-1', tags: ['logo', 'draft'] },
+          { id: 'media-2', tags: ['logo'] }
+        ],
+        error: null
+      });
+
+      await expect(mediaService.bulkUpdateTags(['media-1', 'media-2'], { add: ['Logo'], remove: ['draft'] }, 'org-1')).resolves.toBe(1);
+      expect(updatedTags(queries)).toEqual([['media-1', ['logo']]]);
+    });
+
+    it('refuses media outside the organization', async () => {
+      const mediaService = createService();
+      respondWith(supabase, { data: [{ id: 'media-1', tags: [] }], error: null });
+
+      await expect(mediaService.bulkUpdateTags(['media-1', 'media-9'], { add: ['logo'] }, 'org-1'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'MEDIA_NOT_FOUND' });
+    });
+  });
+
+  describe('renameTag', () => {
+    it('merges into the new name when media already carry it', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, {
+        data: [
+          { id: 'media-1', tags: ['logos', 'brand'] },
+          { id: 'media-2', tags: ['logos', 'logo'] }
+        ],
+        error: null
+      });
+
+      await expect(mediaService.renameTag('Logos', 'logo', 'org-1')).resolves.toBe(2);
+      expect(queries[0].calls).toContainEqual(['contains', 'tags', ['logos']]);
+      expect(updatedTags(queries)).toEqual([['media-1', ['logo', 'brand']], ['media-2', ['logo']]]);
+    });
+  });
+
+  describe('getTags', () => {
+    it('counts the media carrying each tag, by name', async () => {
+      const mediaService = createService();
+      respondWith(supabase, { data: [{ tags: ['logo', 'brand'] }, { tags: ['logo'] }], error: null });
+
+      const tags = await mediaService.getTags('org-1');
+
+      expect(tags).toEqual([{ name: 'brand', count: 1 }, { name: 'logo', count: 2 }]);
+    });
+  });
+
+  describe('getUserMedia', () => {
+    it('filters by tags, mime types, dates and size', async () => {
+      const mediaService = createService();
+      const queries = respondWith(supabase, { data: [], error: null, count: 0 });
+
+      await mediaService.getUserMedia({
+        organizationId: 'org-1',
+        folderId: 'root',
+        tags: ['Logo', 'brand'],
+        mimeTypes: ['IMAGE/PNG'],
+        from: '2026-01-01T00:00:00.000Z',
+        to: '2026-02-01T00:00:00.000Z',
+        minSize: 1024,
+        maxSize: 2048
+      });
+
+      expect(queries[0].calls).toEqual(expect.arrayContaining([
+        ['is', 'folder_id', null],
+        ['contains', 'tags', ['logo', 'brand']],
+        ['in', 'mime_type', ['image/png']],
+        ['gte', 'created_at', '2026-01-01T00:00:00.000Z'],
+        ['lte', 'created_at', '2026-02-01T00:00:00.000Z'],
+        ['gte', 'file_size', 1024],
+        ['lte', 'file_size', 2048]
+      ]));
+    });
+
+    it('includes sub-folders when asked', async () => {
+      const mediaService = createService();
+      mediaService.mediaFolderService = {
+        getFolderMap: jest.fn(async () => new Map()),
+        getDescendantIds: jest.fn(async () => ['brand', 'logos'])
+      };
+      const queries = respondWith(supabase, { data: [], error: null, count: 0 });
+
+      await mediaService.getUserMedia({ organizationId: 'org-1', folderId: 'brand', includeSubfolders: true });
+
+      expect(queries[0].calls).toContainEqual(['in', 'folder_id', ['brand', 'logos']]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { OrganizationService, ORGANIZATION_ROLES } = require('../organizationService');
+
+const membership = (role) => ({ data: { role, organizations: { id: 'org-1', name: 'Agency' } }, error: null });
+
+describe('organization roles', () => {
+  const organizationService = new OrganizationService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hasRole', () => {
+    it('ranks member < editor < admin < owner', () => {
+      expect(ORGANIZATION_ROLES).toEqual(['member', 'editor', 'admin', 'owner']);
+      expect(organizationService.hasRole('owner', 'admin')).toBe(true);
+      expect(organizationService.hasRole('editor', 'editor')).toBe(true);
+      expect(organizationService.hasRole('editor', 'admin')).toBe(false);
+      expect(organizationService.hasRole('member', 'editor')).toBe(false);
+    });
+
+    it('grants nothing to unknown roles', () => {
+      expect(organizationService.hasRole(undefined, 'member')).toBe(false);
+      expect(organizationService.hasRole('viewer', 'member')).toBe(false);
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    it('rejects roles that do not exist', async () => {
+      await expect(organizationService.updateMemberRole('org-1', 'user-2', 'superuser'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ROLE' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('changes the role within the organization only', async () => {
+      const queries = respondWith(supabase,
+        membership('member'),
+        { data: { user_id: 'user-2', role: 'editor', created_at: '2026-01-01T00:00:00Z' }, error: null }
+      );
+
+      await expect(organizationService.updateMemberRole('org-1', 'user-2', 'editor')).resolves.toMatchObject({ userId: 'user-2', role: 'editor' });
+      expect(call(queries[1], 'update')[1]).toEqual({ role: 'editor' });
+      expect(queries[1].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+    });
+
+    it('refuses to demote the last owner', async () => {
+      const queries = respondWith(supabase, membership('owner'), { data: [], error: null });
+
+      await expect(organizationService.updateMemberRole('org-1', 'user-1', 'admin'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'LAST_OWNER' });
+      expect(queries).toHaveLength(2);
+    });
+
+    it('demotes an owner when another one remains', async () => {
+      respondWith(supabase,
+        membership('owner'),
+        { data: [{ user_id: 'user-3' }], error: null },
+        { data: { user_id: 'user-1', role: 'admin', created_at: '2026-01-01T00:00:00Z' }, error: null }
+      );
+
+      await expect(organizationService.updateMemberRole('org-1', 'user-1', 'admin')).resolves.toMatchObject({ role: 'admin' });
+    });
+
+    it('fails for users outside the organization', async () => {
+      respondWith(supabase, { data: null, error: null });
+
+      await expect(organizationService.updateMemberRole('org-1', 'user-9', 'editor'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'MEMBER_NOT_FOUND' });
+    });
+  });
+
+  describe('removeMember', () => {
+    it('refuses to remove the last owner', async () => {
+      const queries = respondWith(supabase, membership('owner'), { data: [], error: null });
+
+      await expect(organizationService.removeMember('org-1', 'user-1')).rejects.toMatchObject({ code: 'LAST_OWNER' });
+      expect(queries.some(query => query.calls.some(([method]) => method === 'delete'))).toBe(false);
+    });
+  });
+
+  describe('getDefaultOrganization', () => {
+    it('uses the oldest membership', async () => {
+      const getUserOrganizations = jest.spyOn(organizationService, 'getUserOrganizations').mockResolvedValue([
+        { id: 'org-1', name: 'Agency', role: 'editor' },
+        { id: 'org-2', name: 'Client', role: 'owner' }
+      ]);
+
+      await expect(organizationService.getDefaultOrganization({ id: 'user-1' })).resolves.toEqual({ id: 'org-1', name: 'Agency', role: 'editor' });
+      expect(getUserOrganizations).toHaveBeenCalledWith('user-1');
+    });
+
+    it('makes users without one the owner of a personal workspace', async () => {
+      jest.spyOn(organizationService, 'getUserOrganizations').mockResolvedValue([]);
+      const queries = respondWith(supabase,
+        { data: null, error: null },
+        { data: { id: 'org-9', name: 'new@example.com workspace' }, error: null },
+        { data: null, error: null }
+      );
+
+      await expect(organizationService.getDefaultOrganization({ id: 'user-1', email: 'new@example.com' }))
+        .resolves.toEqual({ id: 'org-9', name: 'new@example.com workspace', role: 'owner' });
+      expect(call(queries[0], 'upsert')[2]).toEqual({ onConflict: 'personal_owner_id', ignoreDuplicates: true });
+      expect(call(queries[2], 'upsert')[1]).toEqual({ organization_id: 'org-9', user_id: 'user-1', role: 'owner' });
+    });
+  });
+});
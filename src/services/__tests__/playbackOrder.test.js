@@ -0,0 +1,97 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { createSeededRandom, orderPlaybackEntries } = require('../playlistService');
+
+const ids = (entries) => entries.map(entry => entry.id);
+
+const sequence = (random, length) => Array.from({ length }, () => random());
+
+describe('createSeededRandom', () => {
+  it('yields the same numbers for the same seed', () => {
+    expect(sequence(createSeededRandom('screen-1:0'), 5)).toEqual(sequence(createSeededRandom('screen-1:0'), 5));
+  });
+
+  it('yields different numbers for different seeds', () => {
+    expect(sequence(createSeededRandom('screen-1:0'), 5)).not.toEqual(sequence(createSeededRandom('screen-1:1'), 5));
+  });
+
+  it('stays within [0, 1)', () => {
+    const values = sequence(createSeededRandom('range'), 1000);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('orderPlaybackEntries', () => {
+  const items = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id }));
+
+  it('keeps the order in sequential mode', () => {
+    expect(ids(orderPlaybackEntries(items, 'sequential'))).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  describe('shuffle', () => {
+    it('plays every entry once in a fixed order per seed', () => {
+      expect(ids(orderPlaybackEntries(items, 'shuffle', {}, createSeededRandom('screen-1:0')))).toEqual(['a', 'b', 'd', 'c', 'e']);
+      expect(ids(orderPlaybackEntries(items, 'shuffle', {}, createSeededRandom('screen-1:1')))).toEqual(['c', 'e', 'b', 'd', 'a']);
+    });
+
+    it('does not reorder the given entries', () => {
+      orderPlaybackEntries(items, 'shuffle', {}, createSeededRandom('screen-1:1'));
+      expect(ids(items)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+  });
+
+  describe('weighted', () => {
+    it('plays each entry weight times in a fixed order per seed', () => {
+      const entries = [{ id: 'a', weight: 3 }, { id: 'b', weight: 2 }, { id: 'c', weight: 1 }];
+
+      expect(ids(orderPlaybackEntries(entries, 'weighted', {}, createSeededRandom('screen-1:0')))).toEqual(['c', 'a', 'b', 'a', 'b', 'a']);
+    });
+
+    it('never repeats an entry while another one can be played', () => {
+      const entries = [{ id: 'a', weight: 4 }, { id: 'b', weight: 3 }, { id: 'c', weight: 2 }];
+
+      for (let pass = 0; pass < 50; pass++) {
+        const order = ids(orderPlaybackEntries(entries, 'weighted', {}, createSeededRandom(`screen-1:${pass}`)));
+        expect(order.filter(id => id === 'a')).toHaveLength(4);
+        expect(order.some((id, index) => index > 0 && id === order[index - 1])).toBe(false);
+      }
+    });
+
+    it('repeats only once the other entries have run out', () => {
+      const entries = [{ id: 'a', weight: 5 }, { id: 'b', weight: 1 }];
+
+      expect(ids(orderPlaybackEntries(entries, 'weighted', {}, createSeededRandom('x')))).toEqual(['a', 'b', 'a', 'a', 'a', 'a']);
+    });
+  });
+
+  describe('interleave', () => {
+    const entries = [
+      { id: 'r1' },
+      { id: 'r2' },
+      { id: 'ad1', interleave: true },
+      { id: 'r3' },
+      { id: 'r4' },
+      { id: 'ad2', interleave: true },
+      { id: 'r5' }
+    ];
+
+    it('plays flagged entries in turn after every N regular ones, starting per seed', () => {
+      const order = orderPlaybackEntries(entries, 'interleave', { interleaveEvery: 2 }, createSeededRandom('screen-1:0'));
+
+      expect(ids(order)).toEqual(['r1', 'r2', 'ad2', 'r3', 'r4', 'ad1', 'r5']);
+    });
+
+    it('plays a flagged entry after every regular one by default', () => {
+      const order = orderPlaybackEntries(entries, 'interleave', {}, () => 0);
+
+      expect(ids(order)).toEqual(['r1', 'ad1', 'r2', 'ad2', 'r3', 'ad1', 'r4', 'ad2', 'r5', 'ad1']);
+    });
+
+    it('plays entries in order when nothing or everything is flagged', () => {
+      const flagged = items.map(item => ({ ...item, interleave: true }));
+
+      expect(ids(orderPlaybackEntries(items, 'interleave', { interleaveEvery: 2 }))).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(ids(orderPlaybackEntries(flagged, 'interleave', { interleaveEvery: 2 }))).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { PlayerErrorService } = require('../playerErrorService');
+
+const screen = { id: 'screen-1', organization_id: 'org-1' };
+const MEDIA_ID = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+
+describe('PlayerErrorService', () => {
+  const playerErrorService = new PlayerErrorService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordError', () => {
+    it('stores the report for the screen and its organization', async () => {
+      const queries = respondWith(supabase, { data: { id: 'error-1' }, error: null });
+
+      await expect(playerErrorService.recordError(screen, {
+        message: 'Failed to decode video',
+        details: { code: 3 },
+        mediaId: MEDIA_ID,
+        playerVersion: 2.4
+      })).resolves.toEqual({ id: 'error-1' });
+
+      expect(call(queries[0], 'insert')[1]).toEqual({
+        organization_id: 'org-1',
+        screen_id: 'screen-1',
+        message: 'Failed to decode video',
+        details: { code: 3 },
+        media_id: MEDIA_ID,
+        player_version: '2.4'
+      });
+    });
+
+    it('truncates long messages', async () => {
+      const queries = respondWith(supabase, { data: { id: 'error-1' }, error: null });
+
+      await playerErrorService.recordError(screen, { message: 'x'.repeat(5000) });
+
+      expect(call(queries[0], 'insert')[1].message).toHaveLength(playerErrorService.maxMessageLength);
+    });
+
+    it.each([
+      [{}, 'MISSING_REQUIRED_FIELDS'],
+      [{ message: 'Oops', details: 'text' }, 'INVALID_DETAILS'],
+      [{ message: 'Oops', details: { log: 'x'.repeat(20 * 1024) } }, 'DETAILS_TOO_LARGE'],
+      [{ message: 'Oops', mediaId: 'not-a-uuid' }, 'INVALID_ID']
+    ])('rejects invalid reports (%#)', async (report, code) => {
+      await expect(playerErrorService.recordError(screen, report)).rejects.toMatchObject({ statusCode: 400, code });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getScreenErrors', () => {
+    it('filters the errors of one screen, newest first', async () => {
+      const queries = respondWith(supabase, { data: [{ id: 'error-1' }], error: null, count: 1 });
+
+      const result = await playerErrorService.getScreenErrors('screen-1', {
+        from: '2026-03-01',
+        mediaId: MEDIA_ID,
+        playerVersion: '2.4',
+        search: 'decode'
+      });
+
+      expect(queries[0].calls).toEqual(expect.arrayContaining([
+        ['eq', 'screen_id', 'screen-1'],
+        ['gte', 'created_at', '2026-03-01T00:00:00.000Z'],
+        ['eq', 'media_id', MEDIA_ID],
+        ['eq', 'player_version', '2.4'],
+        ['ilike', 'message', '%decode%'],
+        ['order', 'created_at', { ascending: false }],
+        ['range', 0, 49]
+      ]));
+      expect(result).toEqual({ errors: [{ id: 'error-1' }], pagination: { page: 1, limit: 50, total: 1, totalPages: 1 } });
+    });
+  });
+
+  describe('getHealthStates', () => {
+    it('marks screens with repeated recent errors as degraded', async () => {
+      const queries = respondWith(supabase, {
+        data: [
+          { screen_id: 'screen-1', created_at: '2026-03-01T10:00:00Z' },
+          { screen_id: 'screen-1', created_at: '2026-03-01T10:05:00Z' },
+          { screen_id: 'screen-1', created_at: '2026-03-01T10:01:00Z' },
+          { screen_id: 'screen-2', created_at: '2026-03-01T10:02:00Z' }
+        ],
+        error: null
+      });
+
+      const states = await playerErrorService.getHealthStates(['screen-1', 'screen-2', 'screen-3']);
+
+      expect(states.get('screen-1')).toEqual({ health: 'degraded', recentErrors: 3, lastErrorAt: '2026-03-01T10:05:00Z' });
+      expect(states.get('screen-2')).toEqual({ health: 'healthy', recentErrors: 1, lastErrorAt: '2026-03-01T10:02:00Z' });
+      expect(states.get('screen-3')).toEqual({ health: 'healthy', recentErrors: 0, lastErrorAt: null });
+
+      const [, , since] = call(queries[0], 'gte');
+      expect(Date.now() - new Date(since).getTime()).toBeGreaterThanOrEqual(playerErrorService.degradedWindow);
+    });
+
+    it('reports screens as healthy when the errors cannot be read', async () => {
+      respondWith(supabase, { data: null, error: { message: 'timeout' } });
+
+      const state = await playerErrorService.getHealthState('screen-1');
+
+      expect(state.health).toBe('healthy');
+    });
+
+    it('does not query without screens', async () => {
+      await expect(playerErrorService.getHealthStates([])).resolves.toEqual(new Map());
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { PlaylistService } = require('../playlistService');
+
+// Tables checked for references before a playlist is deleted, in order
+const USAGE_TABLES = ['screen_assignments', 'screen_schedules', 'group_assignments', 'layout_regions', 'playlist_items'];
+
+const unused = { data: [], error: null };
+const used = { data: [{ id: 'ref-1' }], error: null };
+
+/**
+ * Answer the playlist lookup, then the usage checks with the given table in use
+ */
+const respondWithUsage = (usedTable) => respondWith(supabase,
+  { data: { name: 'Lobby' }, error: null },
+  ...USAGE_TABLES.map(table => (table === usedTable ? used : unused)),
+  { data: null, error: null }
+);
+
+describe('PlaylistService.deletePlaylist', () => {
+  const playlistService = new PlaylistService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deletes a playlist nothing refers to', async () => {
+    const queries = respondWithUsage(null);
+
+    await expect(playlistService.deletePlaylist('p1', 'org-1')).resolves.toBe('Lobby');
+    expect(queries.map(query => query.table)).toEqual(['playlists', ...USAGE_TABLES, 'playlists']);
+    expect(queries[queries.length - 1].calls).toContainEqual(['delete']);
+  });
+
+  it.each(USAGE_TABLES)('refuses a playlist referenced from %s', async (table) => {
+    const queries = respondWithUsage(table);
+
+    await expect(playlistService.deletePlaylist('p1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'PLAYLIST_IN_USE' });
+    expect(queries.find(query => query.table === table).calls).toContainEqual(['eq', table === 'playlist_items' ? 'child_playlist_id' : 'playlist_id', 'p1']);
+    expect(queries.some(query => query.calls.some(([method]) => method === 'delete'))).toBe(false);
+  });
+
+  it('treats playlists of other organizations as missing', async () => {
+    const queries = respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+    await expect(playlistService.deletePlaylist('p1', 'org-2'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'PLAYLIST_NOT_FOUND' });
+    expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-2']);
+  });
+});
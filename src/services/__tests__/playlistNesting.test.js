@@ -0,0 +1,131 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { PlaylistService } = require('../playlistService');
+
+/**
+ * A service whose stored nesting is the given parent -> children lists
+ */
+const createService = (nesting) => {
+  const playlistService = new PlaylistService();
+  playlistService.getNestingMap = jest.fn(async () => new Map(
+    Object.entries(nesting).map(([parentId, childIds]) => [parentId, new Set(childIds)])
+  ));
+  return playlistService;
+};
+
+describe('PlaylistService.validateNesting', () => {
+  it('allows nesting unrelated playlists', async () => {
+    const playlistService = createService({ a: ['b'] });
+
+    await expect(playlistService.validateNesting('c', ['a'], 'org-1')).resolves.toBeUndefined();
+    expect(playlistService.getNestingMap).toHaveBeenCalledWith('org-1');
+  });
+
+  it('rejects a playlist containing itself', async () => {
+    const playlistService = createService({});
+
+    await expect(playlistService.validateNesting('a', ['a'], 'org-1'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'PLAYLIST_CYCLE' });
+  });
+
+  it('rejects a cycle through sub-playlists', async () => {
+    // b contains c, c contains a; a containing b closes the loop
+    const playlistService = createService({ b: ['c'], c: ['a'] });
+
+    await expect(playlistService.validateNesting('a', ['b'], 'org-1'))
+      .rejects.toMatchObject({ code: 'PLAYLIST_CYCLE' });
+  });
+
+  it('checks the new children rather than the stored ones of the edited playlist', async () => {
+    // Stored: a > b > c. Giving a the child c instead is fine; c containing a would loop
+    const playlistService = createService({ a: ['b'], b: ['c'] });
+
+    await expect(playlistService.validateNesting('a', ['c'], 'org-1')).resolves.toBeUndefined();
+    await expect(playlistService.validateNesting('c', ['a'], 'org-1'))
+      .rejects.toMatchObject({ code: 'PLAYLIST_CYCLE' });
+  });
+
+  it('allows a new playlist to contain any existing one', async () => {
+    const playlistService = createService({ a: ['b'], b: ['c'] });
+
+    await expect(playlistService.validateNesting(null, ['a'], 'org-1')).resolves.toBeUndefined();
+  });
+
+  it('allows the same sub-playlist in several branches', async () => {
+    const playlistService = createService({ b: ['d'], c: ['d'] });
+
+    await expect(playlistService.validateNesting('a', ['b', 'c'], 'org-1')).resolves.toBeUndefined();
+  });
+
+  describe('depth', () => {
+    it('allows chains up to the maximum depth', async () => {
+      // a > b > c > d > e is five levels
+      const playlistService = createService({ b: ['c'], c: ['d'], d: ['e'] });
+
+      await expect(playlistService.validateNesting('a', ['b'], 'org-1')).resolves.toBeUndefined();
+    });
+
+    it('counts the levels below the edited playlist', async () => {
+      const playlistService = createService({ b: ['c'], c: ['d'], d: ['e'], e: ['f'] });
+
+      await expect(playlistService.validateNesting('a', ['b'], 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'PLAYLIST_TOO_DEEP' });
+    });
+
+    it('counts the levels above the edited playlist', async () => {
+      // x > y > a already; a > b > c > d would make six levels
+      const playlistService = createService({ x: ['y'], y: ['a'], b: ['c'], c: ['d'] });
+
+      await expect(playlistService.validateNesting('a', ['b'], 'org-1'))
+        .rejects.toMatchObject({ code: 'PLAYLIST_TOO_DEEP' });
+    });
+  });
+});
+
+describe('PlaylistService.getPlaylistStats', () => {
+  const playlistService = new PlaylistService();
+
+  const media = (duration) => ({ duration, child_playlist_id: null });
+  const nested = (childId) => ({ duration: null, child_playlist_id: childId });
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  it('counts nested playlists with their own duration', async () => {
+    // a: 10s + b; b: 20s + c; c: 5s
+    respondWith(supabase, {
+      data: [
+        { id: 'a', playlist_items: [media(10), nested('b')] },
+        { id: 'b', playlist_items: [media(20), nested('c')] },
+        { id: 'c', playlist_items: [media(5)] }
+      ],
+      error: null
+    });
+
+    const stats = await playlistService.getPlaylistStats('org-1');
+
+    // a plays 35s, b 25s, c 5s
+    expect(stats.totalDuration).toBe(65);
+    expect(stats.totalItems).toBe(5);
+  });
+
+  it('stops at the maximum depth', () => {
+    // a > b > c > d > e > f: f is a sixth level and is never played from a
+    const chain = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const playlists = chain.map((id, index) => ({
+      id,
+      playlist_items: index < chain.length - 1 ? [media(1), nested(chain[index + 1])] : [media(100)]
+    }));
+
+    expect(playlistService.resolveNestedDuration('a', new Map(playlists.map(playlist => [playlist.id, playlist.playlist_items])))).toBe(5);
+  });
+
+  it('ignores nested playlists it cannot see', async () => {
+    respondWith(supabase, { data: [{ id: 'a', playlist_items: [media(10), nested('other-org')] }], error: null });
+
+    await expect(playlistService.getPlaylistStats('org-1')).resolves.toMatchObject({ totalDuration: 10 });
+  });
+});
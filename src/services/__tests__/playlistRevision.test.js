@@ -0,0 +1,128 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { PlaylistService } = require('../playlistService');
+
+/**
+ * Answer the next supabase queries with the given results, in order.
+ * Returns the recorded queries: { table, calls: [[method, ...args]] }.
+ */
+const respondWith = (...results) => {
+  const queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    const result = results[queries.length];
+    queries.push(query);
+
+    const builder = new Proxy({}, {
+      get: (target, method) => {
+        if (method === 'then') {
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+    return builder;
+  });
+  return queries;
+};
+
+const call = (query, method) => query.calls.find(([name]) => name === method);
+
+describe('PlaylistService revisions', () => {
+  const playlistService = new PlaylistService();
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  describe('getPlaylistRevision', () => {
+    it('returns the current revision', async () => {
+      respondWith({ data: { id: 'p1', revision: 4 }, error: null });
+
+      await expect(playlistService.getPlaylistRevision('p1', 'org-1')).resolves.toBe(4);
+    });
+
+    it('accepts the revision the client edited', async () => {
+      respondWith({ data: { id: 'p1', revision: 4 }, error: null });
+
+      await expect(playlistService.getPlaylistRevision('p1', 'org-1', '4')).resolves.toBe(4);
+    });
+
+    it('rejects an outdated revision', async () => {
+      respondWith({ data: { id: 'p1', revision: 5 }, error: null });
+
+      await expect(playlistService.getPlaylistRevision('p1', 'org-1', 4))
+        .rejects.toMatchObject({ statusCode: 409, code: 'REVISION_CONFLICT' });
+    });
+
+    it('rejects a revision that is not an integer', async () => {
+      respondWith({ data: { id: 'p1', revision: 5 }, error: null });
+
+      await expect(playlistService.getPlaylistRevision('p1', 'org-1', 'latest'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_REVISION' });
+    });
+
+    it('treats playlists of other organizations as missing', async () => {
+      const queries = respondWith({ data: null, error: { code: 'PGRST116' } });
+
+      await expect(playlistService.getPlaylistRevision('p1', 'org-2', 4))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PLAYLIST_NOT_FOUND' });
+      expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-2']);
+    });
+  });
+
+  describe('claimRevision', () => {
+    it('moves the playlist to the next revision only from the expected one', async () => {
+      const queries = respondWith({ data: [{ id: 'p1', revision: 5, published_version: null }], error: null });
+
+      await expect(playlistService.claimRevision('p1', 4)).resolves.toEqual({ id: 'p1', revision: 5, published_version: null });
+      expect(call(queries[0], 'update')[1]).toMatchObject({ revision: 5 });
+      expect(queries[0].calls).toContainEqual(['eq', 'revision', 4]);
+    });
+
+    it('fails when another edit claimed the revision first', async () => {
+      respondWith({ data: [], error: null });
+
+      await expect(playlistService.claimRevision('p1', 4))
+        .rejects.toMatchObject({ statusCode: 409, code: 'REVISION_CONFLICT' });
+    });
+  });
+
+  describe('editRevision', () => {
+    it('runs the write under the claimed revision', async () => {
+      respondWith({ data: [{ id: 'p1', revision: 5, published_version: 2 }], error: null });
+      const write = jest.fn(async () => {});
+
+      await expect(playlistService.editRevision('p1', 4, write)).resolves.toMatchObject({ revision: 5 });
+      expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not write when the revision was claimed by someone else', async () => {
+      respondWith({ data: [], error: null });
+      const write = jest.fn(async () => {});
+
+      await expect(playlistService.editRevision('p1', 4, write)).rejects.toMatchObject({ code: 'REVISION_CONFLICT' });
+      expect(write).not.toHaveBeenCalled();
+    });
+
+    it('gives the revision back when the write fails', async () => {
+      const queries = respondWith(
+        { data: [{ id: 'p1', revision: 5, published_version: null }], error: null },
+        { data: null, error: null }
+      );
+
+      await expect(playlistService.editRevision('p1', 4, async () => {
+        throw new Error('Failed to save playlist items');
+      })).rejects.toThrow('Failed to save playlist items');
+
+      expect(queries).toHaveLength(2);
+      expect(call(queries[1], 'update')[1]).toEqual({ revision: 4 });
+      // Only undone if nothing moved the playlist on in the meantime
+      expect(queries[1].calls).toContainEqual(['eq', 'revision', 5]);
+    });
+  });
+});
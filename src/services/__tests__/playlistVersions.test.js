@@ -0,0 +1,180 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { PlaylistService } = require('../playlistService');
+
+const draftRows = [
+  { id: 'i1', playlist_id: 'p1', media_id: 'm1', child_playlist_id: null, order_index: 0, duration: 10, valid_from: null, valid_until: null, weight: 1, interleave: false },
+  { id: 'i2', playlist_id: 'p1', media_id: null, child_playlist_id: 'p2', order_index: 1, duration: null, valid_from: null, valid_until: null, weight: 2, interleave: false }
+];
+
+/**
+ * A service at revision 4 whose draft items are draftRows
+ */
+const createService = () => {
+  const playlistService = new PlaylistService();
+  playlistService.getPlaylistRevision = jest.fn(async () => 4);
+  playlistService.getPlaylistItemRows = jest.fn(async () => draftRows);
+  playlistService.setPublishedVersion = jest.fn(async () => {});
+  playlistService.editRevision = jest.fn(async (playlistId, revision, write) => {
+    await write();
+    return { id: playlistId, revision: revision + 1, published_version: 1 };
+  });
+  playlistService.replaceItemRows = jest.fn(async () => {});
+  playlistService.validateNesting = jest.fn(async () => {});
+  playlistService.getPlaylistById = jest.fn(async (id) => ({ id }));
+  return playlistService;
+};
+
+describe('PlaylistService versions', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(realtimeService, 'notifyPlaylistChanged').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('publishPlaylist', () => {
+    const playlist = { name: 'Lobby', description: null, playback_mode: 'shuffle', playback_settings: { avoidRepeats: true } };
+
+    it('snapshots the draft as the next version and makes it live', async () => {
+      const queries = respondWith(supabase,
+        { data: playlist, error: null },
+        { data: [{ version: 2 }], error: null },
+        (query) => ({ data: { id: 'v3', ...call(query, 'insert')[1] }, error: null })
+      );
+
+      const result = await createService().publishPlaylist('p1', 'user-1', 'org-1', { note: ' Spring ', revision: 4 });
+
+      const inserted = call(queries[2], 'insert')[1];
+      expect(inserted).toMatchObject({ version: 3, name: 'Lobby', playback_mode: 'shuffle', note: 'Spring', published_by: 'user-1' });
+      expect(inserted.items).toEqual([
+        { id: 'i1', media_id: 'm1', child_playlist_id: null, duration: 10, valid_from: null, valid_until: null, weight: 1, interleave: false },
+        { id: 'i2', media_id: null, child_playlist_id: 'p2', duration: null, valid_from: null, valid_until: null, weight: 2, interleave: false }
+      ]);
+      expect(result).toMatchObject({ version: 3, itemCount: 2, isLive: true });
+      expect(realtimeService.notifyPlaylistChanged).toHaveBeenCalledWith('p1', 'content-updated', { reason: 'published', version: 3 });
+    });
+
+    it('starts at version 1', async () => {
+      const playlistService = createService();
+      respondWith(supabase,
+        { data: playlist, error: null },
+        { data: [], error: null },
+        (query) => ({ data: { id: 'v1', ...call(query, 'insert')[1] }, error: null })
+      );
+
+      await playlistService.publishPlaylist('p1', 'user-1', 'org-1');
+
+      expect(playlistService.setPublishedVersion).toHaveBeenCalledWith('p1', 1);
+    });
+
+    it('refuses to publish a draft changed since the client loaded it', async () => {
+      const playlistService = createService();
+      playlistService.getPlaylistRevision.mockRejectedValue(Object.assign(new Error('Playlist was changed by someone else'), {
+        statusCode: 409,
+        code: 'REVISION_CONFLICT'
+      }));
+
+      await expect(playlistService.publishPlaylist('p1', 'user-1', 'org-1', { revision: 3 }))
+        .rejects.toMatchObject({ code: 'REVISION_CONFLICT' });
+      expect(playlistService.getPlaylistRevision).toHaveBeenCalledWith('p1', 'org-1', 3);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('loses to a concurrent publish of the same version number', async () => {
+      const playlistService = createService();
+      respondWith(supabase,
+        { data: playlist, error: null },
+        { data: [{ version: 2 }], error: null },
+        { data: null, error: { code: '23505', message: 'duplicate key value' } }
+      );
+
+      await expect(playlistService.publishPlaylist('p1', 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'PUBLISH_CONFLICT' });
+      expect(playlistService.setPublishedVersion).not.toHaveBeenCalled();
+      expect(realtimeService.notifyPlaylistChanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackPlaylist', () => {
+    const snapshot = {
+      id: 'v2',
+      version: 2,
+      playback_mode: 'sequential',
+      playback_settings: {},
+      items: [
+        { id: 'i1', media_id: 'm1', duration: 10 },
+        { id: 'i3', media_id: 'm-deleted', duration: 5 },
+        { id: 'i2', child_playlist_id: 'p2', weight: 2 },
+        { id: 'i4', child_playlist_id: 'p-deleted' }
+      ]
+    };
+
+    it('restores the version as a new revision and makes it live', async () => {
+      const playlistService = createService();
+      const queries = respondWith(supabase,
+        { data: snapshot, error: null },
+        { data: [{ id: 'm1' }], error: null },
+        { data: [{ id: 'p2' }], error: null },
+        { data: null, error: null }
+      );
+
+      const result = await playlistService.rollbackPlaylist('p1', 2, 'org-1');
+
+      expect(playlistService.editRevision).toHaveBeenCalledWith('p1', 4, expect.any(Function));
+      expect(call(queries[3], 'update')[1]).toEqual({ playback_mode: 'sequential', playback_settings: {} });
+      expect(playlistService.setPublishedVersion).toHaveBeenCalledWith('p1', 2);
+      expect(realtimeService.notifyPlaylistChanged).toHaveBeenCalledWith('p1', 'content-updated', { reason: 'rollback', version: 2 });
+      expect(result.skippedItems).toBe(2);
+    });
+
+    it('skips items whose media or nested playlist was deleted since', async () => {
+      const playlistService = createService();
+      const queries = respondWith(supabase,
+        { data: snapshot, error: null },
+        { data: [{ id: 'm1' }], error: null },
+        { data: [{ id: 'p2' }], error: null }
+      );
+
+      await playlistService.rollbackPlaylist('p1', 2, 'org-1');
+
+      // Existence is checked within the organization
+      expect(queries[1].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+      expect(queries[2].calls).toContainEqual(['eq', 'organization_id', 'org-1']);
+
+      const [, rows] = playlistService.replaceItemRows.mock.calls[0];
+      expect(rows.map(row => row.id)).toEqual(['i1', 'i2']);
+      expect(rows[1]).toMatchObject({ child_playlist_id: 'p2', weight: 2 });
+      expect(playlistService.validateNesting).toHaveBeenCalledWith('p1', ['p2'], 'org-1');
+    });
+
+    it('fails for an unknown version', async () => {
+      const playlistService = createService();
+      respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+      await expect(playlistService.rollbackPlaylist('p1', 9, 'org-1'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'VERSION_NOT_FOUND' });
+      expect(playlistService.editRevision).not.toHaveBeenCalled();
+    });
+
+    it('does not go live when the draft could not be restored', async () => {
+      const playlistService = createService();
+      playlistService.replaceItemRows.mockRejectedValue(new Error('Failed to save playlist items'));
+      respondWith(supabase,
+        { data: snapshot, error: null },
+        { data: [{ id: 'm1' }], error: null },
+        { data: [{ id: 'p2' }], error: null }
+      );
+
+      await expect(playlistService.rollbackPlaylist('p1', 2, 'org-1')).rejects.toThrow('Failed to save playlist items');
+      expect(playlistService.setPublishedVersion).not.toHaveBeenCalled();
+      expect(realtimeService.notifyPlaylistChanged).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { ProofOfPlayService } = require('../proofOfPlayService');
+
+describe('ProofOfPlayService', () => {
+  const proofOfPlayService = new ProofOfPlayService();
+
+  describe('validatePlayEvent', () => {
+    const event = (fields) => ({
+      mediaId: '0b6b3c5e-8f4a-4c1d-9a2e-3f5d7c9b1a20',
+      startedAt: new Date(Date.now() - 60 * 1000).toISOString(),
+      duration: 10,
+      ...fields
+    });
+
+    it('accepts a valid event', () => {
+      expect(proofOfPlayService.validatePlayEvent(event())).toBeNull();
+      expect(proofOfPlayService.validatePlayEvent(event({
+        playlistId: '7c1e2a4b-5d6f-4a8b-9c0d-1e2f3a4b5c6d',
+        completed: true,
+        eventId: 'player-42'
+      }))).toBeNull();
+    });
+
+    it('rejects anything but an object', () => {
+      expect(proofOfPlayService.validatePlayEvent(null)).toBe('Event must be an object');
+      expect(proofOfPlayService.validatePlayEvent('play')).toBe('Event must be an object');
+    });
+
+    it('requires UUIDs for media and playlist', () => {
+      expect(proofOfPlayService.validatePlayEvent(event({ mediaId: undefined }))).toBe('mediaId must be a valid UUID');
+      expect(proofOfPlayService.validatePlayEvent(event({ mediaId: 'media-1' }))).toBe('mediaId must be a valid UUID');
+      expect(proofOfPlayService.validatePlayEvent(event({ playlistId: 'playlist-1' }))).toBe('playlistId must be a valid UUID');
+    });
+
+    it('requires a start time that is not in the future', () => {
+      expect(proofOfPlayService.validatePlayEvent(event({ startedAt: 'yesterday' }))).toBe('startedAt must be a valid date');
+      expect(proofOfPlayService.validatePlayEvent(event({
+        startedAt: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+      }))).toBe('startedAt cannot be in the future');
+    });
+
+    it('allows a few minutes of player clock drift', () => {
+      expect(proofOfPlayService.validatePlayEvent(event({
+        startedAt: new Date(Date.now() + 60 * 1000).toISOString()
+      }))).toBeNull();
+    });
+
+    it('requires a duration of at most a day', () => {
+      expect(proofOfPlayService.validatePlayEvent(event({ duration: 0 }))).toBeNull();
+      expect(proofOfPlayService.validatePlayEvent(event({ duration: '15' }))).toBeNull();
+      expect(proofOfPlayService.validatePlayEvent(event({ duration: -1 }))).toBe('duration must be between 0 and 86400 seconds');
+      expect(proofOfPlayService.validatePlayEvent(event({ duration: 86401 }))).toBe('duration must be between 0 and 86400 seconds');
+      expect(proofOfPlayService.validatePlayEvent(event({ duration: 'long' }))).toBe('duration must be between 0 and 86400 seconds');
+    });
+
+    it('checks the optional completed flag and event ID', () => {
+      expect(proofOfPlayService.validatePlayEvent(event({ completed: 'yes' }))).toBe('completed must be a boolean');
+      expect(proofOfPlayService.validatePlayEvent(event({ eventId: 42 }))).toBe('eventId must be a string of at most 100 characters');
+      expect(proofOfPlayService.validatePlayEvent(event({ eventId: 'x'.repeat(101) }))).toBe('eventId must be a string of at most 100 characters');
+    });
+  });
+
+  describe('parseDimensions', () => {
+    it('accepts a comma-separated list or an array', () => {
+      expect(proofOfPlayService.parseDimensions('media, day')).toEqual(['media', 'day']);
+      expect(proofOfPlayService.parseDimensions(['screen', 'playlist'])).toEqual(['screen', 'playlist']);
+    });
+
+    it('drops duplicates and empty entries', () => {
+      expect(proofOfPlayService.parseDimensions('media,,media,screen,')).toEqual(['media', 'screen']);
+    });
+
+    it('requires at least one dimension', () => {
+      expect(() => proofOfPlayService.parseDimensions('')).toThrow('groupBy is required');
+      expect(() => proofOfPlayService.parseDimensions(' , ')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_GROUP_BY' }));
+    });
+
+    it('rejects unknown dimensions', () => {
+      expect(() => proofOfPlayService.parseDimensions('media,hour')).toThrow('groupBy must be one or more of: media, screen, playlist, day');
+    });
+  });
+
+  describe('toCsv', () => {
+    const stats = {
+      plays: 3,
+      completedPlays: 2,
+      totalDuration: 30,
+      firstPlayedAt: '2026-10-19T08:00:00Z',
+      lastPlayedAt: '2026-10-19T09:00:00Z'
+    };
+
+    it('writes an ID and name column per dimension (only an ID for day)', () => {
+      const csv = proofOfPlayService.toCsv({
+        groupBy: ['media', 'day'],
+        rows: [{ mediaId: 'm1', mediaName: 'Welcome', dayId: '2026-10-19', ...stats }]
+      });
+
+      expect(csv).toBe(
+        'mediaId,mediaName,dayId,plays,completedPlays,totalDuration,firstPlayedAt,lastPlayedAt\r\n' +
+        'm1,Welcome,2026-10-19,3,2,30,2026-10-19T08:00:00Z,2026-10-19T09:00:00Z\r\n'
+      );
+    });
+
+    it('quotes values with separators and leaves missing values empty', () => {
+      const csv = proofOfPlayService.toCsv({
+        groupBy: ['screen'],
+        rows: [{ screenId: 's1', screenName: 'Lobby, "north"', ...stats, firstPlayedAt: null }]
+      });
+
+      expect(csv.split('\r\n')[1]).toBe('s1,"Lobby, ""north""",3,2,30,,2026-10-19T09:00:00Z');
+    });
+
+    it('keeps names from being evaluated as spreadsheet formulas', () => {
+      const csv = proofOfPlayService.toCsv({
+        groupBy: ['playlist'],
+        rows: [{ playlistId: 'p1', playlistName: '=HYPERLINK("http://example.com")', ...stats }]
+      });
+
+      expect(csv.split('\r\n')[1]).toBe('p1,"\'=HYPERLINK(""http://example.com"")",3,2,30,2026-10-19T08:00:00Z,2026-10-19T09:00:00Z');
+    });
+
+    it('writes only the header for an empty report', () => {
+      expect(proofOfPlayService.toCsv({ groupBy: ['screen'], rows: [] }))
+        .toBe('screenId,screenName,plays,completedPlays,totalDuration,firstPlayedAt,lastPlayedAt\r\n');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { EventEmitter } = require('events');
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { RealtimeService } = require('../realtimeService');
+
+const screen = { id: 'screen-1', name: 'Lobby', device_code: 'LOBBY1' };
+
+const request = () => Object.assign(new EventEmitter(), { socket: { setKeepAlive: jest.fn() } });
+
+/**
+ * A response that collects what was written to the stream
+ */
+const response = () => ({
+  written: '',
+  setTimeout: jest.fn(),
+  writeHead: jest.fn(),
+  write: jest.fn(function (chunk) { this.written += chunk; }),
+  end: jest.fn()
+});
+
+/**
+ * Events written to a response, as [event, data] pairs
+ */
+const eventsOf = (res) => [...res.written.matchAll(/event: (\S+)\ndata: (.*)\n\n/g)]
+  .map(([, event, data]) => [event, JSON.parse(data)]);
+
+describe('RealtimeService', () => {
+  let realtimeService;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    supabase.from.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    realtimeService = new RealtimeService();
+    realtimeService.recordHeartbeat = jest.fn(async () => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('subscribe', () => {
+    it('opens an event stream and greets the player', () => {
+      const res = response();
+
+      realtimeService.subscribe(request(), res, screen);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.written).toMatch(/^retry: 5000\n\n/);
+      expect(eventsOf(res)[0]).toEqual(['connected', expect.objectContaining({ screen: { id: 'screen-1', name: 'Lobby' } })]);
+      expect(realtimeService.isConnected('LOBBY1')).toBe(true);
+    });
+
+    it('sends heartbeats and keeps the screen online', () => {
+      const res = response();
+      realtimeService.subscribe(request(), res, screen);
+
+      jest.advanceTimersByTime(realtimeService.heartbeatInterval * 2);
+
+      expect(eventsOf(res).filter(([event]) => event === 'heartbeat')).toHaveLength(2);
+      expect(realtimeService.recordHeartbeat).toHaveBeenCalledTimes(3);
+    });
+
+    it('forgets the connection when the player goes away', () => {
+      const req = request();
+      const res = response();
+      realtimeService.subscribe(req, res, screen);
+
+      req.emit('close');
+      jest.advanceTimersByTime(realtimeService.heartbeatInterval);
+
+      expect(realtimeService.isConnected('LOBBY1')).toBe(false);
+      expect(eventsOf(res).map(([event]) => event)).toEqual(['connected']);
+    });
+  });
+
+  describe('sendToDevice', () => {
+    it('reaches every open stream of the device', () => {
+      const first = response();
+      const second = response();
+      realtimeService.subscribe(request(), first, screen);
+      realtimeService.subscribe(request(), second, screen);
+
+      expect(realtimeService.sendToDevice('LOBBY1', 'content-updated', { playlistId: 'p1' })).toBe(2);
+      expect(realtimeService.sendToDevice('OTHER1', 'content-updated')).toBe(0);
+      expect(eventsOf(second).pop()).toEqual(['content-updated', expect.objectContaining({ playlistId: 'p1' })]);
+    });
+  });
+
+  describe('disconnect', () => {
+    it('tells the player why and closes the stream', () => {
+      const res = response();
+      realtimeService.subscribe(request(), res, screen);
+
+      expect(realtimeService.disconnect('LOBBY1', 'deleted')).toBe(1);
+
+      expect(eventsOf(res).pop()).toEqual(['revoked', expect.objectContaining({ reason: 'deleted' })]);
+      expect(res.end).toHaveBeenCalled();
+      expect(realtimeService.isConnected('LOBBY1')).toBe(false);
+    });
+  });
+
+  describe('notifyScreens', () => {
+    it('looks up device codes and sends to the connected ones', async () => {
+      const res = response();
+      realtimeService.subscribe(request(), res, screen);
+      const queries = respondWith(supabase, {
+        data: [screen, { id: 'screen-2', device_code: 'OFFLINE' }],
+        error: null
+      });
+
+      await expect(realtimeService.notifyScreens(['screen-1', 'screen-2', 'screen-1', null], 'assignment-changed')).resolves.toBe(1);
+
+      expect(queries[0].calls).toContainEqual(['in', 'id', ['screen-1', 'screen-2']]);
+      expect(eventsOf(res).pop()).toEqual(['assignment-changed', expect.objectContaining({ screenId: 'screen-1' })]);
+    });
+
+    it('skips the lookup while no player is connected', async () => {
+      await expect(realtimeService.notifyScreens(['screen-1'], 'assignment-changed')).resolves.toBe(0);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPlaylistAncestry', () => {
+    it('follows nesting up to every containing playlist once', async () => {
+      // c is in b, b is in a and in c (a cycle that validation would refuse, but must not hang)
+      respondWith(supabase,
+        { data: [{ playlist_id: 'b' }], error: null },
+        { data: [{ playlist_id: 'a' }, { playlist_id: 'c' }], error: null },
+        { data: [], error: null }
+      );
+
+      await expect(realtimeService.getPlaylistAncestry('c')).resolves.toEqual(['c', 'b', 'a']);
+    });
+  });
+});
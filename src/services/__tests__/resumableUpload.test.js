@@ -0,0 +1,184 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const fs = require('fs/promises');
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { ResumableUploadService } = require('../resumableUploadService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// Three parts of 4, 4 and 2 bytes
+const upload = (fields = {}) => ({
+  id: 'upload-1',
+  organization_id: 'org-1',
+  file_name: 'clip.mp4',
+  mime_type: 'video/mp4',
+  total_size: 10,
+  chunk_size: 4,
+  total_parts: 3,
+  status: 'uploading',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  updated_at: minutesAgo(1),
+  ...fields
+});
+
+const parts = [1, 2, 3].map(partNumber => ({
+  part_number: partNumber,
+  size: partNumber < 3 ? 4 : 2,
+  storage_path: `uploads/org-1/upload-1/part-0000${partNumber}`
+}));
+
+const partContent = { 1: 'abcd', 2: 'efgh', 3: 'ij' };
+
+/**
+ * A service whose storage serves the part contents and whose media service
+ * records the assembled file
+ */
+const createService = () => {
+  const uploadService = new ResumableUploadService();
+  uploadService.storageService = {
+    downloadFile: jest.fn(async (storagePath) => Buffer.from(partContent[storagePath.slice(-1)])),
+    deleteFiles: jest.fn(async () => {})
+  };
+  uploadService.mediaService = {
+    saveMedia: jest.fn(async (file) => {
+      uploadService.assembled = await fs.readFile(file.path, 'utf8');
+      return { id: 'media-1', name: file.originalname };
+    })
+  };
+  return uploadService;
+};
+
+describe('ResumableUploadService.completeUpload', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('assembles the parts in order into one media item', async () => {
+    const uploadService = createService();
+    const queries = respondWith(supabase,
+      { data: upload(), error: null },
+      { data: parts, error: null },
+      { data: [{ id: 'upload-1' }], error: null }
+    );
+
+    await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1')).resolves.toEqual({ id: 'media-1', name: 'clip.mp4' });
+
+    expect(uploadService.assembled).toBe('abcdefghij');
+    expect(uploadService.mediaService.saveMedia).toHaveBeenCalledWith(
+      expect.objectContaining({ originalname: 'clip.mp4', mimetype: 'video/mp4', size: 10 }), 'user-1', 'org-1'
+    );
+    expect(call(queries[2], 'update')[1]).toMatchObject({ status: 'completing' });
+    expect(call(queries[3], 'update')[1]).toMatchObject({ status: 'completed', media_id: 'media-1' });
+    expect(uploadService.storageService.deleteFiles).toHaveBeenCalledWith(parts.map(part => part.storage_path));
+
+    const tempPath = uploadService.mediaService.saveMedia.mock.calls[0][0].path;
+    await expect(fs.stat(tempPath)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('refuses to complete while parts are missing', async () => {
+    const uploadService = createService();
+    const queries = respondWith(supabase,
+      { data: upload(), error: null },
+      { data: parts.slice(0, 2), error: null }
+    );
+
+    await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'UPLOAD_INCOMPLETE', message: expect.stringContaining('3') });
+    expect(queries).toHaveLength(2);
+  });
+
+  it('assembles only once when completed twice at the same time', async () => {
+    const uploadService = createService();
+    respondWith(supabase,
+      { data: upload(), error: null },
+      { data: parts, error: null },
+      { data: [], error: null }
+    );
+
+    await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'UPLOAD_NOT_ACTIVE' });
+    expect(uploadService.storageService.downloadFile).not.toHaveBeenCalled();
+  });
+
+  it('refuses uploads that are already completed', async () => {
+    const uploadService = createService();
+    respondWith(supabase, { data: upload({ status: 'completed' }), error: null });
+
+    await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'UPLOAD_NOT_ACTIVE' });
+  });
+
+  it('refuses uploads of other organizations', async () => {
+    const uploadService = createService();
+    const queries = respondWith(supabase, { data: null, error: { code: 'PGRST116' } });
+
+    await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-2'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'UPLOAD_NOT_FOUND' });
+    expect(queries[0].calls).toContainEqual(['eq', 'organization_id', 'org-2']);
+  });
+
+  describe('stale completion', () => {
+    it('takes over a completion that stalled past the timeout', async () => {
+      const uploadService = createService();
+      const queries = respondWith(supabase,
+        { data: upload({ status: 'completing', updated_at: minutesAgo(31) }), error: null },
+        { data: parts, error: null },
+        { data: [{ id: 'upload-1' }], error: null }
+      );
+
+      await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1')).resolves.toMatchObject({ id: 'media-1' });
+
+      // The claim only wins over a completion that is still stale in the database
+      const [, filter] = call(queries[2], 'or');
+      const staleBefore = filter.match(/updated_at\.lt\."([^"]+)"/)[1];
+      expect(filter).toContain('status.eq.uploading');
+      expect(Date.now() - new Date(staleBefore).getTime()).toBeGreaterThanOrEqual(uploadService.completingTimeout);
+    });
+
+    it('leaves a completion that is still running alone', async () => {
+      const uploadService = createService();
+      respondWith(supabase, { data: upload({ status: 'completing', updated_at: minutesAgo(5) }), error: null });
+
+      await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'UPLOAD_NOT_ACTIVE' });
+      expect(uploadService.mediaService.saveMedia).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failures', () => {
+    it('lets the client retry when the assembled size is wrong', async () => {
+      const uploadService = createService();
+      const queries = respondWith(supabase,
+        { data: upload({ total_size: 11 }), error: null },
+        { data: parts, error: null },
+        { data: [{ id: 'upload-1' }], error: null }
+      );
+
+      await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'UPLOAD_SIZE_MISMATCH' });
+      expect(uploadService.mediaService.saveMedia).not.toHaveBeenCalled();
+      expect(call(queries[3], 'update')[1]).toMatchObject({ status: 'uploading' });
+    });
+
+    it('keeps the parts when saving the media fails', async () => {
+      const uploadService = createService();
+      uploadService.mediaService.saveMedia.mockRejectedValue(new Error('Storage unavailable'));
+      const queries = respondWith(supabase,
+        { data: upload(), error: null },
+        { data: parts, error: null },
+        { data: [{ id: 'upload-1' }], error: null }
+      );
+
+      await expect(uploadService.completeUpload('upload-1', 'user-1', 'org-1')).rejects.toThrow('Storage unavailable');
+      expect(call(queries[3], 'update')[1]).toMatchObject({ status: 'uploading' });
+      expect(queries).toHaveLength(4);
+      expect(uploadService.storageService.deleteFiles).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith } = require('../../__tests__/supabaseMock');
+const { realtimeService } = require('../realtimeService');
+const { ScheduleService } = require('../scheduleService');
+
+describe('ScheduleService.isScheduleActive', () => {
+  const scheduleService = new ScheduleService();
+
+  // 2026-10-19 is a Monday
+  const at = (iso) => new Date(iso);
+  const schedule = (fields) => ({
+    start_at: '2026-10-01T00:00:00Z',
+    timezone: 'UTC',
+    ...fields
+  });
+
+  describe('date range', () => {
+    it('is inactive before start_at and active from it', () => {
+      const entry = schedule({ start_at: '2026-10-19T09:00:00Z' });
+
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T08:59:59Z'))).toBe(false);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T09:00:00Z'))).toBe(true);
+    });
+
+    it('ends exclusively at end_at', () => {
+      const entry = schedule({ end_at: '2026-10-20T00:00:00Z' });
+
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T23:59:59Z'))).toBe(true);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-20T00:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('days of the week', () => {
+    it('only runs on the listed days', () => {
+      const entry = schedule({ days_of_week: [1, 3] });
+
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T12:00:00Z'))).toBe(true); // Monday
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-20T12:00:00Z'))).toBe(false); // Tuesday
+    });
+
+    it('runs every day when no days are listed', () => {
+      expect(scheduleService.isScheduleActive(schedule({ days_of_week: [] }), at('2026-10-20T12:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('time window', () => {
+    const entry = schedule({ start_time: '09:00', end_time: '17:00' });
+
+    it('includes the start and excludes the end', () => {
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T08:59:00Z'))).toBe(false);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T09:00:00Z'))).toBe(true);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T16:59:00Z'))).toBe(true);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-19T17:00:00Z'))).toBe(false);
+    });
+
+    it('uses the schedule timezone', () => {
+      const newYork = { ...entry, timezone: 'America/New_York' }; // UTC-4 in October
+
+      expect(scheduleService.isScheduleActive(newYork, at('2026-10-19T12:59:00Z'))).toBe(false);
+      expect(scheduleService.isScheduleActive(newYork, at('2026-10-19T13:00:00Z'))).toBe(true);
+      expect(scheduleService.isScheduleActive(newYork, at('2026-10-19T21:00:00Z'))).toBe(false);
+    });
+
+    it('checks the local day, not the UTC one', () => {
+      const tokyoMonday = schedule({ days_of_week: [1], timezone: 'Asia/Tokyo' }); // UTC+9
+
+      expect(scheduleService.isScheduleActive(tokyoMonday, at('2026-10-18T15:00:00Z'))).toBe(true); // Monday 00:00 in Tokyo
+      expect(scheduleService.isScheduleActive(tokyoMonday, at('2026-10-19T15:00:00Z'))).toBe(false); // Tuesday 00:00 in Tokyo
+    });
+  });
+
+  describe('overnight window', () => {
+    // Friday night 22:00 until Saturday 02:00
+    const entry = schedule({ start_time: '22:00', end_time: '02:00', days_of_week: [5] });
+
+    it('runs from the start on the listed day', () => {
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-23T21:59:00Z'))).toBe(false);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-23T22:00:00Z'))).toBe(true);
+    });
+
+    it('counts the early morning as part of the previous day', () => {
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-24T01:59:00Z'))).toBe(true); // Saturday
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-24T02:00:00Z'))).toBe(false);
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-23T01:00:00Z'))).toBe(false); // Friday, after Thursday
+    });
+
+    it('is inactive between the end and the start', () => {
+      expect(scheduleService.isScheduleActive(entry, at('2026-10-23T12:00:00Z'))).toBe(false);
+    });
+  });
+});
+
+describe('ScheduleService.runBoundaryCheck', () => {
+  // Weekday mornings 09:00-12:00 UTC on screen s1, over its own assignment
+  const morning = {
+    id: 'morning',
+    screen_id: 's1',
+    playlist_id: 'p-morning',
+    priority: 0,
+    start_at: '2026-10-01T00:00:00Z',
+    end_at: null,
+    days_of_week: [1, 2, 3, 4, 5],
+    start_time: '09:00',
+    end_time: '12:00',
+    timezone: 'UTC'
+  };
+  // A one-off promotion outranking it
+  const promotion = { ...morning, id: 'promotion', priority: 10, days_of_week: null, start_time: null, end_time: null, start_at: '2026-10-19T10:00:00Z', end_at: '2026-10-19T11:00:00Z' };
+
+  let scheduleService;
+
+  beforeEach(() => {
+    supabase.from.mockReset();
+    scheduleService = new ScheduleService();
+    jest.spyOn(realtimeService, 'notifyAssignmentChanged').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Run the check over the minute before the given time
+   */
+  const runAt = (iso, schedules) => {
+    const queries = respondWith(supabase, { data: schedules, error: null });
+    scheduleService.lastRunAt = new Date(new Date(iso).getTime() - 60 * 1000);
+    return { queries, result: scheduleService.runBoundaryCheck(new Date(iso)) };
+  };
+
+  it('tells the screen when its window opens', async () => {
+    const { result } = runAt('2026-10-19T09:00:30Z', [morning]);
+
+    await expect(result).resolves.toEqual({ screensNotified: 1 });
+    expect(realtimeService.notifyAssignmentChanged).toHaveBeenCalledWith('s1', { scheduleId: 'morning', reason: 'schedule-window' });
+  });
+
+  it('tells the screen when its window closes', async () => {
+    const { result } = runAt('2026-10-19T12:00:30Z', [morning]);
+
+    await result;
+    expect(realtimeService.notifyAssignmentChanged).toHaveBeenCalledWith('s1', { scheduleId: null, reason: 'schedule-window' });
+  });
+
+  it('tells the screen when a higher priority schedule ends', async () => {
+    const { result } = runAt('2026-10-19T11:00:30Z', [morning, promotion]);
+
+    await result;
+    expect(realtimeService.notifyAssignmentChanged).toHaveBeenCalledWith('s1', { scheduleId: 'morning', reason: 'schedule-window' });
+  });
+
+  it('stays quiet while the same schedule keeps winning', async () => {
+    // The morning window closes at 12:00, but the promotion beat it the whole time
+    const { result } = runAt('2026-10-19T10:30:00Z', [morning, promotion]);
+
+    await expect(result).resolves.toEqual({ screensNotified: 0 });
+    expect(realtimeService.notifyAssignmentChanged).not.toHaveBeenCalled();
+  });
+
+  it('includes schedules that ended since the last run', async () => {
+    const { queries, result } = runAt('2026-10-19T12:00:30Z', [morning]);
+
+    await result;
+    expect(queries[0].calls).toContainEqual(['eq', 'enabled', true]);
+    expect(queries[0].calls).toContainEqual(['or', 'end_at.is.null,end_at.gt."2026-10-19T11:59:30.000Z"']);
+    expect(scheduleService.lastRunAt).toEqual(new Date('2026-10-19T12:00:30Z'));
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const { respondWith, call } = require('../../__tests__/supabaseMock');
+const { ScreenshotService } = require('../screenshotService');
+
+const screen = { id: 'screen-1', organization_id: 'org-1' };
+const file = { originalname: 'shot.png', mimetype: 'image/png', size: 2048, buffer: Buffer.from('png') };
+
+/**
+ * A service with stubbed storage and command queue
+ */
+const createService = () => {
+  const screenshotService = new ScreenshotService();
+  screenshotService.storageService = {
+    uploadScreenshot: jest.fn(async () => ({ path: 'screenshots/screen-1/shot.png', mimeType: 'image/png', size: 2048 })),
+    deleteMedia: jest.fn(async () => {}),
+    deleteFiles: jest.fn(async () => {}),
+    getSignedUrl: jest.fn(async (path) => `https://storage.example.com/${path}?token=t`)
+  };
+  screenshotService.deviceCommandService = {
+    acknowledgeCommand: jest.fn(async () => ({})),
+    verifyScreen: jest.fn(async () => ({ id: 'screen-1' })),
+    queueCommand: jest.fn(async () => ({ id: 'command-1', type: 'screenshot', status: 'pending' }))
+  };
+  return screenshotService;
+};
+
+describe('ScreenshotService', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('storeScreenshot', () => {
+    it('stores the image under the screen and records it', async () => {
+      const screenshotService = createService();
+      const queries = respondWith(supabase,
+        { data: { id: 'shot-1' }, error: null },
+        { data: [], error: null }
+      );
+
+      await expect(screenshotService.storeScreenshot(screen, file, { capturedAt: '2026-03-01T10:00:00Z' })).resolves.toEqual({ id: 'shot-1' });
+
+      expect(screenshotService.storageService.uploadScreenshot).toHaveBeenCalledWith(file, 'screen-1');
+      expect(call(queries[0], 'insert')[1]).toEqual({
+        organization_id: 'org-1',
+        screen_id: 'screen-1',
+        file_path: 'screenshots/screen-1/shot.png',
+        mime_type: 'image/png',
+        file_size: 2048,
+        captured_at: '2026-03-01T10:00:00.000Z',
+        command_id: null
+      });
+      expect(screenshotService.deviceCommandService.acknowledgeCommand).not.toHaveBeenCalled();
+    });
+
+    it('keeps only the newest screenshots of the screen', async () => {
+      const screenshotService = createService();
+      const queries = respondWith(supabase,
+        { data: { id: 'shot-11' }, error: null },
+        { data: [{ id: 'shot-1', file_path: 'screenshots/screen-1/old.png' }], error: null },
+        { error: null }
+      );
+
+      await screenshotService.storeScreenshot(screen, file);
+
+      expect(queries[1].calls).toContainEqual(['range', screenshotService.maxPerScreen, screenshotService.maxPerScreen + 99]);
+      expect(queries[2].calls).toContainEqual(['in', 'id', ['shot-1']]);
+      expect(screenshotService.storageService.deleteFiles).toHaveBeenCalledWith(['screenshots/screen-1/old.png']);
+    });
+
+    it('acknowledges the command the screenshot answers', async () => {
+      const screenshotService = createService();
+      respondWith(supabase, { data: { id: 'shot-1' }, error: null }, { data: [], error: null });
+
+      await screenshotService.storeScreenshot(screen, file, { commandId: 'command-1' });
+
+      expect(screenshotService.deviceCommandService.acknowledgeCommand).toHaveBeenCalledWith('screen-1', 'command-1', {
+        status: 'acknowledged',
+        result: { screenshotId: 'shot-1' }
+      });
+    });
+
+    it('keeps the screenshot when the command cannot be acknowledged', async () => {
+      const screenshotService = createService();
+      screenshotService.deviceCommandService.acknowledgeCommand.mockRejectedValue(new Error('Command is already acknowledged'));
+      respondWith(supabase, { data: { id: 'shot-1' }, error: null }, { data: [], error: null });
+
+      await expect(screenshotService.storeScreenshot(screen, file, { commandId: 'command-1' })).resolves.toEqual({ id: 'shot-1' });
+    });
+
+    it('removes the uploaded file when it cannot be recorded', async () => {
+      const screenshotService = createService();
+      respondWith(supabase, { data: null, error: { message: 'insert failed' } });
+
+      await expect(screenshotService.storeScreenshot(screen, file)).rejects.toMatchObject({ statusCode: 500, code: 'DATABASE_ERROR' });
+      expect(screenshotService.storageService.deleteMedia).toHaveBeenCalledWith('screenshots/screen-1/shot.png');
+    });
+
+    it.each([
+      [undefined, {}, 'NO_FILE'],
+      [{ ...file, mimetype: 'image/gif' }, {}, 'INVALID_FILE_TYPE'],
+      [file, { capturedAt: 'yesterday' }, 'INVALID_DATE']
+    ])('rejects invalid uploads (%#)', async (upload, metadata, code) => {
+      const screenshotService = createService();
+
+      await expect(screenshotService.storeScreenshot(screen, upload, metadata)).rejects.toMatchObject({ statusCode: 400, code });
+      expect(screenshotService.storageService.uploadScreenshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getScreenshots', () => {
+    it('lists the newest screenshots with temporary URLs', async () => {
+      const screenshotService = createService();
+      const queries = respondWith(supabase, {
+        data: [{ id: 'shot-2', file_path: 'screenshots/screen-1/b.png' }, { id: 'shot-1', file_path: 'screenshots/screen-1/a.png' }],
+        error: null
+      });
+
+      const screenshots = await screenshotService.getScreenshots('screen-1', 'org-1');
+
+      expect(screenshotService.deviceCommandService.verifyScreen).toHaveBeenCalledWith('screen-1', 'org-1');
+      expect(queries[0].calls).toContainEqual(['order', 'captured_at', { ascending: false }]);
+      expect(screenshots.map(({ url }) => url)).toEqual([
+        'https://storage.example.com/screenshots/screen-1/b.png?token=t',
+        'https://storage.example.com/screenshots/screen-1/a.png?token=t'
+      ]);
+      expect(screenshotService.storageService.getSignedUrl).toHaveBeenCalledWith('screenshots/screen-1/b.png', screenshotService.urlExpiry);
+    });
+  });
+
+  describe('requestScreenshot', () => {
+    it('queues a screenshot command for the player', async () => {
+      const screenshotService = createService();
+
+      await expect(screenshotService.requestScreenshot('screen-1', 'user-1', 'org-1')).resolves.toMatchObject({ type: 'screenshot' });
+      expect(screenshotService.deviceCommandService.queueCommand).toHaveBeenCalledWith('screen-1', { type: 'screenshot' }, 'user-1', 'org-1');
+    });
+  });
+});
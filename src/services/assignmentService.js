@@ -1,9 +1,43 @@
 const { supabase } = require('../config/supabase');
 const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+const { ScreenGroupService } = require('./screenGroupService');
+
+// Actions recorded in assignment_history
+const HISTORY_ACTIONS = ['created', 'updated', 'removed'];
+
+const HISTORY_SELECT = `
+  *,
+  screens:screen_id (
+    id,
+    name,
+    location
+  ),
+  old_playlist:playlists!old_playlist_id (
+    id,
+    name
+  ),
+  new_playlist:playlists!new_playlist_id (
+    id,
+    name
+  ),
+  old_layout:layouts!old_layout_id (
+    id,
+    name
+  ),
+  new_layout:layouts!new_layout_id (
+    id,
+    name
+  ),
+  profiles:changed_by (
+    email
+  )
+`;
 
 class AssignmentService {
   constructor() {
     // Assignment service for managing screen-playlist assignments
+    this.screenGroupService = new ScreenGroupService();
   }
 
   /**
@@ -19,7 +53,7 @@ class AssignmentService {
         screenId,
         playlistId,
         status,
-        userId
+        organizationId
       } = filters;
 
       let query = supabase
@@ -38,7 +72,6 @@ class AssignmentService {
             id,
             name,
             description,
-            created_by,
             playlist_items (
               id,
               order_index,
@@ -50,7 +83,8 @@ class AssignmentService {
               )
             )
           )
-        `, { count: 'exact' });
+        `, { count: 'exact' })
+        .eq('organization_id', organizationId);
 
       // Apply filters
       if (screenId) {
@@ -61,11 +95,6 @@ class AssignmentService {
         query = query.eq('playlist_id', playlistId);
       }
 
-      if (userId) {
-        // Filter by playlists owned by the user
-        query = query.eq('playlists.created_by', userId);
-      }
-
       // Apply sorting
       const validSortFields = ['assigned_at', 'screens.name', 'playlists.name'];
       const sortField = validSortFields.includes(sortBy) ? sortBy : 'assigned_at';
@@ -107,27 +136,29 @@ class AssignmentService {
   /**
    * Create new assignment
    */
-  async createAssignment(assignmentData, userId) {
+  async createAssignment(assignmentData, userId, organizationId, source = 'manual') {
     try {
       const { screenId, playlistId } = assignmentData;
+      const reason = this.normalizeReason(assignmentData.reason);
 
-      // Validate screen exists
+      // Validate screen exists in the organization
       const { data: screen, error: screenError } = await supabase
         .from('screens')
         .select('id, name')
         .eq('id', screenId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (screenError || !screen) {
         throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
       }
 
-      // Validate playlist exists and belongs to user
+      // Validate playlist exists in the organization
       const { data: playlist, error: playlistError } = await supabase
         .from('playlists')
         .select('id, name')
         .eq('id', playlistId)
-        .eq('created_by', userId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (playlistError || !playlist) {
@@ -167,8 +198,7 @@ class AssignmentService {
             playlists:playlist_id (
               id,
               name,
-              description,
-              created_by
+              description
             )
           `)
           .single();
@@ -177,6 +207,20 @@ class AssignmentService {
           throw new ApiError(`Failed to update assignment: ${error.message}`, 400, 'UPDATE_FAILED');
         }
 
+        await this.recordHistory({
+          organizationId,
+          screenId,
+          assignmentId: data.id,
+          action: 'updated',
+          oldPlaylistId: existingAssignment.playlist_id,
+          newPlaylistId: playlistId,
+          userId,
+          reason,
+          source
+        });
+
+        realtimeService.notifyAssignmentChanged(screenId, { playlistId });
+
         return this.processAssignmentData(data);
       } else {
         // Create new assignment
@@ -185,6 +229,7 @@ class AssignmentService {
           .insert({
             screen_id: screenId,
             playlist_id: playlistId,
+            organization_id: organizationId,
             assigned_at: new Date().toISOString()
           })
           .select(`
@@ -200,8 +245,7 @@ class AssignmentService {
             playlists:playlist_id (
               id,
               name,
-              description,
-              created_by
+              description
             )
           `)
           .single();
@@ -210,6 +254,20 @@ class AssignmentService {
           throw new ApiError(`Failed to create assignment: ${error.message}`, 400, 'CREATE_FAILED');
         }
 
+        await this.recordHistory({
+          organizationId,
+          screenId,
+          assignmentId: data.id,
+          action: 'created',
+          oldPlaylistId: null,
+          newPlaylistId: playlistId,
+          userId,
+          reason,
+          source
+        });
+
+        realtimeService.notifyAssignmentChanged(screenId, { playlistId });
+
         return this.processAssignmentData(data);
       }
     } catch (error) {
@@ -221,38 +279,30 @@ class AssignmentService {
   /**
    * Update assignment
    */
-  async updateAssignment(assignmentId, updates, userId) {
+  async updateAssignment(assignmentId, updates, userId, organizationId) {
     try {
       const { playlistId } = updates;
+      const reason = this.normalizeReason(updates.reason);
 
-      // Validate assignment exists
+      // Validate assignment exists in the organization
       const { data: existingAssignment, error: fetchError } = await supabase
         .from('screen_assignments')
-        .select(`
-          *,
-          playlists:playlist_id (
-            created_by
-          )
-        `)
+        .select('*')
         .eq('id', assignmentId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (fetchError || !existingAssignment) {
         throw new ApiError('Assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
       }
 
-      // Check if user owns the current playlist
-      if (existingAssignment.playlists.created_by !== userId) {
-        throw new ApiError('Access denied', 403, 'ACCESS_DENIED');
-      }
-
       // Validate new playlist if provided
       if (playlistId) {
         const { data: playlist, error: playlistError } = await supabase
           .from('playlists')
           .select('id, name')
           .eq('id', playlistId)
-          .eq('created_by', userId)
+          .eq('organization_id', organizationId)
           .single();
 
         if (playlistError || !playlist) {
@@ -286,8 +336,7 @@ class AssignmentService {
           playlists:playlist_id (
             id,
             name,
-            description,
-            created_by
+            description
           )
         `)
         .single();
@@ -296,6 +345,19 @@ class AssignmentService {
         throw new ApiError(`Failed to update assignment: ${error.message}`, 400, 'UPDATE_FAILED');
       }
 
+      await this.recordHistory({
+        organizationId,
+        screenId: data.screen_id,
+        assignmentId: data.id,
+        action: 'updated',
+        oldPlaylistId: existingAssignment.playlist_id,
+        newPlaylistId: data.playlist_id,
+        userId,
+        reason
+      });
+
+      realtimeService.notifyAssignmentChanged(data.screen_id, { playlistId: data.playlist_id });
+
       return this.processAssignmentData(data);
     } catch (error) {
       console.error('Error in updateAssignment:', error);
@@ -306,9 +368,9 @@ class AssignmentService {
   /**
    * Remove assignment
    */
-  async removeAssignment(assignmentId, userId) {
+  async removeAssignment(assignmentId, userId, organizationId, reason) {
     try {
-      // Validate assignment exists and user has access
+      // Validate assignment exists in the organization
       const { data: assignment, error: fetchError } = await supabase
         .from('screen_assignments')
         .select(`
@@ -317,22 +379,17 @@ class AssignmentService {
             name
           ),
           playlists:playlist_id (
-            name,
-            created_by
+            name
           )
         `)
         .eq('id', assignmentId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (fetchError || !assignment) {
         throw new ApiError('Assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
       }
 
-      // Check if user owns the playlist
-      if (assignment.playlists.created_by !== userId) {
-        throw new ApiError('Access denied', 403, 'ACCESS_DENIED');
-      }
-
       // Remove assignment
       const { error } = await supabase
         .from('screen_assignments')
@@ -343,6 +400,19 @@ class AssignmentService {
         throw new ApiError(`Failed to remove assignment: ${error.message}`, 500, 'DELETE_FAILED');
       }
 
+      await this.recordHistory({
+        organizationId,
+        screenId: assignment.screen_id,
+        assignmentId,
+        action: 'removed',
+        oldPlaylistId: assignment.playlist_id,
+        newPlaylistId: null,
+        userId,
+        reason: this.normalizeReason(reason)
+      });
+
+      realtimeService.notifyAssignmentChanged(assignment.screen_id, { playlistId: null });
+
       return {
         screenName: assignment.screens.name,
         playlistName: assignment.playlists.name
@@ -356,7 +426,7 @@ class AssignmentService {
   /**
    * Remove assignment by screen ID
    */
-  async removeAssignmentByScreen(screenId, userId) {
+  async removeAssignmentByScreen(screenId, userId, organizationId, reason) {
     try {
       // Find assignment for the screen
       const { data: assignment, error: fetchError } = await supabase
@@ -367,11 +437,11 @@ class AssignmentService {
             name
           ),
           playlists:playlist_id (
-            name,
-            created_by
+            name
           )
         `)
         .eq('screen_id', screenId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (fetchError) {
@@ -381,11 +451,6 @@ class AssignmentService {
         throw new ApiError(`Failed to fetch assignment: ${fetchError.message}`, 500, 'FETCH_FAILED');
       }
 
-      // Check if user owns the playlist
-      if (assignment.playlists.created_by !== userId) {
-        throw new ApiError('Access denied', 403, 'ACCESS_DENIED');
-      }
-
       // Remove assignment
       const { error } = await supabase
         .from('screen_assignments')
@@ -396,6 +461,19 @@ class AssignmentService {
         throw new ApiError(`Failed to remove assignment: ${error.message}`, 500, 'DELETE_FAILED');
       }
 
+      await this.recordHistory({
+        organizationId,
+        screenId,
+        assignmentId: assignment.id,
+        action: 'removed',
+        oldPlaylistId: assignment.playlist_id,
+        newPlaylistId: null,
+        userId,
+        reason: this.normalizeReason(reason)
+      });
+
+      realtimeService.notifyAssignmentChanged(screenId, { playlistId: null });
+
       return {
         screenName: assignment.screens.name,
         playlistName: assignment.playlists.name
@@ -407,9 +485,9 @@ class AssignmentService {
   }
 
   /**
-   * Bulk assign playlists to screens
+   * Bulk assign playlists to screens. A per-item reason overrides the shared one.
    */
-  async bulkAssign(assignments, userId) {
+  async bulkAssign(assignments, userId, organizationId, reason) {
     const results = {
       successful: [],
       failed: []
@@ -417,7 +495,7 @@ class AssignmentService {
 
     for (const assignment of assignments) {
       try {
-        const result = await this.createAssignment(assignment, userId);
+        const result = await this.createAssignment({ reason, ...assignment }, userId, organizationId, 'bulk');
         results.successful.push({
           screenId: assignment.screenId,
           playlistId: assignment.playlistId,
@@ -435,10 +513,220 @@ class AssignmentService {
     return results;
   }
 
+  /**
+   * Assign playlist to a screen group. Member screens (and screens in sub-groups)
+   * inherit it unless they have their own assignment.
+   */
+  async assignPlaylistToGroup(groupId, playlistId, organizationId, userId = null, reason) {
+    try {
+      const normalizedReason = this.normalizeReason(reason);
+      const group = await this.screenGroupService.verifyGroupOwnership(groupId, organizationId);
+
+      // Validate playlist exists in the organization
+      const { data: playlist, error: playlistError } = await supabase
+        .from('playlists')
+        .select('id, name')
+        .eq('id', playlistId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (playlistError || !playlist) {
+        throw new ApiError('Playlist not found or access denied', 404, 'PLAYLIST_NOT_FOUND');
+      }
+
+      const { data: previous, error: previousError } = await supabase
+        .from('group_assignments')
+        .select('playlist_id')
+        .eq('group_id', groupId)
+        .maybeSingle();
+
+      if (previousError) {
+        throw new ApiError(`Failed to check existing assignment: ${previousError.message}`, 500, 'CHECK_FAILED');
+      }
+
+      const { data, error } = await supabase
+        .from('group_assignments')
+        .upsert({
+          group_id: groupId,
+          playlist_id: playlistId,
+          organization_id: organizationId,
+          assigned_at: new Date().toISOString()
+        }, {
+          onConflict: 'group_id'
+        })
+        .select(`
+          *,
+          playlists:playlist_id (
+            id,
+            name,
+            description
+          )
+        `)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to assign playlist to group: ${error.message}`, 400, 'GROUP_ASSIGN_FAILED');
+      }
+
+      const { screenIds, inheritingIds } = await this.getInheritingScreenIds(groupId);
+
+      await this.recordHistoryForScreens(inheritingIds, {
+        organizationId,
+        action: previous ? 'updated' : 'created',
+        oldPlaylistId: previous?.playlist_id,
+        newPlaylistId: playlistId,
+        userId,
+        reason: normalizedReason,
+        source: 'group'
+      });
+
+      realtimeService.notifyScreens(screenIds, 'assignment-changed', { groupId, playlistId });
+
+      return {
+        ...data,
+        group,
+        playlist: data.playlists,
+        inheritedBy: screenIds.length,
+        playlists: undefined
+      };
+    } catch (error) {
+      console.error('Error in assignPlaylistToGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove playlist assignment from a screen group
+   */
+  async removeGroupAssignment(groupId, organizationId, userId = null, reason) {
+    try {
+      const normalizedReason = this.normalizeReason(reason);
+      const group = await this.screenGroupService.verifyGroupOwnership(groupId, organizationId);
+
+      const { data, error } = await supabase
+        .from('group_assignments')
+        .delete()
+        .eq('group_id', groupId)
+        .select(`
+          playlist_id,
+          playlists:playlist_id (
+            name
+          )
+        `);
+
+      if (error) {
+        throw new ApiError(`Failed to remove group assignment: ${error.message}`, 500, 'DELETE_FAILED');
+      }
+
+      if (data.length === 0) {
+        throw new ApiError('No assignment found for this group', 404, 'ASSIGNMENT_NOT_FOUND');
+      }
+
+      const { screenIds, inheritingIds } = await this.getInheritingScreenIds(groupId);
+
+      await this.recordHistoryForScreens(inheritingIds, {
+        organizationId,
+        action: 'removed',
+        oldPlaylistId: data[0].playlist_id,
+        newPlaylistId: null,
+        userId,
+        reason: normalizedReason,
+        source: 'group'
+      });
+
+      realtimeService.notifyScreens(screenIds, 'assignment-changed', { groupId, playlistId: null });
+
+      return {
+        groupName: group.name,
+        playlistName: data[0].playlists?.name
+      };
+    } catch (error) {
+      console.error('Error in removeGroupAssignment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the assignment that applies to a screen: its own assignment overrides
+   * the nearest group assignment (direct groups first, then parent groups).
+   */
+  async getEffectiveAssignment(screenId) {
+    const { data: assignment, error } = await supabase
+      .from('screen_assignments')
+      .select(`
+        id,
+        playlist_id,
+        playlists (
+          id,
+          name,
+          description
+        )
+      `)
+      .eq('screen_id', screenId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new ApiError(`Failed to fetch assignment: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    if (assignment && assignment.playlists) {
+      return {
+        source: 'assignment',
+        assignmentId: assignment.id,
+        playlistId: assignment.playlist_id,
+        playlist: assignment.playlists
+      };
+    }
+
+    const chain = await this.screenGroupService.getScreenGroupChain(screenId);
+    if (chain.length === 0) {
+      return null;
+    }
+
+    const { data: groupAssignments, error: groupError } = await supabase
+      .from('group_assignments')
+      .select(`
+        id,
+        group_id,
+        playlist_id,
+        assigned_at,
+        playlists (
+          id,
+          name,
+          description
+        )
+      `)
+      .in('group_id', chain.map(link => link.groupId));
+
+    if (groupError) {
+      throw new ApiError(`Failed to fetch group assignments: ${groupError.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const depthOf = new Map(chain.map(link => [link.groupId, link.depth]));
+    const inherited = groupAssignments
+      .filter(groupAssignment => groupAssignment.playlists)
+      .sort((a, b) =>
+        depthOf.get(a.group_id) - depthOf.get(b.group_id) ||
+        new Date(b.assigned_at) - new Date(a.assigned_at)
+      )[0];
+
+    if (!inherited) {
+      return null;
+    }
+
+    return {
+      source: 'group',
+      assignmentId: inherited.id,
+      groupId: inherited.group_id,
+      playlistId: inherited.playlist_id,
+      playlist: inherited.playlists
+    };
+  }
+
   /**
    * Get assignment statistics
    */
-  async getAssignmentStats(userId = null) {
+  async getAssignmentStats(organizationId = null) {
     try {
       let query = supabase
         .from('screen_assignments')
@@ -446,14 +734,11 @@ class AssignmentService {
           id,
           screens:screen_id (
             status
-          ),
-          playlists:playlist_id (
-            created_by
           )
         `);
 
-      if (userId) {
-        query = query.eq('playlists.created_by', userId);
+      if (organizationId) {
+        query = query.eq('organization_id', organizationId);
       }
 
       const { data, error } = await query;
@@ -478,7 +763,7 @@ class AssignmentService {
   /**
    * Get screens without assignments
    */
-  async getUnassignedScreens() {
+  async getUnassignedScreens(organizationId) {
     try {
       const { data, error } = await supabase
         .from('screens')
@@ -490,6 +775,7 @@ class AssignmentService {
           status,
           last_heartbeat
         `)
+        .eq('organization_id', organizationId)
         .not('id', 'in', `(
           SELECT screen_id FROM screen_assignments
         )`);
@@ -508,34 +794,187 @@ class AssignmentService {
   /**
    * Get assignment history for a screen
    */
-  async getScreenAssignmentHistory(screenId) {
+  async getScreenAssignmentHistory(screenId, filters = {}) {
+    return this.getAssignmentHistory({ ...filters, screenId });
+  }
+
+  /**
+   * Get assignment history with filtering and pagination (newest first)
+   */
+  async getAssignmentHistory(filters = {}) {
     try {
-      // Note: This would require an assignment_history table for full history
-      // For now, we'll return the current assignment
-      const { data, error } = await supabase
-        .from('screen_assignments')
-        .select(`
-          *,
-          playlists:playlist_id (
-            id,
-            name,
-            description
-          )
-        `)
-        .eq('screen_id', screenId)
-        .order('assigned_at', { ascending: false });
+      const {
+        page = 1,
+        limit = 50,
+        screenId,
+        playlistId,
+        action,
+        changedBy,
+        from,
+        to,
+        organizationId
+      } = filters;
+
+      let query = supabase
+        .from('assignment_history')
+        .select(HISTORY_SELECT, { count: 'exact' })
+        .eq('organization_id', organizationId);
+
+      // Apply filters
+      if (screenId) {
+        query = query.eq('screen_id', screenId);
+      }
+
+      if (playlistId) {
+        query = query.or(`old_playlist_id.eq.${playlistId},new_playlist_id.eq.${playlistId}`);
+      }
+
+      if (action) {
+        query = query.eq('action', action);
+      }
+
+      if (changedBy) {
+        query = query.eq('changed_by', changedBy);
+      }
+
+      if (from) {
+        query = query.gte('created_at', new Date(from).toISOString());
+      }
+
+      if (to) {
+        query = query.lte('created_at', new Date(to).toISOString());
+      }
+
+      query = query.order('created_at', { ascending: false });
+
+      // Apply pagination
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const offset = (pageNum - 1) * limitNum;
+
+      query = query.range(offset, offset + limitNum - 1);
+
+      const { data, error, count } = await query;
 
       if (error) {
         throw new ApiError(`Failed to fetch assignment history: ${error.message}`, 500, 'FETCH_FAILED');
       }
 
-      return data.map(assignment => this.processAssignmentData(assignment));
+      return {
+        history: data.map(entry => this.processHistoryEntry(entry)),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count,
+          totalPages: Math.ceil(count / limitNum)
+        }
+      };
     } catch (error) {
-      console.error('Error in getScreenAssignmentHistory:', error);
+      console.error('Error in getAssignmentHistory:', error);
       throw error;
     }
   }
 
+  /**
+   * Append an entry to the assignment history. The assignment change has
+   * already happened at this point, so a failed write is logged, not thrown.
+   */
+  async recordHistory(entry) {
+    await this.recordHistoryForScreens([entry.screenId], entry);
+  }
+
+  /**
+   * Append the same history entry for several screens, e.g. the members of a
+   * group or the screens of a deleted layout
+   */
+  async recordHistoryForScreens(screenIds, entry) {
+    if (screenIds.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('assignment_history')
+      .insert(screenIds.map(screenId => ({
+        organization_id: entry.organizationId,
+        screen_id: screenId,
+        assignment_id: entry.assignmentId || null,
+        action: entry.action,
+        old_playlist_id: entry.oldPlaylistId || null,
+        new_playlist_id: entry.newPlaylistId || null,
+        old_layout_id: entry.oldLayoutId || null,
+        new_layout_id: entry.newLayoutId || null,
+        changed_by: entry.userId || null,
+        reason: entry.reason || null,
+        source: entry.source || 'manual'
+      })));
+
+    if (error) {
+      console.error('Failed to record assignment history:', error);
+    }
+  }
+
+  /**
+   * Screens of a group that inherit its assignment (no assignment of their own)
+   */
+  async getInheritingScreenIds(groupId) {
+    const screenIds = await this.screenGroupService.getScreenIdsForGroups([groupId]);
+    if (screenIds.length === 0) {
+      return { screenIds, inheritingIds: [] };
+    }
+
+    const { data, error } = await supabase
+      .from('screen_assignments')
+      .select('screen_id')
+      .in('screen_id', screenIds);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch assignments: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const assigned = new Set(data.map(assignment => assignment.screen_id));
+    return { screenIds, inheritingIds: screenIds.filter(id => !assigned.has(id)) };
+  }
+
+  /**
+   * Process history entry and flatten joined data
+   */
+  processHistoryEntry(entry) {
+    return {
+      ...entry,
+      screen: entry.screens,
+      oldPlaylist: entry.old_playlist,
+      newPlaylist: entry.new_playlist,
+      oldLayout: entry.old_layout,
+      newLayout: entry.new_layout,
+      changedByEmail: entry.profiles?.email || null,
+      screens: undefined,
+      old_playlist: undefined,
+      new_playlist: undefined,
+      old_layout: undefined,
+      new_layout: undefined,
+      profiles: undefined
+    };
+  }
+
+  /**
+   * Validate and trim an optional change reason
+   */
+  normalizeReason(reason) {
+    if (reason === undefined || reason === null || reason === '') {
+      return null;
+    }
+
+    if (typeof reason !== 'string') {
+      throw new ApiError('Reason must be a string', 400, 'INVALID_REASON');
+    }
+
+    if (reason.length > 500) {
+      throw new ApiError('Reason must be less than 500 characters', 400, 'REASON_TOO_LONG');
+    }
+
+    return reason.trim() || null;
+  }
+
   /**
    * Process assignment data and add calculated fields
    */
@@ -594,4 +1033,4 @@ class AssignmentService {
   }
 }
 
-module.exports = { AssignmentService };
\ No newline at end of file
+module.exports = { AssignmentService, HISTORY_ACTIONS };
\ No newline at end of file
@@ -11,7 +11,7 @@ setInterval(() => {
   if (tokenBlacklist.size > 1000) {
     tokenBlacklist.clear();
   }
-}, 60 * 60 * 1000); // Clean up every hour
+}, 60 * 60 * 1000).unref(); // Clean up every hour; never keeps the process alive on its own
 
 class AuthService {
   constructor() {
@@ -7,12 +7,12 @@ class DashboardService {
   }
 
   /**
-   * Get comprehensive system statistics with caching
+   * Get comprehensive statistics for an organization with caching
    */
-  async getSystemStats(useCache = true) {
+  async getSystemStats(organizationId, useCache = true) {
     try {
       // Check cache first (implement simple in-memory cache)
-      const cacheKey = 'system_stats';
+      const cacheKey = `system_stats:${organizationId}`;
       const cacheExpiry = 5 * 60 * 1000; // 5 minutes
       
       if (useCache && this.cache && this.cache[cacheKey]) {
@@ -22,7 +22,7 @@ class DashboardService {
         }
       }
 
-      const stats = await this.calculateSystemStats();
+      const stats = await this.calculateSystemStats(organizationId);
       
       // Cache the results
       if (!this.cache) this.cache = {};
@@ -41,7 +41,7 @@ class DashboardService {
   /**
    * Calculate comprehensive system statistics
    */
-  async calculateSystemStats() {
+  async calculateSystemStats(organizationId) {
     const now = new Date();
     const timeRanges = {
       oneHour: new Date(now.getTime() - 60 * 60 * 1000),
@@ -57,10 +57,10 @@ class DashboardService {
       playlistsData,
       assignmentsData
     ] = await Promise.all([
-      this.getScreensData(timeRanges),
-      this.getMediaData(timeRanges),
-      this.getPlaylistsData(timeRanges),
-      this.getAssignmentsData(timeRanges)
+      this.getScreensData(timeRanges, organizationId),
+      this.getMediaData(timeRanges, organizationId),
+      this.getPlaylistsData(timeRanges, organizationId),
+      this.getAssignmentsData(timeRanges, organizationId)
     ]);
 
     // Calculate derived metrics
@@ -85,10 +85,11 @@ class DashboardService {
   /**
    * Get comprehensive screen data and statistics
    */
-  async getScreensData(timeRanges) {
+  async getScreensData(timeRanges, organizationId) {
     const { data: screens, error } = await supabase
       .from('screens')
-      .select('id, name, status, last_heartbeat, created_at, updated_at, location');
+      .select('id, name, status, last_heartbeat, created_at, updated_at, location')
+      .eq('organization_id', organizationId);
 
     if (error) throw error;
 
@@ -126,10 +127,11 @@ class DashboardService {
   /**
    * Get comprehensive media data and statistics
    */
-  async getMediaData(timeRanges) {
+  async getMediaData(timeRanges, organizationId) {
     const { data: media, error } = await supabase
       .from('media')
-      .select('id, name, type, file_size, created_at, updated_at');
+      .select('id, name, type, file_size, created_at, updated_at')
+      .eq('organization_id', organizationId);
 
     if (error) throw error;
 
@@ -162,7 +164,7 @@ class DashboardService {
   /**
    * Get comprehensive playlist data and statistics
    */
-  async getPlaylistsData(timeRanges) {
+  async getPlaylistsData(timeRanges, organizationId) {
     const { data: playlists, error } = await supabase
       .from('playlists')
       .select(`
@@ -174,7 +176,8 @@ class DashboardService {
           id,
           duration
         )
-      `);
+      `)
+      .eq('organization_id', organizationId);
 
     if (error) throw error;
 
@@ -198,7 +201,7 @@ class DashboardService {
   /**
    * Get comprehensive assignment data and statistics
    */
-  async getAssignmentsData(timeRanges) {
+  async getAssignmentsData(timeRanges, organizationId) {
     const { data: assignments, error } = await supabase
       .from('screen_assignments')
       .select(`
@@ -217,7 +220,8 @@ class DashboardService {
             id
           )
         )
-      `);
+      `)
+      .eq('organization_id', organizationId);
 
     if (error) throw error;
 
@@ -0,0 +1,341 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+
+// Commands a player understands
+const COMMAND_TYPES = ['reload', 'restart', 'clear-cache', 'screenshot', 'set-volume'];
+
+// pending -> delivered -> acknowledged | failed
+// (delivered commands that are not acknowledged in time are delivered again)
+const COMMAND_STATUSES = ['pending', 'delivered', 'acknowledged', 'failed'];
+
+const COMMAND_SELECT = `
+  id,
+  screen_id,
+  type,
+  payload,
+  status,
+  result,
+  created_by,
+  created_at,
+  expires_at,
+  delivered_at,
+  completed_at
+`;
+
+class DeviceCommandService {
+  constructor() {
+    this.commandTtl = 24 * 60 * 60 * 1000; // Undelivered commands expire after 24 hours
+    this.maxPerDelivery = 20; // Commands handed to a player per heartbeat
+    this.redeliveryTimeout = 2 * 60 * 1000; // Delivered commands not acknowledged by then are sent again
+  }
+
+  /**
+   * Queue a command for a screen and push it right away if the player is connected
+   */
+  async queueCommand(screenId, commandData, userId, organizationId) {
+    try {
+      const { type, payload = {} } = commandData;
+
+      this.validateCommand(type, payload);
+      await this.verifyScreen(screenId, organizationId);
+
+      const { data: command, error } = await supabase
+        .from('device_commands')
+        .insert({
+          organization_id: organizationId,
+          screen_id: screenId,
+          type,
+          payload,
+          status: 'pending',
+          created_by: userId,
+          expires_at: new Date(Date.now() + this.commandTtl).toISOString()
+        })
+        .select(COMMAND_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to queue command: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      // Players with an open event stream get the command immediately;
+      // the others pick it up with their next heartbeat
+      const pushed = await realtimeService.pushCommand(screenId, this.formatForPlayer(command));
+      if (pushed > 0) {
+        const delivered = await this.markDelivered([command.id]);
+        return delivered[0] || command;
+      }
+
+      return command;
+    } catch (error) {
+      console.error('Error in queueCommand:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get commands of a screen with optional status filter and pagination (newest first)
+   */
+  async getCommands(screenId, organizationId, filters = {}) {
+    try {
+      const { status, page = 1, limit = 50 } = filters;
+
+      if (status && !COMMAND_STATUSES.includes(status)) {
+        throw new ApiError(`Status must be one of: ${COMMAND_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+      }
+
+      await this.verifyScreen(screenId, organizationId);
+
+      let query = supabase
+        .from('device_commands')
+        .select(COMMAND_SELECT, { count: 'exact' })
+        .eq('screen_id', screenId)
+        .eq('organization_id', organizationId);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      query = query.order('created_at', { ascending: false });
+
+      // Apply pagination
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const offset = (pageNum - 1) * limitNum;
+
+      query = query.range(offset, offset + limitNum - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch commands: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        commands: data,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count,
+          totalPages: Math.ceil(count / limitNum)
+        }
+      };
+    } catch (error) {
+      console.error('Error in getCommands:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand pending commands to a player (oldest first) and mark them delivered.
+   * Commands delivered earlier but never acknowledged (lost push, player crashed)
+   * are handed out again, so players must ignore command IDs they already ran.
+   */
+  async deliverPendingCommands(screenId) {
+    try {
+      const now = new Date().toISOString();
+      const unacknowledged = this.getUnacknowledgedFilter();
+
+      // Commands nobody picked up in time are not run late
+      const { error: expireError } = await supabase
+        .from('device_commands')
+        .update({
+          status: 'failed',
+          result: { error: 'Command expired before delivery' },
+          completed_at: now
+        })
+        .eq('screen_id', screenId)
+        .eq('status', 'pending')
+        .lt('expires_at', now);
+
+      if (expireError) {
+        console.error('Failed to expire commands:', expireError);
+      }
+
+      const { error: expireDeliveredError } = await supabase
+        .from('device_commands')
+        .update({
+          status: 'failed',
+          result: { error: 'Command expired before it was acknowledged' },
+          completed_at: now
+        })
+        .eq('screen_id', screenId)
+        .eq('status', 'delivered')
+        .lt('expires_at', now);
+
+      if (expireDeliveredError) {
+        console.error('Failed to expire commands:', expireDeliveredError);
+      }
+
+      const { data, error } = await supabase
+        .from('device_commands')
+        .select('id')
+        .eq('screen_id', screenId)
+        .or(unacknowledged)
+        .gte('expires_at', now)
+        .order('created_at', { ascending: true })
+        .limit(this.maxPerDelivery);
+
+      if (error) {
+        throw new ApiError(`Failed to fetch pending commands: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      if (data.length === 0) {
+        return [];
+      }
+
+      const delivered = await this.markDelivered(data.map(command => command.id), unacknowledged);
+
+      return delivered
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(command => this.formatForPlayer(command));
+    } catch (error) {
+      console.error('Error in deliverPendingCommands:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome a player reports for a command
+   */
+  async acknowledgeCommand(screenId, commandId, outcome = {}) {
+    try {
+      const { status = 'acknowledged', result = null } = outcome;
+
+      if (!['acknowledged', 'failed'].includes(status)) {
+        throw new ApiError('Status must be acknowledged or failed', 400, 'INVALID_STATUS');
+      }
+
+      if (result !== null && (typeof result !== 'object' || Array.isArray(result))) {
+        throw new ApiError('Result must be an object', 400, 'INVALID_RESULT');
+      }
+
+      const { data: command, error: fetchError } = await supabase
+        .from('device_commands')
+        .select('id, status')
+        .eq('id', commandId)
+        .eq('screen_id', screenId)
+        .single();
+
+      if (fetchError || !command) {
+        throw new ApiError('Command not found', 404, 'COMMAND_NOT_FOUND');
+      }
+
+      if (['acknowledged', 'failed'].includes(command.status)) {
+        throw new ApiError(`Command is already ${command.status}`, 409, 'COMMAND_ALREADY_COMPLETED');
+      }
+
+      const now = new Date().toISOString();
+      const updates = {
+        status,
+        result,
+        completed_at: now
+      };
+
+      // Commands pushed over the event stream can be acknowledged before they were marked delivered
+      if (command.status === 'pending') {
+        updates.delivered_at = now;
+      }
+
+      const { data, error } = await supabase
+        .from('device_commands')
+        .update(updates)
+        .eq('id', commandId)
+        .eq('screen_id', screenId)
+        .select(COMMAND_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to acknowledge command: ${error.message}`, 500, 'UPDATE_FAILED');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in acknowledgeCommand:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark commands delivered; by default only pending ones, or the ones matching
+   * the given status filter (e.g. including commands due for redelivery)
+   */
+  async markDelivered(commandIds, statusFilter = 'status.eq.pending') {
+    const { data, error } = await supabase
+      .from('device_commands')
+      .update({
+        status: 'delivered',
+        delivered_at: new Date().toISOString()
+      })
+      .in('id', commandIds)
+      .or(statusFilter)
+      .select(COMMAND_SELECT);
+
+    if (error) {
+      throw new ApiError(`Failed to mark commands delivered: ${error.message}`, 500, 'UPDATE_FAILED');
+    }
+
+    return data;
+  }
+
+  /**
+   * Filter for commands a player should receive: pending ones and delivered
+   * ones whose acknowledgement is overdue
+   */
+  getUnacknowledgedFilter() {
+    const overdueBefore = new Date(Date.now() - this.redeliveryTimeout).toISOString();
+    return `status.eq.pending,and(status.eq.delivered,delivered_at.lt."${overdueBefore}")`;
+  }
+
+  /**
+   * Validate command type and payload
+   */
+  validateCommand(type, payload) {
+    if (!COMMAND_TYPES.includes(type)) {
+      throw new ApiError(`Command type must be one of: ${COMMAND_TYPES.join(', ')}`, 400, 'INVALID_COMMAND_TYPE');
+    }
+
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new ApiError('Payload must be an object', 400, 'INVALID_PAYLOAD');
+    }
+
+    if (type === 'set-volume') {
+      const { volume } = payload;
+      if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+        throw new ApiError('Volume must be an integer between 0 and 100', 400, 'INVALID_VOLUME');
+      }
+    }
+  }
+
+  /**
+   * Verify a screen belongs to the organization
+   */
+  async verifyScreen(screenId, organizationId) {
+    const { data, error } = await supabase
+      .from('screens')
+      .select('id')
+      .eq('id', screenId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !data) {
+      throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+    }
+
+    return data;
+  }
+
+  /**
+   * Shape of a command as sent to players
+   */
+  formatForPlayer(command) {
+    return {
+      id: command.id,
+      type: command.type,
+      payload: command.payload || {},
+      createdAt: command.created_at
+    };
+  }
+}
+
+module.exports = { DeviceCommandService, COMMAND_TYPES, COMMAND_STATUSES };
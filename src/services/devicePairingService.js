@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+
+class DevicePairingService {
+  constructor() {
+    this.pinTtl = 10 * 60 * 1000; // 10 minutes
+    this.pinLength = 6;
+    this.pollInterval = 5000; // Suggested player poll interval
+  }
+
+  /**
+   * Start pairing: create a short-lived PIN for a fresh player to show on screen
+   */
+  async requestPairing(deviceInfo = {}) {
+    try {
+      const pin = await this.generateUniquePin();
+      const pairingSecret = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + this.pinTtl).toISOString();
+
+      const { data, error } = await supabase
+        .from('pairing_requests')
+        .insert({
+          pin,
+          secret_hash: this.hashToken(pairingSecret),
+          device_info: deviceInfo,
+          expires_at: expiresAt
+        })
+        .select('id, pin, expires_at')
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create pairing request: ${error.message}`, 500, 'PAIRING_REQUEST_FAILED');
+      }
+
+      return {
+        pairingId: data.id,
+        pin: data.pin,
+        pairingSecret,
+        expiresAt: data.expires_at,
+        pollInterval: this.pollInterval
+      };
+    } catch (error) {
+      console.error('Error in requestPairing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a pending PIN for a screen (admin side)
+   */
+  async claimPairing(screenId, pin, userId, organizationId) {
+    try {
+      const { data: screen, error: screenError } = await supabase
+        .from('screens')
+        .select('id, name, device_code')
+        .eq('id', screenId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (screenError || !screen) {
+        throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+      }
+
+      const { data: request, error: requestError } = await supabase
+        .from('pairing_requests')
+        .select('id, expires_at')
+        .eq('pin', pin)
+        .is('claimed_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (requestError) {
+        throw new ApiError(`Failed to fetch pairing request: ${requestError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      if (!request) {
+        throw new ApiError('Invalid or expired PIN', 404, 'PAIRING_NOT_FOUND');
+      }
+
+      // Only claim if nobody else claimed it in the meantime
+      const { data: claimed, error: claimError } = await supabase
+        .from('pairing_requests')
+        .update({
+          screen_id: screen.id,
+          claimed_by: userId,
+          claimed_at: new Date().toISOString()
+        })
+        .eq('id', request.id)
+        .is('claimed_at', null)
+        .select('id');
+
+      if (claimError) {
+        throw new ApiError(`Failed to claim pairing request: ${claimError.message}`, 500, 'CLAIM_FAILED');
+      }
+
+      if (claimed.length === 0) {
+        throw new ApiError('Invalid or expired PIN', 404, 'PAIRING_NOT_FOUND');
+      }
+
+      return screen;
+    } catch (error) {
+      console.error('Error in claimPairing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Player side: poll a pairing request. Once claimed, issues the long-lived
+   * device token exactly once.
+   */
+  async collectPairing(pairingId, pairingSecret) {
+    try {
+      const { data: request, error } = await supabase
+        .from('pairing_requests')
+        .select('id, secret_hash, expires_at, claimed_at, collected_at, screen_id')
+        .eq('id', pairingId)
+        .single();
+
+      if (error || !request || !pairingSecret || !this.safeCompare(this.hashToken(pairingSecret), request.secret_hash)) {
+        throw new ApiError('Pairing request not found', 404, 'PAIRING_NOT_FOUND');
+      }
+
+      if (request.collected_at) {
+        throw new ApiError('Pairing request has already been completed', 410, 'PAIRING_COMPLETED');
+      }
+
+      if (!request.claimed_at) {
+        if (new Date(request.expires_at) < new Date()) {
+          throw new ApiError('Pairing request has expired', 410, 'PAIRING_EXPIRED');
+        }
+
+        return {
+          status: 'pending',
+          expiresAt: request.expires_at,
+          pollInterval: this.pollInterval
+        };
+      }
+
+      // Mark as collected first so the token is handed out only once
+      const collectedAt = new Date().toISOString();
+      const { data: collected, error: collectError } = await supabase
+        .from('pairing_requests')
+        .update({ collected_at: collectedAt })
+        .eq('id', request.id)
+        .is('collected_at', null)
+        .select('id');
+
+      if (collectError) {
+        throw new ApiError(`Failed to complete pairing: ${collectError.message}`, 500, 'PAIRING_FAILED');
+      }
+
+      if (collected.length === 0) {
+        throw new ApiError('Pairing request has already been completed', 410, 'PAIRING_COMPLETED');
+      }
+
+      const deviceToken = crypto.randomBytes(32).toString('hex');
+
+      const { data: screen, error: screenError } = await supabase
+        .from('screens')
+        .update({
+          device_token_hash: this.hashToken(deviceToken),
+          paired_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', request.screen_id)
+        .select('id, name, device_code')
+        .single();
+
+      if (screenError) {
+        // The player never got a working token, so let it collect again
+        await this.releaseCollection(request.id, collectedAt);
+        throw new ApiError(`Failed to store device token: ${screenError.message}`, 500, 'PAIRING_FAILED');
+      }
+
+      return {
+        status: 'paired',
+        deviceCode: screen.device_code,
+        deviceToken,
+        screen: {
+          id: screen.id,
+          name: screen.name
+        }
+      };
+    } catch (error) {
+      console.error('Error in collectPairing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo marking a pairing request as collected when the device token could not be stored
+   */
+  async releaseCollection(pairingId, collectedAt) {
+    const { error } = await supabase
+      .from('pairing_requests')
+      .update({ collected_at: null })
+      .eq('id', pairingId)
+      .eq('collected_at', collectedAt);
+
+    if (error) {
+      console.error('Failed to release pairing request:', error);
+    }
+  }
+
+  /**
+   * Verify a device token for a device code. Returns the screen or null.
+   */
+  async verifyDeviceToken(deviceCode, deviceToken) {
+    if (!deviceCode || !deviceToken) {
+      return null;
+    }
+
+    const { data: screen, error } = await supabase
+      .from('screens')
+      .select('id, name, device_code, device_token_hash, organization_id')
+      .eq('device_code', deviceCode)
+      .single();
+
+    if (error || !screen || !screen.device_token_hash) {
+      return null;
+    }
+
+    if (!this.safeCompare(this.hashToken(deviceToken), screen.device_token_hash)) {
+      return null;
+    }
+
+    return {
+      id: screen.id,
+      name: screen.name,
+      device_code: screen.device_code,
+      organization_id: screen.organization_id
+    };
+  }
+
+  /**
+   * Revoke the device token of a screen so the player must pair again
+   */
+  async revokeDevice(screenId, organizationId) {
+    const { data, error } = await supabase
+      .from('screens')
+      .update({
+        device_token_hash: null,
+        paired_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', screenId)
+      .eq('organization_id', organizationId)
+      .select('id, name, device_code')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+      }
+      throw new ApiError(`Failed to revoke device: ${error.message}`, 500, 'REVOKE_FAILED');
+    }
+
+    // The token no longer works, so close the stream it opened
+    realtimeService.disconnect(data.device_code);
+
+    return { id: data.id, name: data.name };
+  }
+
+  /**
+   * Generate a PIN that is not used by another pending request
+   */
+  async generateUniquePin() {
+    const maxAttempts = 10;
+
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+      const pin = crypto.randomInt(0, 10 ** this.pinLength).toString().padStart(this.pinLength, '0');
+
+      const { data } = await supabase
+        .from('pairing_requests')
+        .select('id')
+        .eq('pin', pin)
+        .is('claimed_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (!data) {
+        return pin;
+      }
+    }
+
+    throw new ApiError('Failed to generate pairing PIN', 500, 'PIN_GENERATION_FAILED');
+  }
+
+  /**
+   * Hash a secret for storage
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of two hex digests
+   */
+  safeCompare(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  }
+}
+
+module.exports = { DevicePairingService };
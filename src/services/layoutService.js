@@ -0,0 +1,544 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+const { AssignmentService } = require('./assignmentService');
+
+// Suggested region names; any name is allowed
+const REGION_NAMES = ['main', 'sidebar', 'ticker', 'logo'];
+
+// Region geometry is in pixels of the layout canvas or in percent of it
+const REGION_UNITS = ['px', '%'];
+
+const LAYOUT_SELECT = `
+  *,
+  layout_regions (
+    id,
+    name,
+    x,
+    y,
+    width,
+    height,
+    unit,
+    z_index,
+    playlist_id,
+    playlists:playlist_id (
+      id,
+      name
+    )
+  )
+`;
+
+class LayoutService {
+  constructor() {
+    this.maxRegions = 10;
+    this.maxCanvasSize = 7680; // 8K
+    this.assignmentService = new AssignmentService();
+  }
+
+  /**
+   * Get layouts of an organization
+   */
+  async getLayouts(filters = {}) {
+    try {
+      const { search, organizationId } = filters;
+
+      let query = supabase
+        .from('layouts')
+        .select(LAYOUT_SELECT)
+        .eq('organization_id', organizationId)
+        .order('name', { ascending: true });
+
+      if (search) {
+        query = query.ilike('name', `%${search}%`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch layouts: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data.map(layout => this.processLayoutData(layout));
+    } catch (error) {
+      console.error('Error in getLayouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get layout by ID with its regions and the screens using it
+   */
+  async getLayoutById(layoutId, organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('layouts')
+        .select(LAYOUT_SELECT)
+        .eq('id', layoutId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Layout not found', 404, 'LAYOUT_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to fetch layout: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const { data: screens, error: screensError } = await supabase
+        .from('screens')
+        .select('id, name, location')
+        .eq('layout_id', layoutId)
+        .order('name', { ascending: true });
+
+      if (screensError) {
+        throw new ApiError(`Failed to fetch layout screens: ${screensError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        ...this.processLayoutData(data),
+        screens
+      };
+    } catch (error) {
+      console.error('Error in getLayoutById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a layout with its regions
+   */
+  async createLayout(layoutData, userId, organizationId) {
+    try {
+      const { name, description, width = 1920, height = 1080, regions = [] } = layoutData;
+
+      this.validateName(name);
+      this.validateCanvas(width, height);
+      const validRegions = await this.validateRegions(regions, { width, height }, organizationId);
+
+      const { data: layout, error } = await supabase
+        .from('layouts')
+        .insert({
+          name: name.trim(),
+          description: description?.trim() || null,
+          width,
+          height,
+          organization_id: organizationId,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create layout: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      if (validRegions.length > 0) {
+        await this.replaceRegions(layout.id, validRegions);
+      }
+
+      return await this.getLayoutById(layout.id, organizationId);
+    } catch (error) {
+      console.error('Error in createLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a layout. Passing regions replaces all of them.
+   */
+  async updateLayout(layoutId, updates, organizationId) {
+    try {
+      const current = await this.verifyLayoutOwnership(layoutId, organizationId);
+      const validUpdates = {};
+
+      if (updates.name !== undefined) {
+        this.validateName(updates.name);
+        validUpdates.name = updates.name.trim();
+      }
+
+      if (updates.description !== undefined) {
+        validUpdates.description = updates.description?.trim() || null;
+      }
+
+      const width = updates.width !== undefined ? updates.width : current.width;
+      const height = updates.height !== undefined ? updates.height : current.height;
+
+      if (updates.width !== undefined || updates.height !== undefined) {
+        this.validateCanvas(width, height);
+        validUpdates.width = width;
+        validUpdates.height = height;
+      }
+
+      // Pixel regions have to fit the (possibly resized) canvas
+      let validRegions;
+      if (updates.regions !== undefined) {
+        validRegions = await this.validateRegions(updates.regions, { width, height }, organizationId);
+      } else if (validUpdates.width !== undefined) {
+        const existing = await this.getLayoutById(layoutId, organizationId);
+        await this.validateRegions(existing.regions, { width, height }, organizationId);
+      }
+
+      if (Object.keys(validUpdates).length === 0 && validRegions === undefined) {
+        throw new ApiError('No valid updates provided', 400, 'NO_UPDATES');
+      }
+
+      validUpdates.updated_at = new Date().toISOString();
+
+      const { error } = await supabase
+        .from('layouts')
+        .update(validUpdates)
+        .eq('id', layoutId)
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        throw new ApiError(`Failed to update layout: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      if (validRegions !== undefined) {
+        await this.replaceRegions(layoutId, validRegions);
+      }
+
+      const screenIds = await this.getScreenIdsForLayout(layoutId);
+      realtimeService.notifyScreens(screenIds, 'assignment-changed', { layoutId });
+
+      return await this.getLayoutById(layoutId, organizationId);
+    } catch (error) {
+      console.error('Error in updateLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a layout; screens using it go back to full-screen playback
+   */
+  async deleteLayout(layoutId, organizationId, userId = null) {
+    try {
+      const layout = await this.verifyLayoutOwnership(layoutId, organizationId);
+      const screenIds = await this.getScreenIdsForLayout(layoutId);
+
+      if (screenIds.length > 0) {
+        const { error: detachError } = await supabase
+          .from('screens')
+          .update({ layout_id: null })
+          .eq('layout_id', layoutId);
+
+        if (detachError) {
+          throw new ApiError(`Failed to detach layout from screens: ${detachError.message}`, 500, 'UPDATE_FAILED');
+        }
+      }
+
+      // Regions are deleted by CASCADE
+      const { error } = await supabase
+        .from('layouts')
+        .delete()
+        .eq('id', layoutId)
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        throw new ApiError(`Failed to delete layout: ${error.message}`, 500, 'DELETE_FAILED');
+      }
+
+      await this.assignmentService.recordHistoryForScreens(screenIds, {
+        organizationId,
+        action: 'removed',
+        oldLayoutId: layoutId,
+        newLayoutId: null,
+        userId,
+        reason: `Layout "${layout.name}" deleted`,
+        source: 'layout'
+      });
+
+      realtimeService.notifyScreens(screenIds, 'assignment-changed', { layoutId: null });
+
+      return layout.name;
+    } catch (error) {
+      console.error('Error in deleteLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a screen a layout (null for full-screen playback of its assigned playlist)
+   */
+  async setScreenLayout(screenId, layoutId, organizationId, userId = null) {
+    try {
+      if (layoutId) {
+        await this.verifyLayoutOwnership(layoutId, organizationId);
+      }
+
+      const { data: current, error: currentError } = await supabase
+        .from('screens')
+        .select('layout_id')
+        .eq('id', screenId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (currentError || !current) {
+        throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+      }
+
+      const { data, error } = await supabase
+        .from('screens')
+        .update({
+          layout_id: layoutId || null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', screenId)
+        .eq('organization_id', organizationId)
+        .select('id, name, layout_id')
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to set screen layout: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      if ((current.layout_id || null) !== (layoutId || null)) {
+        await this.assignmentService.recordHistory({
+          organizationId,
+          screenId,
+          action: !current.layout_id ? 'created' : layoutId ? 'updated' : 'removed',
+          oldLayoutId: current.layout_id,
+          newLayoutId: layoutId,
+          userId,
+          source: 'layout'
+        });
+      }
+
+      realtimeService.notifyAssignmentChanged(screenId, { layoutId: layoutId || null });
+
+      return data;
+    } catch (error) {
+      console.error('Error in setScreenLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a layout with its regions for playback (no organization check; the caller owns the screen)
+   */
+  async getLayoutForPlayback(layoutId) {
+    const { data, error } = await supabase
+      .from('layouts')
+      .select(LAYOUT_SELECT)
+      .eq('id', layoutId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new ApiError(`Failed to fetch layout: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return this.processLayoutData(data);
+  }
+
+  /**
+   * Replace the regions of a layout
+   */
+  async replaceRegions(layoutId, regions) {
+    const { error: deleteError } = await supabase
+      .from('layout_regions')
+      .delete()
+      .eq('layout_id', layoutId);
+
+    if (deleteError) {
+      throw new ApiError(`Failed to delete existing regions: ${deleteError.message}`, 500, 'DELETE_REGIONS_FAILED');
+    }
+
+    if (regions.length === 0) {
+      return;
+    }
+
+    const { error: insertError } = await supabase
+      .from('layout_regions')
+      .insert(regions.map(region => ({
+        layout_id: layoutId,
+        name: region.name,
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+        unit: region.unit,
+        z_index: region.zIndex,
+        playlist_id: region.playlistId
+      })));
+
+    if (insertError) {
+      throw new ApiError(`Failed to insert regions: ${insertError.message}`, 500, 'INSERT_REGIONS_FAILED');
+    }
+  }
+
+  /**
+   * Validate regions and return them normalized. A region without a playlist
+   * plays the screen's active playlist (schedule or assignment).
+   */
+  async validateRegions(regions, canvas, organizationId) {
+    if (!Array.isArray(regions)) {
+      throw new ApiError('Regions must be an array', 400, 'INVALID_REGIONS');
+    }
+
+    if (regions.length > this.maxRegions) {
+      throw new ApiError(`A layout cannot have more than ${this.maxRegions} regions`, 400, 'TOO_MANY_REGIONS');
+    }
+
+    const names = new Set();
+    const playlistIds = new Set();
+    const validRegions = regions.map((region, index) => {
+      const label = `Region ${index + 1}`;
+      const name = typeof region.name === 'string' ? region.name.trim().toLowerCase() : '';
+
+      if (!name || name.length > 50) {
+        throw new ApiError(`${label}: name is required (at most 50 characters, e.g. ${REGION_NAMES.join(', ')})`, 400, 'INVALID_REGION_NAME');
+      }
+
+      if (names.has(name)) {
+        throw new ApiError(`${label}: region "${name}" is defined twice`, 400, 'DUPLICATE_REGION');
+      }
+      names.add(name);
+
+      const unit = region.unit || 'px';
+      if (!REGION_UNITS.includes(unit)) {
+        throw new ApiError(`${label}: unit must be one of: ${REGION_UNITS.join(', ')}`, 400, 'INVALID_REGION_UNIT');
+      }
+
+      const bounds = unit === '%' ? { width: 100, height: 100 } : canvas;
+      const { x = 0, y = 0, width, height } = region;
+
+      for (const [key, value] of Object.entries({ x, y, width, height })) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new ApiError(`${label}: ${key} must be a non-negative number`, 400, 'INVALID_REGION_GEOMETRY');
+        }
+      }
+
+      if (width === 0 || height === 0) {
+        throw new ApiError(`${label}: width and height must be greater than 0`, 400, 'INVALID_REGION_GEOMETRY');
+      }
+
+      if (x + width > bounds.width || y + height > bounds.height) {
+        throw new ApiError(`${label}: region must fit inside the layout (${bounds.width}x${bounds.height}${unit})`, 400, 'INVALID_REGION_GEOMETRY');
+      }
+
+      const zIndex = region.zIndex !== undefined ? region.zIndex : index;
+      if (!Number.isInteger(zIndex) || zIndex < 0 || zIndex > 100) {
+        throw new ApiError(`${label}: zIndex must be an integer between 0 and 100`, 400, 'INVALID_REGION_GEOMETRY');
+      }
+
+      const playlistId = region.playlistId || null;
+      if (playlistId) {
+        playlistIds.add(playlistId);
+      }
+
+      return { name, x, y, width, height, unit, zIndex, playlistId };
+    });
+
+    if (playlistIds.size > 0) {
+      const { data, error } = await supabase
+        .from('playlists')
+        .select('id')
+        .eq('organization_id', organizationId)
+        .in('id', [...playlistIds]);
+
+      if (error) {
+        throw new ApiError(`Failed to verify playlists: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const found = new Set(data.map(playlist => playlist.id));
+      const missing = [...playlistIds].filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new ApiError(`Playlist not found or access denied: ${missing.join(', ')}`, 404, 'PLAYLIST_NOT_FOUND');
+      }
+    }
+
+    return validRegions;
+  }
+
+  /**
+   * Validate a layout name
+   */
+  validateName(name) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      throw new ApiError('Layout name is required', 400, 'MISSING_NAME');
+    }
+
+    if (name.trim().length > 100) {
+      throw new ApiError('Layout name must be less than 100 characters', 400, 'NAME_TOO_LONG');
+    }
+  }
+
+  /**
+   * Validate the canvas size of a layout
+   */
+  validateCanvas(width, height) {
+    for (const [key, value] of Object.entries({ width, height })) {
+      if (!Number.isInteger(value) || value < 1 || value > this.maxCanvasSize) {
+        throw new ApiError(`Layout ${key} must be an integer between 1 and ${this.maxCanvasSize} pixels`, 400, 'INVALID_CANVAS');
+      }
+    }
+  }
+
+  /**
+   * Verify layout exists and belongs to the organization
+   */
+  async verifyLayoutOwnership(layoutId, organizationId) {
+    const { data: layout, error } = await supabase
+      .from('layouts')
+      .select('id, name, width, height')
+      .eq('id', layoutId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !layout) {
+      throw new ApiError('Layout not found', 404, 'LAYOUT_NOT_FOUND');
+    }
+
+    return layout;
+  }
+
+  /**
+   * Get IDs of screens using a layout
+   */
+  async getScreenIdsForLayout(layoutId) {
+    const { data, error } = await supabase
+      .from('screens')
+      .select('id')
+      .eq('layout_id', layoutId);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch layout screens: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return data.map(screen => screen.id);
+  }
+
+  /**
+   * Sort regions by stacking order and rename fields for the API
+   */
+  processLayoutData(layout) {
+    const regions = (layout.layout_regions || [])
+      .sort((a, b) => a.z_index - b.z_index)
+      .map(region => ({
+        id: region.id,
+        name: region.name,
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+        unit: region.unit,
+        zIndex: region.z_index,
+        playlistId: region.playlist_id,
+        playlist: region.playlists || null
+      }));
+
+    return {
+      ...layout,
+      regions,
+      layout_regions: undefined
+    };
+  }
+}
+
+module.exports = { LayoutService, REGION_NAMES, REGION_UNITS };
@@ -0,0 +1,237 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+
+/**
+ * Whether a record with valid_from/valid_until may be shown at the given time
+ */
+const isWithinWindow = (record, now = new Date()) => {
+  if (!record) {
+    return true;
+  }
+
+  if (record.valid_from && new Date(record.valid_from) > now) {
+    return false;
+  }
+
+  if (record.valid_until && new Date(record.valid_until) <= now) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Earliest upcoming valid_from/valid_until of playlist items or their media (null when none),
+ * so players know when to refresh their content
+ */
+const getNextWindowChange = (items, now = new Date()) => {
+  const boundaries = items
+    .flatMap(item => [item.valid_from, item.valid_until, item.media?.valid_from, item.media?.valid_until])
+    .filter(value => value && new Date(value) > now)
+    .map(value => new Date(value).toISOString())
+    .sort();
+
+  return boundaries[0] || null;
+};
+
+/**
+ * Validate an activation window and return it as ISO strings (null when open-ended)
+ */
+const validateWindow = (validFrom, validUntil, label = 'Item') => {
+  const window = {};
+
+  for (const [key, value] of Object.entries({ validFrom, validUntil })) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+      throw new ApiError(`${label}: activation dates must be valid dates or null`, 400, 'INVALID_DATE');
+    }
+
+    window[key] = value ? new Date(value).toISOString() : null;
+  }
+
+  if (window.validFrom && window.validUntil && window.validFrom >= window.validUntil) {
+    throw new ApiError(`${label}: the end of the activation window must be after its start`, 400, 'INVALID_WINDOW');
+  }
+
+  return window;
+};
+
+/**
+ * Flags media whose validity ended and tells players when windows open or close
+ */
+class MediaExpiryService {
+  constructor() {
+    this.checkInterval = (parseInt(process.env.MEDIA_EXPIRY_CHECK_MINUTES) || 5) * 60 * 1000;
+    this.expiringSoonWindow = 3 * 24 * 60 * 60 * 1000; // Warn 3 days before media expires
+    this.lastRunAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Run the expiry check now and then periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.runExpiryCheck().catch(error => {
+      console.error('Media expiry check failed:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.checkInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Flag newly expired media and refresh screens whose content changed since the last run
+   */
+  async runExpiryCheck() {
+    const now = new Date().toISOString();
+    const since = this.lastRunAt || new Date(Date.now() - this.checkInterval).toISOString();
+
+    const expired = await this.flagExpiredMedia(now);
+
+    // Windows that opened or closed since the last run change what players show
+    const [startedMedia, itemChanges] = await Promise.all([
+      supabase
+        .from('media')
+        .select('id')
+        .gt('valid_from', since)
+        .lte('valid_from', now),
+      supabase
+        .from('playlist_items')
+        .select('playlist_id')
+        .or(`and(valid_from.gt."${since}",valid_from.lte."${now}"),and(valid_until.gt."${since}",valid_until.lte."${now}")`)
+    ]);
+
+    if (startedMedia.error || itemChanges.error) {
+      throw new Error(`Failed to fetch activation changes: ${(startedMedia.error || itemChanges.error).message}`);
+    }
+
+    const changedMediaIds = [...expired.map(media => media.id), ...startedMedia.data.map(media => media.id)];
+    const playlistIds = new Set(itemChanges.data.map(item => item.playlist_id));
+
+    if (changedMediaIds.length > 0) {
+      const { data, error } = await supabase
+        .from('playlist_items')
+        .select('playlist_id')
+        .in('media_id', changedMediaIds);
+
+      if (error) {
+        throw new Error(`Failed to fetch affected playlists: ${error.message}`);
+      }
+
+      data.forEach(item => playlistIds.add(item.playlist_id));
+    }
+
+    for (const playlistId of playlistIds) {
+      await realtimeService.notifyPlaylistChanged(playlistId, 'content-updated', { reason: 'activation-window' });
+    }
+
+    this.lastRunAt = now;
+
+    return { expired: expired.length, playlistsRefreshed: playlistIds.size };
+  }
+
+  /**
+   * Mark media whose valid_until has passed as expired
+   */
+  async flagExpiredMedia(now = new Date().toISOString()) {
+    const { data, error } = await supabase
+      .from('media')
+      .update({ expired_at: now })
+      .lte('valid_until', now)
+      .is('expired_at', null)
+      .select('id, name, organization_id');
+
+    if (error) {
+      throw new Error(`Failed to flag expired media: ${error.message}`);
+    }
+
+    if (data.length > 0) {
+      console.log(`⏰ Flagged ${data.length} expired media item(s)`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get expired media of an organization with the number of playlist items still using each
+   */
+  async getExpiredMedia(organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('media')
+        .select(`
+          id,
+          name,
+          valid_until,
+          expired_at,
+          playlist_items (
+            count
+          )
+        `)
+        .eq('organization_id', organizationId)
+        .not('expired_at', 'is', null)
+        .order('expired_at', { ascending: false });
+
+      if (error) {
+        throw new ApiError(`Failed to fetch expired media: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data.map(media => ({
+        ...media,
+        usageCount: media.playlist_items?.[0]?.count || 0,
+        playlist_items: undefined
+      }));
+    } catch (error) {
+      console.error('Error in getExpiredMedia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get media of an organization that expires soon
+   */
+  async getExpiringMedia(organizationId) {
+    try {
+      const now = new Date();
+
+      const { data, error } = await supabase
+        .from('media')
+        .select('id, name, valid_until')
+        .eq('organization_id', organizationId)
+        .gt('valid_until', now.toISOString())
+        .lte('valid_until', new Date(now.getTime() + this.expiringSoonWindow).toISOString())
+        .order('valid_until', { ascending: true });
+
+      if (error) {
+        throw new ApiError(`Failed to fetch expiring media: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getExpiringMedia:', error);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance (server.js starts the periodic check)
+const mediaExpiryService = new MediaExpiryService();
+
+module.exports = { MediaExpiryService, mediaExpiryService, isWithinWindow, getNextWindowChange, validateWindow };
@@ -0,0 +1,367 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+const FOLDER_SELECT = `
+  *,
+  media (
+    count
+  )
+`;
+
+class MediaFolderService {
+  constructor() {
+    this.maxDepth = 10; // Maximum nesting depth for folders
+  }
+
+  /**
+   * Get media folders of an organization
+   */
+  async getFolders(filters = {}) {
+    try {
+      const { parentId, search, organizationId } = filters;
+
+      let query = supabase
+        .from('media_folders')
+        .select(FOLDER_SELECT)
+        .eq('organization_id', organizationId)
+        .order('name', { ascending: true });
+
+      // Apply filters
+      if (parentId === 'root') {
+        query = query.is('parent_id', null);
+      } else if (parentId) {
+        query = query.eq('parent_id', parentId);
+      }
+
+      if (search) {
+        query = query.ilike('name', `%${search}%`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch folders: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data.map(folder => this.processFolderData(folder));
+    } catch (error) {
+      console.error('Error in getFolders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get folder by ID with its sub-folders and path from the root
+   */
+  async getFolderById(folderId, organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('media_folders')
+        .select(FOLDER_SELECT)
+        .eq('id', folderId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to fetch folder: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const { data: children, error: childrenError } = await supabase
+        .from('media_folders')
+        .select('id, name')
+        .eq('parent_id', folderId)
+        .order('name', { ascending: true });
+
+      if (childrenError) {
+        throw new ApiError(`Failed to fetch sub-folders: ${childrenError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const folders = await this.getFolderMap(organizationId);
+      const path = (await this.getAncestorIds(folderId, folders))
+        .reverse()
+        .map(id => ({ id, name: folders.get(id)?.name }));
+
+      return {
+        ...this.processFolderData(data),
+        children,
+        path
+      };
+    } catch (error) {
+      console.error('Error in getFolderById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a folder
+   */
+  async createFolder(folderData, userId, organizationId) {
+    try {
+      const { name, parentId } = folderData;
+
+      this.validateName(name);
+
+      if (parentId) {
+        await this.verifyFolderOwnership(parentId, organizationId);
+        const folders = await this.getFolderMap(organizationId);
+        const depth = (await this.getAncestorIds(parentId, folders)).length + 1;
+        if (depth >= this.maxDepth) {
+          throw new ApiError(`Folders cannot be nested more than ${this.maxDepth} levels deep`, 400, 'FOLDER_TOO_DEEP');
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('media_folders')
+        .insert({
+          name: name.trim(),
+          parent_id: parentId || null,
+          organization_id: organizationId,
+          created_by: userId
+        })
+        .select(FOLDER_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create folder: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      return this.processFolderData(data);
+    } catch (error) {
+      console.error('Error in createFolder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or move a folder
+   */
+  async updateFolder(folderId, updates, organizationId) {
+    try {
+      await this.verifyFolderOwnership(folderId, organizationId);
+
+      const validUpdates = {};
+
+      if (updates.name !== undefined) {
+        this.validateName(updates.name);
+        validUpdates.name = updates.name.trim();
+      }
+
+      if (updates.parentId !== undefined) {
+        if (updates.parentId) {
+          await this.verifyFolderOwnership(updates.parentId, organizationId);
+
+          // Prevent cycles: the new parent cannot be the folder itself or one of its sub-folders
+          const descendantIds = await this.getDescendantIds([folderId], await this.getFolderMap(organizationId));
+          if (descendantIds.includes(updates.parentId)) {
+            throw new ApiError('A folder cannot be moved inside itself or one of its sub-folders', 400, 'FOLDER_CYCLE');
+          }
+        }
+        validUpdates.parent_id = updates.parentId || null;
+      }
+
+      validUpdates.updated_at = new Date().toISOString();
+
+      if (Object.keys(validUpdates).length === 1) { // Only updated_at
+        throw new ApiError('No valid updates provided', 400, 'NO_UPDATES');
+      }
+
+      const { data, error } = await supabase
+        .from('media_folders')
+        .update(validUpdates)
+        .eq('id', folderId)
+        .eq('organization_id', organizationId)
+        .select(FOLDER_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to update folder: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      return this.processFolderData(data);
+    } catch (error) {
+      console.error('Error in updateFolder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a folder without sub-folders; its media moves up to the parent folder
+   */
+  async deleteFolder(folderId, organizationId) {
+    try {
+      const folder = await this.verifyFolderOwnership(folderId, organizationId);
+
+      const { data: children, error: childrenError } = await supabase
+        .from('media_folders')
+        .select('id')
+        .eq('parent_id', folderId);
+
+      if (childrenError) {
+        throw new ApiError(`Failed to check sub-folders: ${childrenError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      if (children.length > 0) {
+        throw new ApiError('Cannot delete a folder that has sub-folders. Please move or delete them first.', 400, 'FOLDER_HAS_CHILDREN');
+      }
+
+      const { error: moveError } = await supabase
+        .from('media')
+        .update({ folder_id: folder.parent_id })
+        .eq('folder_id', folderId)
+        .eq('organization_id', organizationId);
+
+      if (moveError) {
+        throw new ApiError(`Failed to move media out of folder: ${moveError.message}`, 500, 'UPDATE_FAILED');
+      }
+
+      const { error } = await supabase
+        .from('media_folders')
+        .delete()
+        .eq('id', folderId)
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        throw new ApiError(`Failed to delete folder: ${error.message}`, 500, 'DELETE_FAILED');
+      }
+
+      return folder.name;
+    } catch (error) {
+      console.error('Error in deleteFolder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move media into a folder (null for the library root)
+   */
+  async moveMedia(mediaIds, folderId, organizationId) {
+    try {
+      if (folderId) {
+        await this.verifyFolderOwnership(folderId, organizationId);
+      }
+
+      const { data, error } = await supabase
+        .from('media')
+        .update({
+          folder_id: folderId || null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('organization_id', organizationId)
+        .in('id', mediaIds)
+        .select('id');
+
+      if (error) {
+        throw new ApiError(`Failed to move media: ${error.message}`, 500, 'UPDATE_FAILED');
+      }
+
+      const movedIds = data.map(media => media.id);
+      const missingIds = mediaIds.filter(id => !movedIds.includes(id));
+      if (missingIds.length > 0) {
+        throw new ApiError(`Media not found: ${missingIds.join(', ')}`, 404, 'MEDIA_NOT_FOUND');
+      }
+
+      return movedIds.length;
+    } catch (error) {
+      console.error('Error in moveMedia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify folder exists and belongs to the organization
+   */
+  async verifyFolderOwnership(folderId, organizationId) {
+    const { data: folder, error } = await supabase
+      .from('media_folders')
+      .select('id, name, parent_id')
+      .eq('id', folderId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !folder) {
+      throw new ApiError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+
+    return folder;
+  }
+
+  /**
+   * Load the folders of an organization (id -> { name, parent_id })
+   */
+  async getFolderMap(organizationId) {
+    const { data, error } = await supabase
+      .from('media_folders')
+      .select('id, name, parent_id')
+      .eq('organization_id', organizationId);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch folders: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return new Map(data.map(folder => [folder.id, folder]));
+  }
+
+  /**
+   * Get ancestor IDs of a folder, nearest parent first
+   */
+  async getAncestorIds(folderId, folders) {
+    const ancestors = [];
+    let current = folders.get(folderId)?.parent_id;
+
+    while (current && !ancestors.includes(current) && ancestors.length < this.maxDepth) {
+      ancestors.push(current);
+      current = folders.get(current)?.parent_id;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Get IDs of the given folders and all of their sub-folders
+   */
+  async getDescendantIds(folderIds, folders) {
+    const result = new Set(folderIds);
+    let added = true;
+
+    while (added) {
+      added = false;
+      for (const [id, folder] of folders.entries()) {
+        if (folder.parent_id && result.has(folder.parent_id) && !result.has(id)) {
+          result.add(id);
+          added = true;
+        }
+      }
+    }
+
+    return [...result];
+  }
+
+  /**
+   * Validate a folder name
+   */
+  validateName(name) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      throw new ApiError('Folder name is required', 400, 'MISSING_NAME');
+    }
+
+    if (name.trim().length > 100) {
+      throw new ApiError('Folder name must be less than 100 characters', 400, 'NAME_TOO_LONG');
+    }
+  }
+
+  /**
+   * Add calculated fields to folder data
+   */
+  processFolderData(folder) {
+    return {
+      ...folder,
+      mediaCount: folder.media?.[0]?.count || 0,
+      media: undefined
+    };
+  }
+}
+
+module.exports = { MediaFolderService };
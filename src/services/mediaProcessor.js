@@ -0,0 +1,400 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// sharp is optional; without it images are resized with ffmpeg (when installed)
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+// Thumbnail widths in pixels
+const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480,
+  large: 1024
+};
+
+// Slide deck formats converted to PDF with LibreOffice before rendering
+const PRESENTATION_TYPES = {
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+};
+
+/**
+ * Generates thumbnails and poster frames and probes metadata of uploaded media.
+ * Uses sharp for images when available and ffmpeg/ffprobe from PATH for videos;
+ * documents are rendered with pdftoppm (poppler) and LibreOffice.
+ * MediaService takes the processor as a constructor option so it can be swapped out.
+ */
+class MediaProcessor {
+  constructor(options = {}) {
+    this.sizes = options.sizes || THUMBNAIL_SIZES;
+    this.sharp = options.sharp !== undefined ? options.sharp : sharp; // null runs without it
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = options.ffprobePath || process.env.FFPROBE_PATH || 'ffprobe';
+    this.pdftoppmPath = options.pdftoppmPath || process.env.PDFTOPPM_PATH || 'pdftoppm';
+    this.sofficePath = options.sofficePath || process.env.SOFFICE_PATH || 'soffice';
+    this.commandTimeout = options.commandTimeout || 30 * 1000;
+    this.documentTimeout = options.documentTimeout || 2 * 60 * 1000; // Large decks take a while
+    this.posterOffset = 1; // Seconds into the video for the poster frame
+    this.ffmpegAvailable = null;
+    this.ffprobeAvailable = null;
+    this.pdftoppmAvailable = null;
+    this.sofficeAvailable = null;
+  }
+
+  /**
+   * Render the pages of a PDF (Buffer or path on disk) to JPEG images whose longer
+   * side is at most maxDimension pixels. Returns one Buffer per page, in page order.
+   */
+  async renderPdfPages(input, options = {}) {
+    const { maxDimension = 1920, maxPages = 100 } = options;
+
+    if (!(await this.isPdftoppmAvailable())) {
+      throw new Error('pdftoppm is not installed');
+    }
+
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-pages-'));
+    try {
+      await this.withInputFile(input, 'application/pdf', (inputPath) => this.runCommand(this.pdftoppmPath, [
+        '-jpeg',
+        '-jpegopt', 'quality=85',
+        '-scale-to', String(maxDimension),
+        '-f', '1',
+        '-l', String(maxPages),
+        inputPath,
+        path.join(outputDir, 'page')
+      ], this.documentTimeout));
+
+      // Files are named page-1.jpg or page-01.jpg depending on the page count
+      const pageNumber = (fileName) => parseInt(fileName.match(/-(\d+)\.jpg$/)[1]);
+      const files = (await fs.readdir(outputDir))
+        .filter(fileName => /-\d+\.jpg$/.test(fileName))
+        .sort((a, b) => pageNumber(a) - pageNumber(b));
+
+      const pages = [];
+      for (const fileName of files) {
+        pages.push(await fs.readFile(path.join(outputDir, fileName)));
+      }
+      return pages;
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Convert a slide deck (Buffer or path on disk) to PDF with LibreOffice
+   */
+  async convertToPdf(input, mimeType) {
+    const extension = PRESENTATION_TYPES[mimeType];
+    if (!extension) {
+      throw new Error(`Cannot convert ${mimeType} to PDF`);
+    }
+
+    if (!(await this.isSofficeAvailable())) {
+      throw new Error('LibreOffice (soffice) is not installed');
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deck-'));
+    try {
+      // LibreOffice picks the import filter from the extension
+      const inputPath = path.join(workDir, `deck.${extension}`);
+      if (typeof input === 'string') {
+        await fs.copyFile(input, inputPath);
+      } else {
+        await fs.writeFile(inputPath, input);
+      }
+
+      await this.runCommand(this.sofficePath, [
+        '--headless',
+        '--norestore',
+        // A private profile lets conversions run side by side
+        `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+        '--convert-to', 'pdf',
+        '--outdir', workDir,
+        inputPath
+      ], this.documentTimeout);
+
+      return await fs.readFile(path.join(workDir, 'deck.pdf'));
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Read duration (seconds), width, height, codec and bitrate (bits/s) of a file
+   * (Buffer or path on disk). Fields that can't be determined are null.
+   */
+  async probe(input, mimeType) {
+    const metadata = {
+      duration: null,
+      width: null,
+      height: null,
+      codec: null,
+      bitrate: null
+    };
+
+    if (mimeType.startsWith('image/') && this.sharp) {
+      const info = await this.sharp(input).metadata();
+      const rotated = info.orientation >= 5; // EXIF orientations 5-8 swap width and height
+      return {
+        ...metadata,
+        width: (rotated ? info.height : info.width) || null,
+        height: (rotated ? info.width : info.height) || null,
+        codec: info.format || null
+      };
+    }
+
+    if (!(await this.isFfprobeAvailable())) {
+      return metadata;
+    }
+
+    const output = await this.withInputFile(input, mimeType, (inputPath) => this.runCommand(this.ffprobePath, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      inputPath
+    ]));
+
+    const { format = {}, streams = [] } = JSON.parse(output.toString() || '{}');
+    const videoStream = streams.find(stream => stream.codec_type === 'video');
+
+    const duration = parseFloat(format.duration ?? videoStream?.duration);
+    const bitrate = parseInt(format.bit_rate ?? videoStream?.bit_rate);
+
+    return {
+      // Still images report no or a zero duration
+      duration: mimeType.startsWith('video/') && Number.isFinite(duration) && duration > 0
+        ? Math.round(duration * 1000) / 1000
+        : null,
+      width: videoStream?.width || null,
+      height: videoStream?.height || null,
+      codec: videoStream?.codec_name || null,
+      bitrate: Number.isFinite(bitrate) ? bitrate : null
+    };
+  }
+
+  /**
+   * Generate JPEG thumbnails for a file (Buffer or path on disk). Returns { [size]: Buffer },
+   * or an empty object when the type is unsupported or no tool is available.
+   */
+  async generateThumbnails(input, mimeType) {
+    if (mimeType.startsWith('image/')) {
+      if (this.sharp) {
+        return this.resizeWithSharp(input);
+      }
+      if (await this.isFfmpegAvailable()) {
+        return this.withInputFile(input, mimeType, (inputPath) => this.extractFrames(inputPath, 0));
+      }
+      return {};
+    }
+
+    if (mimeType.startsWith('video/')) {
+      if (!(await this.isFfmpegAvailable())) {
+        return {};
+      }
+
+      return this.withInputFile(input, mimeType, async (inputPath) => {
+        const frames = await this.extractFrames(inputPath, this.posterOffset);
+        // Clips shorter than the offset have no frame there; fall back to the first one
+        return Object.keys(frames).length > 0 ? frames : this.extractFrames(inputPath, 0);
+      });
+    }
+
+    return {};
+  }
+
+  /**
+   * Resize an image to every thumbnail size with sharp
+   */
+  async resizeWithSharp(input) {
+    const thumbnails = {};
+
+    for (const [size, width] of Object.entries(this.sizes)) {
+      thumbnails[size] = await this.sharp(input)
+        .rotate() // Respect EXIF orientation
+        .resize({ width, withoutEnlargement: true })
+        .flatten({ background: '#000000' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Grab a frame at the given offset with ffmpeg, once per thumbnail size
+   */
+  async extractFrames(inputPath, offset) {
+    const thumbnails = {};
+
+    for (const [size, width] of Object.entries(this.sizes)) {
+      const output = await this.runCommand(this.ffmpegPath, [
+        '-v', 'error',
+        '-ss', String(offset),
+        '-i', inputPath,
+        '-frames:v', '1',
+        '-vf', `scale='min(${width},iw)':-2`,
+        '-f', 'image2pipe',
+        '-vcodec', 'mjpeg',
+        'pipe:1'
+      ]);
+
+      if (output.length === 0) {
+        return {};
+      }
+
+      thumbnails[size] = output;
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Warn once at startup when there is no way to make image thumbnails,
+   * i.e. neither sharp nor ffmpeg. Returns whether one is available.
+   */
+  async checkImageBackend() {
+    if (this.sharp) {
+      return true;
+    }
+
+    const ffmpegAvailable = await this.runCommand(this.ffmpegPath, ['-version'])
+      .then(() => true)
+      .catch(() => false);
+
+    if (!ffmpegAvailable) {
+      console.warn('⚠️ Neither sharp nor ffmpeg is installed, uploads get no thumbnails');
+    }
+
+    return ffmpegAvailable;
+  }
+
+  /**
+   * Check once whether ffmpeg can be run
+   */
+  isFfmpegAvailable() {
+    if (this.ffmpegAvailable === null) {
+      this.ffmpegAvailable = this.runCommand(this.ffmpegPath, ['-version'])
+        .then(() => true)
+        .catch(() => {
+          console.warn('⚠️ ffmpeg not found, video poster frames are disabled');
+          return false;
+        });
+    }
+
+    return this.ffmpegAvailable;
+  }
+
+  /**
+   * Check once whether ffprobe can be run
+   */
+  isFfprobeAvailable() {
+    if (this.ffprobeAvailable === null) {
+      this.ffprobeAvailable = this.runCommand(this.ffprobePath, ['-version'])
+        .then(() => true)
+        .catch(() => {
+          console.warn('⚠️ ffprobe not found, media metadata extraction is disabled');
+          return false;
+        });
+    }
+
+    return this.ffprobeAvailable;
+  }
+
+  /**
+   * Check once whether pdftoppm can be run
+   */
+  isPdftoppmAvailable() {
+    if (this.pdftoppmAvailable === null) {
+      this.pdftoppmAvailable = this.runCommand(this.pdftoppmPath, ['-v'])
+        .then(() => true)
+        // Older poppler releases exit non-zero for -v; only a missing binary counts
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            return true;
+          }
+          console.warn('⚠️ pdftoppm not found, PDF import is disabled');
+          return false;
+        });
+    }
+
+    return this.pdftoppmAvailable;
+  }
+
+  /**
+   * Check once whether LibreOffice can be run
+   */
+  isSofficeAvailable() {
+    if (this.sofficeAvailable === null) {
+      this.sofficeAvailable = this.runCommand(this.sofficePath, ['--version'])
+        .then(() => true)
+        .catch(() => {
+          console.warn('⚠️ soffice not found, slide deck import is disabled');
+          return false;
+        });
+    }
+
+    return this.sofficeAvailable;
+  }
+
+  /**
+   * Run a callback with a path to the input, writing buffers to a temporary
+   * file first for tools that need seekable input
+   */
+  async withInputFile(input, mimeType, callback) {
+    if (typeof input === 'string') {
+      return callback(input);
+    }
+
+    const extension = mimeType.split('/')[1] || 'bin';
+    const tempPath = path.join(os.tmpdir(), `media-${Date.now()}-${Math.random().toString(36).substring(2)}.${extension}`);
+
+    await fs.writeFile(tempPath, input);
+    try {
+      return await callback(tempPath);
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Run a command and resolve with its stdout
+   */
+  runCommand(command, args, timeout = this.commandTimeout) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${command} timed out`));
+      }, timeout);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          return reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+        resolve(Buffer.concat(stdout));
+      });
+    });
+  }
+}
+
+module.exports = { MediaProcessor, THUMBNAIL_SIZES, PRESENTATION_TYPES };
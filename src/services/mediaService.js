@@ -1,16 +1,39 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const { supabase } = require('../config/supabase');
 const { StorageService } = require('./storageService');
+const { MediaProcessor, PRESENTATION_TYPES } = require('./mediaProcessor');
+const { MediaFolderService } = require('./mediaFolderService');
+const { PlaylistService } = require('./playlistService');
+const { realtimeService } = require('./realtimeService');
+const { validateWindow } = require('./mediaExpiryService');
 const { ApiError } = require('../middleware/errorHandler');
 
+// Media that is not an uploaded file: web page, HTML widget, HLS/DASH stream and text ticker
+const CONTENT_TYPES = ['web', 'html', 'stream', 'text'];
+
+const STREAM_MIME_TYPES = {
+  hls: 'application/vnd.apple.mpegurl',
+  dash: 'application/dash+xml'
+};
+
 class MediaService {
-  constructor() {
+  constructor(options = {}) {
     this.storageService = new StorageService();
+    this.mediaProcessor = options.mediaProcessor || new MediaProcessor();
+    this.mediaFolderService = new MediaFolderService();
+    this.playlistService = new PlaylistService();
+    this.maxDocumentPages = 100; // A playlist holds at most 100 items
+    this.maxTags = 20; // Tags per media item
+    this.maxTagLength = 50;
+    this.maxHtmlSize = 100 * 1024; // 100KB of widget markup
+    this.maxTextLength = 1000;
   }
 
   /**
    * Upload and save media file
    */
-  async uploadMedia(file, userId) {
+  async uploadMedia(file, userId, organizationId) {
     try {
       // Validate file
       if (!this.storageService.isValidFileType(file.mimetype)) {
@@ -21,8 +44,317 @@ class MediaService {
         throw new ApiError('File size too large. Maximum size is 50MB.', 400, 'FILE_TOO_LARGE');
       }
 
-      // Upload to storage
-      const uploadResult = await this.storageService.uploadMedia(file, userId);
+      return await this.saveMedia(file, userId, organizationId);
+    } catch (error) {
+      console.error('Error in uploadMedia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a PDF or slide deck into one image media per page and optionally
+   * create a playlist that shows the pages in order
+   */
+  async importDocument(file, options, userId, organizationId) {
+    try {
+      const { createPlaylist = false, duration = 10, playlistName } = options;
+      const mimeType = file.mimetype.toLowerCase();
+
+      if (mimeType !== 'application/pdf' && !PRESENTATION_TYPES[mimeType]) {
+        throw new ApiError('Unsupported document type. Please upload a PDF or a presentation (PPTX, PPT, ODP).', 400, 'INVALID_FILE_TYPE');
+      }
+
+      if (!Number.isInteger(duration) || duration < 1 || duration > 3600) {
+        throw new ApiError('Duration must be between 1 and 3600 seconds', 400, 'INVALID_DURATION');
+      }
+
+      const converterAvailable = PRESENTATION_TYPES[mimeType]
+        ? await this.mediaProcessor.isSofficeAvailable() && await this.mediaProcessor.isPdftoppmAvailable()
+        : await this.mediaProcessor.isPdftoppmAvailable();
+
+      if (!converterAvailable) {
+        throw new ApiError('Document conversion is not available on this server', 503, 'CONVERSION_UNAVAILABLE');
+      }
+
+      let pages;
+      try {
+        const pdf = PRESENTATION_TYPES[mimeType]
+          ? await this.mediaProcessor.convertToPdf(file.buffer, mimeType)
+          : file.buffer;
+        pages = await this.mediaProcessor.renderPdfPages(pdf, { maxPages: this.maxDocumentPages });
+      } catch (conversionError) {
+        console.error('Document conversion failed:', conversionError.message);
+        throw new ApiError('The document could not be converted. Is it a valid, unprotected file?', 400, 'INVALID_DOCUMENT');
+      }
+
+      if (pages.length === 0) {
+        throw new ApiError('The document has no pages', 400, 'EMPTY_DOCUMENT');
+      }
+
+      const baseName = file.originalname.replace(/\.[^/.]+$/, '');
+      const media = [];
+
+      try {
+        for (let i = 0; i < pages.length; i++) {
+          media.push(await this.saveMedia({
+            buffer: pages[i],
+            originalname: `${baseName} - page ${i + 1}.jpg`,
+            mimetype: 'image/jpeg',
+            size: pages[i].length
+          }, userId, organizationId));
+        }
+      } catch (saveError) {
+        // Don't leave half a document behind
+        for (const page of media) {
+          await this.deleteMedia(page.id, organizationId).catch(() => {});
+        }
+        throw saveError;
+      }
+
+      let playlist = null;
+      if (createPlaylist) {
+        playlist = await this.playlistService.createPlaylist({
+          name: playlistName || baseName,
+          description: `Pages of ${file.originalname}`,
+          items: media.map(page => ({ media_id: page.id, duration }))
+        }, userId, organizationId);
+      }
+
+      return { media, playlist };
+    } catch (error) {
+      console.error('Error in importDocument:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create media that has no uploaded file (web page, HTML widget, stream or text)
+   */
+  async createContentMedia(mediaData, userId, organizationId) {
+    try {
+      const { type, name, content, folderId, tags } = mediaData;
+
+      if (!CONTENT_TYPES.includes(type)) {
+        throw new ApiError(`Type must be one of: ${CONTENT_TYPES.join(', ')}`, 400, 'INVALID_MEDIA_TYPE');
+      }
+
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new ApiError('Media name is required', 400, 'MISSING_NAME');
+      }
+
+      if (name.trim().length > 200) {
+        throw new ApiError('Media name must be less than 200 characters', 400, 'NAME_TOO_LONG');
+      }
+
+      const validContent = this.validateContent(type, content);
+
+      if (folderId) {
+        await this.mediaFolderService.verifyFolderOwnership(folderId, organizationId);
+      }
+
+      const { data, error } = await supabase
+        .from('media')
+        .insert({
+          name: name.trim(),
+          type,
+          file_path: null,
+          file_size: type === 'html' || type === 'text'
+            ? Buffer.byteLength(validContent.html || validContent.text)
+            : null,
+          mime_type: this.getContentMimeType(type, validContent),
+          content: validContent,
+          folder_id: folderId || null,
+          tags: tags !== undefined ? this.normalizeTags(tags) : [],
+          organization_id: organizationId,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      return this.formatMedia(data);
+    } catch (error) {
+      console.error('Error in createContentMedia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the content of a non-file media type and return the stored shape
+   */
+  validateContent(type, content) {
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw new ApiError('Content must be an object', 400, 'INVALID_CONTENT');
+    }
+
+    switch (type) {
+      case 'web':
+        return {
+          url: this.validateContentUrl(content.url),
+          refreshInterval: this.validateInteger(content.refreshInterval, 'refreshInterval', 0, 86400, 0)
+        };
+
+      case 'html': {
+        if (typeof content.html !== 'string' || content.html.trim().length === 0) {
+          throw new ApiError('content.html is required', 400, 'INVALID_CONTENT');
+        }
+        if (Buffer.byteLength(content.html) > this.maxHtmlSize) {
+          throw new ApiError(`content.html must be at most ${this.maxHtmlSize / 1024}KB`, 400, 'CONTENT_TOO_LARGE');
+        }
+        return { html: content.html };
+      }
+
+      case 'stream': {
+        const url = this.validateContentUrl(content.url);
+        const format = content.format || this.detectStreamFormat(url);
+        if (!STREAM_MIME_TYPES[format]) {
+          throw new ApiError('content.format must be hls or dash (could not detect it from the URL)', 400, 'INVALID_STREAM_FORMAT');
+        }
+        return {
+          url,
+          format,
+          muted: content.muted !== undefined ? content.muted === true : true
+        };
+      }
+
+      case 'text': {
+        if (typeof content.text !== 'string' || content.text.trim().length === 0) {
+          throw new ApiError('content.text is required', 400, 'INVALID_CONTENT');
+        }
+        if (content.text.length > this.maxTextLength) {
+          throw new ApiError(`content.text must be at most ${this.maxTextLength} characters`, 400, 'CONTENT_TOO_LARGE');
+        }
+        return {
+          text: content.text,
+          scroll: content.scroll === true,
+          speed: this.validateInteger(content.speed, 'speed', 1, 10, 5),
+          fontSize: this.validateInteger(content.fontSize, 'fontSize', 8, 400, 48),
+          color: this.validateColor(content.color, 'color', '#ffffff'),
+          backgroundColor: this.validateColor(content.backgroundColor, 'backgroundColor', '#000000')
+        };
+      }
+
+      default:
+        throw new ApiError(`Type must be one of: ${CONTENT_TYPES.join(', ')}`, 400, 'INVALID_MEDIA_TYPE');
+    }
+  }
+
+  /**
+   * Require an absolute http(s) URL
+   */
+  validateContentUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new ApiError('content.url must be a valid URL', 400, 'INVALID_URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ApiError('content.url must use http or https', 400, 'INVALID_URL');
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Validate an optional integer content setting
+   */
+  validateInteger(value, field, min, max, defaultValue) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ApiError(`content.${field} must be an integer between ${min} and ${max}`, 400, 'INVALID_CONTENT');
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate an optional hex color content setting
+   */
+  validateColor(value, field, defaultValue) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+
+    if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+      throw new ApiError(`content.${field} must be a hex color such as #ffffff`, 400, 'INVALID_CONTENT');
+    }
+
+    return value.toLowerCase();
+  }
+
+  /**
+   * Guess a stream's format from its URL
+   */
+  detectStreamFormat(url) {
+    const { pathname } = new URL(url);
+
+    if (pathname.endsWith('.m3u8')) {
+      return 'hls';
+    }
+    if (pathname.endsWith('.mpd')) {
+      return 'dash';
+    }
+    return null;
+  }
+
+  /**
+   * MIME type recorded for non-file media
+   */
+  getContentMimeType(type, content) {
+    switch (type) {
+      case 'html':
+        return 'text/html';
+      case 'text':
+        return 'text/plain';
+      case 'stream':
+        return STREAM_MIME_TYPES[content.format];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Store a validated file and create its media record. The file is either
+   * in memory (file.buffer) or on disk (file.path, e.g. an assembled chunked upload).
+   * Content already stored in the organization is not uploaded again.
+   */
+  async saveMedia(file, userId, organizationId) {
+    try {
+      const contentHash = await this.hashFile(file);
+      const existing = await this.findByContentHash(contentHash, organizationId);
+
+      let stored;
+      if (existing) {
+        // Same bytes: point the new record at the existing storage object
+        stored = {
+          file_path: existing.file_path,
+          thumbnail_paths: existing.thumbnail_paths,
+          duration: existing.duration,
+          width: existing.width,
+          height: existing.height,
+          codec: existing.codec,
+          bitrate: existing.bitrate
+        };
+      } else {
+        // Upload to storage
+        const uploadResult = await this.storageService.uploadMedia(file, userId);
+        const thumbnailPaths = await this.createThumbnails(file, uploadResult.path);
+        const metadata = await this.probeMedia(file);
+
+        stored = {
+          file_path: uploadResult.path,
+          thumbnail_paths: thumbnailPaths,
+          ...metadata
+        };
+      }
 
       // Save metadata to database
       const { data, error } = await supabase
@@ -30,32 +362,36 @@ class MediaService {
         .insert({
           name: file.originalname,
           type: this.storageService.getMediaType(file.mimetype),
-          file_path: uploadResult.path,
-          file_size: uploadResult.size,
-          mime_type: uploadResult.mimeType,
+          file_size: file.size,
+          mime_type: file.mimetype,
+          content_hash: contentHash,
+          ...stored,
+          organization_id: organizationId,
           created_by: userId
         })
         .select()
         .single();
 
       if (error) {
-        // Clean up uploaded file if database insert fails
-        await this.storageService.deleteMedia(uploadResult.path);
+        // Clean up uploaded files if database insert fails (shared files stay)
+        if (!existing) {
+          await this.storageService.deleteFiles([stored.file_path, ...Object.values(stored.thumbnail_paths)]);
+        }
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
       return {
-        ...data,
-        url: uploadResult.url
+        ...this.formatMedia(data),
+        deduplicated: !!existing
       };
     } catch (error) {
-      console.error('Error in uploadMedia:', error);
+      console.error('Error in saveMedia:', error);
       throw error;
     }
   }
 
   /**
-   * Get media files for a user with filtering and pagination
+   * Get media files of an organization with filtering and pagination
    */
   async getUserMedia(filters = {}) {
     try {
@@ -66,13 +402,21 @@ class MediaService {
         sortBy = 'created_at',
         sortOrder = 'desc',
         search,
-        userId
+        folderId,
+        includeSubfolders = false,
+        tags,
+        mimeTypes,
+        from,
+        to,
+        minSize,
+        maxSize,
+        organizationId
       } = filters;
 
       let query = supabase
         .from('media')
         .select('*', { count: 'exact' })
-        .eq('created_by', userId);
+        .eq('organization_id', organizationId);
 
       // Apply filters
       if (type) {
@@ -83,6 +427,42 @@ class MediaService {
         query = query.ilike('name', `%${search}%`);
       }
 
+      if (folderId === 'root') {
+        query = query.is('folder_id', null);
+      } else if (folderId) {
+        if (includeSubfolders) {
+          const folders = await this.mediaFolderService.getFolderMap(organizationId);
+          query = query.in('folder_id', await this.mediaFolderService.getDescendantIds([folderId], folders));
+        } else {
+          query = query.eq('folder_id', folderId);
+        }
+      }
+
+      // Media must carry every requested tag
+      if (tags && tags.length > 0) {
+        query = query.contains('tags', this.normalizeTags(tags));
+      }
+
+      if (mimeTypes && mimeTypes.length > 0) {
+        query = query.in('mime_type', mimeTypes.map(mimeType => mimeType.toLowerCase()));
+      }
+
+      if (from) {
+        query = query.gte('created_at', from);
+      }
+
+      if (to) {
+        query = query.lte('created_at', to);
+      }
+
+      if (minSize !== undefined) {
+        query = query.gte('file_size', minSize);
+      }
+
+      if (maxSize !== undefined) {
+        query = query.lte('file_size', maxSize);
+      }
+
       // Apply sorting
       const validSortFields = ['name', 'type', 'file_size', 'created_at', 'updated_at'];
       const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
@@ -104,10 +484,7 @@ class MediaService {
       }
 
       // Add public URLs to each media item
-      const media = data.map(item => ({
-        ...item,
-        url: this.storageService.getPublicUrl(item.file_path)
-      }));
+      const media = data.map(item => this.formatMedia(item));
 
       return {
         media,
@@ -125,7 +502,7 @@ class MediaService {
   }
 
   /**
-   * Get all media files (admin access) with filtering and pagination
+   * Get all media files of an organization with uploader details (admin access)
    */
   async getAllMedia(filters = {}) {
     try {
@@ -135,7 +512,8 @@ class MediaService {
         limit = 20,
         sortBy = 'created_at',
         sortOrder = 'desc',
-        search
+        search,
+        organizationId
       } = filters;
 
       let query = supabase
@@ -145,7 +523,8 @@ class MediaService {
           profiles:created_by (
             email
           )
-        `, { count: 'exact' });
+        `, { count: 'exact' })
+        .eq('organization_id', organizationId);
 
       // Apply filters
       if (type) {
@@ -178,8 +557,7 @@ class MediaService {
 
       // Add public URLs to each media item
       const media = data.map(item => ({
-        ...item,
-        url: this.storageService.getPublicUrl(item.file_path),
+        ...this.formatMedia(item),
         createdBy: item.profiles?.email || 'Unknown'
       }));
 
@@ -201,16 +579,16 @@ class MediaService {
   /**
    * Get media by ID
    */
-  async getMediaById(mediaId, userId = null) {
+  async getMediaById(mediaId, organizationId = null) {
     try {
       let query = supabase
         .from('media')
         .select('*')
         .eq('id', mediaId);
 
-      // If userId provided, filter by user
-      if (userId) {
-        query = query.eq('created_by', userId);
+      // If organizationId provided, filter by organization
+      if (organizationId) {
+        query = query.eq('organization_id', organizationId);
       }
 
       const { data, error } = await query.single();
@@ -222,10 +600,7 @@ class MediaService {
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
-      return {
-        ...data,
-        url: this.storageService.getPublicUrl(data.file_path)
-      };
+      return this.formatMedia(data);
     } catch (error) {
       console.error('Error in getMediaById:', error);
       throw error;
@@ -233,27 +608,72 @@ class MediaService {
   }
 
   /**
-   * Delete media file
+   * Delete media file. Media used in playlists (draft items or published versions)
+   * is refused unless `force` is set, which removes it from the draft items first,
+   * as a new revision of each playlist.
+   * Version snapshots are left as published; playback and rollback skip items
+   * whose media is gone. The storage object is only deleted once no other
+   * media record (duplicate, deduplicated upload) uses it.
    */
-  async deleteMedia(mediaId, userId) {
+  async deleteMedia(mediaId, organizationId, options = {}) {
     try {
+      const { force = false } = options;
+
       // Get media info first
-      const media = await this.getMediaById(mediaId, userId);
+      const media = await this.getMediaById(mediaId, organizationId);
 
-      // Delete from storage
-      await this.storageService.deleteMedia(media.file_path);
+      const playlists = await this.getMediaUsage(mediaId);
+      if (playlists.length > 0) {
+        if (!force) {
+          const names = playlists.map(playlist => `"${playlist.name}"`).join(', ');
+          throw new ApiError(`Media is used in ${playlists.length} playlist(s): ${names}. Remove it from them first or delete with force.`, 409, 'MEDIA_IN_USE');
+        }
+
+        const { data: itemRows, error: itemsError } = await supabase
+          .from('playlist_items')
+          .select('playlist_id')
+          .eq('media_id', mediaId);
+
+        if (itemsError) {
+          throw new ApiError(`Database error: ${itemsError.message}`, 500, 'DATABASE_ERROR');
+        }
+
+        // Removing items is a draft edit like any other, so it moves each playlist to its next revision
+        for (const playlistId of new Set(itemRows.map(row => row.playlist_id))) {
+          const currentRevision = await this.playlistService.getPlaylistRevision(playlistId, organizationId);
+
+          await this.playlistService.editRevision(playlistId, currentRevision, async () => {
+            const { error: deleteError } = await supabase
+              .from('playlist_items')
+              .delete()
+              .eq('playlist_id', playlistId)
+              .eq('media_id', mediaId);
+
+            if (deleteError) {
+              throw new ApiError(`Failed to remove media from playlists: ${deleteError.message}`, 500, 'DATABASE_ERROR');
+            }
+          });
+        }
+
+        for (const playlist of playlists) {
+          realtimeService.notifyPlaylistChanged(playlist.id, 'content-updated', { itemsChanged: true });
+        }
+      }
 
       // Delete from database
       const { error } = await supabase
         .from('media')
         .delete()
         .eq('id', mediaId)
-        .eq('created_by', userId);
+        .eq('organization_id', organizationId);
 
       if (error) {
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
+      // Delete original and thumbnails from storage unless still shared
+      await this.removeFileIfUnused(media.file_path, media.thumbnail_paths);
+
       return media.name;
     } catch (error) {
       console.error('Error in deleteMedia:', error);
@@ -264,7 +684,7 @@ class MediaService {
   /**
    * Bulk delete media files
    */
-  async bulkDeleteMedia(mediaIds, userId) {
+  async bulkDeleteMedia(mediaIds, organizationId, options = {}) {
     const results = {
       successful: [],
       failed: []
@@ -272,7 +692,7 @@ class MediaService {
 
     for (const mediaId of mediaIds) {
       try {
-        const mediaName = await this.deleteMedia(mediaId, userId);
+        const mediaName = await this.deleteMedia(mediaId, organizationId, options);
         results.successful.push({ id: mediaId, name: mediaName });
       } catch (error) {
         results.failed.push({ id: mediaId, error: error.message });
@@ -285,7 +705,7 @@ class MediaService {
   /**
    * Update media metadata
    */
-  async updateMedia(mediaId, updates, userId) {
+  async updateMedia(mediaId, updates, organizationId) {
     try {
       const allowedUpdates = ['name'];
       const filteredUpdates = {};
@@ -297,6 +717,46 @@ class MediaService {
         }
       }
 
+      if (updates.tags !== undefined) {
+        filteredUpdates.tags = this.normalizeTags(updates.tags);
+      }
+
+      if (updates.folderId !== undefined) {
+        if (updates.folderId) {
+          await this.mediaFolderService.verifyFolderOwnership(updates.folderId, organizationId);
+        }
+        filteredUpdates.folder_id = updates.folderId || null;
+      }
+
+      if (updates.content !== undefined) {
+        const current = await this.getMediaById(mediaId, organizationId);
+        if (!CONTENT_TYPES.includes(current.type)) {
+          throw new ApiError('Only web, html, stream and text media have editable content', 400, 'INVALID_MEDIA_TYPE');
+        }
+
+        filteredUpdates.content = this.validateContent(current.type, updates.content);
+        filteredUpdates.mime_type = this.getContentMimeType(current.type, filteredUpdates.content);
+        if (current.type === 'html' || current.type === 'text') {
+          filteredUpdates.file_size = Buffer.byteLength(filteredUpdates.content.html || filteredUpdates.content.text);
+        }
+      }
+
+      if (updates.validFrom !== undefined || updates.validUntil !== undefined) {
+        const current = await this.getMediaById(mediaId, organizationId);
+        const window = validateWindow(
+          updates.validFrom !== undefined ? updates.validFrom : current.valid_from,
+          updates.validUntil !== undefined ? updates.validUntil : current.valid_until,
+          'Media'
+        );
+
+        filteredUpdates.valid_from = window.validFrom;
+        filteredUpdates.valid_until = window.validUntil;
+        // Extending the window brings expired media back
+        filteredUpdates.expired_at = window.validUntil && window.validUntil <= new Date().toISOString()
+          ? current.expired_at || new Date().toISOString()
+          : null;
+      }
+
       if (Object.keys(filteredUpdates).length === 0) {
         throw new ApiError('No valid updates provided', 400, 'NO_VALID_UPDATES');
       }
@@ -307,7 +767,7 @@ class MediaService {
         .from('media')
         .update(filteredUpdates)
         .eq('id', mediaId)
-        .eq('created_by', userId)
+        .eq('organization_id', organizationId)
         .select()
         .single();
 
@@ -318,23 +778,228 @@ class MediaService {
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
-      return {
-        ...data,
-        url: this.storageService.getPublicUrl(data.file_path)
-      };
+      // New content or a new activation window changes what screens playing this media show
+      if (filteredUpdates.content !== undefined || filteredUpdates.valid_from !== undefined) {
+        const usage = await this.getMediaUsage(mediaId);
+        for (const playlist of usage) {
+          realtimeService.notifyPlaylistChanged(playlist.id, 'content-updated', { mediaId });
+        }
+      }
+
+      return this.formatMedia(data);
     } catch (error) {
       console.error('Error in updateMedia:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the tags used in an organization with the number of media carrying each
+   */
+  async getTags(organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('media')
+        .select('tags')
+        .eq('organization_id', organizationId)
+        .not('tags', 'eq', '{}');
+
+      if (error) {
+        throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      const counts = new Map();
+      for (const item of data) {
+        for (const tag of item.tags || []) {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+
+      return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error in getTags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add and remove tags on several media at once
+   */
+  async bulkUpdateTags(mediaIds, changes, organizationId) {
+    try {
+      const add = this.normalizeTags(changes.add || []);
+      const remove = this.normalizeTags(changes.remove || []);
+
+      if (add.length === 0 && remove.length === 0) {
+        throw new ApiError('No tags to add or remove', 400, 'NO_VALID_UPDATES');
+      }
+
+      const { data, error } = await supabase
+        .from('media')
+        .select('id, tags')
+        .eq('organization_id', organizationId)
+        .in('id', mediaIds);
+
+      if (error) {
+        throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      const foundIds = data.map(item => item.id);
+      const missingIds = mediaIds.filter(id => !foundIds.includes(id));
+      if (missingIds.length > 0) {
+        throw new ApiError(`Media not found: ${missingIds.join(', ')}`, 404, 'MEDIA_NOT_FOUND');
+      }
+
+      let updated = 0;
+      for (const item of data) {
+        const tags = [...new Set([...(item.tags || []), ...add])].filter(tag => !remove.includes(tag));
+        updated += await this.setTags(item, tags);
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error in bulkUpdateTags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a tag on every media of an organization (merging into the new name if it exists)
+   */
+  async renameTag(tag, newName, organizationId) {
+    try {
+      if (typeof newName !== 'string' || !newName.trim()) {
+        throw new ApiError('New tag name is required', 400, 'MISSING_TAG');
+      }
+
+      const [from] = this.normalizeTags([tag]);
+      const [to] = this.normalizeTags([newName]);
+
+      if (!from) {
+        throw new ApiError('Tag name is required', 400, 'MISSING_TAG');
+      }
+
+      const items = await this.findByTag(from, organizationId);
+
+      let updated = 0;
+      for (const item of items) {
+        const tags = [...new Set(item.tags.map(existing => (existing === from ? to : existing)))];
+        updated += await this.setTags(item, tags);
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error in renameTag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a tag from every media of an organization
+   */
+  async deleteTag(tag, organizationId) {
+    try {
+      const [name] = this.normalizeTags([tag]);
+
+      if (!name) {
+        throw new ApiError('Tag name is required', 400, 'MISSING_TAG');
+      }
+
+      const items = await this.findByTag(name, organizationId);
+
+      let updated = 0;
+      for (const item of items) {
+        updated += await this.setTags(item, item.tags.filter(existing => existing !== name));
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error in deleteTag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find media of an organization carrying a tag
+   */
+  async findByTag(tag, organizationId) {
+    const { data, error } = await supabase
+      .from('media')
+      .select('id, tags')
+      .eq('organization_id', organizationId)
+      .contains('tags', [tag]);
+
+    if (error) {
+      throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+    }
+
+    return data;
+  }
+
+  /**
+   * Store the tags of a media item; returns 1 when they changed, 0 otherwise
+   */
+  async setTags(item, tags) {
+    const current = item.tags || [];
+    if (tags.length === current.length && tags.every(tag => current.includes(tag))) {
+      return 0;
+    }
+
+    if (tags.length > this.maxTags) {
+      throw new ApiError(`Media cannot have more than ${this.maxTags} tags`, 400, 'TOO_MANY_TAGS');
+    }
+
+    const { error } = await supabase
+      .from('media')
+      .update({ tags, updated_at: new Date().toISOString() })
+      .eq('id', item.id);
+
+    if (error) {
+      throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+    }
+
+    return 1;
+  }
+
+  /**
+   * Trim, lowercase and de-duplicate tags
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new ApiError('Tags must be an array of strings', 400, 'INVALID_TAGS');
+    }
+
+    const normalized = new Set();
+    for (const tag of tags) {
+      if (typeof tag !== 'string') {
+        throw new ApiError('Tags must be an array of strings', 400, 'INVALID_TAGS');
+      }
+
+      const name = tag.trim().toLowerCase();
+      if (name.length > this.maxTagLength) {
+        throw new ApiError(`Tags must be at most ${this.maxTagLength} characters`, 400, 'TAG_TOO_LONG');
+      }
+      if (name) {
+        normalized.add(name);
+      }
+    }
+
+    if (normalized.size > this.maxTags) {
+      throw new ApiError(`Media cannot have more than ${this.maxTags} tags`, 400, 'TOO_MANY_TAGS');
+    }
+
+    return [...normalized];
+  }
+
   /**
    * Duplicate media file
    */
-  async duplicateMedia(mediaId, userId) {
+  async duplicateMedia(mediaId, userId, organizationId) {
     try {
       // Get original media
-      const originalMedia = await this.getMediaById(mediaId, userId);
+      const originalMedia = await this.getMediaById(mediaId, organizationId);
 
       // Create new database entry
       const { data, error } = await supabase
@@ -346,6 +1011,19 @@ class MediaService {
           file_size: originalMedia.file_size,
           mime_type: originalMedia.mime_type,
           duration: originalMedia.duration,
+          content_hash: originalMedia.content_hash,
+          width: originalMedia.width,
+          height: originalMedia.height,
+          codec: originalMedia.codec,
+          bitrate: originalMedia.bitrate,
+          thumbnail_paths: originalMedia.thumbnail_paths,
+          content: originalMedia.content,
+          folder_id: originalMedia.folder_id,
+          tags: originalMedia.tags,
+          valid_from: originalMedia.valid_from,
+          valid_until: originalMedia.valid_until,
+          expired_at: originalMedia.expired_at,
+          organization_id: organizationId,
           created_by: userId
         })
         .select()
@@ -355,27 +1033,266 @@ class MediaService {
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
+      return this.formatMedia(data);
+    } catch (error) {
+      console.error('Error in duplicateMedia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate thumbnails (poster frames for videos) and store them next to the original.
+   * Returns { size: path }; a failure only costs the thumbnails, not the upload.
+   */
+  async createThumbnails(file, filePath) {
+    try {
+      const thumbnails = await this.mediaProcessor.generateThumbnails(file.buffer || file.path, file.mimetype);
+      const basePath = filePath.replace(/\.[^/.]+$/, '');
+      const thumbnailPaths = {};
+
+      for (const [size, buffer] of Object.entries(thumbnails)) {
+        thumbnailPaths[size] = await this.storageService.uploadFile(
+          `${basePath}_thumb_${size}.jpg`,
+          buffer,
+          'image/jpeg'
+        );
+      }
+
+      return thumbnailPaths;
+    } catch (error) {
+      console.error('Thumbnail generation failed:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * SHA-256 of a file's content (hex)
+   */
+  async hashFile(file) {
+    const hash = crypto.createHash('sha256');
+
+    if (file.buffer) {
+      return hash.update(file.buffer).digest('hex');
+    }
+
+    for await (const chunk of fs.createReadStream(file.path)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Find media in an organization with the given content hash
+   */
+  async findByContentHash(contentHash, organizationId) {
+    const { data, error } = await supabase
+      .from('media')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('content_hash', contentHash)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Get groups of media with identical content in an organization
+   */
+  async getDuplicateGroups(organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('media')
+        .select('id, name, type, file_path, file_size, mime_type, content_hash, thumbnail_paths, created_at')
+        .eq('organization_id', organizationId)
+        .not('content_hash', 'is', null)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      const groups = new Map();
+      for (const item of data) {
+        if (!groups.has(item.content_hash)) {
+          groups.set(item.content_hash, []);
+        }
+        groups.get(item.content_hash).push(item);
+      }
+
+      return [...groups.entries()]
+        .filter(([, items]) => items.length > 1)
+        .map(([contentHash, items]) => {
+          const distinctFiles = new Set(items.map(item => item.file_path)).size;
+          return {
+            contentHash,
+            count: items.length,
+            fileSize: items[0].file_size,
+            distinctFiles,
+            // Storage used by copies that were uploaded before deduplication
+            reclaimableBytes: (distinctFiles - 1) * (items[0].file_size || 0),
+            media: items.map(item => this.formatMedia(item))
+          };
+        })
+        .sort((a, b) => b.count - a.count);
+    } catch (error) {
+      console.error('Error in getDuplicateGroups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge duplicates into one media record: references are repointed to the
+   * kept record, the duplicates are deleted and unused files removed
+   */
+  async mergeDuplicates(keepId, duplicateIds, organizationId) {
+    try {
+      const keep = await this.getMediaById(keepId, organizationId);
+
+      if (!keep.content_hash) {
+        throw new ApiError('Media to keep has no content hash', 400, 'MISSING_CONTENT_HASH');
+      }
+
+      const ids = [...new Set(duplicateIds)].filter(id => id !== keepId);
+      if (ids.length === 0) {
+        throw new ApiError('No duplicates to merge', 400, 'NO_DUPLICATES');
+      }
+
+      const { data: duplicates, error } = await supabase
+        .from('media')
+        .select('id, name, file_path, thumbnail_paths, content_hash')
+        .eq('organization_id', organizationId)
+        .in('id', ids);
+
+      if (error) {
+        throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      if (duplicates.length !== ids.length) {
+        throw new ApiError('Some media were not found', 404, 'MEDIA_NOT_FOUND');
+      }
+
+      const mismatched = duplicates.find(item => item.content_hash !== keep.content_hash);
+      if (mismatched) {
+        throw new ApiError(`"${mismatched.name}" does not have the same content`, 400, 'CONTENT_MISMATCH');
+      }
+
+      // Repoint everything that references the duplicates
+      for (const table of ['playlist_items', 'play_events', 'player_errors']) {
+        const { error: updateError } = await supabase
+          .from(table)
+          .update({ media_id: keep.id })
+          .in('media_id', ids);
+
+        if (updateError) {
+          throw new ApiError(`Failed to repoint ${table}: ${updateError.message}`, 500, 'DATABASE_ERROR');
+        }
+      }
+
+      // Published versions keep their own copy of the items. Snapshots are otherwise
+      // never rewritten; the same content under the kept ID is the one exception
+      const versions = await this.getVersionsUsingMedia(ids);
+      await this.rewriteVersionItems(versions, items => items.map(item => (
+        ids.includes(item.media_id) ? { ...item, media_id: keep.id } : item
+      )));
+
+      const { error: deleteError } = await supabase
+        .from('media')
+        .delete()
+        .eq('organization_id', organizationId)
+        .in('id', ids);
+
+      if (deleteError) {
+        throw new ApiError(`Database error: ${deleteError.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      for (const duplicate of duplicates) {
+        await this.removeFileIfUnused(duplicate.file_path, duplicate.thumbnail_paths);
+      }
+
       return {
-        ...data,
-        url: this.storageService.getPublicUrl(data.file_path)
+        media: keep,
+        merged: duplicates.map(item => ({ id: item.id, name: item.name }))
       };
     } catch (error) {
-      console.error('Error in duplicateMedia:', error);
+      console.error('Error in mergeDuplicates:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete a storage object (and its thumbnails) once no media record references it
+   */
+  async removeFileIfUnused(filePath, thumbnailPaths) {
+    // Web pages, widgets, streams and text have nothing in storage
+    if (!filePath) {
+      return false;
+    }
+
+    const { count, error } = await supabase
+      .from('media')
+      .select('id', { count: 'exact', head: true })
+      .eq('file_path', filePath);
+
+    if (error) {
+      console.error('Failed to check file references:', error);
+      return false;
+    }
+
+    if (count > 0) {
+      return false;
+    }
+
+    await this.storageService.deleteFiles([filePath, ...Object.values(thumbnailPaths || {})]);
+    return true;
+  }
+
+  /**
+   * Read duration, dimensions, codec and bitrate of an uploaded file.
+   * Unknown values are stored as null rather than failing the upload.
+   */
+  async probeMedia(file) {
+    try {
+      return await this.mediaProcessor.probe(file.buffer || file.path, file.mimetype);
+    } catch (error) {
+      console.error('Media probe failed:', error.message);
+      return {
+        duration: null,
+        width: null,
+        height: null,
+        codec: null,
+        bitrate: null
+      };
+    }
+  }
+
+  /**
+   * Add public URLs for the file and its thumbnails
+   * (web pages and streams use their own URL, widgets and text have none)
+   */
+  formatMedia(item) {
+    return {
+      ...item,
+      url: item.file_path ? this.storageService.getPublicUrl(item.file_path) : item.content?.url || null,
+      thumbnails: this.storageService.getThumbnailUrls(item.thumbnail_paths)
+    };
+  }
+
   /**
    * Get media statistics
    */
-  async getMediaStats(userId = null) {
+  async getMediaStats(organizationId = null) {
     try {
       let query = supabase
         .from('media')
         .select('type, file_size');
 
-      if (userId) {
-        query = query.eq('created_by', userId);
+      if (organizationId) {
+        query = query.eq('organization_id', organizationId);
       }
 
       const { data, error } = await query;
@@ -388,6 +1305,7 @@ class MediaService {
         total: data.length,
         images: data.filter(m => m.type === 'image').length,
         videos: data.filter(m => m.type === 'video').length,
+        content: data.filter(m => CONTENT_TYPES.includes(m.type)).length,
         totalSize: data.reduce((sum, m) => sum + (m.file_size || 0), 0),
         averageSize: data.length > 0 ? Math.round(data.reduce((sum, m) => sum + (m.file_size || 0), 0) / data.length) : 0
       };
@@ -417,7 +1335,8 @@ class MediaService {
   }
 
   /**
-   * Get media files used in playlists
+   * Get the playlists a media file is used in (each playlist once): in their
+   * draft items or in the version screens currently play
    */
   async getMediaUsage(mediaId) {
     try {
@@ -435,13 +1354,77 @@ class MediaService {
         throw new ApiError(`Database error: ${error.message}`, 500, 'DATABASE_ERROR');
       }
 
-      return data.map(item => item.playlists);
+      const playlists = new Map();
+      for (const item of data) {
+        if (item.playlists) {
+          playlists.set(item.playlists.id, item.playlists);
+        }
+      }
+
+      const versions = await this.getVersionsUsingMedia([mediaId]);
+      for (const version of versions) {
+        if (version.playlists && version.playlists.published_version === version.version) {
+          playlists.set(version.playlists.id, { id: version.playlists.id, name: version.playlists.name });
+        }
+      }
+
+      return [...playlists.values()];
     } catch (error) {
       console.error('Error in getMediaUsage:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the playlist versions whose item snapshot references any of the media
+   */
+  async getVersionsUsingMedia(mediaIds) {
+    const versions = new Map();
+
+    for (const mediaId of mediaIds) {
+      const { data, error } = await supabase
+        .from('playlist_versions')
+        .select(`
+          id,
+          version,
+          items,
+          playlists:playlist_id (
+            id,
+            name,
+            published_version
+          )
+        `)
+        .contains('items', [{ media_id: mediaId }]);
+
+      if (error) {
+        throw new ApiError(`Failed to fetch playlist versions: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      for (const version of data) {
+        versions.set(version.id, version);
+      }
+    }
+
+    return [...versions.values()];
+  }
+
+  /**
+   * Rewrite the item snapshots of playlist versions. Only used to repoint merged
+   * duplicates; deleting media leaves snapshots as they were published.
+   */
+  async rewriteVersionItems(versions, mapItems) {
+    for (const version of versions) {
+      const { error } = await supabase
+        .from('playlist_versions')
+        .update({ items: mapItems(version.items) })
+        .eq('id', version.id);
+
+      if (error) {
+        throw new ApiError(`Failed to update playlist version: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+    }
+  }
+
   /**
    * Check if media can be safely deleted (not used in any playlists)
    */
@@ -456,4 +1439,4 @@ class MediaService {
   }
 }
 
-module.exports = { MediaService };
\ No newline at end of file
+module.exports = { MediaService, CONTENT_TYPES };
\ No newline at end of file
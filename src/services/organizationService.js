@@ -0,0 +1,483 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Membership roles inside an organization, lowest to highest.
+// Members have read-only access; editors can change content; admins manage the organization.
+const ORGANIZATION_ROLES = ['member', 'editor', 'admin', 'owner'];
+
+class OrganizationService {
+  /**
+   * Get the organizations a user belongs to, with the user's role in each
+   */
+  async getUserOrganizations(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('organization_members')
+        .select(`
+          role,
+          created_at,
+          organizations:organization_id (
+            id,
+            name,
+            created_at,
+            updated_at
+          )
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new ApiError(`Failed to fetch organizations: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data
+        .filter(membership => membership.organizations)
+        .map(membership => ({
+          ...membership.organizations,
+          role: membership.role,
+          joinedAt: membership.created_at
+        }));
+    } catch (error) {
+      console.error('Error in getUserOrganizations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's membership in an organization. Returns null if not a member.
+   */
+  async getMembership(organizationId, userId) {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select(`
+        role,
+        organizations:organization_id (
+          id,
+          name
+        )
+      `)
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new ApiError(`Failed to fetch membership: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    if (!data || !data.organizations) {
+      return null;
+    }
+
+    return {
+      id: data.organizations.id,
+      name: data.organizations.name,
+      role: data.role
+    };
+  }
+
+  /**
+   * Get the organization used when the client does not pick one:
+   * the oldest membership, or a new personal workspace for users without any
+   */
+  async getDefaultOrganization(user) {
+    try {
+      const organizations = await this.getUserOrganizations(user.id);
+
+      if (organizations.length > 0) {
+        const { id, name, role } = organizations[0];
+        return { id, name, role };
+      }
+
+      const organization = await this.ensurePersonalOrganization(user);
+
+      return {
+        id: organization.id,
+        name: organization.name,
+        role: 'owner'
+      };
+    } catch (error) {
+      console.error('Error in getDefaultOrganization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get or create the personal workspace of a user. Safe to run concurrently
+   * (a user's first requests often arrive in parallel): personal_owner_id is
+   * unique, so every caller ends up with the same organization.
+   */
+  async ensurePersonalOrganization(user) {
+    const { error: createError } = await supabase
+      .from('organizations')
+      .upsert({
+        name: `${user.email || 'My'} workspace`,
+        created_by: user.id,
+        personal_owner_id: user.id
+      }, {
+        onConflict: 'personal_owner_id',
+        ignoreDuplicates: true
+      });
+
+    if (createError) {
+      throw new ApiError(`Failed to create organization: ${createError.message}`, 500, 'CREATE_FAILED');
+    }
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .select('id, name')
+      .eq('personal_owner_id', user.id)
+      .single();
+
+    if (error) {
+      throw new ApiError(`Failed to fetch organization: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .upsert({
+        organization_id: organization.id,
+        user_id: user.id,
+        role: 'owner'
+      }, {
+        onConflict: 'organization_id,user_id',
+        ignoreDuplicates: true
+      });
+
+    if (memberError) {
+      throw new ApiError(`Failed to add organization owner: ${memberError.message}`, 500, 'CREATE_FAILED');
+    }
+
+    return organization;
+  }
+
+  /**
+   * Verify a user is a member of an organization with at least the given role
+   */
+  async verifyMembership(organizationId, userId, minimumRole = 'member') {
+    const membership = await this.getMembership(organizationId, userId);
+
+    if (!membership) {
+      throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    if (!this.hasRole(membership.role, minimumRole)) {
+      throw new ApiError(`This action requires the organization ${minimumRole} role`, 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Create an organization and make the creator its owner
+   */
+  async createOrganization(organizationData, userId) {
+    try {
+      const name = organizationData.name?.trim();
+
+      if (!name) {
+        throw new ApiError('Organization name is required', 400, 'MISSING_NAME');
+      }
+
+      if (name.length > 100) {
+        throw new ApiError('Organization name must be less than 100 characters', 400, 'NAME_TOO_LONG');
+      }
+
+      const { data: organization, error } = await supabase
+        .from('organizations')
+        .insert({
+          name,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create organization: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      const { error: memberError } = await supabase
+        .from('organization_members')
+        .insert({
+          organization_id: organization.id,
+          user_id: userId,
+          role: 'owner'
+        });
+
+      if (memberError) {
+        // Don't leave an organization nobody can access
+        await supabase.from('organizations').delete().eq('id', organization.id);
+        throw new ApiError(`Failed to add organization owner: ${memberError.message}`, 400, 'CREATE_FAILED');
+      }
+
+      return organization;
+    } catch (error) {
+      console.error('Error in createOrganization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get organization by ID
+   */
+  async getOrganizationById(organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select(`
+          *,
+          organization_members (
+            user_id
+          )
+        `)
+        .eq('id', organizationId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to fetch organization: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        ...data,
+        memberCount: data.organization_members?.length || 0,
+        organization_members: undefined
+      };
+    } catch (error) {
+      console.error('Error in getOrganizationById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename an organization
+   */
+  async updateOrganization(organizationId, updates) {
+    try {
+      const name = updates.name?.trim();
+
+      if (!name) {
+        throw new ApiError('Organization name is required', 400, 'MISSING_NAME');
+      }
+
+      if (name.length > 100) {
+        throw new ApiError('Organization name must be less than 100 characters', 400, 'NAME_TOO_LONG');
+      }
+
+      const { data, error } = await supabase
+        .from('organizations')
+        .update({
+          name,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', organizationId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to update organization: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in updateOrganization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List members of an organization
+   */
+  async getMembers(organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('organization_members')
+        .select(`
+          user_id,
+          role,
+          created_at,
+          profiles:user_id (
+            email
+          )
+        `)
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new ApiError(`Failed to fetch members: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data.map(member => ({
+        userId: member.user_id,
+        email: member.profiles?.email || null,
+        role: member.role,
+        joinedAt: member.created_at
+      }));
+    } catch (error) {
+      console.error('Error in getMembers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an existing user to an organization by email
+   */
+  async addMember(organizationId, email, role = 'member') {
+    try {
+      this.validateRole(role);
+
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('id, email')
+        .ilike('email', email.trim())
+        .maybeSingle();
+
+      if (profileError) {
+        throw new ApiError(`Failed to look up user: ${profileError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      if (!profile) {
+        throw new ApiError('No user found with this email. They must sign in once before being added.', 404, 'USER_NOT_FOUND');
+      }
+
+      const existing = await this.getMembership(organizationId, profile.id);
+      if (existing) {
+        throw new ApiError('User is already a member of this organization', 409, 'ALREADY_MEMBER');
+      }
+
+      const { data, error } = await supabase
+        .from('organization_members')
+        .insert({
+          organization_id: organizationId,
+          user_id: profile.id,
+          role
+        })
+        .select('user_id, role, created_at')
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to add member: ${error.message}`, 400, 'ADD_MEMBER_FAILED');
+      }
+
+      return {
+        userId: data.user_id,
+        email: profile.email,
+        role: data.role,
+        joinedAt: data.created_at
+      };
+    } catch (error) {
+      console.error('Error in addMember:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role
+   */
+  async updateMemberRole(organizationId, userId, role) {
+    try {
+      this.validateRole(role);
+
+      const membership = await this.getMembership(organizationId, userId);
+      if (!membership) {
+        throw new ApiError('Member not found', 404, 'MEMBER_NOT_FOUND');
+      }
+
+      if (membership.role === 'owner' && role !== 'owner') {
+        await this.ensureAnotherOwner(organizationId, userId);
+      }
+
+      const { data, error } = await supabase
+        .from('organization_members')
+        .update({ role })
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId)
+        .select('user_id, role, created_at')
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to update member: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      return {
+        userId: data.user_id,
+        role: data.role,
+        joinedAt: data.created_at
+      };
+    } catch (error) {
+      console.error('Error in updateMemberRole:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from an organization
+   */
+  async removeMember(organizationId, userId) {
+    try {
+      const membership = await this.getMembership(organizationId, userId);
+      if (!membership) {
+        throw new ApiError('Member not found', 404, 'MEMBER_NOT_FOUND');
+      }
+
+      if (membership.role === 'owner') {
+        await this.ensureAnotherOwner(organizationId, userId);
+      }
+
+      const { error } = await supabase
+        .from('organization_members')
+        .delete()
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId);
+
+      if (error) {
+        throw new ApiError(`Failed to remove member: ${error.message}`, 500, 'REMOVE_MEMBER_FAILED');
+      }
+    } catch (error) {
+      console.error('Error in removeMember:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse changes that would leave an organization without an owner
+   */
+  async ensureAnotherOwner(organizationId, userId) {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select('user_id')
+      .eq('organization_id', organizationId)
+      .eq('role', 'owner')
+      .neq('user_id', userId);
+
+    if (error) {
+      throw new ApiError(`Failed to check owners: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    if (data.length === 0) {
+      throw new ApiError('An organization must keep at least one owner', 400, 'LAST_OWNER');
+    }
+  }
+
+  /**
+   * Check that a role is a valid organization role
+   */
+  validateRole(role) {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new ApiError(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+    }
+  }
+
+  /**
+   * Check if an organization role meets a minimum role
+   */
+  hasRole(role, minimumRole) {
+    return ORGANIZATION_ROLES.indexOf(role) >= ORGANIZATION_ROLES.indexOf(minimumRole);
+  }
+}
+
+module.exports = { OrganizationService, ORGANIZATION_ROLES };
@@ -0,0 +1,195 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+class PlayerErrorService {
+  constructor() {
+    this.degradedWindow = 15 * 60 * 1000; // 15 minutes
+    this.degradedThreshold = 3; // Errors within the window before a screen counts as degraded
+    this.maxMessageLength = 2000;
+    this.maxDetailsSize = 10 * 1024; // Serialized details, in characters
+  }
+
+  /**
+   * Store an error reported by a player
+   */
+  async recordError(screen, report) {
+    try {
+      const { message, details = {}, mediaId, playerVersion } = report;
+
+      if (!message || typeof message !== 'string') {
+        throw new ApiError('Error message is required', 400, 'MISSING_REQUIRED_FIELDS');
+      }
+
+      if (details === null || typeof details !== 'object' || Array.isArray(details)) {
+        throw new ApiError('Details must be an object', 400, 'INVALID_DETAILS');
+      }
+
+      if (JSON.stringify(details).length > this.maxDetailsSize) {
+        throw new ApiError('Error details are too large', 400, 'DETAILS_TOO_LARGE');
+      }
+
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+      if (mediaId && !uuidRegex.test(mediaId)) {
+        throw new ApiError('Media ID must be a valid UUID', 400, 'INVALID_ID');
+      }
+
+      const { data, error } = await supabase
+        .from('player_errors')
+        .insert({
+          organization_id: screen.organization_id,
+          screen_id: screen.id,
+          message: message.substring(0, this.maxMessageLength),
+          details,
+          media_id: mediaId || null,
+          player_version: playerVersion ? String(playerVersion).substring(0, 50) : null
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to store player error: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in recordError:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get errors reported by a screen with filtering and pagination (newest first)
+   */
+  async getScreenErrors(screenId, filters = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        from,
+        to,
+        mediaId,
+        playerVersion,
+        search
+      } = filters;
+
+      let query = supabase
+        .from('player_errors')
+        .select(`
+          *,
+          media:media_id (
+            id,
+            name,
+            type
+          )
+        `, { count: 'exact' })
+        .eq('screen_id', screenId);
+
+      // Apply filters
+      if (from) {
+        query = query.gte('created_at', new Date(from).toISOString());
+      }
+
+      if (to) {
+        query = query.lte('created_at', new Date(to).toISOString());
+      }
+
+      if (mediaId) {
+        query = query.eq('media_id', mediaId);
+      }
+
+      if (playerVersion) {
+        query = query.eq('player_version', playerVersion);
+      }
+
+      if (search) {
+        query = query.ilike('message', `%${search}%`);
+      }
+
+      query = query.order('created_at', { ascending: false });
+
+      // Apply pagination
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const offset = (pageNum - 1) * limitNum;
+
+      query = query.range(offset, offset + limitNum - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch player errors: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        errors: data,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count,
+          totalPages: Math.ceil(count / limitNum)
+        }
+      };
+    } catch (error) {
+      console.error('Error in getScreenErrors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Derive the health of screens from their recent errors. Independent of
+   * online/offline: a screen that keeps reporting errors is online but degraded.
+   * Returns a Map of screenId -> { health, recentErrors, lastErrorAt }.
+   */
+  async getHealthStates(screenIds) {
+    const states = new Map(screenIds.map(id => [id, {
+      health: 'healthy',
+      recentErrors: 0,
+      lastErrorAt: null
+    }]));
+
+    if (screenIds.length === 0) {
+      return states;
+    }
+
+    const since = new Date(Date.now() - this.degradedWindow).toISOString();
+
+    const { data, error } = await supabase
+      .from('player_errors')
+      .select('screen_id, created_at')
+      .in('screen_id', screenIds)
+      .gte('created_at', since);
+
+    if (error) {
+      console.error('Failed to derive screen health:', error);
+      return states;
+    }
+
+    for (const row of data) {
+      const state = states.get(row.screen_id);
+      if (!state) continue;
+
+      state.recentErrors++;
+      if (!state.lastErrorAt || row.created_at > state.lastErrorAt) {
+        state.lastErrorAt = row.created_at;
+      }
+    }
+
+    for (const state of states.values()) {
+      if (state.recentErrors >= this.degradedThreshold) {
+        state.health = 'degraded';
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Derive the health of a single screen
+   */
+  async getHealthState(screenId) {
+    const states = await this.getHealthStates([screenId]);
+    return states.get(screenId);
+  }
+}
+
+module.exports = { PlayerErrorService };
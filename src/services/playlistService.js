@@ -1,18 +1,123 @@
 const { supabase } = require('../config/supabase');
 const { StorageService } = require('./storageService');
 const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+const { isWithinWindow, getNextWindowChange, validateWindow } = require('./mediaExpiryService');
+
+// Fields of playlist versions listed in history (items only for counting)
+const VERSION_SUMMARY_SELECT = 'id, version, name, note, playback_mode, items, published_by, published_at';
+
+// Media fields players need to render an item
+const PLAYBACK_MEDIA_SELECT = 'id, name, type, file_path, mime_type, duration, content, valid_from, valid_until';
+
+// How players order the items of a playlist
+const PLAYBACK_MODES = ['sequential', 'shuffle', 'weighted', 'interleave'];
+
+/**
+ * Deterministic pseudo-random number generator (0 <= n < 1) seeded from a string,
+ * so the same seed always yields the same playback order
+ */
+const createSeededRandom = (seed) => {
+  // FNV-1a hash of the seed
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  // mulberry32
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ */
+const shuffle = (values, random) => {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Order playlist entries ({ weight, interleave, ... }) for one pass of playback
+ */
+const orderPlaybackEntries = (entries, mode, settings = {}, random = Math.random) => {
+  switch (mode) {
+    case 'shuffle':
+      return shuffle(entries, random);
+
+    case 'weighted': {
+      // Each entry plays `weight` times per pass; pick at random in proportion to the plays left,
+      // avoiding the same entry twice in a row while another one is available
+      const remaining = entries.map(entry => ({ entry, count: entry.weight || 1 }));
+      const result = [];
+      let left = remaining.reduce((sum, slot) => sum + slot.count, 0);
+
+      while (left > 0) {
+        const last = result[result.length - 1];
+        let candidates = remaining.filter(slot => slot.count > 0 && slot.entry !== last);
+        if (candidates.length === 0) {
+          candidates = remaining.filter(slot => slot.count > 0);
+        }
+
+        // An entry holding more than half of the plays left must go now to stay spread out
+        let pick = random() * candidates.reduce((sum, slot) => sum + slot.count, 0);
+        const slot = candidates.find(candidate => candidate.count * 2 > left)
+          || candidates.find(candidate => (pick -= candidate.count) < 0)
+          || candidates[candidates.length - 1];
+        result.push(slot.entry);
+        slot.count--;
+        left--;
+      }
+      return result;
+    }
+
+    case 'interleave': {
+      // Flagged entries (e.g. ads) play in turn after every `interleaveEvery` regular entries
+      const regular = entries.filter(entry => !entry.interleave);
+      const interleaved = entries.filter(entry => entry.interleave);
+      if (regular.length === 0 || interleaved.length === 0) {
+        return [...regular, ...interleaved];
+      }
+
+      const every = settings.interleaveEvery || 1;
+      let next = Math.floor(random() * interleaved.length); // Rotate which one plays first
+      const result = [];
+      regular.forEach((entry, index) => {
+        result.push(entry);
+        if ((index + 1) % every === 0) {
+          result.push(interleaved[next++ % interleaved.length]);
+        }
+      });
+      return result;
+    }
+
+    default:
+      return entries;
+  }
+};
 
 class PlaylistService {
   constructor() {
     this.storageService = new StorageService();
+    this.maxNestingDepth = 5; // Levels of playlists, counting the outermost one
+    this.maxItemWeight = 10;
+    this.maxInterleaveEvery = 50;
   }
 
   /**
    * Create a new playlist
    */
-  async createPlaylist(playlistData, userId) {
+  async createPlaylist(playlistData, userId, organizationId) {
     try {
-      const { name, description, items = [] } = playlistData;
+      const { name, description, items = [], playbackMode, playbackSettings } = playlistData;
 
       // Validate playlist name
       if (!name || name.trim().length === 0) {
@@ -28,10 +133,12 @@ class PlaylistService {
         throw new ApiError('Description must be less than 500 characters', 400, 'DESCRIPTION_TOO_LONG');
       }
 
-      // Validate items if provided
-      if (items.length > 0) {
-        await this.validatePlaylistItems(items, userId);
-      }
+      const playback = this.validatePlaybackMode(playbackMode || 'sequential', playbackSettings);
+
+      // Validate items if provided (fills in missing video durations)
+      const playlistItems = items.length > 0
+        ? await this.validatePlaylistItems(items, organizationId)
+        : [];
 
       // Create playlist
       const { data: playlist, error: playlistError } = await supabase
@@ -39,6 +146,9 @@ class PlaylistService {
         .insert({
           name: name.trim(),
           description: description?.trim() || null,
+          playback_mode: playback.mode,
+          playback_settings: playback.settings,
+          organization_id: organizationId,
           created_by: userId
         })
         .select()
@@ -49,12 +159,15 @@ class PlaylistService {
       }
 
       // Add playlist items if provided
-      if (items.length > 0) {
-        await this.updatePlaylistItems(playlist.id, items);
+      if (playlistItems.length > 0) {
+        await this.saveItemRows(playlistItems.map(item => this.toItemRow(playlist.id, item)));
       }
 
+      // The initial content is live right away; later edits stay in the draft until published
+      await this.publishPlaylist(playlist.id, userId, organizationId, { note: 'Initial version' });
+
       // Return complete playlist with items
-      return await this.getPlaylistById(playlist.id, userId);
+      return await this.getPlaylistById(playlist.id, organizationId);
     } catch (error) {
       console.error('Error in createPlaylist:', error);
       throw error;
@@ -62,7 +175,7 @@ class PlaylistService {
   }
 
   /**
-   * Get all playlists for a user with filtering and pagination
+   * Get all playlists of an organization with filtering and pagination
    */
   async getUserPlaylists(filters = {}) {
     try {
@@ -72,7 +185,7 @@ class PlaylistService {
         sortBy = 'created_at',
         sortOrder = 'desc',
         search,
-        userId
+        organizationId
       } = filters;
 
       let query = supabase
@@ -83,17 +196,27 @@ class PlaylistService {
             id,
             order_index,
             duration,
+            valid_from,
+            valid_until,
+            child_playlist_id,
+            weight,
+            interleave,
             media:media_id (
               id,
               name,
               type,
               file_path,
               mime_type,
-              file_size
+              file_size,
+              thumbnail_paths,
+              content,
+              valid_from,
+              valid_until,
+              expired_at
             )
           )
         `, { count: 'exact' })
-        .eq('created_by', userId);
+        .eq('organization_id', organizationId);
 
       // Apply search filter
       if (search) {
@@ -141,7 +264,7 @@ class PlaylistService {
   /**
    * Get playlist by ID
    */
-  async getPlaylistById(playlistId, userId) {
+  async getPlaylistById(playlistId, organizationId) {
     try {
       const { data, error } = await supabase
         .from('playlists')
@@ -151,18 +274,28 @@ class PlaylistService {
             id,
             order_index,
             duration,
+            valid_from,
+            valid_until,
+            child_playlist_id,
+            weight,
+            interleave,
             media:media_id (
               id,
               name,
               type,
               file_path,
               mime_type,
-              file_size
+              file_size,
+              thumbnail_paths,
+              content,
+              valid_from,
+              valid_until,
+              expired_at
             )
           )
         `)
         .eq('id', playlistId)
-        .eq('created_by', userId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (error) {
@@ -172,7 +305,7 @@ class PlaylistService {
         throw new ApiError(`Failed to fetch playlist: ${error.message}`, 500, 'FETCH_FAILED');
       }
 
-      return this.processPlaylistData(data);
+      return await this.addNestedPlaylistInfo(this.processPlaylistData(data), organizationId);
     } catch (error) {
       console.error('Error in getPlaylistById:', error);
       throw error;
@@ -182,9 +315,12 @@ class PlaylistService {
   /**
    * Update playlist
    */
-  async updatePlaylist(playlistId, updates, userId) {
+  async updatePlaylist(playlistId, updates, organizationId) {
     try {
-      const { name, description, items } = updates;
+      const { name, description, items, playbackMode, playbackSettings, revision } = updates;
+
+      // Fails early when the client edited an outdated revision
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId, revision);
 
       // Validate updates
       const validUpdates = {};
@@ -206,51 +342,635 @@ class PlaylistService {
         validUpdates.description = description?.trim() || null;
       }
 
-      validUpdates.updated_at = new Date().toISOString();
-
-      // Update playlist metadata if there are changes
-      if (Object.keys(validUpdates).length > 1) { // More than just updated_at
-        const { error: updateError } = await supabase
-          .from('playlists')
-          .update(validUpdates)
-          .eq('id', playlistId)
-          .eq('created_by', userId);
-
-        if (updateError) {
-          if (updateError.code === 'PGRST116') {
+      if (playbackMode !== undefined || playbackSettings !== undefined) {
+        let mode = playbackMode;
+        if (mode === undefined) {
+          const { data: current, error: currentError } = await supabase
+            .from('playlists')
+            .select('playback_mode')
+            .eq('id', playlistId)
+            .eq('organization_id', organizationId)
+            .single();
+
+          if (currentError || !current) {
             throw new ApiError('Playlist not found', 404, 'PLAYLIST_NOT_FOUND');
           }
-          throw new ApiError(`Failed to update playlist: ${updateError.message}`, 400, 'UPDATE_FAILED');
+          mode = current.playback_mode || 'sequential';
         }
+
+        const playback = this.validatePlaybackMode(mode, playbackSettings);
+        validUpdates.playback_mode = playback.mode;
+        validUpdates.playback_settings = playback.settings;
       }
 
-      // Update playlist items if provided
+      const playlistItems = items !== undefined && items.length > 0
+        ? await this.validatePlaylistItems(items, organizationId, playlistId)
+        : [];
+
+      // Items sent with the ID of one of the playlist's items keep it; the rest are new
+      let itemRows;
       if (items !== undefined) {
-        if (items.length > 0) {
-          await this.validatePlaylistItems(items, userId);
-        }
-        await this.updatePlaylistItems(playlistId, items);
+        const existingIds = new Set((await this.getPlaylistItemRows(playlistId)).map(row => row.id));
+        itemRows = playlistItems.map((item, index) => {
+          const row = this.toItemRow(playlistId, item);
+          const id = items[index].id;
+          if (!existingIds.delete(id)) {
+            return row;
+          }
+          return { id, ...row };
+        });
       }
 
+      validUpdates.updated_at = new Date().toISOString();
+
+      const claimed = await this.editRevision(playlistId, currentRevision, async () => {
+        // Update playlist metadata if there are changes
+        if (Object.keys(validUpdates).length > 1) { // More than just updated_at
+          const { error: updateError } = await supabase
+            .from('playlists')
+            .update(validUpdates)
+            .eq('id', playlistId)
+            .eq('organization_id', organizationId);
+
+          if (updateError) {
+            throw new ApiError(`Failed to update playlist: ${updateError.message}`, 400, 'UPDATE_FAILED');
+          }
+        }
+
+        // Replace playlist items if provided
+        if (itemRows !== undefined) {
+          await this.replaceItemRows(playlistId, itemRows);
+        }
+      });
+
+      // Push the change to screens playing this playlist
+      this.notifyDraftChanged(claimed, { itemsChanged: items !== undefined });
+
       // Return updated playlist
-      return await this.getPlaylistById(playlistId, userId);
+      return await this.getPlaylistById(playlistId, organizationId);
     } catch (error) {
       console.error('Error in updatePlaylist:', error);
       throw error;
     }
   }
 
+  /**
+   * Add items to a playlist at a position (default: the end), keeping existing item IDs
+   */
+  async addPlaylistItems(playlistId, { items, position, revision }, organizationId) {
+    try {
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId, revision);
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError('Items must be a non-empty array', 400, 'INVALID_ITEMS');
+      }
+
+      const rows = await this.getPlaylistItemRows(playlistId);
+
+      if (rows.length + items.length > 100) {
+        throw new ApiError('Playlist cannot have more than 100 items', 400, 'TOO_MANY_ITEMS');
+      }
+
+      const index = position === undefined || position === null ? rows.length : position;
+      if (!Number.isInteger(index) || index < 0 || index > rows.length) {
+        throw new ApiError(`Position must be an integer between 0 and ${rows.length}`, 400, 'INVALID_POSITION');
+      }
+
+      const validItems = await this.validatePlaylistItems(items, organizationId, playlistId);
+      const newRows = validItems.map(item => this.toItemRow(playlistId, item));
+
+      // New rows and the shifted order of existing ones are written in one statement
+      const claimed = await this.editRevision(playlistId, currentRevision, () => (
+        this.saveItemRows([...rows.slice(0, index), ...newRows, ...rows.slice(index)])
+      ));
+
+      this.notifyDraftChanged(claimed, { itemsChanged: true });
+
+      return await this.getPlaylistById(playlistId, organizationId);
+    } catch (error) {
+      console.error('Error in addPlaylistItems:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a single playlist item (duration, activation window, weight, interleave)
+   */
+  async updatePlaylistItem(playlistId, itemId, updates, organizationId) {
+    try {
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId, updates.revision);
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('playlist_items')
+        .select('*')
+        .eq('id', itemId)
+        .eq('playlist_id', playlistId)
+        .single();
+
+      if (fetchError || !existing) {
+        throw new ApiError('Playlist item not found', 404, 'ITEM_NOT_FOUND');
+      }
+
+      const fields = ['duration', 'valid_from', 'valid_until', 'weight', 'interleave'];
+      if (!fields.some(field => updates[field] !== undefined)) {
+        throw new ApiError('No valid updates provided', 400, 'NO_UPDATES');
+      }
+
+      const merged = {
+        media_id: existing.media_id || undefined,
+        child_playlist_id: existing.child_playlist_id || undefined
+      };
+      for (const field of fields) {
+        merged[field] = updates[field] !== undefined ? updates[field] : existing[field];
+      }
+
+      const [item] = await this.validatePlaylistItems([merged], organizationId, playlistId);
+
+      const claimed = await this.editRevision(playlistId, currentRevision, async () => {
+        const { error } = await supabase
+          .from('playlist_items')
+          .update({
+            duration: item.duration,
+            valid_from: item.valid_from,
+            valid_until: item.valid_until,
+            weight: item.weight,
+            interleave: item.interleave
+          })
+          .eq('id', itemId)
+          .eq('playlist_id', playlistId);
+
+        if (error) {
+          throw new ApiError(`Failed to update playlist item: ${error.message}`, 500, 'UPDATE_FAILED');
+        }
+      });
+
+      this.notifyDraftChanged(claimed, { itemsChanged: true });
+
+      return await this.getPlaylistById(playlistId, organizationId);
+    } catch (error) {
+      console.error('Error in updatePlaylistItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a single item from a playlist
+   */
+  async deletePlaylistItem(playlistId, itemId, revision, organizationId) {
+    try {
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId, revision);
+
+      const rows = await this.getPlaylistItemRows(playlistId);
+      if (!rows.some(row => row.id === itemId)) {
+        throw new ApiError('Playlist item not found', 404, 'ITEM_NOT_FOUND');
+      }
+
+      // Gaps in order_index are fine; items are always sorted by it
+      const claimed = await this.editRevision(playlistId, currentRevision, async () => {
+        const { error } = await supabase
+          .from('playlist_items')
+          .delete()
+          .eq('id', itemId)
+          .eq('playlist_id', playlistId);
+
+        if (error) {
+          throw new ApiError(`Failed to delete playlist item: ${error.message}`, 500, 'DELETE_FAILED');
+        }
+      });
+
+      this.notifyDraftChanged(claimed, { itemsChanged: true });
+
+      return await this.getPlaylistById(playlistId, organizationId);
+    } catch (error) {
+      console.error('Error in deletePlaylistItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder playlist items; itemIds must list every item of the playlist exactly once
+   */
+  async reorderPlaylistItems(playlistId, itemIds, revision, organizationId) {
+    try {
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId, revision);
+
+      if (!Array.isArray(itemIds)) {
+        throw new ApiError('itemIds must be an array', 400, 'INVALID_ORDER');
+      }
+
+      const rows = await this.getPlaylistItemRows(playlistId);
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+
+      if (itemIds.length !== rows.length || new Set(itemIds).size !== itemIds.length || !itemIds.every(id => rowsById.has(id))) {
+        throw new ApiError('itemIds must list every item of the playlist exactly once', 400, 'INVALID_ORDER');
+      }
+
+      const claimed = await this.editRevision(playlistId, currentRevision, () => (
+        this.saveItemRows(itemIds.map(id => rowsById.get(id)))
+      ));
+
+      this.notifyDraftChanged(claimed, { itemsChanged: true });
+
+      return await this.getPlaylistById(playlistId, organizationId);
+    } catch (error) {
+      console.error('Error in reorderPlaylistItems:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current revision of a playlist; when the client sent the revision it
+   * edited, fail if the playlist changed since
+   */
+  async getPlaylistRevision(playlistId, organizationId, expectedRevision) {
+    const { data: playlist, error } = await supabase
+      .from('playlists')
+      .select('id, revision')
+      .eq('id', playlistId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !playlist) {
+      throw new ApiError('Playlist not found', 404, 'PLAYLIST_NOT_FOUND');
+    }
+
+    const current = playlist.revision || 0;
+
+    if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== '') {
+      const expected = Number(expectedRevision);
+      if (!Number.isInteger(expected)) {
+        throw new ApiError('Revision must be an integer', 400, 'INVALID_REVISION');
+      }
+      if (expected !== current) {
+        throw new ApiError(`Playlist was changed by someone else (revision ${current}). Reload it and try again.`, 409, 'REVISION_CONFLICT');
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run the writes of an edit under the next revision. The revision is claimed
+   * first so concurrent edits can't interleave their writes, and given back if
+   * the writes fail, so only a successful edit moves the playlist forward.
+   * Returns { id, revision, published_version }.
+   */
+  async editRevision(playlistId, currentRevision, write) {
+    const claimed = await this.claimRevision(playlistId, currentRevision);
+
+    try {
+      await write();
+    } catch (error) {
+      await this.releaseRevision(playlistId, claimed.revision);
+      throw error;
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Move a playlist to the next revision, failing if another edit claimed it first.
+   * Returns { id, revision, published_version }.
+   */
+  async claimRevision(playlistId, currentRevision) {
+    const { data, error } = await supabase
+      .from('playlists')
+      .update({
+        revision: currentRevision + 1,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', playlistId)
+      .eq('revision', currentRevision)
+      .select('id, revision, published_version');
+
+    if (error) {
+      throw new ApiError(`Failed to update playlist: ${error.message}`, 500, 'UPDATE_FAILED');
+    }
+
+    if (data.length === 0) {
+      throw new ApiError('Playlist was changed by someone else. Reload it and try again.', 409, 'REVISION_CONFLICT');
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Give back a revision claimed by an edit whose writes failed
+   */
+  async releaseRevision(playlistId, claimedRevision) {
+    const { error } = await supabase
+      .from('playlists')
+      .update({ revision: claimedRevision - 1 })
+      .eq('id', playlistId)
+      .eq('revision', claimedRevision);
+
+    if (error) {
+      console.error('Failed to release playlist revision:', error);
+    }
+  }
+
+  /**
+   * Refresh screens after a draft edit; once a playlist is published they keep
+   * playing the published version, so only never-published playlists go live
+   */
+  notifyDraftChanged(playlist, data = {}) {
+    if (!playlist.published_version) {
+      realtimeService.notifyPlaylistChanged(playlist.id, 'content-updated', data);
+    }
+  }
+
+  /**
+   * Get the raw item rows of a playlist in playback order
+   */
+  async getPlaylistItemRows(playlistId) {
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .select('*')
+      .eq('playlist_id', playlistId)
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      throw new ApiError(`Failed to fetch playlist items: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return data;
+  }
+
+  /**
+   * Write item rows in the given order in a single statement; rows without an ID are inserted.
+   * Returns the IDs of the written rows.
+   */
+  async saveItemRows(rows) {
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .upsert(rows.map((row, index) => ({ ...row, order_index: index })), { onConflict: 'id', defaultToNull: false })
+      .select('id');
+
+    if (error) {
+      throw new ApiError(`Failed to save playlist items: ${error.message}`, 500, 'INSERT_ITEMS_FAILED');
+    }
+
+    return data.map(row => row.id);
+  }
+
+  /**
+   * Make the given rows the items of a playlist: they are written first, then the
+   * items not among them are dropped; a failure in between leaves extra items
+   * rather than an empty playlist
+   */
+  async replaceItemRows(playlistId, rows) {
+    const ids = rows.length > 0 ? await this.saveItemRows(rows) : [];
+
+    let removeQuery = supabase
+      .from('playlist_items')
+      .delete()
+      .eq('playlist_id', playlistId);
+
+    if (ids.length > 0) {
+      removeQuery = removeQuery.not('id', 'in', `(${ids.join(',')})`);
+    }
+
+    const { error } = await removeQuery;
+
+    if (error) {
+      throw new ApiError(`Failed to remove items: ${error.message}`, 500, 'DELETE_ITEMS_FAILED');
+    }
+  }
+
+  /**
+   * Publish the current draft as a new immutable version that players serve
+   */
+  async publishPlaylist(playlistId, userId, organizationId, { note, revision } = {}) {
+    try {
+      await this.getPlaylistRevision(playlistId, organizationId, revision);
+
+      if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        throw new ApiError('Note must be less than 500 characters', 400, 'INVALID_NOTE');
+      }
+
+      const { data: playlist, error: fetchError } = await supabase
+        .from('playlists')
+        .select('name, description, playback_mode, playback_settings')
+        .eq('id', playlistId)
+        .single();
+
+      if (fetchError) {
+        throw new ApiError(`Failed to fetch playlist: ${fetchError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const rows = await this.getPlaylistItemRows(playlistId);
+
+      const { data: latest, error: latestError } = await supabase
+        .from('playlist_versions')
+        .select('version')
+        .eq('playlist_id', playlistId)
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (latestError) {
+        throw new ApiError(`Failed to fetch playlist versions: ${latestError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const version = (latest[0]?.version || 0) + 1;
+
+      const { data, error } = await supabase
+        .from('playlist_versions')
+        .insert({
+          playlist_id: playlistId,
+          organization_id: organizationId,
+          version,
+          name: playlist.name,
+          description: playlist.description,
+          playback_mode: playlist.playback_mode || 'sequential',
+          playback_settings: playlist.playback_settings || {},
+          items: rows.map(row => ({
+            id: row.id,
+            media_id: row.media_id,
+            child_playlist_id: row.child_playlist_id,
+            duration: row.duration,
+            valid_from: row.valid_from,
+            valid_until: row.valid_until,
+            weight: row.weight,
+            interleave: row.interleave
+          })),
+          note: note?.trim() || null,
+          published_by: userId
+        })
+        .select(VERSION_SUMMARY_SELECT)
+        .single();
+
+      if (error) {
+        // (playlist_id, version) is unique, so a concurrent publish loses here
+        if (error.code === '23505') {
+          throw new ApiError('Playlist is being published by someone else. Try again.', 409, 'PUBLISH_CONFLICT');
+        }
+        throw new ApiError(`Failed to publish playlist: ${error.message}`, 500, 'PUBLISH_FAILED');
+      }
+
+      await this.setPublishedVersion(playlistId, version);
+
+      realtimeService.notifyPlaylistChanged(playlistId, 'content-updated', { reason: 'published', version });
+
+      return this.processVersionData(data, version);
+    } catch (error) {
+      console.error('Error in publishPlaylist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the published versions of a playlist, newest first
+   */
+  async getPlaylistVersions(playlistId, organizationId) {
+    try {
+      const { data: playlist, error: fetchError } = await supabase
+        .from('playlists')
+        .select('published_version')
+        .eq('id', playlistId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (fetchError || !playlist) {
+        throw new ApiError('Playlist not found', 404, 'PLAYLIST_NOT_FOUND');
+      }
+
+      const { data, error } = await supabase
+        .from('playlist_versions')
+        .select(VERSION_SUMMARY_SELECT)
+        .eq('playlist_id', playlistId)
+        .order('version', { ascending: false });
+
+      if (error) {
+        throw new ApiError(`Failed to fetch playlist versions: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        publishedVersion: playlist.published_version || null,
+        versions: data.map(version => this.processVersionData(version, playlist.published_version))
+      };
+    } catch (error) {
+      console.error('Error in getPlaylistVersions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a previous version live again and reset the draft to it.
+   * Items whose media or nested playlist was deleted since are left out of the draft.
+   */
+  async rollbackPlaylist(playlistId, version, organizationId) {
+    try {
+      const currentRevision = await this.getPlaylistRevision(playlistId, organizationId);
+
+      const { data: snapshot, error: fetchError } = await supabase
+        .from('playlist_versions')
+        .select('*')
+        .eq('playlist_id', playlistId)
+        .eq('version', version)
+        .single();
+
+      if (fetchError || !snapshot) {
+        throw new ApiError(`Version ${version} not found`, 404, 'VERSION_NOT_FOUND');
+      }
+
+      // Keep only items whose media or nested playlist still exists
+      const mediaIds = [...new Set(snapshot.items.filter(item => item.media_id).map(item => item.media_id))];
+      const childIds = [...new Set(snapshot.items.filter(item => item.child_playlist_id).map(item => item.child_playlist_id))];
+
+      const [media, children] = await Promise.all([
+        supabase.from('media').select('id').eq('organization_id', organizationId).in('id', mediaIds),
+        supabase.from('playlists').select('id').eq('organization_id', organizationId).in('id', childIds)
+      ]);
+
+      if (media.error || children.error) {
+        throw new ApiError(`Failed to check version items: ${(media.error || children.error).message}`, 500, 'FETCH_FAILED');
+      }
+
+      const existingIds = new Set([...media.data, ...children.data].map(row => row.id));
+      const items = snapshot.items.filter(item => existingIds.has(item.media_id || item.child_playlist_id));
+      const restoredChildIds = childIds.filter(id => existingIds.has(id));
+
+      if (restoredChildIds.length > 0) {
+        await this.validateNesting(playlistId, restoredChildIds, organizationId);
+      }
+
+      await this.editRevision(playlistId, currentRevision, async () => {
+        const { error: updateError } = await supabase
+          .from('playlists')
+          .update({
+            playback_mode: snapshot.playback_mode,
+            playback_settings: snapshot.playback_settings
+          })
+          .eq('id', playlistId);
+
+        if (updateError) {
+          throw new ApiError(`Failed to restore playlist: ${updateError.message}`, 500, 'UPDATE_FAILED');
+        }
+
+        // Items are restored under their original IDs
+        await this.replaceItemRows(playlistId, items.map(item => ({ id: item.id, ...this.toItemRow(playlistId, item) })));
+      });
+
+      await this.setPublishedVersion(playlistId, version);
+
+      realtimeService.notifyPlaylistChanged(playlistId, 'content-updated', { reason: 'rollback', version });
+
+      return {
+        playlist: await this.getPlaylistById(playlistId, organizationId),
+        version: this.processVersionData(snapshot, version),
+        skippedItems: snapshot.items.length - items.length
+      };
+    } catch (error) {
+      console.error('Error in rollbackPlaylist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point a playlist at the version players should serve
+   */
+  async setPublishedVersion(playlistId, version) {
+    const { error } = await supabase
+      .from('playlists')
+      .update({
+        published_version: version,
+        published_at: new Date().toISOString()
+      })
+      .eq('id', playlistId);
+
+    if (error) {
+      throw new ApiError(`Failed to publish playlist: ${error.message}`, 500, 'PUBLISH_FAILED');
+    }
+  }
+
+  /**
+   * Summarize a version row for API responses
+   */
+  processVersionData(version, publishedVersion) {
+    return {
+      id: version.id,
+      version: version.version,
+      name: version.name,
+      note: version.note,
+      playback_mode: version.playback_mode,
+      itemCount: version.items?.length || 0,
+      published_by: version.published_by,
+      published_at: version.published_at,
+      isLive: version.version === publishedVersion
+    };
+  }
+
   /**
    * Delete playlist
    */
-  async deletePlaylist(playlistId, userId) {
+  async deletePlaylist(playlistId, organizationId) {
     try {
-      // Check if playlist exists and belongs to user
+      // Check if playlist exists and belongs to the organization
       const { data: playlist, error: fetchError } = await supabase
         .from('playlists')
         .select('name')
         .eq('id', playlistId)
-        .eq('created_by', userId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (fetchError) {
@@ -271,7 +991,67 @@ class PlaylistService {
       }
 
       if (assignments.length > 0) {
-        throw new ApiError('Cannot delete playlist that is assigned to screens. Please remove assignments first.', 400, 'PLAYLIST_IN_USE');
+        throw new ApiError('Cannot delete playlist that is assigned to screens. Please remove assignments first.', 409, 'PLAYLIST_IN_USE');
+      }
+
+      // Check if playlist is scheduled on any screen
+      const { data: schedules, error: scheduleError } = await supabase
+        .from('screen_schedules')
+        .select('id')
+        .eq('playlist_id', playlistId)
+        .limit(1);
+
+      if (scheduleError) {
+        throw new ApiError(`Failed to check playlist schedules: ${scheduleError.message}`, 500, 'ASSIGNMENT_CHECK_FAILED');
+      }
+
+      if (schedules.length > 0) {
+        throw new ApiError('Cannot delete playlist that is scheduled on screens. Please remove the schedules first.', 409, 'PLAYLIST_IN_USE');
+      }
+
+      // Check if playlist is assigned to any screen group
+      const { data: groupAssignments, error: groupError } = await supabase
+        .from('group_assignments')
+        .select('group_id')
+        .eq('playlist_id', playlistId)
+        .limit(1);
+
+      if (groupError) {
+        throw new ApiError(`Failed to check group assignments: ${groupError.message}`, 500, 'ASSIGNMENT_CHECK_FAILED');
+      }
+
+      if (groupAssignments.length > 0) {
+        throw new ApiError('Cannot delete playlist that is assigned to screen groups. Please remove the group assignments first.', 409, 'PLAYLIST_IN_USE');
+      }
+
+      // Check if playlist is bound to a layout region
+      const { data: regions, error: regionError } = await supabase
+        .from('layout_regions')
+        .select('id')
+        .eq('playlist_id', playlistId)
+        .limit(1);
+
+      if (regionError) {
+        throw new ApiError(`Failed to check layout regions: ${regionError.message}`, 500, 'ASSIGNMENT_CHECK_FAILED');
+      }
+
+      if (regions.length > 0) {
+        throw new ApiError('Cannot delete playlist that is used in a layout. Please remove it from the layout first.', 409, 'PLAYLIST_IN_USE');
+      }
+
+      // Check if playlist is nested in another playlist
+      const { data: parentItems, error: nestingError } = await supabase
+        .from('playlist_items')
+        .select('id')
+        .eq('child_playlist_id', playlistId)
+        .limit(1);
+
+      if (nestingError) {
+        throw new ApiError(`Failed to check nested playlists: ${nestingError.message}`, 500, 'ASSIGNMENT_CHECK_FAILED');
+      }
+
+      if (parentItems.length > 0) {
+        throw new ApiError('Cannot delete playlist that is used inside another playlist. Please remove it from there first.', 409, 'PLAYLIST_IN_USE');
       }
 
       // Delete playlist (items will be deleted by CASCADE)
@@ -279,7 +1059,7 @@ class PlaylistService {
         .from('playlists')
         .delete()
         .eq('id', playlistId)
-        .eq('created_by', userId);
+        .eq('organization_id', organizationId);
 
       if (error) {
         throw new ApiError(`Failed to delete playlist: ${error.message}`, 500, 'DELETE_FAILED');
@@ -295,22 +1075,29 @@ class PlaylistService {
   /**
    * Duplicate playlist
    */
-  async duplicatePlaylist(playlistId, newName, userId) {
+  async duplicatePlaylist(playlistId, newName, userId, organizationId) {
     try {
       // Get original playlist
-      const originalPlaylist = await this.getPlaylistById(playlistId, userId);
+      const originalPlaylist = await this.getPlaylistById(playlistId, organizationId);
 
       // Create duplicate
       const duplicateData = {
         name: newName || `${originalPlaylist.name} (Copy)`,
         description: originalPlaylist.description,
+        playbackMode: originalPlaylist.playback_mode,
+        playbackSettings: originalPlaylist.playback_settings,
         items: originalPlaylist.items.map(item => ({
-          media_id: item.media.id,
-          duration: item.duration
+          media_id: item.media?.id,
+          child_playlist_id: item.child_playlist_id || undefined,
+          duration: item.child_playlist_id ? undefined : item.duration,
+          valid_from: item.valid_from,
+          valid_until: item.valid_until,
+          weight: item.weight,
+          interleave: item.interleave
         }))
       };
 
-      return await this.createPlaylist(duplicateData, userId);
+      return await this.createPlaylist(duplicateData, userId, organizationId);
     } catch (error) {
       console.error('Error in duplicatePlaylist:', error);
       throw error;
@@ -320,19 +1107,20 @@ class PlaylistService {
   /**
    * Get playlist statistics
    */
-  async getPlaylistStats(userId = null) {
+  async getPlaylistStats(organizationId = null) {
     try {
       let query = supabase
         .from('playlists')
         .select(`
           id,
           playlist_items (
-            duration
+            duration,
+            child_playlist_id
           )
         `);
 
-      if (userId) {
-        query = query.eq('created_by', userId);
+      if (organizationId) {
+        query = query.eq('organization_id', organizationId);
       }
 
       const { data, error } = await query;
@@ -341,12 +1129,15 @@ class PlaylistService {
         throw new ApiError(`Failed to fetch playlist stats: ${error.message}`, 500, 'STATS_FAILED');
       }
 
+      // Nested playlists play for their own total duration
+      const itemsByPlaylist = new Map(data.map(playlist => [playlist.id, playlist.playlist_items]));
+
       const stats = {
         total: data.length,
         totalItems: data.reduce((sum, playlist) => sum + playlist.playlist_items.length, 0),
         averageItems: data.length > 0 ? Math.round(data.reduce((sum, playlist) => sum + playlist.playlist_items.length, 0) / data.length) : 0,
-        totalDuration: data.reduce((sum, playlist) => 
-          sum + playlist.playlist_items.reduce((itemSum, item) => itemSum + item.duration, 0), 0
+        totalDuration: data.reduce((sum, playlist) =>
+          sum + this.resolveNestedDuration(playlist.id, itemsByPlaylist), 0
         )
       };
 
@@ -361,9 +1152,12 @@ class PlaylistService {
   }
 
   /**
-   * Validate playlist items
+   * Validate playlist items and return them with resolved durations.
+   * Video items without a duration play for the video's own length.
+   * Items reference either media (media_id) or another playlist (child_playlist_id);
+   * pass the ID of the playlist being edited so nesting it in itself is caught.
    */
-  async validatePlaylistItems(items, userId) {
+  async validatePlaylistItems(items, organizationId, playlistId = null) {
     if (!Array.isArray(items)) {
       throw new ApiError('Items must be an array', 400, 'INVALID_ITEMS');
     }
@@ -372,67 +1166,432 @@ class PlaylistService {
       throw new ApiError('Playlist cannot have more than 100 items', 400, 'TOO_MANY_ITEMS');
     }
 
+    const validItems = [];
+    const childPlaylistIds = new Set();
+
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
-      
-      if (!item.media_id) {
-        throw new ApiError(`Item ${i + 1}: media_id is required`, 400, 'MISSING_MEDIA_ID');
+
+      if (item.media_id && item.child_playlist_id) {
+        throw new ApiError(`Item ${i + 1}: use either media_id or child_playlist_id, not both`, 400, 'INVALID_ITEM');
       }
 
-      if (!item.duration || item.duration < 1 || item.duration > 3600) {
-        throw new ApiError(`Item ${i + 1}: duration must be between 1 and 3600 seconds`, 400, 'INVALID_DURATION');
+      if (item.child_playlist_id) {
+        // Verify the nested playlist exists and belongs to the organization
+        const { data: child, error: childError } = await supabase
+          .from('playlists')
+          .select('id')
+          .eq('id', item.child_playlist_id)
+          .eq('organization_id', organizationId)
+          .single();
+
+        if (childError || !child) {
+          throw new ApiError(`Item ${i + 1}: playlist not found or access denied`, 400, 'PLAYLIST_NOT_FOUND');
+        }
+
+        const window = validateWindow(item.valid_from, item.valid_until, `Item ${i + 1}`);
+        childPlaylistIds.add(item.child_playlist_id);
+
+        // A nested playlist plays all of its own items; it has no duration of its own
+        validItems.push({
+          child_playlist_id: item.child_playlist_id,
+          duration: null,
+          valid_from: window.validFrom || null,
+          valid_until: window.validUntil || null,
+          ...this.validateItemPlayback(item, `Item ${i + 1}`)
+        });
+        continue;
+      }
+      
+      if (!item.media_id) {
+        throw new ApiError(`Item ${i + 1}: media_id or child_playlist_id is required`, 400, 'MISSING_MEDIA_ID');
       }
 
-      // Verify media exists and belongs to user
+      // Verify media exists and belongs to the organization
       const { data: media, error: mediaError } = await supabase
         .from('media')
-        .select('id')
+        .select('id, type, duration')
         .eq('id', item.media_id)
-        .eq('created_by', userId)
+        .eq('organization_id', organizationId)
         .single();
 
       if (mediaError || !media) {
         throw new ApiError(`Item ${i + 1}: media not found or access denied`, 400, 'MEDIA_NOT_FOUND');
       }
+
+      let duration = item.duration;
+      if (duration === undefined || duration === null) {
+        if (media.type === 'video' && media.duration) {
+          duration = Math.max(1, Math.ceil(media.duration));
+        } else {
+          throw new ApiError(`Item ${i + 1}: duration is required`, 400, 'MISSING_DURATION');
+        }
+      }
+
+      if (!duration || duration < 1 || duration > 3600) {
+        throw new ApiError(`Item ${i + 1}: duration must be between 1 and 3600 seconds`, 400, 'INVALID_DURATION');
+      }
+
+      const window = validateWindow(item.valid_from, item.valid_until, `Item ${i + 1}`);
+
+      validItems.push({
+        ...item,
+        duration,
+        valid_from: window.validFrom || null,
+        valid_until: window.validUntil || null,
+        ...this.validateItemPlayback(item, `Item ${i + 1}`)
+      });
+    }
+
+    if (childPlaylistIds.size > 0) {
+      await this.validateNesting(playlistId, [...childPlaylistIds], organizationId);
     }
+
+    return validItems;
   }
 
   /**
-   * Update playlist items
+   * Validate a playback mode and its settings; returns { mode, settings }
    */
-  async updatePlaylistItems(playlistId, items) {
-    try {
-      // Delete existing items
-      const { error: deleteError } = await supabase
-        .from('playlist_items')
-        .delete()
-        .eq('playlist_id', playlistId);
+  validatePlaybackMode(mode, settings) {
+    if (!PLAYBACK_MODES.includes(mode)) {
+      throw new ApiError(`Playback mode must be one of: ${PLAYBACK_MODES.join(', ')}`, 400, 'INVALID_PLAYBACK_MODE');
+    }
 
-      if (deleteError) {
-        throw new ApiError(`Failed to delete existing items: ${deleteError.message}`, 500, 'DELETE_ITEMS_FAILED');
+    if (settings !== undefined && settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+      throw new ApiError('Playback settings must be an object', 400, 'INVALID_PLAYBACK_SETTINGS');
+    }
+
+    const validSettings = {};
+
+    if (mode === 'interleave') {
+      const every = settings?.interleaveEvery;
+      if (!Number.isInteger(every) || every < 1 || every > this.maxInterleaveEvery) {
+        throw new ApiError(`interleaveEvery must be an integer between 1 and ${this.maxInterleaveEvery}`, 400, 'INVALID_PLAYBACK_SETTINGS');
       }
+      validSettings.interleaveEvery = every;
+    }
 
-      // Insert new items
-      if (items.length > 0) {
-        const playlistItems = items.map((item, index) => ({
-          playlist_id: playlistId,
-          media_id: item.media_id,
-          order_index: index,
-          duration: item.duration
-        }));
+    return { mode, settings: validSettings };
+  }
 
-        const { error: insertError } = await supabase
-          .from('playlist_items')
-          .insert(playlistItems);
+  /**
+   * Validate per-item playback options (weight for weighted mode, interleave flag for interleave mode)
+   */
+  validateItemPlayback(item, label) {
+    const weight = item.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 1 || weight > this.maxItemWeight) {
+      throw new ApiError(`${label}: weight must be an integer between 1 and ${this.maxItemWeight}`, 400, 'INVALID_WEIGHT');
+    }
+
+    if (item.interleave !== undefined && item.interleave !== null && typeof item.interleave !== 'boolean') {
+      throw new ApiError(`${label}: interleave must be true or false`, 400, 'INVALID_ITEM');
+    }
+
+    return { weight, interleave: item.interleave === true };
+  }
 
-        if (insertError) {
-          throw new ApiError(`Failed to insert playlist items: ${insertError.message}`, 500, 'INSERT_ITEMS_FAILED');
+  /**
+   * Make sure nesting the given playlists inside a playlist (null for a new one)
+   * creates no cycle and stays within the maximum depth
+   */
+  async validateNesting(playlistId, childIds, organizationId) {
+    const children = await this.getNestingMap(organizationId);
+    const key = playlistId || 'new';
+    children.set(key, new Set(childIds));
+
+    const parents = new Map();
+    for (const [parentId, ids] of children.entries()) {
+      for (const childId of ids) {
+        if (!parents.has(childId)) {
+          parents.set(childId, new Set());
         }
+        parents.get(childId).add(parentId);
       }
-    } catch (error) {
-      console.error('Error in updatePlaylistItems:', error);
-      throw error;
     }
+
+    // Levels from this playlist down to its deepest sub-playlist
+    const height = (id, path) => {
+      if (path.includes(id)) {
+        throw new ApiError('A playlist cannot contain itself, directly or through its sub-playlists', 400, 'PLAYLIST_CYCLE');
+      }
+      const ids = [...(children.get(id) || [])];
+      return 1 + (ids.length > 0 ? Math.max(...ids.map(childId => height(childId, [...path, id]))) : 0);
+    };
+
+    // Levels of playlists that contain this one
+    const depthAbove = (id, path) => {
+      const ids = [...(parents.get(id) || [])].filter(parentId => !path.includes(parentId));
+      return ids.length > 0 ? 1 + Math.max(...ids.map(parentId => depthAbove(parentId, [...path, id]))) : 0;
+    };
+
+    if (depthAbove(key, []) + height(key, []) > this.maxNestingDepth) {
+      throw new ApiError(`Playlists cannot be nested more than ${this.maxNestingDepth} levels deep`, 400, 'PLAYLIST_TOO_DEEP');
+    }
+  }
+
+  /**
+   * Load which playlists of an organization contain which other playlists (parent -> Set of children)
+   */
+  async getNestingMap(organizationId) {
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .select('playlist_id, child_playlist_id, playlists!inner(organization_id)')
+      .eq('playlists.organization_id', organizationId)
+      .not('child_playlist_id', 'is', null);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch nested playlists: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const children = new Map();
+    for (const item of data) {
+      if (!children.has(item.playlist_id)) {
+        children.set(item.playlist_id, new Set());
+      }
+      children.get(item.playlist_id).add(item.child_playlist_id);
+    }
+
+    return children;
+  }
+
+  /**
+   * Expand a playlist for playback: items referencing another playlist are replaced
+   * by that playlist's items, recursively. Items outside their activation window are
+   * skipped together with everything nested below them. Each playlist orders its own
+   * items by its playback mode; random modes are seeded from `seed` and the playlist ID
+   * (the current day when no seed is given), so the same seed gives the same order.
+   * Returns { items, nextChangeAt, playbackMode, seed }.
+   */
+  async getPlaybackItems(playlistId, now = new Date(), seed = null, path = []) {
+    const playbackSeed = seed || now.toISOString().slice(0, 10);
+
+    // Guard against cycles and over-deep nesting left behind by concurrent edits
+    if (path.includes(playlistId) || path.length >= this.maxNestingDepth) {
+      console.warn('⚠️ Skipping nested playlist (cycle or too deep):', [...path, playlistId].join(' > '));
+      return { items: [], nextChangeAt: null, playbackMode: 'sequential', seed: playbackSeed };
+    }
+
+    const { data: playlist, error: playlistError } = await supabase
+      .from('playlists')
+      .select('playback_mode, playback_settings, published_version')
+      .eq('id', playlistId)
+      .single();
+
+    if (playlistError) {
+      // A published version may still nest a playlist that was deleted since
+      if (playlistError.code === 'PGRST116' && path.length > 0) {
+        return { items: [], nextChangeAt: null, playbackMode: 'sequential', seed: playbackSeed };
+      }
+      throw new ApiError(`Failed to fetch playlist: ${playlistError.message}`, 500, 'FETCH_FAILED');
+    }
+
+    // Published playlists play their live version; never-published ones play the draft
+    const source = playlist.published_version
+      ? await this.getPublishedPlaybackSource(playlistId, playlist.published_version)
+      : await this.getDraftPlaybackSource(playlistId, playlist);
+    const playlistItems = source.items;
+
+    // Each entry is one item of this playlist; nested playlists expand to several items
+    const entries = [];
+    let nextChangeAt = getNextWindowChange(playlistItems, now);
+
+    for (const item of playlistItems) {
+      if (!isWithinWindow(item, now)) {
+        continue;
+      }
+
+      if (item.child_playlist_id) {
+        const nested = await this.getPlaybackItems(item.child_playlist_id, now, seed, [...path, playlistId]);
+        if (nested.items.length > 0) {
+          entries.push({ weight: item.weight, interleave: item.interleave, items: nested.items });
+        }
+        if (nested.nextChangeAt && (!nextChangeAt || nested.nextChangeAt < nextChangeAt)) {
+          nextChangeAt = nested.nextChangeAt;
+        }
+      } else if (item.media && isWithinWindow(item.media, now)) {
+        entries.push({ weight: item.weight, interleave: item.interleave, items: [item] });
+      }
+    }
+
+    const playbackMode = source.playback_mode || 'sequential';
+    const random = createSeededRandom(`${playbackSeed}:${playlistId}`);
+    const items = orderPlaybackEntries(entries, playbackMode, source.playback_settings || {}, random)
+      .flatMap(entry => entry.items);
+
+    return { items, nextChangeAt, playbackMode, seed: playbackSeed };
+  }
+
+  /**
+   * Load the current draft items of a playlist with their media for playback
+   */
+  async getDraftPlaybackSource(playlistId, playlist) {
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .select(`
+        id,
+        playlist_id,
+        order_index,
+        duration,
+        valid_from,
+        valid_until,
+        child_playlist_id,
+        weight,
+        interleave,
+        media (${PLAYBACK_MEDIA_SELECT})
+      `)
+      .eq('playlist_id', playlistId)
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      throw new ApiError(`Failed to fetch playlist items: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return { playback_mode: playlist.playback_mode, playback_settings: playlist.playback_settings, items: data };
+  }
+
+  /**
+   * Load a published version of a playlist with current media for playback;
+   * items whose media was deleted since come back without media and are skipped
+   */
+  async getPublishedPlaybackSource(playlistId, version) {
+    const { data: snapshot, error } = await supabase
+      .from('playlist_versions')
+      .select('playback_mode, playback_settings, items')
+      .eq('playlist_id', playlistId)
+      .eq('version', version)
+      .single();
+
+    if (error) {
+      throw new ApiError(`Failed to fetch published version: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const mediaIds = [...new Set(snapshot.items.filter(item => item.media_id).map(item => item.media_id))];
+    let media = [];
+
+    if (mediaIds.length > 0) {
+      const { data, error: mediaError } = await supabase
+        .from('media')
+        .select(PLAYBACK_MEDIA_SELECT)
+        .in('id', mediaIds);
+
+      if (mediaError) {
+        throw new ApiError(`Failed to fetch media: ${mediaError.message}`, 500, 'FETCH_FAILED');
+      }
+      media = data;
+    }
+
+    const mediaById = new Map(media.map(row => [row.id, row]));
+
+    return {
+      playback_mode: snapshot.playback_mode,
+      playback_settings: snapshot.playback_settings,
+      items: snapshot.items.map((item, index) => ({
+        ...item,
+        playlist_id: playlistId,
+        order_index: index,
+        media: item.media_id ? mediaById.get(item.media_id) || null : null
+      }))
+    };
+  }
+
+  /**
+   * Total duration of a playlist including nested playlists (seconds)
+   */
+  async getNestedDuration(playlistId, path = []) {
+    if (path.includes(playlistId) || path.length >= this.maxNestingDepth) {
+      return 0;
+    }
+
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .select('duration, child_playlist_id')
+      .eq('playlist_id', playlistId);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch playlist items: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    let total = 0;
+    for (const item of data) {
+      total += item.child_playlist_id
+        ? await this.getNestedDuration(item.child_playlist_id, [...path, playlistId])
+        : item.duration || 0;
+    }
+
+    return total;
+  }
+
+  /**
+   * Total duration of a playlist from already loaded items (playlist ID -> items),
+   * with the same depth and cycle limits as getNestedDuration
+   */
+  resolveNestedDuration(playlistId, itemsByPlaylist, path = []) {
+    if (path.includes(playlistId) || path.length >= this.maxNestingDepth) {
+      return 0;
+    }
+
+    return (itemsByPlaylist.get(playlistId) || []).reduce((total, item) => total + (item.child_playlist_id
+      ? this.resolveNestedDuration(item.child_playlist_id, itemsByPlaylist, [...path, playlistId])
+      : item.duration || 0
+    ), 0);
+  }
+
+  /**
+   * Add name and duration of nested playlists to a processed playlist
+   */
+  async addNestedPlaylistInfo(playlist, organizationId) {
+    const childIds = [...new Set(playlist.items.filter(item => item.child_playlist_id).map(item => item.child_playlist_id))];
+    if (childIds.length === 0) {
+      return playlist;
+    }
+
+    const { data, error } = await supabase
+      .from('playlists')
+      .select('id, name, description')
+      .eq('organization_id', organizationId)
+      .in('id', childIds);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch nested playlists: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    const children = new Map();
+    for (const child of data) {
+      children.set(child.id, {
+        ...child,
+        totalDuration: await this.getNestedDuration(child.id, [playlist.id])
+      });
+    }
+
+    const items = playlist.items.map(item => (item.child_playlist_id
+      ? { ...item, duration: children.get(item.child_playlist_id)?.totalDuration || 0, child_playlist: children.get(item.child_playlist_id) || null }
+      : item));
+    const totalDuration = items.reduce((sum, item) => sum + (item.duration || 0), 0);
+
+    return {
+      ...playlist,
+      items,
+      totalDuration,
+      totalDurationFormatted: this.formatDuration(totalDuration)
+    };
+  }
+
+  /**
+   * Map a validated item to a playlist_items row
+   */
+  toItemRow(playlistId, item, index = 0) {
+    return {
+      playlist_id: playlistId,
+      media_id: item.media_id || null,
+      child_playlist_id: item.child_playlist_id || null,
+      order_index: index,
+      duration: item.duration,
+      valid_from: item.valid_from || null,
+      valid_until: item.valid_until || null,
+      weight: item.weight || 1,
+      interleave: item.interleave === true
+    };
   }
 
   /**
@@ -442,19 +1601,28 @@ class PlaylistService {
     // Sort playlist items by order_index
     const sortedItems = playlist.playlist_items.sort((a, b) => a.order_index - b.order_index);
 
+    const now = new Date();
+
     // Add public URLs to media items
     const items = sortedItems.map(item => ({
       id: item.id,
       order_index: item.order_index,
       duration: item.duration,
-      media: {
+      valid_from: item.valid_from,
+      valid_until: item.valid_until,
+      active: isWithinWindow(item, now) && isWithinWindow(item.media, now),
+      weight: item.weight || 1,
+      interleave: item.interleave === true,
+      child_playlist_id: item.child_playlist_id || null,
+      media: item.media ? {
         ...item.media,
-        url: this.storageService.getPublicUrl(item.media.file_path)
-      }
+        url: item.media.file_path ? this.storageService.getPublicUrl(item.media.file_path) : item.media.content?.url || null,
+        thumbnails: this.storageService.getThumbnailUrls(item.media.thumbnail_paths)
+      } : null
     }));
 
-    // Calculate playlist statistics
-    const totalDuration = items.reduce((sum, item) => sum + item.duration, 0);
+    // Calculate playlist statistics (nested playlists count once their durations are known)
+    const totalDuration = items.reduce((sum, item) => sum + (item.duration || 0), 0);
     const totalItems = items.length;
 
     return {
@@ -463,6 +1631,9 @@ class PlaylistService {
       totalItems,
       totalDuration,
       totalDurationFormatted: this.formatDuration(totalDuration),
+      playback_mode: playlist.playback_mode || 'sequential',
+      // Draft edits made since the live version was published (or never published)
+      hasUnpublishedChanges: !playlist.published_at || new Date(playlist.updated_at) > new Date(playlist.published_at),
       playlist_items: undefined // Remove raw playlist_items
     };
   }
@@ -493,7 +1664,7 @@ class PlaylistService {
   /**
    * Get playlists that use a specific media item
    */
-  async getPlaylistsUsingMedia(mediaId, userId = null) {
+  async getPlaylistsUsingMedia(mediaId, organizationId = null) {
     try {
       let query = supabase
         .from('playlist_items')
@@ -501,7 +1672,7 @@ class PlaylistService {
           playlists (
             id,
             name,
-            created_by
+            organization_id
           )
         `)
         .eq('media_id', mediaId);
@@ -514,9 +1685,9 @@ class PlaylistService {
 
       let playlists = data.map(item => item.playlists);
 
-      // Filter by user if specified
-      if (userId) {
-        playlists = playlists.filter(playlist => playlist.created_by === userId);
+      // Filter by organization if specified
+      if (organizationId) {
+        playlists = playlists.filter(playlist => playlist.organization_id === organizationId);
       }
 
       // Remove duplicates
@@ -553,4 +1724,4 @@ class PlaylistService {
   }
 }
 
-module.exports = { PlaylistService };
\ No newline at end of file
+module.exports = { PlaylistService, PLAYBACK_MODES, createSeededRandom, orderPlaybackEntries };
\ No newline at end of file
@@ -0,0 +1,395 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Dimensions a play report can be grouped by
+const REPORT_DIMENSIONS = ['media', 'screen', 'playlist', 'day'];
+
+class ProofOfPlayService {
+  constructor() {
+    this.maxBatchSize = 500; // Play events per player request
+    this.pageSize = 1000; // Rows fetched per query while aggregating
+    this.maxReportDays = 366;
+    this.defaultReportDays = 30;
+  }
+
+  /**
+   * Store a batch of play events reported by a player. Invalid events are
+   * rejected individually so one bad entry doesn't drop the whole batch.
+   */
+  async recordPlays(screen, events) {
+    try {
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new ApiError('Events array is required', 400, 'MISSING_EVENTS');
+      }
+
+      if (events.length > this.maxBatchSize) {
+        throw new ApiError(`Cannot report more than ${this.maxBatchSize} plays at once`, 400, 'TOO_MANY_EVENTS');
+      }
+
+      const rejected = [];
+      const candidates = [];
+
+      events.forEach((event, index) => {
+        const error = this.validatePlayEvent(event);
+        if (error) {
+          rejected.push({ index, error });
+        } else {
+          candidates.push({ index, event });
+        }
+      });
+
+      // Only accept media and playlists from the screen's organization
+      const [knownMedia, knownPlaylists] = await Promise.all([
+        this.getKnownIds('media', candidates.map(c => c.event.mediaId), screen.organization_id),
+        this.getKnownIds('playlists', candidates.map(c => c.event.playlistId), screen.organization_id)
+      ]);
+
+      const rows = [];
+      for (const { index, event } of candidates) {
+        if (!knownMedia.has(event.mediaId)) {
+          rejected.push({ index, error: 'Unknown media' });
+          continue;
+        }
+
+        if (event.playlistId && !knownPlaylists.has(event.playlistId)) {
+          rejected.push({ index, error: 'Unknown playlist' });
+          continue;
+        }
+
+        rows.push({
+          organization_id: screen.organization_id,
+          screen_id: screen.id,
+          media_id: event.mediaId,
+          playlist_id: event.playlistId || null,
+          started_at: new Date(event.startedAt).toISOString(),
+          duration: Math.round(Number(event.duration) * 1000) / 1000,
+          completed: event.completed !== false,
+          client_event_id: event.eventId || null
+        });
+      }
+
+      if (rows.length > 0) {
+        // Players retry batches after network errors; client event IDs make that safe
+        const { error } = await supabase
+          .from('play_events')
+          .upsert(rows, { onConflict: 'screen_id,client_event_id', ignoreDuplicates: true });
+
+        if (error) {
+          throw new ApiError(`Failed to store play events: ${error.message}`, 500, 'DATABASE_ERROR');
+        }
+      }
+
+      return {
+        accepted: rows.length,
+        rejected: rejected.sort((a, b) => a.index - b.index)
+      };
+    } catch (error) {
+      console.error('Error in recordPlays:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a single play event. Returns an error message or null.
+   */
+  validatePlayEvent(event) {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+    if (!event || typeof event !== 'object') {
+      return 'Event must be an object';
+    }
+
+    if (!event.mediaId || !uuidRegex.test(event.mediaId)) {
+      return 'mediaId must be a valid UUID';
+    }
+
+    if (event.playlistId && !uuidRegex.test(event.playlistId)) {
+      return 'playlistId must be a valid UUID';
+    }
+
+    if (!event.startedAt || isNaN(Date.parse(event.startedAt))) {
+      return 'startedAt must be a valid date';
+    }
+
+    // Allow some clock drift on the player
+    if (new Date(event.startedAt) > new Date(Date.now() + 5 * 60 * 1000)) {
+      return 'startedAt cannot be in the future';
+    }
+
+    const duration = Number(event.duration);
+    if (!Number.isFinite(duration) || duration < 0 || duration > 24 * 60 * 60) {
+      return 'duration must be between 0 and 86400 seconds';
+    }
+
+    if (event.completed !== undefined && typeof event.completed !== 'boolean') {
+      return 'completed must be a boolean';
+    }
+
+    if (event.eventId !== undefined && (typeof event.eventId !== 'string' || event.eventId.length > 100)) {
+      return 'eventId must be a string of at most 100 characters';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the subset of IDs that exist in a table for an organization
+   */
+  async getKnownIds(table, ids, organizationId) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) {
+      return new Set();
+    }
+
+    const { data, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('organization_id', organizationId)
+      .in('id', uniqueIds);
+
+    if (error) {
+      throw new ApiError(`Failed to verify ${table}: ${error.message}`, 500, 'DATABASE_ERROR');
+    }
+
+    return new Set(data.map(row => row.id));
+  }
+
+  /**
+   * Aggregate play events by one or more dimensions (media, screen, playlist, day)
+   */
+  async getPlayReport(filters = {}) {
+    try {
+      const {
+        groupBy = ['media'],
+        mediaId,
+        screenId,
+        playlistId,
+        organizationId
+      } = filters;
+
+      const dimensions = this.parseDimensions(groupBy);
+      const { from, to } = this.resolveRange(filters.from, filters.to);
+
+      const events = await this.fetchPlayEvents({
+        organizationId,
+        mediaId,
+        screenId,
+        playlistId,
+        from,
+        to
+      });
+
+      const groups = new Map();
+      for (const event of events) {
+        const key = dimensions.map(dimension => this.getDimensionValue(event, dimension).id).join('|');
+
+        if (!groups.has(key)) {
+          const row = {};
+          for (const dimension of dimensions) {
+            const value = this.getDimensionValue(event, dimension);
+            row[`${dimension}Id`] = value.id;
+            if (dimension !== 'day') {
+              row[`${dimension}Name`] = value.name;
+            }
+          }
+          groups.set(key, {
+            ...row,
+            plays: 0,
+            completedPlays: 0,
+            totalDuration: 0,
+            firstPlayedAt: event.started_at,
+            lastPlayedAt: event.started_at
+          });
+        }
+
+        const group = groups.get(key);
+        group.plays++;
+        if (event.completed) group.completedPlays++;
+        group.totalDuration += Number(event.duration) || 0;
+        if (event.started_at < group.firstPlayedAt) group.firstPlayedAt = event.started_at;
+        if (event.started_at > group.lastPlayedAt) group.lastPlayedAt = event.started_at;
+      }
+
+      const rows = [...groups.values()]
+        .map(group => ({
+          ...group,
+          totalDuration: Math.round(group.totalDuration * 1000) / 1000
+        }))
+        .sort((a, b) => {
+          if (dimensions[0] === 'day') {
+            return a.dayId.localeCompare(b.dayId) || b.plays - a.plays;
+          }
+          return b.plays - a.plays;
+        });
+
+      return {
+        groupBy: dimensions,
+        range: {
+          from: from.toISOString(),
+          to: to.toISOString()
+        },
+        totals: {
+          plays: events.length,
+          completedPlays: events.filter(event => event.completed).length,
+          totalDuration: Math.round(events.reduce((sum, event) => sum + (Number(event.duration) || 0), 0) * 1000) / 1000
+        },
+        rows
+      };
+    } catch (error) {
+      console.error('Error in getPlayReport:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every play event in range, page by page
+   */
+  async fetchPlayEvents(filters) {
+    const { organizationId, mediaId, screenId, playlistId, from, to } = filters;
+    const events = [];
+
+    for (let offset = 0; ; offset += this.pageSize) {
+      let query = supabase
+        .from('play_events')
+        .select(`
+          id,
+          media_id,
+          screen_id,
+          playlist_id,
+          started_at,
+          duration,
+          completed,
+          media:media_id (
+            name
+          ),
+          screens:screen_id (
+            name
+          ),
+          playlists:playlist_id (
+            name
+          )
+        `)
+        .eq('organization_id', organizationId)
+        .gte('started_at', from.toISOString())
+        .lte('started_at', to.toISOString());
+
+      if (mediaId) {
+        query = query.eq('media_id', mediaId);
+      }
+
+      if (screenId) {
+        query = query.eq('screen_id', screenId);
+      }
+
+      if (playlistId) {
+        query = query.eq('playlist_id', playlistId);
+      }
+
+      const { data, error } = await query
+        .order('started_at', { ascending: true })
+        .range(offset, offset + this.pageSize - 1);
+
+      if (error) {
+        throw new ApiError(`Failed to fetch play events: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      events.push(...data);
+
+      if (data.length < this.pageSize) {
+        return events;
+      }
+    }
+  }
+
+  /**
+   * Get the group ID and display name of an event for a dimension
+   */
+  getDimensionValue(event, dimension) {
+    switch (dimension) {
+      case 'media':
+        return { id: event.media_id, name: event.media?.name || null };
+      case 'screen':
+        return { id: event.screen_id, name: event.screens?.name || null };
+      case 'playlist':
+        return { id: event.playlist_id, name: event.playlists?.name || null };
+      default: // day (UTC)
+        return { id: event.started_at.slice(0, 10), name: null };
+    }
+  }
+
+  /**
+   * Parse groupBy ("media", "screen,day" or an array) into dimensions
+   */
+  parseDimensions(groupBy) {
+    const dimensions = (Array.isArray(groupBy) ? groupBy : String(groupBy).split(','))
+      .map(dimension => dimension.trim())
+      .filter(Boolean);
+
+    if (dimensions.length === 0) {
+      throw new ApiError('groupBy is required', 400, 'INVALID_GROUP_BY');
+    }
+
+    for (const dimension of dimensions) {
+      if (!REPORT_DIMENSIONS.includes(dimension)) {
+        throw new ApiError(`groupBy must be one or more of: ${REPORT_DIMENSIONS.join(', ')}`, 400, 'INVALID_GROUP_BY');
+      }
+    }
+
+    return [...new Set(dimensions)];
+  }
+
+  /**
+   * Resolve the report date range (defaults to the last 30 days)
+   */
+  resolveRange(fromValue, toValue) {
+    for (const [name, value] of [['from', fromValue], ['to', toValue]]) {
+      if (value && isNaN(Date.parse(value))) {
+        throw new ApiError(`${name} must be a valid date`, 400, 'INVALID_DATE');
+      }
+    }
+
+    const to = toValue ? new Date(toValue) : new Date();
+    const from = fromValue
+      ? new Date(fromValue)
+      : new Date(to.getTime() - this.defaultReportDays * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      throw new ApiError('from must be before to', 400, 'INVALID_DATE_RANGE');
+    }
+
+    if (to - from > this.maxReportDays * 24 * 60 * 60 * 1000) {
+      throw new ApiError(`Date range cannot exceed ${this.maxReportDays} days`, 400, 'DATE_RANGE_TOO_LARGE');
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Convert report rows to CSV
+   */
+  toCsv(report) {
+    const columns = [];
+    for (const dimension of report.groupBy) {
+      columns.push(`${dimension}Id`);
+      if (dimension !== 'day') {
+        columns.push(`${dimension}Name`);
+      }
+    }
+    columns.push('plays', 'completedPlays', 'totalDuration', 'firstPlayedAt', 'lastPlayedAt');
+
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      // Keep spreadsheets from evaluating user-provided names as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...report.rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = { ProofOfPlayService, REPORT_DIMENSIONS };
@@ -0,0 +1,308 @@
+const { supabase } = require('../config/supabase');
+const { ScreenGroupService } = require('./screenGroupService');
+
+/**
+ * Server-Sent Events push channel for players.
+ * Connections are kept in memory and keyed by device code.
+ */
+class RealtimeService {
+  constructor() {
+    this.connections = new Map(); // deviceCode -> Set of connections
+    this.heartbeatInterval = 30 * 1000; // 30 seconds
+    this.retryInterval = 5000; // Client reconnect delay
+    this.screenGroupService = new ScreenGroupService();
+  }
+
+  /**
+   * Register an SSE connection for a device and keep it open
+   */
+  subscribe(req, res, screen) {
+    const deviceCode = screen.device_code;
+
+    // Disable the global request timeout for this long-lived response
+    res.setTimeout(0);
+    req.socket.setKeepAlive(true);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retryInterval}\n\n`);
+
+    const connection = {
+      res,
+      screenId: screen.id,
+      connectedAt: new Date().toISOString()
+    };
+
+    if (!this.connections.has(deviceCode)) {
+      this.connections.set(deviceCode, new Set());
+    }
+    this.connections.get(deviceCode).add(connection);
+
+    this.send(res, 'connected', {
+      screen: {
+        id: screen.id,
+        name: screen.name
+      },
+      heartbeatInterval: this.heartbeatInterval
+    });
+    this.recordHeartbeat(deviceCode);
+
+    // Heartbeats are carried over the open connection
+    connection.timer = setInterval(() => {
+      this.send(res, 'heartbeat', {});
+      this.recordHeartbeat(deviceCode);
+    }, this.heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(connection.timer);
+      const deviceConnections = this.connections.get(deviceCode);
+      if (deviceConnections) {
+        deviceConnections.delete(connection);
+        if (deviceConnections.size === 0) {
+          this.connections.delete(deviceCode);
+        }
+      }
+      console.log('📴 Player event stream closed:', deviceCode);
+    });
+
+    console.log('📡 Player event stream opened:', deviceCode);
+  }
+
+  /**
+   * Write a single SSE event
+   */
+  send(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}\n\n`);
+  }
+
+  /**
+   * Send an event to every open connection of a device
+   */
+  sendToDevice(deviceCode, event, data = {}) {
+    const deviceConnections = this.connections.get(deviceCode);
+    if (!deviceConnections) {
+      return 0;
+    }
+
+    for (const connection of deviceConnections) {
+      this.send(connection.res, event, data);
+    }
+
+    return deviceConnections.size;
+  }
+
+  /**
+   * Send an event to the connected players of the given screens
+   */
+  async notifyScreens(screenIds, event, data = {}) {
+    try {
+      const ids = [...new Set(screenIds.filter(Boolean))];
+      if (ids.length === 0 || this.connections.size === 0) {
+        return 0;
+      }
+
+      const { data: screens, error } = await supabase
+        .from('screens')
+        .select('id, device_code')
+        .in('id', ids);
+
+      if (error) {
+        throw new Error(`Failed to fetch screens: ${error.message}`);
+      }
+
+      let delivered = 0;
+      for (const screen of screens) {
+        delivered += this.sendToDevice(screen.device_code, event, { screenId: screen.id, ...data });
+      }
+
+      return delivered;
+    } catch (error) {
+      console.error('Error in notifyScreens:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Notify every screen that plays a playlist (directly, through a schedule or through a group)
+   */
+  async notifyPlaylistChanged(playlistId, event = 'content-updated', data = {}) {
+    try {
+      if (this.connections.size === 0) {
+        return 0;
+      }
+
+      // Screens playing a playlist that nests this one show its content too
+      const screenIds = [];
+      for (const id of await this.getPlaylistAncestry(playlistId)) {
+        screenIds.push(...await this.getScreenIdsForPlaylist(id));
+      }
+      return await this.notifyScreens(screenIds, event, { playlistId, ...data });
+    } catch (error) {
+      console.error('Error in notifyPlaylistChanged:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Notify a screen that its assignment changed
+   */
+  async notifyAssignmentChanged(screenId, data = {}) {
+    return this.notifyScreens([screenId], 'assignment-changed', data);
+  }
+
+  /**
+   * Push a command to a screen
+   */
+  async pushCommand(screenId, command) {
+    return this.notifyScreens([screenId], 'command', { command });
+  }
+
+  /**
+   * Get the playlist and every playlist containing it, directly or through nesting
+   */
+  async getPlaylistAncestry(playlistId) {
+    const visited = new Set([playlistId]);
+    let pending = [playlistId];
+
+    while (pending.length > 0) {
+      const { data, error } = await supabase
+        .from('playlist_items')
+        .select('playlist_id')
+        .in('child_playlist_id', pending);
+
+      if (error) {
+        throw new Error(`Failed to fetch parent playlists: ${error.message}`);
+      }
+
+      pending = [...new Set(data.map(row => row.playlist_id))].filter(id => !visited.has(id));
+      pending.forEach(id => visited.add(id));
+    }
+
+    return [...visited];
+  }
+
+  /**
+   * Get IDs of screens that reference a playlist
+   */
+  async getScreenIdsForPlaylist(playlistId) {
+    const [assignments, schedules, groupAssignments, layoutRegions] = await Promise.all([
+      supabase.from('screen_assignments').select('screen_id').eq('playlist_id', playlistId),
+      supabase.from('screen_schedules').select('screen_id').eq('playlist_id', playlistId),
+      supabase.from('group_assignments').select('group_id').eq('playlist_id', playlistId),
+      supabase.from('layout_regions').select('layout_id').eq('playlist_id', playlistId)
+    ]);
+
+    if (assignments.error) {
+      throw new Error(`Failed to fetch assignments: ${assignments.error.message}`);
+    }
+
+    if (schedules.error) {
+      throw new Error(`Failed to fetch schedules: ${schedules.error.message}`);
+    }
+
+    if (groupAssignments.error) {
+      throw new Error(`Failed to fetch group assignments: ${groupAssignments.error.message}`);
+    }
+
+    if (layoutRegions.error) {
+      throw new Error(`Failed to fetch layout regions: ${layoutRegions.error.message}`);
+    }
+
+    const groupScreenIds = await this.screenGroupService.getScreenIdsForGroups(
+      groupAssignments.data.map(row => row.group_id)
+    );
+
+    let layoutScreenIds = [];
+    if (layoutRegions.data.length > 0) {
+      const { data, error } = await supabase
+        .from('screens')
+        .select('id')
+        .in('layout_id', [...new Set(layoutRegions.data.map(row => row.layout_id))]);
+
+      if (error) {
+        throw new Error(`Failed to fetch layout screens: ${error.message}`);
+      }
+
+      layoutScreenIds = data.map(row => row.id);
+    }
+
+    return [
+      ...assignments.data.map(row => row.screen_id),
+      ...schedules.data.map(row => row.screen_id),
+      ...groupScreenIds,
+      ...layoutScreenIds
+    ];
+  }
+
+  /**
+   * Keep screen online while its event stream is open
+   */
+  async recordHeartbeat(deviceCode) {
+    const { error } = await supabase
+      .from('screens')
+      .update({
+        status: 'online',
+        last_heartbeat: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('device_code', deviceCode);
+
+    if (error) {
+      console.error('Failed to record stream heartbeat:', error);
+    }
+  }
+
+  /**
+   * Close every open event stream of a device, e.g. after its token was revoked.
+   * Players get a `revoked` event first so they know to pair again.
+   */
+  disconnect(deviceCode, reason = 'revoked') {
+    const deviceConnections = this.connections.get(deviceCode);
+    if (!deviceConnections) {
+      return 0;
+    }
+
+    this.connections.delete(deviceCode);
+
+    for (const connection of deviceConnections) {
+      clearInterval(connection.timer);
+      this.send(connection.res, 'revoked', { reason });
+      connection.res.end();
+    }
+
+    console.log('🔌 Player event stream disconnected:', deviceCode);
+    return deviceConnections.size;
+  }
+
+  /**
+   * Check if a device has an open event stream
+   */
+  isConnected(deviceCode) {
+    return this.connections.has(deviceCode);
+  }
+
+  /**
+   * Get connection statistics
+   */
+  getStats() {
+    let total = 0;
+    for (const deviceConnections of this.connections.values()) {
+      total += deviceConnections.size;
+    }
+
+    return {
+      devices: this.connections.size,
+      connections: total
+    };
+  }
+}
+
+// Create singleton instance
+const realtimeService = new RealtimeService();
+
+module.exports = { RealtimeService, realtimeService };
@@ -0,0 +1,449 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { StorageService } = require('./storageService');
+const { MediaService } = require('./mediaService');
+
+const MB = 1024 * 1024;
+
+/**
+ * Resumable chunked uploads: init -> parts (any order, retryable) -> complete.
+ * Each part is streamed to storage as its own object; completing assembles the
+ * parts on disk and hands the file to MediaService like a regular upload.
+ */
+class ResumableUploadService {
+  constructor() {
+    this.storageService = new StorageService();
+    this.mediaService = new MediaService();
+    this.maxUploadSize = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 2048) * MB;
+    this.defaultChunkSize = 8 * MB;
+    this.minChunkSize = 1 * MB;
+    this.maxChunkSize = 50 * MB;
+    this.maxParts = 10000;
+    this.uploadTtl = 24 * 60 * 60 * 1000; // Unfinished uploads expire after 24 hours
+    this.completingTimeout = 30 * 60 * 1000; // A completion running longer has crashed and may be retried
+  }
+
+  /**
+   * Start an upload session
+   */
+  async createUpload(uploadData, userId, organizationId) {
+    try {
+      const { fileName, mimeType, totalSize, chunkSize = this.defaultChunkSize } = uploadData;
+
+      if (!fileName || typeof fileName !== 'string' || fileName.length > 255) {
+        throw new ApiError('fileName is required and must be at most 255 characters', 400, 'INVALID_FILE_NAME');
+      }
+
+      if (!mimeType || !this.storageService.isValidFileType(mimeType)) {
+        throw new ApiError('Unsupported file type. Please upload images (JPEG, PNG, GIF, WebP) or videos (MP4, WebM, OGG).', 400, 'INVALID_FILE_TYPE');
+      }
+
+      if (!Number.isInteger(totalSize) || totalSize < 1) {
+        throw new ApiError('totalSize must be a positive integer (bytes)', 400, 'INVALID_SIZE');
+      }
+
+      if (!this.storageService.isValidFileSize(totalSize, this.maxUploadSize)) {
+        throw new ApiError(`File size too large. Maximum size is ${this.maxUploadSize / MB}MB.`, 400, 'FILE_TOO_LARGE');
+      }
+
+      if (!Number.isInteger(chunkSize) || chunkSize < this.minChunkSize || chunkSize > this.maxChunkSize) {
+        throw new ApiError(`chunkSize must be between ${this.minChunkSize / MB}MB and ${this.maxChunkSize / MB}MB`, 400, 'INVALID_CHUNK_SIZE');
+      }
+
+      const totalParts = Math.ceil(totalSize / chunkSize);
+      if (totalParts > this.maxParts) {
+        throw new ApiError(`Upload cannot have more than ${this.maxParts} parts; use a larger chunkSize`, 400, 'TOO_MANY_PARTS');
+      }
+
+      // Old sessions are cleaned up lazily whenever a new one starts
+      this.cleanupExpiredUploads().catch(error => {
+        console.error('Failed to clean up expired uploads:', error);
+      });
+
+      const { data, error } = await supabase
+        .from('media_uploads')
+        .insert({
+          organization_id: organizationId,
+          created_by: userId,
+          file_name: fileName,
+          mime_type: mimeType.toLowerCase(),
+          total_size: totalSize,
+          chunk_size: chunkSize,
+          total_parts: totalParts,
+          status: 'uploading',
+          expires_at: new Date(Date.now() + this.uploadTtl).toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create upload: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      return this.formatUpload(data, []);
+    } catch (error) {
+      console.error('Error in createUpload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an upload session with the parts received so far (used to resume)
+   */
+  async getUpload(uploadId, organizationId) {
+    try {
+      const upload = await this.fetchUpload(uploadId, organizationId);
+      const parts = await this.fetchParts(uploadId);
+      return this.formatUpload(upload, parts);
+    } catch (error) {
+      console.error('Error in getUpload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream one part to storage. Re-sending a part replaces it, so clients can
+   * simply retry parts that failed when the connection dropped.
+   */
+  async uploadPart(uploadId, partNumber, stream, contentLength, organizationId) {
+    try {
+      const upload = await this.fetchUpload(uploadId, organizationId);
+      this.assertUploading(upload);
+
+      if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > upload.total_parts) {
+        throw new ApiError(`Part number must be between 1 and ${upload.total_parts}`, 400, 'INVALID_PART_NUMBER');
+      }
+
+      const expectedSize = this.getExpectedPartSize(upload, partNumber);
+      if (contentLength !== undefined && contentLength !== expectedSize) {
+        throw new ApiError(`Part ${partNumber} must be exactly ${expectedSize} bytes`, 400, 'INVALID_PART_SIZE');
+      }
+
+      // Count bytes on the way through and stop oversized parts early
+      let received = 0;
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > expectedSize) {
+            return callback(new ApiError(`Part ${partNumber} must be exactly ${expectedSize} bytes`, 400, 'INVALID_PART_SIZE'));
+          }
+          callback(null, chunk);
+        }
+      });
+
+      let streamError = null;
+      meter.on('error', (error) => {
+        streamError = error;
+      });
+
+      stream.on('close', () => {
+        if (!stream.readableEnded) {
+          meter.destroy(new ApiError('Upload interrupted', 400, 'UPLOAD_INTERRUPTED'));
+        }
+      });
+      stream.pipe(meter);
+
+      const partPath = this.getPartPath(upload, partNumber);
+      try {
+        await this.storageService.uploadFile(partPath, meter, upload.mime_type);
+      } catch (error) {
+        // Report why the stream was cut rather than the resulting storage error
+        throw streamError || error;
+      }
+
+      if (received !== expectedSize) {
+        await this.storageService.deleteFiles([partPath]).catch(() => {});
+        throw new ApiError(`Part ${partNumber} must be exactly ${expectedSize} bytes, received ${received}`, 400, 'INVALID_PART_SIZE');
+      }
+
+      const { error } = await supabase
+        .from('media_upload_parts')
+        .upsert({
+          upload_id: upload.id,
+          part_number: partNumber,
+          size: received,
+          storage_path: partPath
+        }, { onConflict: 'upload_id,part_number' });
+
+      if (error) {
+        throw new ApiError(`Failed to record part: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      return {
+        partNumber,
+        size: received
+      };
+    } catch (error) {
+      console.error('Error in uploadPart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assemble all parts and create the media record
+   */
+  async completeUpload(uploadId, userId, organizationId) {
+    try {
+      const upload = await this.fetchUpload(uploadId, organizationId);
+      this.assertUploading(upload);
+
+      const parts = await this.fetchParts(uploadId);
+      const missing = this.getMissingParts(upload, parts);
+      if (missing.length > 0) {
+        const listed = missing.slice(0, 20).join(', ');
+        throw new ApiError(`Upload is missing ${missing.length} part(s): ${listed}${missing.length > 20 ? ', ...' : ''}`, 400, 'UPLOAD_INCOMPLETE');
+      }
+
+      // Claim the session so a repeated complete request can't assemble it twice
+      const staleBefore = new Date(Date.now() - this.completingTimeout).toISOString();
+      const { data: claimed, error: claimError } = await supabase
+        .from('media_uploads')
+        .update({ status: 'completing', updated_at: new Date().toISOString() })
+        .eq('id', uploadId)
+        .or(`status.eq.uploading,and(status.eq.completing,updated_at.lt."${staleBefore}")`)
+        .select('id');
+
+      if (claimError) {
+        throw new ApiError(`Failed to complete upload: ${claimError.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      if (claimed.length === 0) {
+        throw new ApiError('Upload is already being completed', 409, 'UPLOAD_NOT_ACTIVE');
+      }
+
+      const tempPath = path.join(os.tmpdir(), `upload-${uploadId}`);
+      let media;
+      try {
+        // Assemble on disk one part at a time to keep memory use bounded
+        await fs.writeFile(tempPath, Buffer.alloc(0));
+        for (const part of parts) {
+          await fs.appendFile(tempPath, await this.storageService.downloadFile(part.storage_path));
+        }
+
+        const { size } = await fs.stat(tempPath);
+        if (size !== upload.total_size) {
+          throw new ApiError(`Assembled file is ${size} bytes, expected ${upload.total_size}`, 400, 'UPLOAD_SIZE_MISMATCH');
+        }
+
+        media = await this.mediaService.saveMedia({
+          originalname: upload.file_name,
+          mimetype: upload.mime_type,
+          size,
+          path: tempPath
+        }, userId, organizationId);
+      } catch (error) {
+        // Let the client retry the completion
+        await supabase
+          .from('media_uploads')
+          .update({ status: 'uploading', updated_at: new Date().toISOString() })
+          .eq('id', uploadId);
+        throw error;
+      } finally {
+        await fs.unlink(tempPath).catch(() => {});
+      }
+
+      await supabase
+        .from('media_uploads')
+        .update({
+          status: 'completed',
+          media_id: media.id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', uploadId);
+
+      await this.removeParts(uploadId, parts);
+
+      return media;
+    } catch (error) {
+      console.error('Error in completeUpload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an upload and remove its parts
+   */
+  async abortUpload(uploadId, organizationId) {
+    try {
+      const upload = await this.fetchUpload(uploadId, organizationId);
+      this.assertUploading(upload);
+
+      const parts = await this.fetchParts(uploadId);
+      await this.removeParts(uploadId, parts);
+
+      const { error } = await supabase
+        .from('media_uploads')
+        .update({ status: 'aborted', updated_at: new Date().toISOString() })
+        .eq('id', uploadId);
+
+      if (error) {
+        throw new ApiError(`Failed to abort upload: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+    } catch (error) {
+      console.error('Error in abortUpload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove parts of uploads that expired before being completed,
+   * including ones whose completion crashed
+   */
+  async cleanupExpiredUploads() {
+    const staleBefore = new Date(Date.now() - this.completingTimeout).toISOString();
+    const { data, error } = await supabase
+      .from('media_uploads')
+      .select('id')
+      .or(`status.eq.uploading,and(status.eq.completing,updated_at.lt."${staleBefore}")`)
+      .lt('expires_at', new Date().toISOString())
+      .limit(50);
+
+    if (error) {
+      throw new Error(`Failed to fetch expired uploads: ${error.message}`);
+    }
+
+    for (const upload of data) {
+      const parts = await this.fetchParts(upload.id);
+      await this.removeParts(upload.id, parts);
+      await supabase
+        .from('media_uploads')
+        .update({ status: 'aborted', updated_at: new Date().toISOString() })
+        .eq('id', upload.id);
+    }
+
+    return { removed: data.length };
+  }
+
+  /**
+   * Get an upload session of the organization
+   */
+  async fetchUpload(uploadId, organizationId) {
+    const { data, error } = await supabase
+      .from('media_uploads')
+      .select('*')
+      .eq('id', uploadId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !data) {
+      throw new ApiError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the received parts of an upload in order
+   */
+  async fetchParts(uploadId) {
+    const { data, error } = await supabase
+      .from('media_upload_parts')
+      .select('part_number, size, storage_path')
+      .eq('upload_id', uploadId)
+      .order('part_number', { ascending: true });
+
+    if (error) {
+      throw new ApiError(`Failed to fetch upload parts: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete part objects and rows
+   */
+  async removeParts(uploadId, parts) {
+    if (parts.length > 0) {
+      await this.storageService.deleteFiles(parts.map(part => part.storage_path)).catch(error => {
+        console.error('Failed to delete upload parts:', error);
+      });
+    }
+
+    const { error } = await supabase
+      .from('media_upload_parts')
+      .delete()
+      .eq('upload_id', uploadId);
+
+    if (error) {
+      console.error('Failed to delete upload part rows:', error);
+    }
+  }
+
+  /**
+   * Refuse changes to uploads that are finished, aborted or expired.
+   * A completion that stalled past the timeout counts as uploading again.
+   */
+  assertUploading(upload) {
+    if (upload.status !== 'uploading' && !this.isStaleCompletion(upload)) {
+      throw new ApiError(`Upload is ${upload.status}`, 409, 'UPLOAD_NOT_ACTIVE');
+    }
+
+    if (new Date(upload.expires_at) < new Date()) {
+      throw new ApiError('Upload has expired', 410, 'UPLOAD_EXPIRED');
+    }
+  }
+
+  /**
+   * Check if an upload is stuck in completing, e.g. after a crash mid-assembly
+   */
+  isStaleCompletion(upload) {
+    return upload.status === 'completing' &&
+      Date.now() - new Date(upload.updated_at).getTime() > this.completingTimeout;
+  }
+
+  /**
+   * Size every part must have: the chunk size, except for a shorter last part
+   */
+  getExpectedPartSize(upload, partNumber) {
+    if (partNumber < upload.total_parts) {
+      return upload.chunk_size;
+    }
+    return upload.total_size - upload.chunk_size * (upload.total_parts - 1);
+  }
+
+  /**
+   * Storage path of a part
+   */
+  getPartPath(upload, partNumber) {
+    return `uploads/${upload.organization_id}/${upload.id}/part-${String(partNumber).padStart(5, '0')}`;
+  }
+
+  /**
+   * Get part numbers not received yet
+   */
+  getMissingParts(upload, parts) {
+    const received = new Set(parts.map(part => part.part_number));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= upload.total_parts; partNumber++) {
+      if (!received.has(partNumber)) {
+        missing.push(partNumber);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Shape of an upload session in API responses
+   */
+  formatUpload(upload, parts) {
+    return {
+      id: upload.id,
+      fileName: upload.file_name,
+      mimeType: upload.mime_type,
+      totalSize: upload.total_size,
+      chunkSize: upload.chunk_size,
+      totalParts: upload.total_parts,
+      receivedParts: parts.map(part => part.part_number),
+      missingParts: this.getMissingParts(upload, parts).length,
+      status: upload.status,
+      mediaId: upload.media_id || null,
+      expiresAt: upload.expires_at
+    };
+  }
+}
+
+module.exports = { ResumableUploadService };
@@ -0,0 +1,614 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { realtimeService } = require('./realtimeService');
+const { AssignmentService } = require('./assignmentService');
+
+const SCHEDULE_SELECT = `
+  *,
+  screens:screen_id (
+    id,
+    name,
+    device_code,
+    location
+  ),
+  playlists:playlist_id (
+    id,
+    name,
+    description
+  )
+`;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class ScheduleService {
+  constructor() {
+    // Schedule service for time-based playlist scheduling on top of screen_assignments
+    this.assignmentService = new AssignmentService();
+    this.checkInterval = (parseInt(process.env.SCHEDULE_CHECK_SECONDS) || 60) * 1000;
+    this.lastRunAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Get schedules with filtering and pagination
+   */
+  async getSchedules(filters = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        sortBy = 'priority',
+        sortOrder = 'desc',
+        screenId,
+        playlistId,
+        enabled,
+        organizationId
+      } = filters;
+
+      let query = supabase
+        .from('screen_schedules')
+        .select(SCHEDULE_SELECT, { count: 'exact' })
+        .eq('organization_id', organizationId);
+
+      // Apply filters
+      if (screenId) {
+        query = query.eq('screen_id', screenId);
+      }
+
+      if (playlistId) {
+        query = query.eq('playlist_id', playlistId);
+      }
+
+      if (enabled !== undefined) {
+        query = query.eq('enabled', enabled === true || enabled === 'true');
+      }
+
+      // Apply sorting
+      const validSortFields = ['priority', 'start_at', 'end_at', 'created_at', 'name'];
+      const sortField = validSortFields.includes(sortBy) ? sortBy : 'priority';
+      const ascending = sortOrder.toLowerCase() === 'asc';
+
+      query = query.order(sortField, { ascending });
+
+      // Apply pagination
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const offset = (pageNum - 1) * limitNum;
+
+      query = query.range(offset, offset + limitNum - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch schedules: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        schedules: data.map(schedule => this.processScheduleData(schedule)),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count,
+          totalPages: Math.ceil(count / limitNum)
+        }
+      };
+    } catch (error) {
+      console.error('Error in getSchedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get schedule by ID
+   */
+  async getScheduleById(scheduleId, organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('screen_schedules')
+        .select(SCHEDULE_SELECT)
+        .eq('id', scheduleId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to fetch schedule: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return this.processScheduleData(data);
+    } catch (error) {
+      console.error('Error in getScheduleById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new schedule entry
+   */
+  async createSchedule(scheduleData, userId, organizationId) {
+    try {
+      const row = this.normalizeScheduleData(scheduleData);
+
+      if (!row.screen_id) {
+        throw new ApiError('Screen ID is required', 400, 'MISSING_SCREEN_ID');
+      }
+
+      if (!row.playlist_id) {
+        throw new ApiError('Playlist ID is required', 400, 'MISSING_PLAYLIST_ID');
+      }
+
+      await this.verifyScreen(row.screen_id, organizationId);
+      await this.verifyPlaylist(row.playlist_id, organizationId);
+
+      const { data, error } = await supabase
+        .from('screen_schedules')
+        .insert({
+          start_at: new Date().toISOString(),
+          timezone: 'UTC',
+          priority: 0,
+          enabled: true,
+          ...row,
+          organization_id: organizationId,
+          created_by: userId
+        })
+        .select(SCHEDULE_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create schedule: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      realtimeService.notifyAssignmentChanged(data.screen_id, { scheduleId: data.id });
+
+      return this.processScheduleData(data);
+    } catch (error) {
+      console.error('Error in createSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update schedule entry
+   */
+  async updateSchedule(scheduleId, updates, organizationId) {
+    try {
+      const existing = await this.getScheduleById(scheduleId, organizationId);
+      const row = this.normalizeScheduleData(updates);
+
+      if (Object.keys(row).length === 0) {
+        throw new ApiError('No valid updates provided', 400, 'NO_UPDATES');
+      }
+
+      if (row.screen_id) {
+        await this.verifyScreen(row.screen_id, organizationId);
+      }
+
+      if (row.playlist_id) {
+        await this.verifyPlaylist(row.playlist_id, organizationId);
+      }
+
+      // Re-check the date range against the merged values
+      const startAt = row.start_at !== undefined ? row.start_at : existing.start_at;
+      const endAt = row.end_at !== undefined ? row.end_at : existing.end_at;
+      if (startAt && endAt && new Date(endAt) <= new Date(startAt)) {
+        throw new ApiError('End date must be after start date', 400, 'INVALID_DATE_RANGE');
+      }
+
+      row.updated_at = new Date().toISOString();
+
+      const { data, error } = await supabase
+        .from('screen_schedules')
+        .update(row)
+        .eq('id', scheduleId)
+        .eq('organization_id', organizationId)
+        .select(SCHEDULE_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to update schedule: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      realtimeService.notifyAssignmentChanged(data.screen_id, { scheduleId: data.id });
+      if (existing.screen_id !== data.screen_id) {
+        realtimeService.notifyAssignmentChanged(existing.screen_id, { scheduleId: data.id });
+      }
+
+      return this.processScheduleData(data);
+    } catch (error) {
+      console.error('Error in updateSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete schedule entry
+   */
+  async deleteSchedule(scheduleId, organizationId) {
+    try {
+      const schedule = await this.getScheduleById(scheduleId, organizationId);
+
+      const { error } = await supabase
+        .from('screen_schedules')
+        .delete()
+        .eq('id', scheduleId)
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        throw new ApiError(`Failed to delete schedule: ${error.message}`, 500, 'DELETE_FAILED');
+      }
+
+      realtimeService.notifyAssignmentChanged(schedule.screen_id, { scheduleId });
+
+      return {
+        scheduleName: schedule.name,
+        screenName: schedule.screen?.name,
+        playlistName: schedule.playlist?.name
+      };
+    } catch (error) {
+      console.error('Error in deleteSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the highest priority schedule that is active for a screen at the given time
+   */
+  async getActiveSchedule(screenId, at = new Date()) {
+    const now = at.toISOString();
+
+    const { data, error } = await supabase
+      .from('screen_schedules')
+      .select(`
+        *,
+        playlists:playlist_id (
+          id,
+          name,
+          description
+        )
+      `)
+      .eq('screen_id', screenId)
+      .eq('enabled', true)
+      .lte('start_at', now)
+      .or(`end_at.is.null,end_at.gt.${now}`);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch schedules: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return this.pickActiveSchedule(data.filter(schedule => schedule.playlists), at);
+  }
+
+  /**
+   * Pick the schedule that wins at the given time: the highest priority active one,
+   * the most recently started on a tie
+   */
+  pickActiveSchedule(schedules, at = new Date()) {
+    const matching = schedules
+      .filter(schedule => this.isScheduleActive(schedule, at))
+      .sort((a, b) =>
+        (b.priority || 0) - (a.priority || 0) ||
+        new Date(b.start_at) - new Date(a.start_at)
+      );
+
+    return matching[0] || null;
+  }
+
+  /**
+   * Check for schedule window changes now and then periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.runBoundaryCheck().catch(error => {
+      console.error('Schedule boundary check failed:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, this.checkInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Tell players whose winning schedule changed since the last run (a window opened
+   * or closed) to fetch their content again
+   */
+  async runBoundaryCheck(at = new Date()) {
+    const since = this.lastRunAt || new Date(at.getTime() - this.checkInterval);
+    this.lastRunAt = at;
+
+    const { data, error } = await supabase
+      .from('screen_schedules')
+      .select('id, screen_id, playlist_id, priority, start_at, end_at, days_of_week, start_time, end_time, timezone')
+      .eq('enabled', true)
+      .lte('start_at', at.toISOString())
+      .or(`end_at.is.null,end_at.gt."${since.toISOString()}"`);
+
+    if (error) {
+      throw new Error(`Failed to fetch schedules: ${error.message}`);
+    }
+
+    const schedulesByScreen = new Map();
+    for (const schedule of data) {
+      if (!schedulesByScreen.has(schedule.screen_id)) {
+        schedulesByScreen.set(schedule.screen_id, []);
+      }
+      schedulesByScreen.get(schedule.screen_id).push(schedule);
+    }
+
+    let screensNotified = 0;
+    for (const [screenId, schedules] of schedulesByScreen) {
+      const before = this.pickActiveSchedule(schedules, since);
+      const now = this.pickActiveSchedule(schedules, at);
+
+      if (before?.id !== now?.id) {
+        await realtimeService.notifyAssignmentChanged(screenId, { scheduleId: now?.id || null, reason: 'schedule-window' });
+        screensNotified++;
+      }
+    }
+
+    return { screensNotified };
+  }
+
+  /**
+   * Resolve which playlist a screen should play right now.
+   * Active schedules win over the screen's own assignment, which wins over group assignments.
+   * runBoundaryCheck tells players when the winning schedule changes.
+   */
+  async resolveActivePlaylist(screenId, at = new Date()) {
+    const schedule = await this.getActiveSchedule(screenId, at);
+
+    if (schedule) {
+      return {
+        source: 'schedule',
+        scheduleId: schedule.id,
+        playlistId: schedule.playlist_id,
+        playlist: schedule.playlists
+      };
+    }
+
+    return this.assignmentService.getEffectiveAssignment(screenId);
+  }
+
+  /**
+   * Check whether a schedule's weekly and daily rules match the given time.
+   * Date range filtering is done by the query.
+   */
+  isScheduleActive(schedule, at = new Date()) {
+    const startAt = schedule.start_at ? new Date(schedule.start_at) : null;
+    const endAt = schedule.end_at ? new Date(schedule.end_at) : null;
+
+    if (startAt && at < startAt) return false;
+    if (endAt && at >= endAt) return false;
+
+    const { weekday, minutes } = this.getLocalTime(at, schedule.timezone || 'UTC');
+    const days = schedule.days_of_week;
+    const hasDays = Array.isArray(days) && days.length > 0;
+
+    if (!schedule.start_time || !schedule.end_time) {
+      return !hasDays || days.includes(weekday);
+    }
+
+    const start = this.parseTime(schedule.start_time);
+    const end = this.parseTime(schedule.end_time);
+
+    if (start < end) {
+      return minutes >= start && minutes < end && (!hasDays || days.includes(weekday));
+    }
+
+    // Overnight window (e.g. 22:00 - 02:00): the early-morning part belongs to the previous day
+    if (minutes >= start) {
+      return !hasDays || days.includes(weekday);
+    }
+    if (minutes < end) {
+      return !hasDays || days.includes((weekday + 6) % 7);
+    }
+    return false;
+  }
+
+  /**
+   * Get weekday (0 = Sunday) and minutes since midnight in a timezone
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(part => part.type === type)?.value;
+
+    return {
+      weekday: WEEKDAYS.indexOf(get('weekday')),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+
+  /**
+   * Parse "HH:MM" or "HH:MM:SS" into minutes since midnight
+   */
+  parseTime(value) {
+    const [hours, minutes] = value.split(':').map(part => parseInt(part));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check if timezone is a valid IANA timezone
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Validate request body and map it to database columns.
+   * Only fields present in the body are returned.
+   */
+  normalizeScheduleData(data) {
+    const {
+      screenId,
+      playlistId,
+      name,
+      startAt,
+      endAt,
+      daysOfWeek,
+      startTime,
+      endTime,
+      timezone,
+      priority,
+      enabled
+    } = data;
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    const timeRegex = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+    const row = {};
+
+    if (screenId !== undefined) {
+      if (!uuidRegex.test(screenId)) {
+        throw new ApiError('Invalid screen ID format', 400, 'INVALID_SCREEN_ID');
+      }
+      row.screen_id = screenId;
+    }
+
+    if (playlistId !== undefined) {
+      if (!uuidRegex.test(playlistId)) {
+        throw new ApiError('Invalid playlist ID format', 400, 'INVALID_PLAYLIST_ID');
+      }
+      row.playlist_id = playlistId;
+    }
+
+    if (name !== undefined) {
+      if (name && name.length > 100) {
+        throw new ApiError('Schedule name must be less than 100 characters', 400, 'NAME_TOO_LONG');
+      }
+      row.name = name?.trim() || null;
+    }
+
+    if (startAt !== undefined) {
+      if (!startAt || isNaN(new Date(startAt).getTime())) {
+        throw new ApiError('Start date must be a valid date', 400, 'INVALID_START_AT');
+      }
+      row.start_at = new Date(startAt).toISOString();
+    }
+
+    if (endAt !== undefined) {
+      if (endAt !== null && isNaN(new Date(endAt).getTime())) {
+        throw new ApiError('End date must be a valid date', 400, 'INVALID_END_AT');
+      }
+      row.end_at = endAt === null ? null : new Date(endAt).toISOString();
+    }
+
+    if (row.start_at && row.end_at && new Date(row.end_at) <= new Date(row.start_at)) {
+      throw new ApiError('End date must be after start date', 400, 'INVALID_DATE_RANGE');
+    }
+
+    if (daysOfWeek !== undefined) {
+      if (daysOfWeek !== null && (!Array.isArray(daysOfWeek) ||
+          !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        throw new ApiError('Days of week must be an array of integers between 0 (Sunday) and 6 (Saturday)', 400, 'INVALID_DAYS_OF_WEEK');
+      }
+      row.days_of_week = daysOfWeek && daysOfWeek.length > 0 ? [...new Set(daysOfWeek)].sort() : null;
+    }
+
+    if (startTime !== undefined || endTime !== undefined) {
+      if (!startTime !== !endTime) {
+        throw new ApiError('Start time and end time must be provided together', 400, 'INVALID_TIME_WINDOW');
+      }
+      if (startTime && (!timeRegex.test(startTime) || !timeRegex.test(endTime))) {
+        throw new ApiError('Times must use HH:MM format', 400, 'INVALID_TIME_FORMAT');
+      }
+      if (startTime && startTime === endTime) {
+        throw new ApiError('Start time and end time must differ', 400, 'INVALID_TIME_WINDOW');
+      }
+      row.start_time = startTime || null;
+      row.end_time = endTime || null;
+    }
+
+    if (timezone !== undefined) {
+      if (!timezone || !this.isValidTimezone(timezone)) {
+        throw new ApiError('Timezone must be a valid IANA timezone (e.g. "Europe/London")', 400, 'INVALID_TIMEZONE');
+      }
+      row.timezone = timezone;
+    }
+
+    if (priority !== undefined) {
+      if (!Number.isInteger(priority) || priority < 0 || priority > 1000) {
+        throw new ApiError('Priority must be an integer between 0 and 1000', 400, 'INVALID_PRIORITY');
+      }
+      row.priority = priority;
+    }
+
+    if (enabled !== undefined) {
+      row.enabled = Boolean(enabled);
+    }
+
+    return row;
+  }
+
+  /**
+   * Verify screen exists in the organization
+   */
+  async verifyScreen(screenId, organizationId) {
+    const { data: screen, error } = await supabase
+      .from('screens')
+      .select('id')
+      .eq('id', screenId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !screen) {
+      throw new ApiError('Screen not found', 404, 'SCREEN_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Verify playlist exists in the organization
+   */
+  async verifyPlaylist(playlistId, organizationId) {
+    const { data: playlist, error } = await supabase
+      .from('playlists')
+      .select('id')
+      .eq('id', playlistId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !playlist) {
+      throw new ApiError('Playlist not found or access denied', 404, 'PLAYLIST_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Process schedule data and add calculated fields
+   */
+  processScheduleData(schedule) {
+    return {
+      ...schedule,
+      screen: schedule.screens,
+      playlist: schedule.playlists,
+      isActiveNow: schedule.enabled ? this.isScheduleActive(schedule) : false,
+      screens: undefined, // Remove raw screens data
+      playlists: undefined // Remove raw playlists data
+    };
+  }
+}
+
+const scheduleService = new ScheduleService();
+
+module.exports = { ScheduleService, scheduleService };
@@ -0,0 +1,486 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+const GROUP_SELECT = `
+  *,
+  screen_group_members (
+    screen_id
+  ),
+  group_assignments (
+    id,
+    assigned_at,
+    playlists:playlist_id (
+      id,
+      name
+    )
+  )
+`;
+
+class ScreenGroupService {
+  constructor() {
+    this.maxDepth = 10; // Maximum nesting depth for groups
+  }
+
+  /**
+   * Get screen groups of an organization
+   */
+  async getGroups(filters = {}) {
+    try {
+      const { parentId, search, organizationId } = filters;
+
+      let query = supabase
+        .from('screen_groups')
+        .select(GROUP_SELECT)
+        .eq('organization_id', organizationId)
+        .order('name', { ascending: true });
+
+      // Apply filters
+      if (parentId === 'root') {
+        query = query.is('parent_id', null);
+      } else if (parentId) {
+        query = query.eq('parent_id', parentId);
+      }
+
+      if (search) {
+        query = query.ilike('name', `%${search}%`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new ApiError(`Failed to fetch screen groups: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return data.map(group => this.processGroupData(group));
+    } catch (error) {
+      console.error('Error in getGroups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get screen group by ID with members and child groups
+   */
+  async getGroupById(groupId, organizationId) {
+    try {
+      const { data, error } = await supabase
+        .from('screen_groups')
+        .select(`
+          *,
+          screen_group_members (
+            added_at,
+            screens:screen_id (
+              id,
+              name,
+              device_code,
+              location,
+              status,
+              last_heartbeat
+            )
+          ),
+          group_assignments (
+            id,
+            assigned_at,
+            playlists:playlist_id (
+              id,
+              name,
+              description
+            )
+          )
+        `)
+        .eq('id', groupId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new ApiError('Screen group not found', 404, 'GROUP_NOT_FOUND');
+        }
+        throw new ApiError(`Failed to fetch screen group: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const { data: children, error: childrenError } = await supabase
+        .from('screen_groups')
+        .select('id, name, location')
+        .eq('parent_id', groupId)
+        .order('name', { ascending: true });
+
+      if (childrenError) {
+        throw new ApiError(`Failed to fetch child groups: ${childrenError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return {
+        ...data,
+        screens: data.screen_group_members.map(member => ({
+          ...member.screens,
+          addedAt: member.added_at
+        })),
+        children,
+        assignedPlaylist: data.group_assignments?.[0]?.playlists || null,
+        assignmentDate: data.group_assignments?.[0]?.assigned_at || null,
+        screen_group_members: undefined,
+        group_assignments: undefined
+      };
+    } catch (error) {
+      console.error('Error in getGroupById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new screen group
+   */
+  async createGroup(groupData, userId, organizationId) {
+    try {
+      const { name, description, location, parentId } = groupData;
+
+      if (!name || name.trim().length === 0) {
+        throw new ApiError('Group name is required', 400, 'MISSING_NAME');
+      }
+
+      if (parentId) {
+        await this.verifyGroupOwnership(parentId, organizationId);
+        const depth = (await this.getAncestorIds(parentId)).length + 1;
+        if (depth >= this.maxDepth) {
+          throw new ApiError(`Groups cannot be nested more than ${this.maxDepth} levels deep`, 400, 'GROUP_TOO_DEEP');
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('screen_groups')
+        .insert({
+          name: name.trim(),
+          description: description?.trim() || null,
+          location: location?.trim() || null,
+          parent_id: parentId || null,
+          organization_id: organizationId,
+          created_by: userId
+        })
+        .select(GROUP_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to create screen group: ${error.message}`, 400, 'CREATE_FAILED');
+      }
+
+      return this.processGroupData(data);
+    } catch (error) {
+      console.error('Error in createGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update screen group
+   */
+  async updateGroup(groupId, updates, organizationId) {
+    try {
+      await this.verifyGroupOwnership(groupId, organizationId);
+
+      const validUpdates = {};
+
+      if (updates.name !== undefined) {
+        if (!updates.name || updates.name.trim().length === 0) {
+          throw new ApiError('Group name is required', 400, 'MISSING_NAME');
+        }
+        validUpdates.name = updates.name.trim();
+      }
+
+      if (updates.description !== undefined) {
+        validUpdates.description = updates.description?.trim() || null;
+      }
+
+      if (updates.location !== undefined) {
+        validUpdates.location = updates.location?.trim() || null;
+      }
+
+      if (updates.parentId !== undefined) {
+        if (updates.parentId) {
+          await this.verifyGroupOwnership(updates.parentId, organizationId);
+
+          // Prevent cycles: the new parent cannot be the group itself or one of its descendants
+          const descendantIds = await this.getDescendantIds([groupId]);
+          if (descendantIds.includes(updates.parentId)) {
+            throw new ApiError('A group cannot be moved inside itself or one of its sub-groups', 400, 'GROUP_CYCLE');
+          }
+        }
+        validUpdates.parent_id = updates.parentId || null;
+      }
+
+      validUpdates.updated_at = new Date().toISOString();
+
+      if (Object.keys(validUpdates).length === 1) { // Only updated_at
+        throw new ApiError('No valid updates provided', 400, 'NO_UPDATES');
+      }
+
+      const { data, error } = await supabase
+        .from('screen_groups')
+        .update(validUpdates)
+        .eq('id', groupId)
+        .eq('organization_id', organizationId)
+        .select(GROUP_SELECT)
+        .single();
+
+      if (error) {
+        throw new ApiError(`Failed to update screen group: ${error.message}`, 400, 'UPDATE_FAILED');
+      }
+
+      return this.processGroupData(data);
+    } catch (error) {
+      console.error('Error in updateGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete screen group (memberships and group assignment are deleted by CASCADE)
+   */
+  async deleteGroup(groupId, organizationId) {
+    try {
+      const group = await this.verifyGroupOwnership(groupId, organizationId);
+
+      const { data: children, error: childrenError } = await supabase
+        .from('screen_groups')
+        .select('id')
+        .eq('parent_id', groupId);
+
+      if (childrenError) {
+        throw new ApiError(`Failed to check child groups: ${childrenError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      if (children.length > 0) {
+        throw new ApiError('Cannot delete a group that has sub-groups. Please move or delete them first.', 400, 'GROUP_HAS_CHILDREN');
+      }
+
+      const { error } = await supabase
+        .from('screen_groups')
+        .delete()
+        .eq('id', groupId)
+        .eq('organization_id', organizationId);
+
+      if (error) {
+        throw new ApiError(`Failed to delete screen group: ${error.message}`, 500, 'DELETE_FAILED');
+      }
+
+      return group.name;
+    } catch (error) {
+      console.error('Error in deleteGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add screens to a group
+   */
+  async addScreens(groupId, screenIds, organizationId) {
+    try {
+      await this.verifyGroupOwnership(groupId, organizationId);
+
+      const { data: screens, error: screensError } = await supabase
+        .from('screens')
+        .select('id')
+        .eq('organization_id', organizationId)
+        .in('id', screenIds);
+
+      if (screensError) {
+        throw new ApiError(`Failed to fetch screens: ${screensError.message}`, 500, 'FETCH_FAILED');
+      }
+
+      const foundIds = screens.map(screen => screen.id);
+      const missingIds = screenIds.filter(id => !foundIds.includes(id));
+      if (missingIds.length > 0) {
+        throw new ApiError(`Screens not found: ${missingIds.join(', ')}`, 404, 'SCREEN_NOT_FOUND');
+      }
+
+      const { error } = await supabase
+        .from('screen_group_members')
+        .upsert(
+          foundIds.map(screenId => ({
+            group_id: groupId,
+            screen_id: screenId,
+            added_at: new Date().toISOString()
+          })),
+          { onConflict: 'group_id,screen_id', ignoreDuplicates: true }
+        );
+
+      if (error) {
+        throw new ApiError(`Failed to add screens to group: ${error.message}`, 400, 'ADD_MEMBERS_FAILED');
+      }
+
+      return foundIds;
+    } catch (error) {
+      console.error('Error in addScreens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a screen from a group
+   */
+  async removeScreen(groupId, screenId, organizationId) {
+    try {
+      await this.verifyGroupOwnership(groupId, organizationId);
+
+      const { data, error } = await supabase
+        .from('screen_group_members')
+        .delete()
+        .eq('group_id', groupId)
+        .eq('screen_id', screenId)
+        .select('screen_id');
+
+      if (error) {
+        throw new ApiError(`Failed to remove screen from group: ${error.message}`, 500, 'REMOVE_MEMBER_FAILED');
+      }
+
+      if (data.length === 0) {
+        throw new ApiError('Screen is not a member of this group', 404, 'MEMBER_NOT_FOUND');
+      }
+    } catch (error) {
+      console.error('Error in removeScreen:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify group exists and belongs to the organization
+   */
+  async verifyGroupOwnership(groupId, organizationId) {
+    const { data: group, error } = await supabase
+      .from('screen_groups')
+      .select('id, name, parent_id')
+      .eq('id', groupId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error || !group) {
+      throw new ApiError('Screen group not found', 404, 'GROUP_NOT_FOUND');
+    }
+
+    return group;
+  }
+
+  /**
+   * Load the parent map of all groups (id -> parent_id)
+   */
+  async getParentMap() {
+    const { data, error } = await supabase
+      .from('screen_groups')
+      .select('id, parent_id');
+
+    if (error) {
+      throw new ApiError(`Failed to fetch screen groups: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return new Map(data.map(group => [group.id, group.parent_id]));
+  }
+
+  /**
+   * Get ancestor IDs of a group, nearest parent first
+   */
+  async getAncestorIds(groupId, parentMap = null) {
+    const parents = parentMap || await this.getParentMap();
+    const ancestors = [];
+    let current = parents.get(groupId);
+
+    while (current && !ancestors.includes(current) && ancestors.length < this.maxDepth) {
+      ancestors.push(current);
+      current = parents.get(current);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Get IDs of the given groups and all of their descendants
+   */
+  async getDescendantIds(groupIds, parentMap = null) {
+    const parents = parentMap || await this.getParentMap();
+    const result = new Set(groupIds);
+    let added = true;
+
+    while (added) {
+      added = false;
+      for (const [id, parentId] of parents.entries()) {
+        if (parentId && result.has(parentId) && !result.has(id)) {
+          result.add(id);
+          added = true;
+        }
+      }
+    }
+
+    return [...result];
+  }
+
+  /**
+   * Get IDs of screens that belong to the given groups or any of their sub-groups
+   */
+  async getScreenIdsForGroups(groupIds) {
+    if (groupIds.length === 0) {
+      return [];
+    }
+
+    const allGroupIds = await this.getDescendantIds(groupIds);
+
+    const { data, error } = await supabase
+      .from('screen_group_members')
+      .select('screen_id')
+      .in('group_id', allGroupIds);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch group members: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    return [...new Set(data.map(member => member.screen_id))];
+  }
+
+  /**
+   * Get the groups a screen inherits from, as { groupId, depth } pairs.
+   * Depth 0 is a group the screen is a direct member of; parents follow.
+   */
+  async getScreenGroupChain(screenId) {
+    const { data: memberships, error } = await supabase
+      .from('screen_group_members')
+      .select('group_id')
+      .eq('screen_id', screenId);
+
+    if (error) {
+      throw new ApiError(`Failed to fetch screen groups: ${error.message}`, 500, 'FETCH_FAILED');
+    }
+
+    if (memberships.length === 0) {
+      return [];
+    }
+
+    const parentMap = await this.getParentMap();
+    const chain = new Map();
+
+    for (const membership of memberships) {
+      const lineage = [membership.group_id, ...await this.getAncestorIds(membership.group_id, parentMap)];
+      lineage.forEach((groupId, depth) => {
+        if (!chain.has(groupId) || chain.get(groupId) > depth) {
+          chain.set(groupId, depth);
+        }
+      });
+    }
+
+    return [...chain.entries()]
+      .map(([groupId, depth]) => ({ groupId, depth }))
+      .sort((a, b) => a.depth - b.depth);
+  }
+
+  /**
+   * Process group data and add calculated fields
+   */
+  processGroupData(group) {
+    return {
+      ...group,
+      screenCount: group.screen_group_members?.length || 0,
+      assignedPlaylist: group.group_assignments?.[0]?.playlists || null,
+      assignmentDate: group.group_assignments?.[0]?.assigned_at || null,
+      screen_group_members: undefined, // Remove raw members data
+      group_assignments: undefined // Remove raw assignment data
+    };
+  }
+}
+
+module.exports = { ScreenGroupService };
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
 const { ApiError } = require('../middleware/errorHandler');
 
@@ -10,7 +11,7 @@ class ScreenService {
    * Generate unique device code
    */
   generateDeviceCode() {
-    return Math.random().toString(36).substring(2, 10).toUpperCase();
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
   }
 
   /**
@@ -54,7 +55,7 @@ class ScreenService {
   /**
    * Create a new screen
    */
-  async createScreen(screenData) {
+  async createScreen(screenData, organizationId) {
     const { name, location } = screenData;
 
     // Generate unique device code
@@ -66,7 +67,8 @@ class ScreenService {
         name: name.trim(),
         location: location?.trim() || null,
         device_code: deviceCode,
-        status: 'offline'
+        status: 'offline',
+        organization_id: organizationId
       })
       .select()
       .single();
@@ -79,7 +81,7 @@ class ScreenService {
   }
 
   /**
-   * Get all screens with optional filtering
+   * Get screens of an organization with optional filtering
    */
   async getScreens(filters = {}) {
     const { 
@@ -89,7 +91,8 @@ class ScreenService {
       limit = 50,
       sortBy = 'created_at',
       sortOrder = 'desc',
-      includeAssignments = true
+      includeAssignments = true,
+      organizationId
     } = filters;
 
     // Build query
@@ -111,6 +114,8 @@ class ScreenService {
       query = query.select('*');
     }
 
+    query = query.eq('organization_id', organizationId);
+
     // Apply filters
     if (status) {
       query = query.eq('status', status);
@@ -163,7 +168,7 @@ class ScreenService {
   /**
    * Get screen by ID
    */
-  async getScreenById(screenId) {
+  async getScreenById(screenId, organizationId) {
     const { data, error } = await supabase
       .from('screens')
       .select(`
@@ -179,6 +184,7 @@ class ScreenService {
         )
       `)
       .eq('id', screenId)
+      .eq('organization_id', organizationId)
       .single();
 
     if (error) {
@@ -224,7 +230,7 @@ class ScreenService {
   /**
    * Update screen
    */
-  async updateScreen(screenId, updates) {
+  async updateScreen(screenId, updates, organizationId) {
     const validUpdates = {};
     
     if (updates.name !== undefined) validUpdates.name = updates.name.trim();
@@ -241,6 +247,7 @@ class ScreenService {
       .from('screens')
       .update(validUpdates)
       .eq('id', screenId)
+      .eq('organization_id', organizationId)
       .select()
       .single();
 
@@ -260,12 +267,13 @@ class ScreenService {
   /**
    * Delete screen
    */
-  async deleteScreen(screenId) {
+  async deleteScreen(screenId, organizationId) {
     // First check if screen exists
     const { data: screen, error: fetchError } = await supabase
       .from('screens')
       .select('name')
       .eq('id', screenId)
+      .eq('organization_id', organizationId)
       .single();
 
     if (fetchError) {
@@ -279,7 +287,8 @@ class ScreenService {
     const { error } = await supabase
       .from('screens')
       .delete()
-      .eq('id', screenId);
+      .eq('id', screenId)
+      .eq('organization_id', organizationId);
 
     if (error) {
       throw new ApiError(`Failed to delete screen: ${error.message}`, 500, 'DELETE_FAILED');
@@ -289,18 +298,21 @@ class ScreenService {
   }
 
   /**
-   * Regenerate device code
+   * Regenerate device code and revoke the current device token
    */
-  async regenerateDeviceCode(screenId) {
+  async regenerateDeviceCode(screenId, organizationId) {
     const deviceCode = await this.generateUniqueDeviceCode(screenId);
 
     const { data, error } = await supabase
       .from('screens')
       .update({
         device_code: deviceCode,
+        device_token_hash: null, // Revoke the paired player
+        paired_at: null,
         updated_at: new Date().toISOString()
       })
       .eq('id', screenId)
+      .eq('organization_id', organizationId)
       .select()
       .single();
 
@@ -342,10 +354,11 @@ class ScreenService {
   /**
    * Get screen statistics
    */
-  async getScreenStats() {
+  async getScreenStats(organizationId) {
     const { data: screens, error } = await supabase
       .from('screens')
-      .select('status, last_heartbeat');
+      .select('status, last_heartbeat')
+      .eq('organization_id', organizationId);
 
     if (error) {
       throw new ApiError(`Failed to fetch screen stats: ${error.message}`, 500, 'STATS_FAILED');
@@ -0,0 +1,148 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { StorageService } = require('./storageService');
+const { DeviceCommandService } = require('./deviceCommandService');
+
+class ScreenshotService {
+  constructor() {
+    this.storageService = new StorageService();
+    this.deviceCommandService = new DeviceCommandService();
+    this.maxPerScreen = parseInt(process.env.SCREENSHOTS_PER_SCREEN) || 10;
+    this.maxFileSize = 5 * 1024 * 1024; // 5MB
+    this.allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    this.urlExpiry = 60 * 60; // Signed URLs are valid for an hour
+  }
+
+  /**
+   * Store a screenshot uploaded by a player and drop the oldest ones beyond the per-screen limit
+   */
+  async storeScreenshot(screen, file, metadata = {}) {
+    try {
+      if (!file) {
+        throw new ApiError('No screenshot provided', 400, 'NO_FILE');
+      }
+
+      if (!this.allowedTypes.includes(file.mimetype.toLowerCase())) {
+        throw new ApiError('Screenshot must be a JPEG, PNG or WebP image', 400, 'INVALID_FILE_TYPE');
+      }
+
+      const { commandId, capturedAt } = metadata;
+
+      if (capturedAt && isNaN(Date.parse(capturedAt))) {
+        throw new ApiError('capturedAt must be a valid date', 400, 'INVALID_DATE');
+      }
+
+      const uploaded = await this.storageService.uploadScreenshot(file, screen.id);
+
+      const { data, error } = await supabase
+        .from('screen_screenshots')
+        .insert({
+          organization_id: screen.organization_id,
+          screen_id: screen.id,
+          file_path: uploaded.path,
+          mime_type: uploaded.mimeType,
+          file_size: uploaded.size,
+          captured_at: capturedAt ? new Date(capturedAt).toISOString() : new Date().toISOString(),
+          command_id: commandId || null
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Clean up uploaded file if the database insert fails
+        await this.storageService.deleteMedia(uploaded.path).catch(() => {});
+        throw new ApiError(`Failed to save screenshot: ${error.message}`, 500, 'DATABASE_ERROR');
+      }
+
+      // Close the "request screenshot" command this upload answers
+      if (commandId) {
+        try {
+          await this.deviceCommandService.acknowledgeCommand(screen.id, commandId, {
+            status: 'acknowledged',
+            result: { screenshotId: data.id }
+          });
+        } catch (ackError) {
+          console.error('Failed to acknowledge screenshot command:', ackError.message);
+        }
+      }
+
+      await this.pruneScreenshots(screen.id);
+
+      return data;
+    } catch (error) {
+      console.error('Error in storeScreenshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored screenshots of a screen (newest first) with temporary URLs
+   */
+  async getScreenshots(screenId, organizationId) {
+    try {
+      await this.deviceCommandService.verifyScreen(screenId, organizationId);
+
+      const { data, error } = await supabase
+        .from('screen_screenshots')
+        .select('*')
+        .eq('screen_id', screenId)
+        .eq('organization_id', organizationId)
+        .order('captured_at', { ascending: false })
+        .limit(this.maxPerScreen);
+
+      if (error) {
+        throw new ApiError(`Failed to fetch screenshots: ${error.message}`, 500, 'FETCH_FAILED');
+      }
+
+      return Promise.all(data.map(async (screenshot) => ({
+        ...screenshot,
+        url: await this.storageService.getSignedUrl(screenshot.file_path, this.urlExpiry)
+      })));
+    } catch (error) {
+      console.error('Error in getScreenshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask a screen's player to capture and upload a screenshot
+   */
+  async requestScreenshot(screenId, userId, organizationId) {
+    return this.deviceCommandService.queueCommand(screenId, { type: 'screenshot' }, userId, organizationId);
+  }
+
+  /**
+   * Keep only the newest screenshots of a screen
+   */
+  async pruneScreenshots(screenId) {
+    const { data, error } = await supabase
+      .from('screen_screenshots')
+      .select('id, file_path')
+      .eq('screen_id', screenId)
+      .order('captured_at', { ascending: false })
+      .range(this.maxPerScreen, this.maxPerScreen + 99);
+
+    if (error) {
+      console.error('Failed to fetch old screenshots:', error);
+      return;
+    }
+
+    if (data.length === 0) {
+      return;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('screen_screenshots')
+      .delete()
+      .in('id', data.map(screenshot => screenshot.id));
+
+    if (deleteError) {
+      console.error('Failed to delete old screenshots:', deleteError);
+      return;
+    }
+
+    await this.storageService.deleteFiles(data.map(screenshot => screenshot.file_path)).catch(() => {});
+  }
+}
+
+module.exports = { ScreenshotService };
@@ -1,9 +1,11 @@
 const { supabase } = require('../config/supabase');
+const fs = require('fs');
 const path = require('path');
 
 class StorageService {
   constructor() {
     this.bucketName = 'media';
+    this.maxFileSize = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 2048) * 1024 * 1024; // Resumable upload limit
   }
 
   /**
@@ -15,10 +17,10 @@ class StorageService {
       const fileExtension = path.extname(file.originalname);
       const fileName = `${userId}/${Date.now()}-${Math.random().toString(36).substring(2)}${fileExtension}`;
       
-      // Upload file to Supabase Storage
+      // Upload file to Supabase Storage (files on disk are streamed)
       const { data, error } = await supabase.storage
         .from(this.bucketName)
-        .upload(fileName, file.buffer, {
+        .upload(fileName, file.buffer || fs.createReadStream(file.path), {
           contentType: file.mimetype,
           upsert: false
         });
@@ -66,6 +68,107 @@ class StorageService {
     }
   }
 
+  /**
+   * Upload a generated file (e.g. a thumbnail) or a stream to a given path
+   */
+  async uploadFile(filePath, buffer, contentType) {
+    try {
+      const { error } = await supabase.storage
+        .from(this.bucketName)
+        .upload(filePath, buffer, {
+          contentType,
+          upsert: true
+        });
+
+      if (error) {
+        console.error('Storage upload error:', error);
+        throw new Error(`Upload failed: ${error.message}`);
+      }
+
+      return filePath;
+    } catch (error) {
+      console.error('Error in uploadFile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a file from Supabase Storage into memory
+   */
+  async downloadFile(filePath) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(this.bucketName)
+        .download(filePath);
+
+      if (error) {
+        console.error('Storage download error:', error);
+        throw new Error(`Download failed: ${error.message}`);
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+      console.error('Error in downloadFile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a player screenshot under the screen's own folder
+   */
+  async uploadScreenshot(file, screenId) {
+    try {
+      const fileExtension = path.extname(file.originalname) || `.${file.mimetype.split('/')[1]}`;
+      const fileName = `screenshots/${screenId}/${Date.now()}-${Math.random().toString(36).substring(2)}${fileExtension}`;
+
+      const { error } = await supabase.storage
+        .from(this.bucketName)
+        .upload(fileName, file.buffer, {
+          contentType: file.mimetype,
+          upsert: false
+        });
+
+      if (error) {
+        console.error('Storage upload error:', error);
+        throw new Error(`Upload failed: ${error.message}`);
+      }
+
+      return {
+        path: fileName,
+        size: file.size,
+        mimeType: file.mimetype
+      };
+    } catch (error) {
+      console.error('Error in uploadScreenshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete several files from Supabase Storage in one call
+   */
+  async deleteFiles(filePaths) {
+    try {
+      if (filePaths.length === 0) {
+        return true;
+      }
+
+      const { error } = await supabase.storage
+        .from(this.bucketName)
+        .remove(filePaths);
+
+      if (error) {
+        console.error('Storage delete error:', error);
+        throw new Error(`Delete failed: ${error.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error in deleteFiles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get public URL for a media file with fallback
    */
@@ -78,6 +181,22 @@ class StorageService {
     return publicUrl;
   }
 
+  /**
+   * Get public URLs for stored thumbnails ({ size: path } -> { size: url })
+   */
+  getThumbnailUrls(thumbnailPaths) {
+    const thumbnails = {};
+
+    for (const [size, filePath] of Object.entries(thumbnailPaths || {})) {
+      const { data: { publicUrl } } = supabase.storage
+        .from(this.bucketName)
+        .getPublicUrl(filePath);
+      thumbnails[size] = publicUrl;
+    }
+
+    return thumbnails;
+  }
+
   /**
    * Get signed URL as fallback (temporary access)
    */
@@ -123,8 +242,7 @@ class StorageService {
   /**
    * Check if file size is within limits
    */
-  isValidFileSize(size) {
-    const maxSize = 50 * 1024 * 1024; // 50MB limit
+  isValidFileSize(size, maxSize = 50 * 1024 * 1024) { // 50MB limit by default
     return size <= maxSize;
   }
 
@@ -153,18 +271,11 @@ class StorageService {
         return false;
       }
 
-      const bucketExists = buckets.some(bucket => bucket.name === this.bucketName);
+      const bucket = buckets.find(existing => existing.name === this.bucketName);
       
-      if (!bucketExists) {
+      if (!bucket) {
         // Create bucket
-        const { error: createError } = await supabase.storage.createBucket(this.bucketName, {
-          public: true,
-          allowedMimeTypes: [
-            'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-            'video/mp4', 'video/webm', 'video/ogg'
-          ],
-          fileSizeLimit: 52428800 // 50MB
-        });
+        const { error: createError } = await supabase.storage.createBucket(this.bucketName, this.getBucketOptions());
 
         if (createError) {
           console.error('Error creating bucket:', createError);
@@ -172,6 +283,16 @@ class StorageService {
         }
 
         console.log(`Created storage bucket: ${this.bucketName}`);
+      } else if (bucket.file_size_limit && bucket.file_size_limit < this.maxFileSize) {
+        // Buckets created before resumable uploads were limited to 50MB
+        const { error: updateError } = await supabase.storage.updateBucket(this.bucketName, this.getBucketOptions());
+
+        if (updateError) {
+          console.error('Error raising bucket size limit:', updateError);
+          return false;
+        }
+
+        console.log(`Raised size limit of storage bucket ${this.bucketName} to ${Math.round(this.maxFileSize / 1024 / 1024)}MB`);
       }
 
       return true;
@@ -180,6 +301,20 @@ class StorageService {
       return false;
     }
   }
+
+  /**
+   * Settings of the media bucket
+   */
+  getBucketOptions() {
+    return {
+      public: true,
+      allowedMimeTypes: [
+        'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+        'video/mp4', 'video/webm', 'video/ogg'
+      ],
+      fileSizeLimit: this.maxFileSize
+    };
+  }
 }
 
 module.exports = { StorageService };
\ No newline at end of file
@@ -1,10 +1,32 @@
+export type UserRole = 'admin' | 'editor' | 'viewer';
+
 export interface User {
   id: string;
   email: string;
+  role: UserRole;
   created_at: string;
   updated_at: string;
 }
 
+export type OrganizationRole = 'owner' | 'admin' | 'editor' | 'member';
+
+export interface Organization {
+  id: string;
+  name: string;
+  created_by: string;
+  personal_owner_id?: string; // Set on a user's personal workspace; unique, so each user gets at most one
+  created_at: string;
+  updated_at: string;
+}
+
+export interface OrganizationMember {
+  id: string;
+  organization_id: string;
+  user_id: string;
+  role: OrganizationRole;
+  created_at: string;
+}
+
 export interface Screen {
   id: string;
   name: string;
@@ -12,6 +34,10 @@ export interface Screen {
   location?: string;
   status: 'online' | 'offline';
   last_heartbeat?: string;
+  device_token_hash?: string;
+  paired_at?: string;
+  layout_id?: string;
+  organization_id: string;
   created_at: string;
   updated_at: string;
 }
@@ -19,11 +45,51 @@ export interface Screen {
 export interface Media {
   id: string;
   name: string;
-  type: 'image' | 'video';
-  file_path: string;
+  type: MediaType;
+  file_path?: string;
   file_size?: number;
   mime_type?: string;
   duration?: number;
+  width?: number;
+  height?: number;
+  codec?: string;
+  bitrate?: number;
+  content_hash?: string;
+  thumbnail_paths?: Partial<Record<ThumbnailSize, string>>;
+  content?: MediaContent;
+  folder_id?: string;
+  tags: string[];
+  valid_from?: string;
+  valid_until?: string;
+  expired_at?: string;
+  organization_id: string;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export type ThumbnailSize = 'small' | 'medium' | 'large';
+
+export type MediaType = 'image' | 'video' | 'web' | 'html' | 'stream' | 'text';
+
+export type MediaContent =
+  | { url: string; refreshInterval: number }
+  | { html: string }
+  | { url: string; format: 'hls' | 'dash'; muted: boolean }
+  | {
+      text: string;
+      scroll: boolean;
+      speed: number;
+      fontSize: number;
+      color: string;
+      backgroundColor: string;
+    };
+
+export interface MediaFolder {
+  id: string;
+  name: string;
+  parent_id?: string;
+  organization_id: string;
   created_by: string;
   created_at: string;
   updated_at: string;
@@ -33,23 +99,241 @@ export interface Playlist {
   id: string;
   name: string;
   description?: string;
+  playback_mode: PlaybackMode;
+  playback_settings: PlaybackSettings;
+  revision: number; // Bumped on every change; clients send it back to detect concurrent edits
+  published_version?: number; // Version players serve; unset plays the draft items
+  published_at?: string;
+  organization_id: string;
   created_by: string;
   created_at: string;
   updated_at: string;
 }
 
+export type PlaybackMode = 'sequential' | 'shuffle' | 'weighted' | 'interleave';
+
+export interface PlaybackSettings {
+  interleaveEvery?: number; // interleave: flagged items play after every N regular items
+}
+
 export interface PlaylistItem {
   id: string;
   playlist_id: string;
-  media_id: string;
+  media_id?: string;
+  // Nested playlist played in place of media; no foreign key so playlist <-> item embeds stay unambiguous
+  child_playlist_id?: string;
   order_index: number;
-  duration: number;
+  duration?: number;
+  valid_from?: string;
+  valid_until?: string;
+  weight: number; // weighted: plays per pass
+  interleave: boolean; // interleave: played between regular items
   created_at: string;
 }
 
+// Immutable snapshot of a playlist; deleted with the playlist
+export interface PlaylistVersion {
+  id: string;
+  playlist_id: string;
+  organization_id: string;
+  version: number; // Unique per playlist, counting from 1
+  name: string;
+  description?: string;
+  playback_mode: PlaybackMode;
+  playback_settings: PlaybackSettings;
+  items: Omit<PlaylistItem, 'playlist_id' | 'order_index' | 'created_at'>[];
+  note?: string;
+  published_by: string;
+  published_at: string;
+}
+
 export interface ScreenAssignment {
   id: string;
   screen_id: string;
   playlist_id: string;
+  organization_id: string;
+  assigned_at: string;
+}
+
+export interface AssignmentHistory {
+  id: string;
+  organization_id: string;
+  screen_id: string;
+  assignment_id?: string;
+  action: 'created' | 'updated' | 'removed';
+  old_playlist_id?: string;
+  new_playlist_id?: string;
+  old_layout_id?: string; // Set on layout changes (source 'layout')
+  new_layout_id?: string;
+  changed_by?: string;
+  reason?: string;
+  source: 'manual' | 'bulk' | 'device' | 'group' | 'layout';
+  created_at: string;
+}
+
+export interface ScreenSchedule {
+  id: string;
+  screen_id: string;
+  playlist_id: string;
+  name?: string;
+  start_at: string;
+  end_at?: string;
+  days_of_week?: number[];
+  start_time?: string;
+  end_time?: string;
+  timezone: string;
+  priority: number;
+  enabled: boolean;
+  organization_id: string;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface Layout {
+  id: string;
+  name: string;
+  description?: string;
+  width: number;
+  height: number;
+  organization_id: string;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface LayoutRegion {
+  id: string;
+  layout_id: string;
+  name: string; // e.g. main, sidebar, ticker, logo
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  unit: 'px' | '%';
+  z_index: number;
+  playlist_id?: string; // Without one the region plays the screen's active playlist
+}
+
+export interface ScreenGroup {
+  id: string;
+  name: string;
+  description?: string;
+  location?: string;
+  parent_id?: string;
+  organization_id: string;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ScreenGroupMember {
+  id: string;
+  group_id: string;
+  screen_id: string;
+  added_at: string;
+}
+
+export interface GroupAssignment {
+  id: string;
+  group_id: string;
+  playlist_id: string;
+  organization_id: string;
   assigned_at: string;
-}
\ No newline at end of file
+}
+
+export interface PlayEvent {
+  id: string;
+  organization_id: string;
+  screen_id: string;
+  media_id: string;
+  playlist_id?: string;
+  started_at: string;
+  duration: number;
+  completed: boolean;
+  client_event_id?: string;
+  created_at: string;
+}
+
+export interface PlayerError {
+  id: string;
+  organization_id: string;
+  screen_id: string;
+  message: string;
+  details: Record<string, unknown>;
+  media_id?: string;
+  player_version?: string;
+  created_at: string;
+}
+
+export type ScreenHealth = 'healthy' | 'degraded';
+
+export type DeviceCommandType = 'reload' | 'restart' | 'clear-cache' | 'screenshot' | 'set-volume';
+
+export type DeviceCommandStatus = 'pending' | 'delivered' | 'acknowledged' | 'failed';
+
+export interface DeviceCommand {
+  id: string;
+  organization_id: string;
+  screen_id: string;
+  type: DeviceCommandType;
+  payload: Record<string, unknown>;
+  status: DeviceCommandStatus;
+  result?: Record<string, unknown>;
+  created_by: string;
+  created_at: string;
+  expires_at: string;
+  delivered_at?: string; // Last delivery; sent again when not acknowledged in time
+  completed_at?: string;
+}
+
+export interface ScreenScreenshot {
+  id: string;
+  organization_id: string;
+  screen_id: string;
+  file_path: string;
+  mime_type: string;
+  file_size: number;
+  captured_at: string;
+  command_id?: string;
+  created_at: string;
+}
+
+export type MediaUploadStatus = 'uploading' | 'completing' | 'completed' | 'aborted';
+
+export interface MediaUpload {
+  id: string;
+  organization_id: string;
+  created_by: string;
+  file_name: string;
+  mime_type: string;
+  total_size: number;
+  chunk_size: number;
+  total_parts: number;
+  status: MediaUploadStatus;
+  media_id?: string;
+  expires_at: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface MediaUploadPart {
+  upload_id: string;
+  part_number: number;
+  size: number;
+  storage_path: string;
+  created_at: string;
+}
+
+export interface PairingRequest {
+  id: string;
+  pin: string;
+  secret_hash: string;
+  device_info?: Record<string, unknown>;
+  expires_at: string;
+  screen_id?: string;
+  claimed_by?: string;
+  claimed_at?: string;
+  collected_at?: string;
+  created_at: string;
+}
@@ -26,7 +26,7 @@ async function validateSupabaseSetup() {
     }
 
     // Test 2: Database schema
-    const tables = ['profiles', 'screens', 'media', 'playlists', 'playlist_items', 'screen_assignments'];
+    const tables = ['profiles', 'organizations', 'organization_members', 'screens', 'media', 'playlists', 'playlist_items', 'screen_assignments', 'assignment_history', 'screen_schedules', 'screen_groups', 'screen_group_members', 'group_assignments', 'pairing_requests', 'play_events', 'player_errors', 'device_commands', 'screen_screenshots', 'media_uploads', 'media_upload_parts', 'media_folders', 'layouts', 'layout_regions', 'playlist_versions'];
     let allTablesExist = true;
 
     for (const table of tables) {